@@ -0,0 +1,639 @@
+/**
+ * ============================================================================
+ * FILE: balanceAnalyzer.js
+ * PURPOSE: Measure game balance with thousands of simulated games
+ *
+ * DESCRIPTION:
+ * Runs many games per strategy on the headless engine (Monte Carlo), each
+ * with its own seed, so every game gets different weather
+ * (Weather.generateForecast) and breeding luck (Animal breeding rolls).
+ * For each strategy it reports:
+ * - Win rate against GAME_CONFIG.GOAL_MONEY
+ * - Median (and 10th / 90th percentile) final money
+ * - Distribution of the day the goal was reached
+ *
+ * With --sensitivity it also changes each balance value of GAME_CONFIG
+ * up and down (default ±20%) and reports how win rate and median money
+ * move, to show which values the balance depends on.
+ *
+ * Finally the results are checked against the "Balancing Requirements"
+ * of the Game Design Book (section 11.3).
+ *
+ * SEEDS:
+ * Game i of every batch uses the seed '<prefix>-<i>', so strategies and
+ * config changes are compared on exactly the same weather, and reruns
+ * give the same numbers.
+ *
+ * COMMAND LINE:
+ * node js/balanceAnalyzer.js [strategy.js ...] [--games 1000] [--seed balance]
+ *                            [--sensitivity] [--sensitivity-games 100]
+ *                            [--delta 0.2] [--param CROPS.0.seedCost ...] [--json]
+ *
+ * Without strategy files, every strategy in js/strategies/ is analyzed.
+ *
+ * DEPENDENCIES: simulator.js, engine.js
+ * USED BY: Command line (balancing the game)
+ *
+ * NOTE: Node only. A game takes roughly 50-100 ms to simulate, so
+ * 1,000 games per strategy take about a minute.
+ * ============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {createEngine} = require('./engine.js');
+const {loadStrategy, runSimulation} = require('./simulator.js');
+
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Defaults for the command line options
+ */
+const DEFAULTS = {
+    GAMES: 1000,
+    SENSITIVITY_GAMES: 100,
+    DELTA: 0.2,
+    SEED_PREFIX: 'balance'
+};
+
+/**
+ * Thresholds used to check the Game Design Book's Balancing Requirements.
+ * The book states them in words; these are the numbers we hold them to.
+ */
+const REQUIREMENTS = {
+    MAX_WIN_RATE: 0.90,          // Challenge: no strategy should win (almost) always
+    TARGET_WIN_DAYS: [8, 9],     // Recommended: best strategy wins around day 8-9
+    VIABLE_WIN_RATE: 0.25,       // Safety margin: a strategy this good counts as valid
+    MIN_VIABLE_STRATEGIES: 2
+};
+
+/**
+ * GAME_CONFIG sections whose numbers affect the rules
+ * (messages, milestones and UI settings do not). Numbers at the top level
+ * of GAME_CONFIG (STARTING_MONEY, GOAL_MONEY, TOTAL_DAYS, ...) are always
+ * included.
+ */
+const BALANCE_SECTIONS = [
+    'CROPS',
+    'ANIMALS',
+    'WEATHER_DEMAND_RULES',
+    'MARKET_SATURATION',
+    'BANK',
+    'WEATHER_GROWTH_RULES',
+    'WEATHER_MODEL',
+    'FORECAST_ACCURACY',
+    'CALENDAR',
+    'SEVERE_WEATHER',
+    'BALANCE'
+];
+
+/**
+ * Numbers inside those sections that are labels or switches, not balance
+ */
+const IGNORED_KEYS = ['tier', 'minWeather', 'maxWeather', 'dayOfSeason', 'WEATHER_DECIMALS', 'TESTING_SPEED_MULTIPLIER'];
+
+/**
+ * Values that are probabilities (kept between 0 and 1). A name here also
+ * covers every value below it (all chances in WEATHER_MODEL.MARKOV.START).
+ */
+const PROBABILITY_KEYS = [
+    'breedingChance',
+    'offspringSurvivalRate',
+    'PURCHASED_ANIMAL_SURVIVAL',
+    'WEATHER_MIN',
+    'WEATHER_MAX',
+    'TRANSITIONS',
+    'START',
+    'PERSISTENCE',
+    'CENTER_OFFSET',
+    'DAMAGED_QUALITY',
+    'MIN_RISK_SHOWN',
+    'chance',
+    'cropLoss',
+    'cropDamage',
+    'animalLoss'
+];
+
+
+// ============================================================================
+// BATCHES
+// ============================================================================
+
+/**
+ * PUBLIC: runBatch
+ * Plays many games with one strategy and summarizes them
+ *
+ * @param {Object} strategy - Strategy (see simulator.js)
+ * @param {Object} options - Batch options
+ * @param {number} options.games - Number of games
+ * @param {string} options.seedPrefix - Game i uses seed '<prefix>-<i>'
+ * @param {Object} options.configOverrides - GAME_CONFIG changes (see engine.js)
+ * @param {Function} options.onProgress - Called with (gamesDone, games)
+ * @returns {Object} Summary (see summarizeOutcomes)
+ */
+function runBatch(strategy, options = {}) {
+    const games = options.games || DEFAULTS.GAMES;
+    const seedPrefix = options.seedPrefix || DEFAULTS.SEED_PREFIX;
+    const outcomes = [];
+
+    for (let i = 0; i < games; i++) {
+        const result = runSimulation(strategy, {
+            seed: `${seedPrefix}-${i}`,
+            configOverrides: options.configOverrides
+        });
+        outcomes.push(result.outcome);
+
+        if (options.onProgress) {
+            options.onProgress(i + 1, games);
+        }
+    }
+
+    return summarizeOutcomes(outcomes);
+}
+
+
+/**
+ * PUBLIC: summarizeOutcomes
+ * Turns game outcomes into balance numbers
+ *
+ * @param {Object[]} outcomes - Outcomes from runSimulation()
+ * @returns {Object} {games, wins, winRate, medianFinalMoney, p10FinalMoney,
+ *                    p90FinalMoney, medianWinDay, winDays}
+ *
+ * NOTE: winDays counts wins by the day the goal was reached ({8: 120, 9: 300}).
+ */
+function summarizeOutcomes(outcomes) {
+    const money = outcomes.map(outcome => outcome.finalMoney).sort((a, b) => a - b);
+    const wins = outcomes.filter(outcome => outcome.won);
+    const days = wins.map(outcome => outcome.dayReached).sort((a, b) => a - b);
+
+    const winDays = {};
+    days.forEach(day => {
+        winDays[day] = (winDays[day] || 0) + 1;
+    });
+
+    return {
+        games: outcomes.length,
+        wins: wins.length,
+        winRate: outcomes.length > 0 ? wins.length / outcomes.length : 0,
+        medianFinalMoney: percentile(money, 0.5),
+        p10FinalMoney: percentile(money, 0.1),
+        p90FinalMoney: percentile(money, 0.9),
+        medianWinDay: days.length > 0 ? percentile(days, 0.5) : null,
+        winDays: winDays
+    };
+}
+
+
+/**
+ * PRIVATE: percentile
+ * Reads a percentile from sorted numbers (nearest rank)
+ *
+ * @param {number[]} sorted - Numbers in ascending order
+ * @param {number} fraction - 0.5 for the median
+ * @returns {number} Value (0 for no numbers)
+ */
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) {
+        return 0;
+    }
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1));
+    return sorted[index];
+}
+
+
+// ============================================================================
+// SENSITIVITY
+// ============================================================================
+
+/**
+ * PUBLIC: listBalanceParameters
+ * Lists the GAME_CONFIG values the sensitivity analysis changes
+ *
+ * @param {Object} gameConfig - GAME_CONFIG
+ * @returns {Object[]} [{path, label, value}]
+ *
+ * NOTE: Sections are searched all the way down (WEATHER_MODEL.MARKOV.
+ * TRANSITIONS.front.dry). Settings of a weather model that is not in use
+ * are listed too; changing them shows no effect.
+ *
+ * EXAMPLES:
+ * {path: 'CROPS.0.seedCost', label: 'Wheat seedCost', value: 10}
+ * {path: 'WEATHER_MODEL.MARKOV.TRANSITIONS.front.dry',
+ *  label: 'WEATHER_MODEL MARKOV.TRANSITIONS.front.dry', value: 0.1}
+ */
+function listBalanceParameters(gameConfig) {
+    const parameters = [];
+
+    Object.keys(gameConfig).forEach(key => {
+        if (typeof gameConfig[key] === 'number') {
+            parameters.push({path: key, label: key, value: gameConfig[key]});
+        }
+    });
+
+    BALANCE_SECTIONS.forEach(section => {
+        collectParameters(gameConfig[section], section, section, [], parameters);
+    });
+
+    return parameters;
+}
+
+
+/**
+ * PRIVATE: collectParameters
+ * Adds the balance numbers of a config value and everything below it
+ *
+ * @param {*} value - Config value (number, array or object)
+ * @param {string} configPath - Its dotted path
+ * @param {string} name - Name of the nearest named entry ('Wheat')
+ * @param {string[]} keys - Keys from that entry down to value
+ * @param {Object[]} parameters - List to add {path, label, value} to
+ */
+function collectParameters(value, configPath, name, keys, parameters) {
+    if (typeof value === 'number') {
+        if (!IGNORED_KEYS.includes(keys[keys.length - 1])) {
+            parameters.push({path: configPath, label: `${name} ${keys.join('.')}`, value: value});
+        }
+        return;
+    }
+    if (!value || typeof value !== 'object') {
+        return;
+    }
+
+    const entryName = value.name || value.marketCondition || value.growthCondition;
+    if (entryName) {
+        name = entryName;
+        keys = [];
+    }
+
+    Object.keys(value).forEach(key => {
+        collectParameters(value[key], `${configPath}.${key}`, name, keys.concat([key]), parameters);
+    });
+}
+
+
+/**
+ * PRIVATE: changeValue
+ * Changes a config value by a fraction, keeping it valid
+ *
+ * @param {string} configPath - Config path (last part is the key)
+ * @param {number} value - Current value
+ * @param {number} fraction - Change, e.g. -0.2 for 20% lower
+ * @returns {number} Changed value
+ *
+ * LOGIC:
+ * - Whole numbers stay whole and move by at least 1
+ * - Probabilities stay between 0 and 1
+ * - Nothing changes sign (negative values such as a weatherShift stay
+ *   at 0 or below, the rest at 0 or above)
+ */
+function changeValue(configPath, value, fraction) {
+    let changed = value * (1 + fraction);
+
+    if (Number.isInteger(value)) {
+        changed = Math.round(changed);
+        if (changed === value && value !== 0) {
+            changed = value + Math.sign(fraction);
+        }
+    } else {
+        changed = Math.round(changed * 1000) / 1000;
+    }
+
+    if (configPath.split('.').some(key => PROBABILITY_KEYS.includes(key))) {
+        changed = Math.min(1, changed);
+    }
+
+    return value < 0 ? Math.min(0, changed) : Math.max(0, changed);
+}
+
+
+/**
+ * PUBLIC: runSensitivity
+ * Measures how win rate and money respond to each balance value
+ *
+ * @param {Object} strategy - Strategy (see simulator.js)
+ * @param {Object} options - Options
+ * @param {number} options.games - Games per config change
+ * @param {number} options.delta - Fraction to change each value by (0.2 = ±20%)
+ * @param {string} options.seedPrefix - Seed prefix (same seeds for every change)
+ * @param {string[]} options.params - Only these config paths (default: all)
+ * @param {Function} options.onProgress - Called with (label) before each change
+ * @returns {Object} {baseline, parameters: [{path, label, value, lower, higher}]}
+ *
+ * NOTE: lower/higher are {value, winRate, medianFinalMoney}. Parameters are
+ * sorted by their largest win-rate change.
+ */
+function runSensitivity(strategy, options = {}) {
+    const games = options.games || DEFAULTS.SENSITIVITY_GAMES;
+    const delta = options.delta || DEFAULTS.DELTA;
+    const batchOptions = {games: games, seedPrefix: options.seedPrefix};
+
+    let parameters = listBalanceParameters(createEngine().globals.GAME_CONFIG);
+    if (options.params && options.params.length > 0) {
+        parameters = parameters.filter(parameter => options.params.includes(parameter.path));
+    }
+
+    const baseline = runBatch(strategy, batchOptions);
+
+    const measure = (parameter, fraction) => {
+        const value = changeValue(parameter.path, parameter.value, fraction);
+        const summary = runBatch(strategy, Object.assign({}, batchOptions, {
+            configOverrides: {[parameter.path]: value}
+        }));
+        return {value: value, winRate: summary.winRate, medianFinalMoney: summary.medianFinalMoney};
+    };
+
+    const results = parameters.map(parameter => {
+        if (options.onProgress) {
+            options.onProgress(parameter.label);
+        }
+        return Object.assign({}, parameter, {
+            lower: measure(parameter, -delta),
+            higher: measure(parameter, delta)
+        });
+    });
+
+    const impact = (result) => Math.max(
+        Math.abs(result.lower.winRate - baseline.winRate),
+        Math.abs(result.higher.winRate - baseline.winRate)
+    );
+    results.sort((a, b) => impact(b) - impact(a));
+
+    return {baseline: baseline, delta: delta, parameters: results};
+}
+
+
+// ============================================================================
+// DESIGN REQUIREMENTS
+// ============================================================================
+
+/**
+ * PUBLIC: checkRequirements
+ * Checks strategy results against the design book's Balancing Requirements
+ *
+ * @param {Object[]} results - [{strategy, summary}]
+ * @returns {Object[]} [{name, passed, detail}]
+ */
+function checkRequirements(results) {
+    const best = results.reduce((top, result) => (
+        !top || result.summary.winRate > top.summary.winRate ? result : top
+    ), null);
+    const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+    const tooEasy = results.filter(result => result.summary.winRate > REQUIREMENTS.MAX_WIN_RATE);
+    const viable = results.filter(result => result.summary.winRate >= REQUIREMENTS.VIABLE_WIN_RATE);
+    const [firstDay, lastDay] = REQUIREMENTS.TARGET_WIN_DAYS;
+    const bestDay = best ? best.summary.medianWinDay : null;
+
+    return [
+        {
+            name: 'Achievability (goal can be reached in time)',
+            passed: !!best && best.summary.wins > 0,
+            detail: best ? `best: ${best.strategy} wins ${percent(best.summary.winRate)}` : 'no strategies'
+        },
+        {
+            name: `Challenge (no strategy wins over ${percent(REQUIREMENTS.MAX_WIN_RATE)})`,
+            passed: tooEasy.length === 0,
+            detail: tooEasy.length === 0
+                ? 'no strategy is a sure win'
+                : `too easy: ${tooEasy.map(result => result.strategy).join(', ')}`
+        },
+        {
+            name: `Recommended balance (best strategy wins around day ${firstDay}-${lastDay})`,
+            passed: bestDay !== null && bestDay >= firstDay && bestDay <= lastDay,
+            detail: bestDay !== null ? `median winning day: ${bestDay}` : 'never wins'
+        },
+        {
+            name: `Safety margin (${REQUIREMENTS.MIN_VIABLE_STRATEGIES}+ strategies win ${percent(REQUIREMENTS.VIABLE_WIN_RATE)}+)`,
+            passed: viable.length >= REQUIREMENTS.MIN_VIABLE_STRATEGIES,
+            detail: `${viable.length} viable: ${viable.map(result => result.strategy).join(', ') || '-'}`
+        }
+    ];
+}
+
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * PUBLIC: formatReport
+ * Formats analysis results for the terminal
+ *
+ * @param {Object} report - {games, seedPrefix, strategies, requirements, sensitivity}
+ * @returns {string} Report text
+ */
+function formatReport(report) {
+    const money = (amount) => `$${Math.floor(amount).toLocaleString('en-US')}`;
+    const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+    const signed = (text, value) => (value > 0 ? `+${text}` : text);
+    const lines = [`Balance analysis: ${report.games} games per strategy (seeds ${report.seedPrefix}-0...)`, ''];
+
+    report.strategies.forEach(({strategy, summary}) => {
+        lines.push(`== ${strategy}`);
+        lines.push(`   Win rate:     ${percent(summary.winRate)} (${summary.wins}/${summary.games})`);
+        lines.push(`   Final money:  median ${money(summary.medianFinalMoney)}, ` +
+                   `10th-90th percentile ${money(summary.p10FinalMoney)} - ${money(summary.p90FinalMoney)}`);
+
+        if (summary.wins > 0) {
+            lines.push(`   Winning day:  median ${summary.medianWinDay} (share of all games per day)`);
+            Object.keys(summary.winDays).forEach(day => {
+                const share = summary.winDays[day] / summary.games;
+                const bar = '#'.repeat(Math.max(1, Math.round(share * 40)));
+                lines.push(`     Day ${String(day).padStart(2)} ${percent(share).padStart(6)} ${bar}`);
+            });
+        }
+        lines.push('');
+    });
+
+    lines.push('== Design book: Balancing Requirements');
+    report.requirements.forEach(requirement => {
+        lines.push(`   [${requirement.passed ? 'PASS' : 'FAIL'}] ${requirement.name} - ${requirement.detail}`);
+    });
+
+    (report.sensitivity || []).forEach(({strategy, result}) => {
+        const delta = Math.round(result.delta * 100);
+        lines.push('');
+        lines.push(`== Sensitivity: ${strategy} (±${delta}%, ${result.baseline.games} games each, ` +
+                   `baseline win ${percent(result.baseline.winRate)}, median ${money(result.baseline.medianFinalMoney)})`);
+        const labelWidth = Math.max(40, ...result.parameters.map(parameter => parameter.label.length));
+        lines.push(`   ${'Parameter'.padEnd(labelWidth)} ${'Value'.padStart(8)} ${`-${delta}% win`.padStart(10)} ` +
+                   `${`+${delta}% win`.padStart(10)} ${`-${delta}% money`.padStart(12)} ${`+${delta}% money`.padStart(12)}`);
+
+        result.parameters.forEach(parameter => {
+            const winChange = (side) => signed(percent(side.winRate - result.baseline.winRate), side.winRate - result.baseline.winRate);
+            const moneyChange = (side) => {
+                const change = side.medianFinalMoney - result.baseline.medianFinalMoney;
+                return change < 0 ? `-${money(-change)}` : signed(money(change), change);
+            };
+
+            lines.push(`   ${parameter.label.padEnd(labelWidth)} ${String(parameter.value).padStart(8)} ` +
+                       `${winChange(parameter.lower).padStart(10)} ${winChange(parameter.higher).padStart(10)} ` +
+                       `${moneyChange(parameter.lower).padStart(12)} ${moneyChange(parameter.higher).padStart(12)}`);
+        });
+    });
+
+    return lines.join('\n');
+}
+
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/**
+ * PRIVATE: parseArguments
+ * Reads the command line options
+ *
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArguments(args) {
+    const options = {
+        strategyFiles: [],
+        games: DEFAULTS.GAMES,
+        seedPrefix: DEFAULTS.SEED_PREFIX,
+        sensitivity: false,
+        sensitivityGames: DEFAULTS.SENSITIVITY_GAMES,
+        delta: DEFAULTS.DELTA,
+        params: [],
+        json: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--games':
+                options.games = parseInt(args[++i], 10);
+                break;
+            case '--seed':
+                options.seedPrefix = args[++i];
+                break;
+            case '--sensitivity':
+                options.sensitivity = true;
+                break;
+            case '--sensitivity-games':
+                options.sensitivityGames = parseInt(args[++i], 10);
+                break;
+            case '--delta':
+                options.delta = parseFloat(args[++i]);
+                break;
+            case '--param':
+                options.params.push(args[++i]);
+                options.sensitivity = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                options.strategyFiles.push(args[i]);
+        }
+    }
+
+    if (options.strategyFiles.length === 0) {
+        const folder = path.join(__dirname, 'strategies');
+        options.strategyFiles = fs.readdirSync(folder)
+            .filter(file => file.endsWith('.js'))
+            .map(file => path.join(folder, file));
+    }
+
+    return options;
+}
+
+
+/**
+ * PRIVATE: main
+ * Command line entry point
+ *
+ * @param {string[]} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+    const options = parseArguments(args);
+
+    if (!(options.games > 0) || !(options.sensitivityGames > 0) || !(options.delta > 0) || !options.seedPrefix) {
+        console.error('Usage: node js/balanceAnalyzer.js [strategy.js ...] [--games N] [--seed PREFIX] ' +
+                      '[--sensitivity] [--sensitivity-games N] [--delta 0.2] [--param PATH ...] [--json]');
+        return 1;
+    }
+
+    try {
+        const strategies = options.strategyFiles.map(file => loadStrategy(file));
+
+        const results = strategies.map(strategy => {
+            const summary = runBatch(strategy, {
+                games: options.games,
+                seedPrefix: options.seedPrefix,
+                onProgress: (done, total) => {
+                    if (done % Math.max(1, Math.floor(total / 10)) === 0) {
+                        process.stderr.write(`${strategy.name}: ${done}/${total} games\n`);
+                    }
+                }
+            });
+            return {strategy: strategy.name, summary: summary};
+        });
+
+        const report = {
+            games: options.games,
+            seedPrefix: options.seedPrefix,
+            strategies: results,
+            requirements: checkRequirements(results),
+            sensitivity: []
+        };
+
+        if (options.sensitivity) {
+            report.sensitivity = strategies.map(strategy => ({
+                strategy: strategy.name,
+                result: runSensitivity(strategy, {
+                    games: options.sensitivityGames,
+                    delta: options.delta,
+                    seedPrefix: options.seedPrefix,
+                    params: options.params,
+                    onProgress: (label) => process.stderr.write(`${strategy.name}: sensitivity of ${label}\n`)
+                })
+            }));
+        }
+
+        console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+        return 0;
+    } catch (error) {
+        console.error(`Balance analysis failed: ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Win rates of every strategy in js/strategies/
+ * node js/balanceAnalyzer.js --games 2000
+ *
+ * // How much does the wheat price matter?
+ * node js/balanceAnalyzer.js js/strategies/wheatOnly.js --param CROPS.0.baseSellPrice
+ *
+ * // From another script
+ * const {runBatch} = require('./js/balanceAnalyzer.js');
+ * const summary = runBatch(loadStrategy('js/strategies/wheatOnly.js'), {games: 500});
+ * console.log(summary.winRate, summary.medianFinalMoney);
+ *
+ * ============================================================================
+ */
+
+module.exports = {
+    runBatch,
+    summarizeOutcomes,
+    listBalanceParameters,
+    runSensitivity,
+    checkRequirements,
+    formatReport
+};
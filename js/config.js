@@ -8,7 +8,7 @@
  * - Starting conditions (money, days, goal)
  * - Crop definitions (prices, growth times, sell prices)
  * - Animal definitions (prices, growth times, breeding mechanics)
- * - Weather-demand conversion rules
+ * - Weather-demand conversion rules (and market saturation)
  * - UI text and messages
  *
  * DEPENDENCIES: None (this is the foundation file)
@@ -33,8 +33,8 @@ const GAME_CONFIG = {
     STARTING_MONEY: 50,
 
     /**
-     * GOAL_MONEY: Target amount player must reach to win
-     * Player must earn $5,000 within 10 days to save the farm
+     * GOAL_MONEY: The farm's debt to the bank
+     * Player must pay off $5,000 within 10 days to save the farm (see BANK)
      */
     GOAL_MONEY: 5000,
 
@@ -71,6 +71,15 @@ const GAME_CONFIG = {
      * - growthTime: Time in minutes for crop to mature
      * - baseSellPrice: Default selling price (before weather multiplier)
      * - tier: Difficulty/progression tier (1-5, where 5 is premium)
+     * - weatherSensitivity: How strongly weather changes growth speed
+     *   (0 = not at all, 1 = as in WEATHER_GROWTH_RULES, above 1 = more)
+     * - seasons: Seasons the seed can be bought and planted in
+     *   (optional - default: every season that allows planting, see CALENDAR)
+     * - demandWeatherEffect: How strongly the weather moves this crop's
+     *   demand (1 = the weather demand index as is, below 1 = steadier,
+     *   above 1 = bigger swings - rain ruins delicate berries)
+     * - demandBonuses: Demand multipliers by season or holiday id
+     *   (optional - see CALENDAR.SEASONS and CALENDAR.HOLIDAYS)
      * - description: Helpful information for player
      *
      * PROGRESSION SYSTEM:
@@ -90,6 +99,9 @@ const GAME_CONFIG = {
             growthTime: 2,             // Fastest growth - only 2 minutes
             baseSellPrice: 18,         // Base price before weather multiplier
             tier: 1,                   // Starter tier
+            weatherSensitivity: 0.5,   // Hardy - weather barely matters
+            demandWeatherEffect: 1.0,  // Staple - follows the weather demand
+            demandBonuses: {'harvest-festival': 1.2},
             description: 'Fast-growing starter crop. Perfect for early game.'
         },
         {
@@ -100,6 +112,9 @@ const GAME_CONFIG = {
             growthTime: 3,             // 3 minutes to mature
             baseSellPrice: 60,         // 100% profit margin
             tier: 2,                   // Basic tier
+            weatherSensitivity: 0.8,   // Underground - somewhat sheltered
+            demandWeatherEffect: 0.9,  // Stores well - steadier prices
+            demandBonuses: {winter: 1.2},    // Winter stews
             description: 'Reliable crop with good profit margins.'
         },
         {
@@ -110,6 +125,9 @@ const GAME_CONFIG = {
             growthTime: 4,             // 4 minutes to mature
             baseSellPrice: 150,        // 114% profit margin
             tier: 3,                   // Common tier
+            weatherSensitivity: 1.0,   // Normal weather effect
+            demandWeatherEffect: 1.0,
+            demandBonuses: {summer: 1.1, 'harvest-festival': 1.3},
             description: 'Popular crop with strong returns.'
         },
         {
@@ -120,6 +138,10 @@ const GAME_CONFIG = {
             growthTime: 5,             // 5 minutes to mature
             baseSellPrice: 350,        // 133% profit margin
             tier: 4,                   // Rare tier
+            weatherSensitivity: 1.3,   // Delicate - weather matters a lot
+            demandWeatherEffect: 1.3,  // Rain ruins berries - wild price swings
+            demandBonuses: {spring: 1.1, 'spring-fair': 1.3},
+            seasons: ['spring', 'summer'],
             description: 'Premium crop with excellent profit potential.'
         },
         {
@@ -130,6 +152,10 @@ const GAME_CONFIG = {
             growthTime: 7,             // Longest growth time
             baseSellPrice: 750,        // 150% profit margin - best in game
             tier: 5,                   // Premium tier
+            weatherSensitivity: 1.1,   // Needs sun to ripen
+            demandWeatherEffect: 1.2,
+            demandBonuses: {midsummer: 1.3},
+            seasons: ['summer'],       // Summer only
             description: 'Ultimate crop. Highest profit but requires time and capital.'
         }
     ],
@@ -151,6 +177,9 @@ const GAME_CONFIG = {
      * - breedingChance: Probability (0-1) of producing offspring during growth
      * - offspringSurvivalRate: Probability (0-1) that offspring survives
      * - tier: Difficulty/progression tier (1-5)
+     * - weatherSensitivity: How strongly weather changes growth speed
+     *   (storms stress animals; see WEATHER_GROWTH_RULES)
+     * - demandWeatherEffect / demandBonuses: Commodity demand, as for CROPS
      * - description: Helpful information for player
      *
      * BREEDING MECHANICS:
@@ -177,6 +206,9 @@ const GAME_CONFIG = {
             breedingChance: 0.35,      // 35% chance to breed during growth
             offspringSurvivalRate: 0.75, // 75% survival rate for chicks
             tier: 1,                   // Starter tier
+            weatherSensitivity: 0.6,   // Sheltered in the coop
+            demandWeatherEffect: 0.9,
+            demandBonuses: {'spring-fair': 1.2},
             description: 'Common farm animal. Good breeding rate.'
         },
         {
@@ -189,6 +221,8 @@ const GAME_CONFIG = {
             breedingChance: 0.40,      // 40% chance - HIGHEST breeding rate
             offspringSurvivalRate: 0.70, // 70% survival rate
             tier: 2,                   // Basic tier
+            weatherSensitivity: 0.8,   // Hutch keeps most weather out
+            demandWeatherEffect: 1.0,
             description: 'Excellent breeder. Best choice for multiplication strategy.'
         },
         {
@@ -201,6 +235,9 @@ const GAME_CONFIG = {
             breedingChance: 0.30,      // 30% chance to breed
             offspringSurvivalRate: 0.65, // 65% survival rate
             tier: 3,                   // Common tier
+            weatherSensitivity: 0.7,   // Wool protects from storms
+            demandWeatherEffect: 0.8,
+            demandBonuses: {autumn: 1.1, winter: 1.2},  // Wool for the cold
             description: 'Steady income source with moderate breeding.'
         },
         {
@@ -213,6 +250,9 @@ const GAME_CONFIG = {
             breedingChance: 0.25,      // 25% chance to breed
             offspringSurvivalRate: 0.60, // 60% survival rate
             tier: 4,                   // Rare tier
+            weatherSensitivity: 1.0,   // Normal weather effect
+            demandWeatherEffect: 1.0,
+            demandBonuses: {midsummer: 1.3, 'harvest-festival': 1.3, 'winter-feast': 1.5},  // Feast roasts
             description: 'High-value livestock. Significant profit potential.'
         },
         {
@@ -225,6 +265,9 @@ const GAME_CONFIG = {
             breedingChance: 0.20,      // 20% chance - lowest breeding rate
             offspringSurvivalRate: 0.55, // 55% survival rate - lowest
             tier: 5,                   // Premium tier
+            weatherSensitivity: 1.2,   // Stressed most by storms
+            demandWeatherEffect: 1.1,
+            demandBonuses: {'winter-feast': 1.3},
             description: 'Ultimate livestock. Massive profit but slow growth and rare breeding.'
         }
     ],
@@ -321,6 +364,277 @@ const GAME_CONFIG = {
     ],
 
 
+    /**
+     * MARKET_SATURATION: Selling many of the same item floods the market
+     *
+     * HOW IT WORKS:
+     * Each unit of an item type (e.g. wheat) sold today lowers the price
+     * of the next unit of that type by PRICE_DROP_PER_UNIT of the full
+     * price, down to MIN_PRICE_FACTOR. Other item types are not affected.
+     * The market recovers overnight: the next day starts at full price.
+     *
+     * EXAMPLE (wheat at 2.0x = $36):
+     * 1st unit $36, 2nd $35 (98.5%), 3rd $34 (97%), 4th $34 (95.5%),
+     * ... 11th $30 (85%), 35th on $18 (50%)
+     *
+     * STRATEGIC IMPORTANCE:
+     * Dumping a whole harvest on one great day pays less than spreading it
+     * over several good days or growing different crops.
+     */
+    MARKET_SATURATION: {
+        PRICE_DROP_PER_UNIT: 0.015,     // 1.5% of the full price per unit sold today
+        MIN_PRICE_FACTOR: 0.5          // Never below 50% of the full price
+    },
+
+
+    /**
+     * BANK: The farm debt and short-term loans
+     *
+     * HOW IT WORKS:
+     * The farm owes GOAL_MONEY. Stephen pays it off in parts at the bank;
+     * the game is won when the debt balance (farm debt + loans) is $0.
+     * After the last day the bank takes what is owed from the cash on hand
+     * if it covers everything - otherwise the farm is lost.
+     *
+     * LOANS:
+     * - Amounts in LOAN_AMOUNTS, at most MAX_LOAN_BALANCE owed at once
+     * - DAILY_INTEREST_RATE of the balance is added every night
+     *   (rounded up to whole dollars)
+     * - Due LOAN_TERM_DAYS days after they are taken; on the morning they
+     *   are due the bank takes what it can from the cash on hand, and the
+     *   rest keeps collecting interest
+     *
+     * EXAMPLE ($200 on day 2):
+     * Day 3 $210, day 4 $221, day 5 $233 - due, collected on day 5
+     *
+     * STRATEGIC IMPORTANCE:
+     * A loan buys an early rabbit pen or carrot field, but it only pays off
+     * if the crops or animals earn more than the interest before it is due.
+     */
+    BANK: {
+        LOAN_AMOUNTS: [100, 200, 500],  // Loan sizes on offer
+        MAX_LOAN_BALANCE: 500,          // Most that can be owed on loans at once
+        DAILY_INTEREST_RATE: 0.05,      // 5% of the balance added each night
+        LOAN_TERM_DAYS: 3               // Due 3 days after the loan is taken
+    },
+
+
+    /**
+     * WEATHER_GROWTH_RULES: How weather changes growth speed
+     *
+     * HOW IT WORKS:
+     * Good weather speeds crops and animals up, storms slow them down.
+     * Growth rate = 1 + growthEffect × weatherSensitivity (of the crop or
+     * animal), never below MIN_GROWTH_RATE. The rate follows the weather
+     * of the day: it changes when the day advances.
+     *
+     * STRATEGIC IMPORTANCE:
+     * Good weather means fast growth but low prices, storms mean high
+     * prices but slow growth - plant in the sun, sell in the storm.
+     *
+     * NOTE: Rules are ordered from best to worst weather
+     */
+    WEATHER_GROWTH_RULES: [
+        {minWeather: 0.80, maxWeather: 1.00, growthEffect: 0.25, growthCondition: 'Ideal Growing'},
+        {minWeather: 0.60, maxWeather: 0.79, growthEffect: 0.10, growthCondition: 'Good Growing'},
+        {minWeather: 0.40, maxWeather: 0.59, growthEffect: 0, growthCondition: 'Normal Growth'},
+        {minWeather: 0.20, maxWeather: 0.39, growthEffect: -0.20, growthCondition: 'Slowed by Rain'},
+        {minWeather: 0.10, maxWeather: 0.19, growthEffect: -0.40, growthCondition: 'Storm Stress'}
+    ],
+
+    /**
+     * MIN_GROWTH_RATE: Slowest growth rate weather can cause (0.4 = 40% speed)
+     */
+    MIN_GROWTH_RATE: 0.4,
+
+
+    /**
+     * WEATHER_MODEL: How each day's weather value is generated
+     *
+     * TYPE (see WeatherGenerators.js):
+     * - 'uniform': Every day is an independent roll from 0.10 to 1.00
+     *   (pure noise - the original model)
+     * - 'markov': Weather moves between regimes (storm front, unsettled,
+     *   dry spell) with the chances below, so bad and good days come in runs
+     * - 'autoregressive': Each day stays close to the day before and drifts
+     *   back toward MEAN, giving smooth fronts
+     *
+     * STRATEGIC IMPORTANCE:
+     * With correlated weather a storm front in the forecast usually lasts
+     * a few days, so planting to sell into it pays off.
+     */
+    WEATHER_MODEL: {
+        TYPE: 'markov',
+
+        MARKOV: {
+            // Regimes and the weather values each one produces
+            STATES: [
+                {id: 'front', name: 'Storm Front', minWeather: 0.10, maxWeather: 0.39},
+                {id: 'unsettled', name: 'Unsettled', minWeather: 0.40, maxWeather: 0.69},
+                {id: 'dry', name: 'Dry Spell', minWeather: 0.70, maxWeather: 1.00}
+            ],
+
+            // Chance of tomorrow's regime given today's (each row adds up to 1)
+            TRANSITIONS: {
+                front: {front: 0.60, unsettled: 0.30, dry: 0.10},
+                unsettled: {front: 0.25, unsettled: 0.45, dry: 0.30},
+                dry: {front: 0.10, unsettled: 0.30, dry: 0.60}
+            },
+
+            // Chance of each regime on the first day
+            START: {front: 0.30, unsettled: 0.35, dry: 0.35}
+        },
+
+        AUTOREGRESSIVE: {
+            MEAN: 0.55,                 // Long-run average weather value
+            PERSISTENCE: 0.70,          // 0 = independent days, 1 = never changes
+            NOISE: 0.18                 // Typical day-to-day change (standard deviation)
+        }
+    },
+
+
+    /**
+     * FORECAST_ACCURACY: How exact the forecast is for days ahead
+     *
+     * Today's weather is known exactly. Days further out are shown as a
+     * range of weather values (and demand) that narrows each day until the
+     * day arrives. The actual weather is always inside the range, but not
+     * always in the middle of it.
+     *
+     * - SPREAD_PER_DAY: Half-width of the range per day ahead
+     *   (tomorrow ±0.05, in 3 days ±0.15)
+     * - MAX_SPREAD: Widest half-width
+     * - CENTER_OFFSET: How far the middle of the range may sit from the
+     *   actual value, as a share of the half-width (0 = always centered)
+     *
+     * Set SPREAD_PER_DAY to 0 for a perfectly reliable forecast.
+     */
+    FORECAST_ACCURACY: {
+        SPREAD_PER_DAY: 0.05,
+        MAX_SPREAD: 0.25,
+        CENTER_OFFSET: 0.6
+    },
+
+
+    /**
+     * CALENDAR: Seasons of the game calendar
+     *
+     * HOW IT WORKS:
+     * The game starts on day 1 of START_SEASON. Every DAYS_PER_SEASON days
+     * the next season begins; after winter comes spring of the next year.
+     * Each season:
+     * - weatherShift: Added to every weather value of the season (positive =
+     *   drier and sunnier, negative = wetter and stormier). Weather models
+     *   work on unshifted values, so fronts carry over a change of season.
+     * - allowPlanting: false = no seeds can be bought or planted
+     * Crops can limit the seasons they are sold in (CROPS[].seasons).
+     *
+     * HOLIDAYS fall on a day of a season every year. They raise the demand
+     * for some commodities (CROPS[].demandBonuses, ANIMALS[].demandBonuses).
+     *
+     * The standard 10-day game runs from spring into summer. Longer game
+     * modes (a higher TOTAL_DAYS) pass through all four seasons.
+     */
+    CALENDAR: {
+        DAYS_PER_SEASON: 5,
+        START_SEASON: 'spring',
+
+        SEASONS: [
+            {id: 'spring', name: 'Spring', emoji: '🌱', weatherShift: -0.05, allowPlanting: true},
+            {id: 'summer', name: 'Summer', emoji: '☀️', weatherShift: 0.08, allowPlanting: true},
+            {id: 'autumn', name: 'Autumn', emoji: '🍂', weatherShift: -0.08, allowPlanting: true},
+            {id: 'winter', name: 'Winter', emoji: '❄️', weatherShift: -0.15, allowPlanting: false}
+        ],
+
+        HOLIDAYS: [
+            {id: 'spring-fair', name: 'Spring Fair', emoji: '🎪', season: 'spring', dayOfSeason: 3},
+            {id: 'midsummer', name: 'Midsummer Feast', emoji: '🔥', season: 'summer', dayOfSeason: 4},
+            {id: 'harvest-festival', name: 'Harvest Festival', emoji: '🎃', season: 'autumn', dayOfSeason: 3},
+            {id: 'winter-feast', name: 'Winter Feast', emoji: '🎄', season: 'winter', dayOfSeason: 5}
+        ]
+    },
+
+
+    /**
+     * SEVERE_WEATHER: Rare events that damage the farm
+     *
+     * HOW IT WORKS:
+     * When a day's weather is generated it may roll one severe event. Each
+     * event can only happen on days whose weather value is inside its band,
+     * with the given chance. When the day arrives the event hits the farm:
+     * - cropLoss: Share of growing crops destroyed
+     * - cropDamage: Share of growing crops damaged (sell for DAMAGED_QUALITY
+     *   of the price)
+     * - animalLoss: Share of animals on the farm lost
+     * Seeds, harvested crops and young animals are safe in the barn.
+     *
+     * FORECAST:
+     * Events are announced WARNING_DAYS ahead. Further out the forecast
+     * only shows the risk (the chance of the most likely event), if it is
+     * at least MIN_RISK_SHOWN.
+     *
+     * STRATEGIC IMPORTANCE:
+     * Storms pay the best prices but can wipe out the field - waiting for
+     * the storm to sell is a gamble.
+     */
+    SEVERE_WEATHER: {
+        WARNING_DAYS: 1,
+        MIN_RISK_SHOWN: 0.05,
+        DAMAGED_QUALITY: 0.5,
+
+        EVENTS: [
+            {
+                id: 'hailstorm',
+                name: 'Hailstorm',
+                emoji: '🧊',
+                description: 'Hail shreds leaves and fruit',
+                minWeather: 0.10,
+                maxWeather: 0.29,
+                chance: 0.12,
+                cropLoss: 0.25,
+                cropDamage: 0.25,
+                animalLoss: 0
+            },
+            {
+                id: 'flood',
+                name: 'Flood',
+                emoji: '🌊',
+                description: 'Fields and pens under water',
+                minWeather: 0.10,
+                maxWeather: 0.19,
+                chance: 0.15,
+                cropLoss: 0.35,
+                cropDamage: 0.10,
+                animalLoss: 0.15
+            },
+            {
+                id: 'heatwave',
+                name: 'Heatwave',
+                emoji: '🔥',
+                description: 'Scorching heat wilts crops and exhausts animals',
+                minWeather: 0.90,
+                maxWeather: 1.00,
+                chance: 0.12,
+                cropLoss: 0,
+                cropDamage: 0.20,
+                animalLoss: 0.20
+            },
+            {
+                id: 'drought',
+                name: 'Drought',
+                emoji: '🏜️',
+                description: 'Dry soil shrivels the harvest',
+                minWeather: 0.85,
+                maxWeather: 1.00,
+                chance: 0.10,
+                cropLoss: 0.15,
+                cropDamage: 0.35,
+                animalLoss: 0.05
+            }
+        ]
+    },
+
+
     // ========================================================================
     // MILESTONE DEFINITIONS
     // ========================================================================
@@ -366,8 +680,8 @@ const GAME_CONFIG = {
         },
         {
             amount: 5000,
-            title: 'Victory',
-            message: 'SUCCESS! You saved the farm!',
+            title: 'Debt Covered',
+            message: 'You can pay off the whole debt! Visit the bank to save the farm!',
             achieved: false
         }
     ],
@@ -456,6 +770,8 @@ const GAME_CONFIG = {
             FARM: 'farm',
             TOM_SHOP: 'tom-shop',
             HENRY_SHOP: 'henry-shop',
+            LOAD_GAME: 'load-game',
+            DAILY_CHALLENGE: 'daily-challenge',
             VICTORY: 'victory',
             DEFEAT: 'defeat'
         },
@@ -498,8 +814,8 @@ const GAME_CONFIG = {
         PURCHASED_ANIMAL_SURVIVAL: 1.0, // Purchased animals always survive (100%)
 
         // Testing mode (set to true to speed up gameplay for testing)
-        TESTING_MODE: false,           // If true, speeds up timers
-        TESTING_SPEED_MULTIPLIER: 10   // If testing mode, timers are 10x faster
+        TESTING_MODE: false,           // If true, the game starts at the testing speed (and debug logs)
+        TESTING_SPEED_MULTIPLIER: 10   // Starting game speed in testing mode (can still be changed in the header)
     }
 };
 
@@ -0,0 +1,388 @@
+/**
+ * ============================================================================
+ * FILE: engine.js
+ * PURPOSE: Run the game rules headless in Node.js (no browser, no DOM)
+ *
+ * DESCRIPTION:
+ * The game scripts are plain browser scripts that share globals, loaded in
+ * order by index.html. This file loads the same core scripts (config,
+ * utilities, models, and the Timer/Farm/Shop/Bank managers) into a Node "vm"
+ * context in the same order, so the rules run unchanged from the command
+ * line - no copies, no build step.
+ *
+ * Each engine gets its own context, so it has its own singletons
+ * (GameState, TimerManager, ...) and several engines can run side by side.
+ *
+ * HEADLESS DIFFERENCES:
+ * - Events go to the injected event sink instead of document
+ * - Time comes from a ManualTimeSource: nothing happens until advance()
+ *   or endDay() is called, so a full 10-day game runs in milliseconds
+ * - UIManager, SaveManager and ChallengeManager are not loaded
+ *   (they need the page and localStorage)
+ *
+ * DEPENDENCIES: Node.js (fs, path, vm) and the core game scripts
+ * USED BY: Command-line scripts and tests
+ *
+ * NOTE: Node only. Do not add this file to index.html.
+ * ============================================================================
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Core scripts in index.html order (paths relative to js/)
+ */
+const CORE_SCRIPTS = [
+    'config.js',
+    'utils/constants.js',
+    'utils/helpers.js',
+    'utils/gameEvents.js',
+    'utils/saveSchema.js',
+    'utils/planSolver.js',
+    'utils/demandCurve.js',
+    'utils/ledger.js',
+    'models/GameClock.js',
+    'models/GameRandom.js',
+    'models/Calendar.js',
+    'models/WeatherGenerators.js',
+    'models/SevereWeather.js',
+    'models/Weather.js',
+    'models/Market.js',
+    'models/Crop.js',
+    'models/Animal.js',
+    'models/GameState.js',
+    'managers/TimerManager.js',
+    'managers/FarmManager.js',
+    'managers/ShopManager.js',
+    'managers/BankManager.js'
+];
+
+/**
+ * Globals handed back to the caller after the scripts have run.
+ * Top-level const/class declarations are not properties of the context
+ * object, so they are read back with a final script.
+ */
+const EXPORTED_GLOBALS = [
+    'GAME_CONFIG',
+    'CONSTANTS',
+    'HELPERS',
+    'GAME_EVENTS',
+    'SAVE_SCHEMA',
+    'PLAN_SOLVER',
+    'DEMAND_CURVE',
+    'LEDGER',
+    'GameClock',
+    'RealTimeSource',
+    'ManualTimeSource',
+    'GameRandom',
+    'CALENDAR',
+    'WEATHER_GENERATORS',
+    'SEVERE_WEATHER',
+    'Weather',
+    'MARKET',
+    'Crop',
+    'Animal',
+    'GameState',
+    'TimerManager',
+    'FarmManager',
+    'ShopManager',
+    'BankManager'
+];
+
+// Compiled once per process, run once per engine
+let compiledScripts = null;
+
+
+/**
+ * PRIVATE: compileScripts
+ * Reads and compiles the core scripts (first call only)
+ *
+ * @returns {vm.Script[]} Compiled scripts in load order
+ */
+function compileScripts() {
+    if (!compiledScripts) {
+        const scripts = CORE_SCRIPTS.map(file => {
+            const filename = path.join(__dirname, file);
+            return new vm.Script(fs.readFileSync(filename, 'utf8'), {filename: filename});
+        });
+        scripts.push(new vm.Script(`({${EXPORTED_GLOBALS.join(', ')}})`, {filename: 'engine-exports'}));
+        compiledScripts = scripts;
+    }
+    return compiledScripts;
+}
+
+
+/**
+ * CLASS: FarmRescueEngine
+ * One headless game with its own copy of the game scripts
+ */
+class FarmRescueEngine {
+
+    /**
+     * CONSTRUCTOR
+     *
+     * @param {Object} options - Engine options
+     * @param {Function|null} options.eventSink - (eventName, detail) => void,
+     *                                            receives every game event
+     * @param {string|null} options.seed - Game seed (null = random seed)
+     * @param {Object|null} options.timeSource - Object with now(); default is a
+     *                                           new ManualTimeSource
+     * @param {Object} options.console - Console used by the scripts
+     *                                   (default: Node console)
+     * @param {Object} options.configOverrides - GAME_CONFIG values to change,
+     *                                           by path ({'CROPS.0.seedCost': 12})
+     *
+     * NOTE: Use createEngine() instead of calling directly
+     */
+    constructor(options = {}) {
+        const context = vm.createContext({
+            console: options.console || console,
+            setTimeout: setTimeout,
+            clearTimeout: clearTimeout,
+            setInterval: setInterval,
+            clearInterval: clearInterval
+        });
+
+        let exportsObject = null;
+        compileScripts().forEach(script => {
+            exportsObject = script.runInContext(context);
+        });
+
+        /**
+         * Game globals of this engine (CONSTANTS, GameState, ShopManager, ...)
+         */
+        this.globals = exportsObject;
+
+        this.timeSource = options.timeSource || new this.globals.ManualTimeSource();
+
+        this.globals.GAME_EVENTS.setSink(options.eventSink || null);
+        this.globals.GameClock.useTimeSource(this.timeSource);
+
+        Object.keys(options.configOverrides || {}).forEach(configPath => {
+            this.setConfigValue(configPath, options.configOverrides[configPath]);
+        });
+
+        this.newGame(options.seed || null);
+    }
+
+
+    // ========================================================================
+    // GAME CONTROL
+    // ========================================================================
+
+    /**
+     * PUBLIC: newGame
+     * Discards the current game and starts day 1 of a new one
+     *
+     * @param {string|null} seed - Game seed (null = random seed)
+     * @returns {Object} The new GameState
+     *
+     * SIDE EFFECTS:
+     * - Resets every singleton of this engine
+     * - The time source is kept (a manual source keeps its current time)
+     */
+    newGame(seed = null) {
+        const {GameClock, GameRandom, GameState, TimerManager, FarmManager, ShopManager, BankManager} = this.globals;
+
+        TimerManager.resetInstance();
+        FarmManager.resetInstance();
+        ShopManager.resetInstance();
+        BankManager.resetInstance();
+        GameState.resetInstance();
+        GameClock.resetInstance();
+
+        GameRandom.useSeed(seed);
+
+        const gameState = GameState.getInstance();
+        TimerManager.getInstance().tick();  // Starts day 1 at the current time
+
+        return gameState;
+    }
+
+
+    /**
+     * PUBLIC: advance
+     * Moves game time forward and runs the game loop over it
+     *
+     * @param {number} milliseconds - Game time to pass (at speed 1x)
+     *
+     * LOGIC:
+     * Time is moved in steps of one timer interval (1 second), running the
+     * game loop after each step - the same updates the browser makes - so
+     * breeding and day changes happen at the same moments as in a real game.
+     *
+     * NOTE: Only for the default ManualTimeSource (needs advance()).
+     *
+     * EXAMPLE:
+     * engine.advance(engine.globals.HELPERS.minutesToMilliseconds(2));
+     */
+    advance(milliseconds) {
+        if (typeof this.timeSource.advance !== 'function') {
+            console.error('FarmRescueEngine.advance: Time source cannot be advanced');
+            return;
+        }
+
+        const step = this.globals.CONSTANTS.TIMING.TIMER_UPDATE_INTERVAL;
+        const timer = this.timer;
+        let remaining = milliseconds;
+
+        while (remaining > 0 && !this.state.isGameOver()) {
+            const amount = Math.min(step, remaining);
+            this.timeSource.advance(amount);
+            timer.tick();
+            remaining -= amount;
+        }
+    }
+
+
+    /**
+     * PUBLIC: endDay
+     * Ends the current day right away (see TimerManager.endDay)
+     *
+     * @returns {Object} Result object {success, message}
+     */
+    endDay() {
+        return this.timer.endDay();
+    }
+
+
+    /**
+     * PUBLIC: solveOptimalPlan
+     * Finds the best plan it can for this game's weather (see planSolver.js;
+     * a heuristic search, so a better plan may exist)
+     *
+     * @param {number[]|null} demandByDay - Demand index per day (index 0 = Day 1);
+     *                                      default: this game's weather (a given
+     *                                      demand list plans with 1x growth)
+     * @returns {Object} Plan result {finalMoney, reachedGoal, goalDay, actions, ...}
+     *
+     * NOTE: Days not yet forecast count as demand 1.0, so the plan is only
+     * complete from day 4 on (or at the end of the game).
+     *
+     * EXAMPLE:
+     * const plan = engine.solveOptimalPlan();
+     * console.log(plan.finalMoney, plan.actions.length);
+     */
+    solveOptimalPlan(demandByDay = null) {
+        const {PLAN_SOLVER} = this.globals;
+        return demandByDay
+            ? PLAN_SOLVER.solve(demandByDay, {goalMoney: this.state.goalMoney})
+            : PLAN_SOLVER.solveForGame(this.state);
+    }
+
+
+    /**
+     * PUBLIC: setConfigValue
+     * Changes one GAME_CONFIG value of this engine
+     *
+     * @param {string} configPath - Dotted path ('GOAL_MONEY', 'ANIMALS.1.breedingChance')
+     * @param {*} value - New value
+     * @returns {boolean} True if the value was changed
+     *
+     * NOTE: Values read when a game starts (STARTING_MONEY, GOAL_MONEY)
+     * apply from the next newGame(). Other engines are not affected.
+     *
+     * EXAMPLE:
+     * engine.setConfigValue('CROPS.0.baseSellPrice', 30);
+     */
+    setConfigValue(configPath, value) {
+        const keys = configPath.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => (object ? object[key] : undefined), this.globals.GAME_CONFIG);
+
+        if (!parent || typeof parent !== 'object' || !(last in parent)) {
+            console.error('FarmRescueEngine.setConfigValue: Unknown config path', configPath);
+            return false;
+        }
+
+        parent[last] = value;
+        return true;
+    }
+
+
+    // ========================================================================
+    // ACCESSORS
+    // ========================================================================
+
+    /**
+     * Current GameState
+     */
+    get state() {
+        return this.globals.GameState.getInstance();
+    }
+
+    /**
+     * Current FarmManager (plant, harvest, place animals)
+     */
+    get farm() {
+        return this.globals.FarmManager.getInstance();
+    }
+
+    /**
+     * Current ShopManager (buy and sell)
+     */
+    get shop() {
+        return this.globals.ShopManager.getInstance();
+    }
+
+    /**
+     * Current BankManager (pay off the debt, loans)
+     */
+    get bank() {
+        return this.globals.BankManager.getInstance();
+    }
+
+    /**
+     * Current TimerManager (day clock, tick, speed)
+     */
+    get timer() {
+        return this.globals.TimerManager.getInstance();
+    }
+}
+
+
+/**
+ * PUBLIC: createEngine
+ * Creates a headless game engine
+ *
+ * @param {Object} options - See FarmRescueEngine constructor
+ * @returns {FarmRescueEngine} Engine with a new game on day 1
+ *
+ * EXAMPLE:
+ * const engine = createEngine({seed: 'abc', eventSink: (name) => console.log(name)});
+ */
+function createEngine(options = {}) {
+    return new FarmRescueEngine(options);
+}
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * const {createEngine} = require('./js/engine.js');
+ *
+ * const engine = createEngine({
+ *     seed: 'my-seed',
+ *     eventSink: (eventName, detail) => console.log(eventName, detail)
+ * });
+ *
+ * // Buy and plant wheat
+ * const result = engine.shop.buySeed('wheat');
+ * engine.farm.plantCrop(result.crop.id);
+ *
+ * // Let it grow, then play out the rest of the game
+ * engine.advance(2 * 60 * 1000);
+ * while (!engine.state.isGameOver()) {
+ *     engine.endDay();
+ * }
+ * console.log(engine.state.gameStatus, engine.state.currentMoney);
+ *
+ * ============================================================================
+ */
+
+module.exports = {createEngine, FarmRescueEngine};
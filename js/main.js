@@ -8,12 +8,13 @@
  * - Initializes all manager instances (GameState, Farm, Shop, Timer, UI)
  * - Sets up the game flow and connections between systems
  * - Starts the game loop
+ * - Restores saved progress and starts autosave
  * - Handles game restart
  * - Provides global error handling
  *
  * EXECUTION ORDER:
  * 1. Wait for DOM to be ready
- * 2. Initialize GameState (create new game)
+ * 2. Initialize GameState (restore saved game or create new game)
  * 3. Initialize all Managers
  * 4. Connect Managers through UIManager
  * 5. Start Timer system
@@ -41,12 +42,16 @@ class FarmRescueGame {
      * Initializes the game application
      */
     constructor() {
-        // Manager references
-        this.gameState = null;
+        // Manager references (gameState is read from GameState, see below)
         this.farmManager = null;
         this.shopManager = null;
         this.timerManager = null;
         this.uiManager = null;
+        this.saveManager = null;
+        this.challengeManager = null;
+
+        // Result of restoring saved progress (set during initialize)
+        this.loadResult = null;
 
         // Game status flags
         this.isInitialized = false;
@@ -56,6 +61,18 @@ class FarmRescueGame {
     }
 
 
+    /**
+     * PUBLIC: gameState (getter)
+     * The current GameState (null until the game is initialized)
+     *
+     * NOTE: Read from GameState every time, because loading a save slot or
+     * importing a game (UIManager._applyLoadedGame) replaces the instance.
+     */
+    get gameState() {
+        return this.isInitialized ? GameState.getInstance() : null;
+    }
+
+
     // ========================================================================
     // INITIALIZATION
     // ========================================================================
@@ -74,8 +91,16 @@ class FarmRescueGame {
             this._showLoadingMessage('Initializing game...');
 
             // Step 2: Initialize Game State
+            // Restore saved progress first so every manager sees the loaded state
             HELPERS.debugLog('Step 1/5: Initializing GameState...');
-            this.gameState = GameState.getInstance();
+            this.saveManager = SaveManager.getInstance();
+            this.loadResult = this.saveManager.loadGame();
+            if (!this.loadResult.success) {
+                // New game: use the seed or daily challenge chosen on the home screen, if any
+                const pendingGame = this.saveManager.takePendingGame() || {seed: null, challengeDate: null};
+                GameRandom.useSeed(pendingGame.seed);
+                GameState.getInstance().challengeDate = pendingGame.challengeDate;
+            }
 
             // Step 3: Initialize Managers
             HELPERS.debugLog('Step 2/5: Initializing Managers...');
@@ -120,10 +145,18 @@ class FarmRescueGame {
         this.shopManager = ShopManager.getInstance();
         HELPERS.debugLog('✓ ShopManager initialized');
 
+        // Bank Manager
+        this.bankManager = BankManager.getInstance();
+        HELPERS.debugLog('✓ BankManager initialized');
+
         // Timer Manager
         this.timerManager = TimerManager.getInstance();
         HELPERS.debugLog('✓ TimerManager initialized');
 
+        // Challenge Manager
+        this.challengeManager = ChallengeManager.getInstance();
+        HELPERS.debugLog('✓ ChallengeManager initialized');
+
         // UI Manager
         this.uiManager = UIManager.getInstance();
         HELPERS.debugLog('✓ UIManager initialized');
@@ -137,10 +170,13 @@ class FarmRescueGame {
     _connectSystems() {
         // Pass all managers to UIManager
         this.uiManager.initialize({
-            gameState: this.gameState,
+            gameState: GameState.getInstance(),
             farmManager: this.farmManager,
             shopManager: this.shopManager,
-            timerManager: this.timerManager
+            bankManager: this.bankManager,
+            timerManager: this.timerManager,
+            saveManager: this.saveManager,
+            challengeManager: this.challengeManager
         });
 
         HELPERS.debugLog('✓ Systems connected through UIManager');
@@ -152,8 +188,17 @@ class FarmRescueGame {
      * Starts the main game timer loop
      */
     _startGameLoop() {
-        // Start timer system
-        this.timerManager.start();
+        // Start timer system (continue the saved day where it left off)
+        const dayElapsedTime = this.loadResult && this.loadResult.success
+            ? this.loadResult.dayElapsedTime
+            : 0;
+        this.timerManager.start(dayElapsedTime);
+
+        // Start autosaving
+        this.saveManager.startAutoSave();
+
+        // Record the result when a daily challenge ends
+        this.challengeManager.startTracking();
 
         HELPERS.debugLog('✓ Game loop started');
     }
@@ -177,6 +222,13 @@ class FarmRescueGame {
             5000
         );
 
+        // Report the result of restoring saved progress
+        if (this.loadResult && this.loadResult.success) {
+            this.uiManager.showNotification('success', `💾 ${this.loadResult.message}`);
+        } else if (this.loadResult && this.loadResult.message) {
+            this.uiManager.showNotification('error', this.loadResult.message);
+        }
+
         HELPERS.debugLog('✓ Initial screen displayed');
     }
 
@@ -200,10 +252,20 @@ class FarmRescueGame {
             // Stop current game
             this.stop();
 
+            // Discard saved progress so the new game starts fresh
+            if (this.saveManager) {
+                this.saveManager.clearSave();
+            }
+
             // Reset all managers
+            SaveManager.resetInstance();
+            GameClock.resetInstance();
+            GameRandom.resetInstance();
+            ChallengeManager.resetInstance();
             GameState.resetInstance();
             FarmManager.resetInstance();
             ShopManager.resetInstance();
+            BankManager.resetInstance();
             TimerManager.resetInstance();
             UIManager.resetInstance();
 
@@ -249,26 +311,20 @@ class FarmRescueGame {
 
     /**
      * PUBLIC: pause
-     * Pauses the game (optional feature)
+     * Pauses the game (stops the game clock and all timers)
      *
      * CALLED BY:
-     * - Pause button (if implemented)
+     * - Debug commands
+     *
+     * NOTE: The header Pause button calls TimerManager directly.
+     * UIManager shows the notification via the GAME_PAUSED event.
      */
     pause() {
-        if (!this.isRunning) {
+        if (!this.isRunning || !this.timerManager) {
             return;
         }
 
-        HELPERS.debugLog('Pausing game...');
-
-        // Pause timer system
-        if (this.timerManager) {
-            this.timerManager.pause();
-        }
-
-        this.isRunning = false;
-
-        this.uiManager.showNotification('info', 'Game Paused');
+        this.timerManager.pause();
 
         HELPERS.debugLog('✓ Game paused');
     }
@@ -276,26 +332,17 @@ class FarmRescueGame {
 
     /**
      * PUBLIC: resume
-     * Resumes a paused game (optional feature)
+     * Resumes a paused game from where it stopped
      *
      * CALLED BY:
-     * - Resume button (if implemented)
+     * - Debug commands
      */
     resume() {
-        if (this.isRunning) {
+        if (!this.isRunning || !this.timerManager) {
             return;
         }
 
-        HELPERS.debugLog('Resuming game...');
-
-        // Resume timer system
-        if (this.timerManager) {
-            this.timerManager.resume();
-        }
-
-        this.isRunning = true;
-
-        this.uiManager.showNotification('info', 'Game Resumed');
+        this.timerManager.resume();
 
         HELPERS.debugLog('✓ Game resumed');
     }
@@ -364,6 +411,7 @@ class FarmRescueGame {
             currentMoney: this.gameState.currentMoney,
             currentDay: this.gameState.currentDay,
             goalMoney: this.gameState.goalMoney,
+            debtBalance: this.gameState.getDebtBalance(),
             gameStatus: this.gameState.gameStatus,
             daysRemaining: this.gameState.getDaysRemaining(),
             progress: this.gameState.getProgress()
@@ -521,11 +569,12 @@ window.devCommands = {
 
     /**
      * Advance to next day (for testing)
+     * Fast-forwards growth and breeding like the End Day button
      */
     nextDay: () => {
-        if (game && game.gameState) {
-            game.gameState.advanceDay();
-            console.log(`✓ Advanced to Day ${game.gameState.currentDay}`);
+        if (game && game.timerManager) {
+            const result = game.timerManager.endDay();
+            console.log(result.success ? `✓ Advanced to Day ${game.gameState.currentDay}` : result.message);
         } else {
             console.log('Game not initialized');
         }
@@ -536,8 +585,9 @@ window.devCommands = {
      */
     win: () => {
         if (game && game.gameState) {
-            const needed = game.gameState.goalMoney - game.gameState.currentMoney;
-            game.gameState.addMoney(needed + 100, 'Debug win');
+            const needed = game.gameState.getDebtBalance() - game.gameState.currentMoney;
+            game.gameState.addMoney(Math.max(0, needed) + 100, 'Debug win');
+            game.bankManager.repayAll();
             console.log('✓ Victory triggered!');
         } else {
             console.log('Game not initialized');
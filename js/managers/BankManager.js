@@ -0,0 +1,619 @@
+/**
+ * ============================================================================
+ * FILE: BankManager.js
+ * PURPOSE: Manage the farm debt and bank loans
+ *
+ * DESCRIPTION:
+ * This manager handles:
+ * - Payments toward the farm debt (any amount, whenever Stephen has cash)
+ * - Short-term loans (see GAME_CONFIG.BANK) and paying them back early
+ * - The repayment schedule: what the bank will collect on which day
+ *
+ * The game is won when the debt balance (farm debt + loans) reaches $0.
+ * Interest and collection of due loans happen overnight in
+ * GameState.advanceDay().
+ *
+ * ARCHITECTURE:
+ * Works as intermediary between the Bank screen and GameState
+ * Validates all payments and loans before executing
+ *
+ * DEPENDENCIES:
+ * - GameState.js (money, farm debt and loans)
+ * - config.js (BANK, TOTAL_DAYS)
+ * - constants.js (error messages, event names, ledger categories)
+ * - helpers.js (formatting, validation)
+ * - gameEvents.js (dispatch game events)
+ *
+ * USED BY:
+ * - UIManager.js (Bank screen)
+ * - main.js (initialize bank operations, dev commands)
+ * - strategies (pay off the debt in simulated games)
+ * ============================================================================
+ */
+
+/**
+ * CLASS: BankManager
+ * Singleton class managing the farm debt and loans
+ */
+class BankManager {
+
+    /**
+     * CONSTRUCTOR
+     * Initializes the bank manager
+     *
+     * NOTE: Use BankManager.getInstance() instead of calling directly
+     */
+    constructor() {
+        // Prevent multiple instances (singleton pattern)
+        if (BankManager.instance) {
+            return BankManager.instance;
+        }
+
+        // Store singleton instance
+        BankManager.instance = this;
+
+        HELPERS.debugLog('BankManager initialized');
+    }
+
+
+    // ========================================================================
+    // SINGLETON PATTERN
+    // ========================================================================
+
+    /**
+     * STATIC: getInstance
+     * Gets or creates the single BankManager instance
+     *
+     * @returns {BankManager} The bank manager instance
+     */
+    static getInstance() {
+        if (!BankManager.instance) {
+            BankManager.instance = new BankManager();
+        }
+        return BankManager.instance;
+    }
+
+
+    /**
+     * STATIC: resetInstance
+     * Resets the singleton (for new game)
+     */
+    static resetInstance() {
+        BankManager.instance = null;
+        HELPERS.debugLog('BankManager reset');
+    }
+
+
+    // ========================================================================
+    // PAYING OFF THE FARM DEBT
+    // ========================================================================
+
+    /**
+     * PUBLIC: repayDebt
+     * Pays part (or all) of the farm debt
+     *
+     * @param {number} amount - Amount to pay (more than is owed pays the rest)
+     * @returns {Object} Result object {success, message, amount?}
+     *
+     * VALIDATION:
+     * - Game must not be over
+     * - Amount must be at least $1
+     * - Something must still be owed
+     * - Player must have enough money
+     *
+     * CALLED BY:
+     * - UIManager.js (Repay buttons on the Bank screen)
+     * - main.js (dev commands)
+     *
+     * SIDE EFFECTS:
+     * - Deducts money from GameState (kept in the ledger)
+     * - Lowers the farm debt (wins the game once nothing is owed)
+     * - Dispatches DEBT_REPAID event
+     *
+     * EXAMPLE:
+     * const result = bankManager.repayDebt(500);
+     * if (result.success) {
+     *     console.log(result.message); // "Paid $500 toward the farm debt!"
+     * }
+     */
+    repayDebt(amount) {
+        const gameState = GameState.getInstance();
+        const check = this._validatePayment(amount, gameState.debt);
+        if (!check.success) {
+            return check;
+        }
+
+        gameState.deductMoney(check.amount, 'Paid toward the farm debt', {
+            category: CONSTANTS.LEDGER_CATEGORIES.DEBT_REPAYMENT
+        });
+        gameState.reduceDebt(check.amount);
+
+        const message = CONSTANTS.SUCCESS_MESSAGES.DEBT_REPAID
+            .replace('X', HELPERS.formatMoney(check.amount));
+
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.DEBT_REPAID, {
+            target: 'farm',
+            amount: check.amount,
+            remaining: gameState.debt,
+            message: message
+        });
+
+        return {
+            success: true,
+            message: message,
+            amount: check.amount
+        };
+    }
+
+
+    // ========================================================================
+    // LOANS
+    // ========================================================================
+
+    /**
+     * PUBLIC: takeLoan
+     * Borrows money from the bank
+     *
+     * @param {number} amount - One of GAME_CONFIG.BANK.LOAN_AMOUNTS
+     * @returns {Object} Result object {success, message, loan?}
+     *
+     * VALIDATION:
+     * - Game must not be over
+     * - Amount must be one the bank offers
+     * - Loans owed may not go over MAX_LOAN_BALANCE
+     *
+     * CALLED BY:
+     * - UIManager.js (loan offers on the Bank screen)
+     *
+     * SIDE EFFECTS:
+     * - Records the loan in GameState (raises the debt balance)
+     * - Adds money to GameState (kept in the ledger)
+     * - Dispatches LOAN_TAKEN event
+     *
+     * EXAMPLE:
+     * bankManager.takeLoan(200).message → "Borrowed $200, due Day 5."
+     */
+    takeLoan(amount) {
+        const gameState = GameState.getInstance();
+        const check = this.canTakeLoan(amount);
+        if (!check.canTake) {
+            return {
+                success: false,
+                message: check.reason
+            };
+        }
+
+        const loan = gameState.addLoan(amount);
+        gameState.addMoney(amount, `Loan from the bank (due ${HELPERS.formatDay(loan.dueDay)})`, {
+            category: CONSTANTS.LEDGER_CATEGORIES.LOAN
+        });
+
+        const message = CONSTANTS.SUCCESS_MESSAGES.LOAN_TAKEN
+            .replace('X', HELPERS.formatMoney(amount))
+            .replace('Y', HELPERS.formatDay(loan.dueDay));
+
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.LOAN_TAKEN, {
+            loan: loan,
+            message: message
+        });
+
+        return {
+            success: true,
+            message: message,
+            loan: loan
+        };
+    }
+
+
+    /**
+     * PUBLIC: canTakeLoan
+     * Checks if the bank will lend an amount
+     *
+     * @param {number} amount - Amount to borrow
+     * @returns {Object} {canTake: boolean, reason?: string}
+     *
+     * CALLED BY:
+     * - takeLoan()
+     * - getLoanOffers() (enable/disable loan buttons)
+     */
+    canTakeLoan(amount) {
+        const gameState = GameState.getInstance();
+        const bank = GAME_CONFIG.BANK;
+
+        if (gameState.isGameOver()) {
+            return {
+                canTake: false,
+                reason: CONSTANTS.ERROR_MESSAGES.GAME_OVER
+            };
+        }
+
+        if (!bank.LOAN_AMOUNTS.includes(amount)) {
+            return {
+                canTake: false,
+                reason: 'The bank does not offer that loan.'
+            };
+        }
+
+        if (gameState.getLoanBalance() + amount > bank.MAX_LOAN_BALANCE) {
+            return {
+                canTake: false,
+                reason: CONSTANTS.ERROR_MESSAGES.LOAN_LIMIT
+                    .replace('X', HELPERS.formatMoney(bank.MAX_LOAN_BALANCE))
+            };
+        }
+
+        return {
+            canTake: true
+        };
+    }
+
+
+    /**
+     * PUBLIC: repayLoan
+     * Pays back part (or all) of a loan before the bank collects it
+     *
+     * @param {string} loanId - ID of the loan
+     * @param {number} amount - Amount to pay (more than is owed pays the rest)
+     * @returns {Object} Result object {success, message, amount?}
+     *
+     * CALLED BY:
+     * - UIManager.js (Repay buttons of each loan)
+     *
+     * SIDE EFFECTS:
+     * - Deducts money from GameState (kept in the ledger)
+     * - Lowers the loan balance, removing it once paid
+     * - Dispatches DEBT_REPAID event
+     */
+    repayLoan(loanId, amount) {
+        const gameState = GameState.getInstance();
+        const loan = gameState.getLoans().find(l => l.id === loanId);
+
+        if (!loan) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.LOAN_NOT_FOUND
+            };
+        }
+
+        const check = this._validatePayment(amount, loan.balance);
+        if (!check.success) {
+            return check;
+        }
+
+        gameState.deductMoney(check.amount, 'Paid back a loan', {
+            category: CONSTANTS.LEDGER_CATEGORIES.LOAN_REPAYMENT
+        });
+        gameState.reduceLoan(loan.id, check.amount);
+
+        const message = CONSTANTS.SUCCESS_MESSAGES.LOAN_REPAID
+            .replace('X', HELPERS.formatMoney(check.amount));
+
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.DEBT_REPAID, {
+            target: loan.id,
+            amount: check.amount,
+            remaining: loan.balance,
+            message: message
+        });
+
+        return {
+            success: true,
+            message: message,
+            amount: check.amount
+        };
+    }
+
+
+    /**
+     * PUBLIC: repayAll
+     * Pays off everything owed - loans first, then the farm debt
+     *
+     * @returns {Object} Result object {success, message}
+     *
+     * NOTE: Only works if the cash covers the whole debt balance, so the
+     * game is won straight away.
+     *
+     * CALLED BY:
+     * - strategies (once a simulated game has the money)
+     * - main.js (dev commands)
+     */
+    repayAll() {
+        const gameState = GameState.getInstance();
+        const debtBalance = gameState.getDebtBalance();
+
+        if (gameState.isGameOver()) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.GAME_OVER
+            };
+        }
+
+        if (!gameState.canAfford(debtBalance)) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.NOT_ENOUGH_MONEY
+                    .replace('X', HELPERS.formatMoney(debtBalance))
+            };
+        }
+
+        for (const loan of gameState.getLoans().slice()) {
+            const result = this.repayLoan(loan.id, loan.balance);
+            if (!result.success) {
+                return result;
+            }
+        }
+
+        if (gameState.debt > 0) {
+            return this.repayDebt(gameState.debt);
+        }
+
+        return {
+            success: true,
+            message: `Paid ${HELPERS.formatMoney(debtBalance)} to the bank!`
+        };
+    }
+
+
+    // ========================================================================
+    // INFORMATION FOR THE BANK SCREEN
+    // ========================================================================
+
+    /**
+     * PUBLIC: getSummary
+     * Gets what is owed and what can be paid
+     *
+     * @returns {Object} {
+     *   debt,            // Farm debt still owed
+     *   debtRepaid,      // Paid off so far
+     *   loanBalance,     // Owed on loans
+     *   debtBalance,     // debt + loanBalance
+     *   cash,            // Money on hand
+     *   maxDebtPayment,  // Most that can be paid toward the farm debt now
+     *   daysLeft,        // Days before the bank collects everything
+     *   deadlineDay      // Morning the bank collects everything
+     * }
+     */
+    getSummary() {
+        const gameState = GameState.getInstance();
+
+        return {
+            debt: gameState.debt,
+            debtRepaid: gameState.goalMoney - gameState.debt,
+            loanBalance: gameState.getLoanBalance(),
+            debtBalance: gameState.getDebtBalance(),
+            cash: gameState.currentMoney,
+            maxDebtPayment: Math.min(gameState.currentMoney, gameState.debt),
+            daysLeft: gameState.getDaysRemaining(),
+            deadlineDay: GAME_CONFIG.TOTAL_DAYS + 1
+        };
+    }
+
+
+    /**
+     * PUBLIC: getLoanOffers
+     * Gets the loans the bank offers, with what each would cost
+     *
+     * @returns {Object[]} [{amount, dueDay, dueAmount, interest, canTake, reason?}]
+     *
+     * EXAMPLE (day 2):
+     * → [{amount: 100, dueDay: 5, dueAmount: 117, interest: 17, canTake: true}, ...]
+     */
+    getLoanOffers() {
+        const gameState = GameState.getInstance();
+        const bank = GAME_CONFIG.BANK;
+
+        return bank.LOAN_AMOUNTS.map(amount => {
+            const dueDay = gameState.currentDay + bank.LOAN_TERM_DAYS;
+            const dueAmount = this._projectBalance(amount, bank.DAILY_INTEREST_RATE, bank.LOAN_TERM_DAYS);
+            const check = this.canTakeLoan(amount);
+
+            return {
+                amount: amount,
+                dueDay: dueDay,
+                dueAmount: dueAmount,
+                interest: dueAmount - amount,
+                canTake: check.canTake,
+                reason: check.reason
+            };
+        });
+    }
+
+
+    /**
+     * PUBLIC: getRepaymentSchedule
+     * Works out what the bank will collect each morning until the deadline,
+     * if nothing more is earned, paid or borrowed
+     *
+     * @returns {Object[]} One row per morning from tomorrow to the deadline:
+     *   [{day,
+     *     interest,      // Interest added the night before
+     *     due,           // Owed that morning: due loans (and on the
+     *                    // deadline everything, farm debt included)
+     *     collected,     // What the cash on hand covers
+     *     unpaid,        // due - collected: loans keep collecting interest,
+     *                    // on the deadline the farm is lost
+     *     cash,          // Cash left afterwards
+     *     loanBalance,   // Still owed on loans afterwards
+     *     isDeadline,
+     *     farmLost}]     // Deadline and the cash does not cover everything
+     *
+     * LOGIC:
+     * Follows GameState.advanceDay(): interest every night, then due loans
+     * are taken from the cash (as much as there is, oldest first). On the
+     * deadline the bank takes everything still owed if the cash covers it -
+     * otherwise nothing more, and the farm is lost.
+     *
+     * EXAMPLE ($200 loan taken on day 2, $0 cash, viewed on day 2):
+     * → [{day: 3, interest: 10, due: 0, collected: 0, unpaid: 0, loanBalance: 210, ...},
+     *    {day: 4, interest: 11, due: 0, collected: 0, unpaid: 0, loanBalance: 221, ...},
+     *    {day: 5, interest: 12, due: 233, collected: 0, unpaid: 233, loanBalance: 233, ...}, ...]
+     */
+    getRepaymentSchedule() {
+        const gameState = GameState.getInstance();
+        const deadlineDay = GAME_CONFIG.TOTAL_DAYS + 1;
+        const sum = (loans) => loans.reduce((total, loan) => total + loan.balance, 0);
+        let cash = gameState.currentMoney;
+        let loans = gameState.getLoans().map(loan => ({
+            balance: loan.balance,
+            dailyRate: loan.dailyRate,
+            dueDay: loan.dueDay
+        }));
+        const rows = [];
+
+        for (let day = gameState.currentDay + 1; day <= deadlineDay; day++) {
+            const isDeadline = day === deadlineDay;
+            let interest = 0;
+            let collected = 0;
+
+            loans.forEach(loan => {
+                const charge = Math.ceil(loan.balance * loan.dailyRate);
+                loan.balance += charge;
+                interest += charge;
+            });
+
+            // Due loans: as much as the cash covers
+            const dueLoans = loans.filter(loan => loan.dueDay <= day);
+            let due = sum(dueLoans);
+            dueLoans.forEach(loan => {
+                const amount = Math.min(cash, loan.balance);
+                loan.balance -= amount;
+                cash -= amount;
+                collected += amount;
+            });
+            loans = loans.filter(loan => loan.balance > 0);
+
+            // Deadline: everything still owed, only if the cash covers it
+            let farmLost = false;
+            if (isDeadline) {
+                const rest = gameState.debt + sum(loans);
+                due = collected + rest;
+                if (cash >= rest) {
+                    cash -= rest;
+                    collected += rest;
+                    loans = [];
+                } else {
+                    farmLost = true;
+                }
+            }
+
+            rows.push({
+                day: day,
+                interest: interest,
+                due: due,
+                collected: collected,
+                unpaid: due - collected,
+                cash: cash,
+                loanBalance: sum(loans),
+                isDeadline: isDeadline,
+                farmLost: farmLost
+            });
+        }
+
+        return rows;
+    }
+
+
+    // ========================================================================
+    // PRIVATE HELPERS
+    // ========================================================================
+
+    /**
+     * PRIVATE: _validatePayment
+     * Checks a payment toward the farm debt or a loan
+     *
+     * @param {number} amount - Amount the player entered
+     * @param {number} owed - What is owed there
+     * @returns {Object} {success, message?, amount?} amount is capped at owed
+     */
+    _validatePayment(amount, owed) {
+        const gameState = GameState.getInstance();
+
+        if (gameState.isGameOver()) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.GAME_OVER
+            };
+        }
+
+        if (!HELPERS.isValidNumber(amount) || Math.floor(amount) < 1) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.INVALID_AMOUNT
+            };
+        }
+
+        if (owed <= 0) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.NOTHING_OWED
+            };
+        }
+
+        const payment = Math.min(Math.floor(amount), owed);
+        if (!gameState.canAfford(payment)) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.NOT_ENOUGH_MONEY
+                    .replace('X', HELPERS.formatMoney(payment))
+            };
+        }
+
+        return {
+            success: true,
+            amount: payment
+        };
+    }
+
+
+    /**
+     * PRIVATE: _projectBalance
+     * Works out a loan balance after some nights of interest
+     *
+     * @param {number} balance - Balance now
+     * @param {number} dailyRate - Interest per night
+     * @param {number} nights - Number of nights
+     * @returns {number} Balance afterwards
+     */
+    _projectBalance(balance, dailyRate, nights) {
+        let projected = balance;
+        for (let night = 0; night < nights; night++) {
+            projected += Math.ceil(projected * dailyRate);
+        }
+        return projected;
+    }
+}
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Get bank manager instance
+ * const bankManager = BankManager.getInstance();
+ *
+ * // Pay part of the farm debt
+ * const result = bankManager.repayDebt(300);
+ * console.log(result.message); // "Paid $300 toward the farm debt!"
+ *
+ * // Borrow seed money
+ * const loanResult = bankManager.takeLoan(200);
+ * if (loanResult.success) {
+ *     console.log(`Due on day ${loanResult.loan.dueDay}`);
+ * }
+ *
+ * // Pay it back early (saves interest)
+ * bankManager.repayLoan(loanResult.loan.id, 100);
+ *
+ * // What will the bank collect?
+ * bankManager.getRepaymentSchedule().forEach(row => {
+ *     console.log(`Day ${row.day}: ${row.collected} of ${row.due}`);
+ * });
+ *
+ * // Save the farm in one go
+ * if (gameState.currentMoney >= gameState.getDebtBalance()) {
+ *     bankManager.repayAll();
+ * }
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default BankManager;
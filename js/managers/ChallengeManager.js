@@ -0,0 +1,406 @@
+/**
+ * ============================================================================
+ * FILE: ChallengeManager.js
+ * PURPOSE: Daily challenge mode and the local history of daily results
+ *
+ * DESCRIPTION:
+ * Every calendar date (UTC) has its own seed ("daily-2026-10-19"), so
+ * everyone who plays the daily challenge on that date gets the same
+ * weather forecast and the same breeding luck.
+ *
+ * This manager handles:
+ * - Working out today's challenge date and seed
+ * - Starting today's challenge (one attempt per date)
+ * - Recording the result when a challenge game is won or lost
+ * - Building month calendars of past results for the Daily Challenge screen
+ *
+ * RESULTS FORMAT (stored under CONSTANTS.STORAGE_KEYS.DAILY_RESULTS):
+ * {
+ *   '2026-10-19': {
+ *     date: '2026-10-19',
+ *     won: true,
+ *     finalMoney: 5120,
+ *     dayReached: 9,
+ *     finishedAt: 1792434108448   // Real timestamp
+ *   },
+ *   ...
+ * }
+ *
+ * DEPENDENCIES:
+ * - GameState.js (challengeDate, final money and day)
+ * - SaveManager.js (queue the new game)
+ * - constants.js (storage keys, events, messages)
+ * - helpers.js (debug logging)
+ * - gameEvents.js (game events)
+ *
+ * USED BY:
+ * - main.js (start tracking results)
+ * - UIManager.js (Daily Challenge screen)
+ * ============================================================================
+ */
+
+/**
+ * CLASS: ChallengeManager
+ * Singleton class managing the daily challenge
+ */
+class ChallengeManager {
+
+    /**
+     * CONSTRUCTOR
+     * Initializes the challenge manager
+     *
+     * NOTE: Use ChallengeManager.getInstance() instead of calling directly
+     */
+    constructor() {
+        // Prevent multiple instances (singleton pattern)
+        if (ChallengeManager.instance) {
+            return ChallengeManager.instance;
+        }
+
+        // Bound event handler (kept so it can be removed again)
+        this._onGameOver = () => this.recordResult();
+
+        // Store singleton instance
+        ChallengeManager.instance = this;
+
+        HELPERS.debugLog('ChallengeManager initialized');
+    }
+
+
+    // ========================================================================
+    // SINGLETON PATTERN
+    // ========================================================================
+
+    /**
+     * STATIC: getInstance
+     * Gets or creates the single ChallengeManager instance
+     *
+     * @returns {ChallengeManager} The challenge manager instance
+     */
+    static getInstance() {
+        if (!ChallengeManager.instance) {
+            ChallengeManager.instance = new ChallengeManager();
+        }
+        return ChallengeManager.instance;
+    }
+
+
+    /**
+     * STATIC: resetInstance
+     * Resets the singleton (for new game)
+     */
+    static resetInstance() {
+        if (ChallengeManager.instance) {
+            ChallengeManager.instance.stopTracking();
+        }
+        ChallengeManager.instance = null;
+        HELPERS.debugLog('ChallengeManager reset');
+    }
+
+
+    // ========================================================================
+    // DATES AND SEEDS
+    // ========================================================================
+
+    /**
+     * STATIC: toDateString
+     * Formats a date as a challenge date
+     *
+     * @param {Date} date - Date to format
+     * @returns {string} UTC date as 'YYYY-MM-DD'
+     *
+     * NOTE: UTC is used so players in every time zone share the same
+     * challenge at the same moment.
+     */
+    static toDateString(date) {
+        return date.toISOString().substring(0, 10);
+    }
+
+
+    /**
+     * STATIC: getSeedForDate
+     * Gets the game seed of a challenge date
+     *
+     * @param {string} date - Challenge date ('YYYY-MM-DD')
+     * @returns {string} Seed (e.g. 'daily-2026-10-19')
+     */
+    static getSeedForDate(date) {
+        return `daily-${date}`;
+    }
+
+
+    /**
+     * PUBLIC: getTodayDate
+     * Gets today's challenge date
+     *
+     * @returns {string} 'YYYY-MM-DD' (UTC)
+     *
+     * NOTE: Uses the real date, not the game clock.
+     */
+    getTodayDate() {
+        return ChallengeManager.toDateString(new Date());
+    }
+
+
+    /**
+     * PUBLIC: getTodayChallenge
+     * Gets today's challenge and whether it has been played
+     *
+     * @returns {Object} {date, seed, played, result}
+     *
+     * CALLED BY:
+     * - UIManager.renderDailyChallengeScreen()
+     */
+    getTodayChallenge() {
+        const date = this.getTodayDate();
+        const result = this.getResult(date);
+
+        return {
+            date: date,
+            seed: ChallengeManager.getSeedForDate(date),
+            played: result !== null,
+            result: result
+        };
+    }
+
+
+    /**
+     * PUBLIC: startDailyChallenge
+     * Queues today's challenge as the next game
+     *
+     * @returns {Object} Result object {success, message}
+     *
+     * LOGIC:
+     * Only the first attempt of a date counts, so a date that already has
+     * a result cannot be started again. Otherwise the current save is
+     * discarded and the caller reloads the page, like any new game.
+     *
+     * CALLED BY:
+     * - UIManager._handleStartDailyChallenge()
+     */
+    startDailyChallenge() {
+        const challenge = this.getTodayChallenge();
+
+        if (challenge.played) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.DAILY_ALREADY_PLAYED
+            };
+        }
+
+        return SaveManager.getInstance().queueNewGame(challenge.seed, challenge.date);
+    }
+
+
+    // ========================================================================
+    // RESULTS
+    // ========================================================================
+
+    /**
+     * PUBLIC: startTracking
+     * Starts recording results when a challenge game ends
+     *
+     * CALLED BY:
+     * - main.js (after the game loop has started)
+     */
+    startTracking() {
+        this.stopTracking();
+        GAME_EVENTS.on(CONSTANTS.EVENTS.GAME_WON, this._onGameOver);
+        GAME_EVENTS.on(CONSTANTS.EVENTS.GAME_LOST, this._onGameOver);
+    }
+
+
+    /**
+     * PUBLIC: stopTracking
+     * Stops recording results
+     *
+     * CALLED BY:
+     * - resetInstance()
+     */
+    stopTracking() {
+        GAME_EVENTS.off(CONSTANTS.EVENTS.GAME_WON, this._onGameOver);
+        GAME_EVENTS.off(CONSTANTS.EVENTS.GAME_LOST, this._onGameOver);
+    }
+
+
+    /**
+     * PUBLIC: recordResult
+     * Stores the result of the current game if it is a daily challenge
+     *
+     * @returns {Object|null} Stored result, or null if nothing was stored
+     *
+     * CALLED BY:
+     * - GAME_WON / GAME_LOST listeners
+     *
+     * SIDE EFFECTS:
+     * - Writes CONSTANTS.STORAGE_KEYS.DAILY_RESULTS
+     * - Dispatches DAILY_RESULT_RECORDED event
+     *
+     * NOTE: The first finished game of a date is kept; later ones are ignored.
+     */
+    recordResult() {
+        const gameState = GameState.getInstance();
+        const date = gameState.challengeDate;
+
+        if (!date || !gameState.isGameOver()) {
+            return null;
+        }
+
+        const results = this._readResults();
+        if (results[date]) {
+            return null;
+        }
+
+        const result = {
+            date: date,
+            won: gameState.gameStatus === CONSTANTS.GAME_STATUS.WON,
+            finalMoney: gameState.getDebtCovered(),  // Paid off + cash - loans
+            dayReached: Math.min(gameState.currentDay, GAME_CONFIG.TOTAL_DAYS),
+            finishedAt: Date.now()
+        };
+
+        results[date] = result;
+        if (!this._writeResults(results)) {
+            return null;
+        }
+
+        HELPERS.debugLog('Daily challenge result recorded', result);
+
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.DAILY_RESULT_RECORDED, result);
+
+        return result;
+    }
+
+
+    /**
+     * PUBLIC: getResult
+     * Gets the stored result of a date
+     *
+     * @param {string} date - Challenge date ('YYYY-MM-DD')
+     * @returns {Object|null} Result or null if not played
+     */
+    getResult(date) {
+        return this._readResults()[date] || null;
+    }
+
+
+    /**
+     * PUBLIC: getSummary
+     * Gets totals over all stored results
+     *
+     * @returns {Object} {played, won, bestMoney}
+     */
+    getSummary() {
+        const results = Object.values(this._readResults());
+
+        return {
+            played: results.length,
+            won: results.filter(result => result.won).length,
+            bestMoney: results.reduce((best, result) => Math.max(best, result.finalMoney), 0)
+        };
+    }
+
+
+    /**
+     * PUBLIC: getCalendarMonth
+     * Builds one month of the results calendar
+     *
+     * @param {number} year - Full year (e.g. 2026)
+     * @param {number} month - Month index (0 = January)
+     * @returns {Object} {year, month, label, leadingBlanks, days}
+     *
+     * DAYS:
+     * Each entry is {date, day, result, isToday, isFuture}.
+     * leadingBlanks is the weekday of the 1st (0 = Sunday), i.e. the number
+     * of empty cells before it in a Sunday-first grid.
+     *
+     * CALLED BY:
+     * - UIManager.renderDailyChallengeScreen()
+     */
+    getCalendarMonth(year, month) {
+        const results = this._readResults();
+        const today = this.getTodayDate();
+        const first = new Date(Date.UTC(year, month, 1));
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+        const days = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = ChallengeManager.toDateString(new Date(Date.UTC(year, month, day)));
+            days.push({
+                date: date,
+                day: day,
+                result: results[date] || null,
+                isToday: date === today,
+                isFuture: date > today
+            });
+        }
+
+        return {
+            year: first.getUTCFullYear(),
+            month: first.getUTCMonth(),
+            label: first.toLocaleDateString('en-US', {month: 'long', year: 'numeric', timeZone: 'UTC'}),
+            leadingBlanks: first.getUTCDay(),
+            days: days
+        };
+    }
+
+
+    // ========================================================================
+    // PRIVATE HELPERS
+    // ========================================================================
+
+    /**
+     * PRIVATE: _readResults
+     * Reads all daily results from localStorage
+     *
+     * @returns {Object} Results keyed by date
+     */
+    _readResults() {
+        try {
+            const results = JSON.parse(localStorage.getItem(CONSTANTS.STORAGE_KEYS.DAILY_RESULTS));
+            return results && typeof results === 'object' && !Array.isArray(results) ? results : {};
+        } catch (error) {
+            console.error('ChallengeManager._readResults: Failed to read results', error);
+            return {};
+        }
+    }
+
+
+    /**
+     * PRIVATE: _writeResults
+     * Writes all daily results to localStorage
+     *
+     * @param {Object} results - Results keyed by date
+     * @returns {boolean} True if written
+     */
+    _writeResults(results) {
+        try {
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.DAILY_RESULTS, JSON.stringify(results));
+            return true;
+        } catch (error) {
+            console.error('ChallengeManager._writeResults: Failed to write results', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * const challengeManager = ChallengeManager.getInstance();
+ * challengeManager.startTracking();
+ *
+ * // Start today's challenge (same seed for everyone today)
+ * const result = challengeManager.startDailyChallenge();
+ * if (result.success) window.location.reload();
+ *
+ * // Results calendar for October 2026
+ * const month = challengeManager.getCalendarMonth(2026, 9);
+ * month.days.forEach(day => console.log(day.date, day.result));
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default ChallengeManager;
@@ -21,8 +21,11 @@
  * - GameState.js (read/write game state)
  * - Crop.js (crop operations)
  * - Animal.js (animal operations)
+ * - Calendar.js (crops in season)
+ * - Market.js (demand of each crop and animal type)
  * - constants.js (status constants, error messages)
  * - helpers.js (utility functions)
+ * - gameEvents.js (dispatch game events)
  *
  * USED BY:
  * - UIManager.js (when player clicks farm buttons)
@@ -96,6 +99,7 @@ class FarmManager {
      *
      * VALIDATION:
      * - Seed must exist in inventory
+     * - Crop must be in season (see CALENDAR)
      * - Farm must have available crop slots
      * - Game must not be over
      *
@@ -141,6 +145,15 @@ class FarmManager {
             };
         }
 
+        // Check the season (seeds bought earlier may be out of season now)
+        const outOfSeason = CALENDAR.getOutOfSeasonReason(seed.type, gameState.currentDay);
+        if (outOfSeason) {
+            return {
+                success: false,
+                message: outOfSeason
+            };
+        }
+
         // Plant the crop (GameState handles moving from seeds to crops)
         const planted = gameState.plantCrop(cropId);
 
@@ -154,12 +167,10 @@ class FarmManager {
         HELPERS.debugLog(`Planted ${seed.name}`, {cropId: seed.id});
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.CROP_PLANTED, {
-            detail: {
-                crop: seed,
-                message: `Planted ${seed.name}!`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.CROP_PLANTED, {
+            crop: seed,
+            message: `Planted ${seed.name}!`
+        });
 
         return {
             success: true,
@@ -237,12 +248,10 @@ class FarmManager {
         HELPERS.debugLog(`Harvested ${crop.name}`, {cropId: crop.id});
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.CROP_HARVESTED, {
-            detail: {
-                crop: crop,
-                message: `Harvested ${crop.name}!`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.CROP_HARVESTED, {
+            crop: crop,
+            message: `Harvested ${crop.name}!`
+        });
 
         return {
             success: true,
@@ -291,6 +300,15 @@ class FarmManager {
             };
         }
 
+        // Check the season
+        const outOfSeason = CALENDAR.getOutOfSeasonReason(seed.type, gameState.currentDay);
+        if (outOfSeason) {
+            return {
+                canPlant: false,
+                reason: outOfSeason
+            };
+        }
+
         return {
             canPlant: true
         };
@@ -404,12 +422,10 @@ class FarmManager {
         HELPERS.debugLog(`Placed ${animal.name} on farm`, {animalId: animal.id});
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent('animal-placed', {
-            detail: {
-                animal: animal,
-                message: `${animal.name} placed on farm!`
-            }
-        }));
+        GAME_EVENTS.dispatch('animal-placed', {
+            animal: animal,
+            message: `${animal.name} placed on farm!`
+        });
 
         return {
             success: true,
@@ -700,18 +716,19 @@ class FarmManager {
         const crops = gameState.getGrowingCrops();
         const animals = gameState.getAnimalsOnFarm();
 
-        // Calculate total potential value
+        // Calculate total potential value (at each type's demand today)
         const currentWeather = gameState.getCurrentWeather();
         const demandIndex = currentWeather ? currentWeather.demandIndex : 1.0;
+        const demandOf = type => MARKET.getDemandIndex(type, demandIndex, gameState.currentDay);
 
         let totalCropValue = 0;
         crops.filter(c => c.isMature()).forEach(c => {
-            totalCropValue += c.calculateSellPrice(demandIndex);
+            totalCropValue += c.calculateSellPrice(demandOf(c.type));
         });
 
         let totalAnimalValue = 0;
         animals.filter(a => a.isMature()).forEach(a => {
-            totalAnimalValue += a.calculateSellPrice(demandIndex);
+            totalAnimalValue += a.calculateSellPrice(demandOf(a.type));
         });
 
         return {
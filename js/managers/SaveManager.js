@@ -0,0 +1,1098 @@
+/**
+ * ============================================================================
+ * FILE: SaveManager.js
+ * PURPOSE: Persist and restore game progress using localStorage
+ *
+ * DESCRIPTION:
+ * This manager handles:
+ * - Writing GameState.toJSON() to localStorage
+ * - Autosaving on a fixed interval and after money/day changes
+ *   (throttled to one save per CONSTANTS.TIMING.AUTO_SAVE_THROTTLE)
+ * - Restoring a saved game when the page is reloaded
+ * - Rebuilding the day clock so the current day continues where it left off
+ * - Clearing the save once the game is over
+ * - Named save slots (save, overwrite, rename, delete, load)
+ * - Export as a .json file or base64 share code, and import either
+ *   (share codes leave out the ledger and price history to stay short)
+ * - Starting a new game from a chosen seed or as a daily challenge
+ *
+ * ARCHITECTURE:
+ * Works alongside the other managers, reading from GameState and TimerManager
+ * Dispatches save/load events so UIManager can show notifications
+ *
+ * SAVE FORMAT (stored under CONSTANTS.STORAGE_KEYS.GAME_STATE):
+ * {
+ *   savedAt: 1700000000000,       // Real timestamp of the save
+ *   dayElapsedTime: 45000,        // How far into the current day we were (ms)
+ *   gameState: {...}              // GameState.toJSON()
+ * }
+ *
+ * Named slots are stored as an array under CONSTANTS.STORAGE_KEYS.SAVE_SLOTS,
+ * each entry being a save record plus {id, name}.
+ *
+ * DEPENDENCIES:
+ * - GameState.js (toJSON / fromJSON)
+ * - saveSchema.js (migrate and validate saves before restoring)
+ * - GameRandom.js (seed validation)
+ * - TimerManager.js (day clock)
+ * - constants.js (storage keys, events, messages)
+ * - helpers.js (debug logging)
+ * - gameEvents.js (game events)
+ *
+ * USED BY:
+ * - main.js (restore on start, start autosave)
+ * - UIManager.js (load game screen)
+ * ============================================================================
+ */
+
+/**
+ * CLASS: SaveManager
+ * Singleton class managing save and load operations
+ */
+class SaveManager {
+
+    /**
+     * CONSTRUCTOR
+     * Initializes the save manager
+     *
+     * NOTE: Use SaveManager.getInstance() instead of calling directly
+     */
+    constructor() {
+        // Prevent multiple instances (singleton pattern)
+        if (SaveManager.instance) {
+            return SaveManager.instance;
+        }
+
+        // Autosave interval reference
+        this.autoSaveTimer = null;
+
+        // Throttled event saves: real time of the last save and the
+        // timeout of a save waiting for the throttle time to pass
+        this.lastSaveTime = 0;
+        this.pendingSaveTimer = null;
+
+        // Bound event handlers (kept so they can be removed again)
+        this._onMoneyChanged = () => this._requestAutoSave();
+        this._onDayAdvanced = () => this._requestAutoSave();
+        this._onGameOver = () => this.clearSave();
+        this._onPageHide = () => this.saveGame(true);
+
+        // Store singleton instance
+        SaveManager.instance = this;
+
+        HELPERS.debugLog('SaveManager initialized');
+    }
+
+
+    // ========================================================================
+    // SINGLETON PATTERN
+    // ========================================================================
+
+    /**
+     * STATIC: getInstance
+     * Gets or creates the single SaveManager instance
+     *
+     * @returns {SaveManager} The save manager instance
+     */
+    static getInstance() {
+        if (!SaveManager.instance) {
+            SaveManager.instance = new SaveManager();
+        }
+        return SaveManager.instance;
+    }
+
+
+    /**
+     * STATIC: resetInstance
+     * Resets the singleton (for new game)
+     */
+    static resetInstance() {
+        if (SaveManager.instance) {
+            SaveManager.instance.stopAutoSave();
+        }
+        SaveManager.instance = null;
+        HELPERS.debugLog('SaveManager reset');
+    }
+
+
+    // ========================================================================
+    // AUTOSAVE
+    // ========================================================================
+
+    /**
+     * PUBLIC: startAutoSave
+     * Starts the autosave interval and event listeners
+     *
+     * CALLED BY:
+     * - main.js (after the game loop has started)
+     *
+     * SIDE EFFECTS:
+     * - Saves every CONSTANTS.TIMING.AUTO_SAVE_INTERVAL
+     * - Saves silently after MONEY_CHANGED / DAY_ADVANCED events, at most
+     *   once per CONSTANTS.TIMING.AUTO_SAVE_THROTTLE (see _requestAutoSave)
+     * - Saves silently when the page is hidden (tab closed / reloaded)
+     * - Clears the save when the game is won or lost
+     */
+    startAutoSave() {
+        if (this.autoSaveTimer) {
+            return;
+        }
+
+        this.autoSaveTimer = setInterval(() => {
+            this.saveGame();
+        }, CONSTANTS.TIMING.AUTO_SAVE_INTERVAL);
+
+        GAME_EVENTS.on(CONSTANTS.EVENTS.MONEY_CHANGED, this._onMoneyChanged);
+        GAME_EVENTS.on(CONSTANTS.EVENTS.DAY_ADVANCED, this._onDayAdvanced);
+        GAME_EVENTS.on(CONSTANTS.EVENTS.GAME_WON, this._onGameOver);
+        GAME_EVENTS.on(CONSTANTS.EVENTS.GAME_LOST, this._onGameOver);
+
+        // Catch the last few seconds before the tab is closed or reloaded
+        window.addEventListener('pagehide', this._onPageHide);
+
+        HELPERS.debugLog('Autosave started', {
+            interval: CONSTANTS.TIMING.AUTO_SAVE_INTERVAL
+        });
+    }
+
+
+    /**
+     * PUBLIC: stopAutoSave
+     * Stops the autosave interval and removes event listeners
+     *
+     * CALLED BY:
+     * - resetInstance()
+     */
+    stopAutoSave() {
+        if (this.autoSaveTimer) {
+            clearInterval(this.autoSaveTimer);
+            this.autoSaveTimer = null;
+        }
+
+        if (this.pendingSaveTimer) {
+            clearTimeout(this.pendingSaveTimer);
+            this.pendingSaveTimer = null;
+        }
+
+        GAME_EVENTS.off(CONSTANTS.EVENTS.MONEY_CHANGED, this._onMoneyChanged);
+        GAME_EVENTS.off(CONSTANTS.EVENTS.DAY_ADVANCED, this._onDayAdvanced);
+        GAME_EVENTS.off(CONSTANTS.EVENTS.GAME_WON, this._onGameOver);
+        GAME_EVENTS.off(CONSTANTS.EVENTS.GAME_LOST, this._onGameOver);
+        window.removeEventListener('pagehide', this._onPageHide);
+
+        HELPERS.debugLog('Autosave stopped');
+    }
+
+
+    /**
+     * PRIVATE: _requestAutoSave
+     * Saves silently after a money or day change, throttled
+     *
+     * LOGIC:
+     * - No save in the last AUTO_SAVE_THROTTLE: save right away
+     * - Otherwise save once when the throttle time is up, so the last
+     *   change of a burst (selling 20 crops in a row) is still written
+     *
+     * CALLED BY:
+     * - MONEY_CHANGED / DAY_ADVANCED listeners
+     */
+    _requestAutoSave() {
+        if (this.pendingSaveTimer) {
+            return;
+        }
+
+        const throttle = CONSTANTS.TIMING.AUTO_SAVE_THROTTLE;
+        const wait = Math.min(throttle, this.lastSaveTime + throttle - Date.now());
+
+        if (wait <= 0) {
+            this.saveGame(true);
+            return;
+        }
+
+        this.pendingSaveTimer = setTimeout(() => {
+            this.pendingSaveTimer = null;
+            this.saveGame(true);
+        }, wait);
+    }
+
+
+    // ========================================================================
+    // SAVE / LOAD
+    // ========================================================================
+
+    /**
+     * PUBLIC: saveGame
+     * Writes the current game to localStorage
+     *
+     * @param {boolean} silent - If true, UI should not show a notification
+     * @returns {Object} Result object {success, message}
+     *
+     * CALLED BY:
+     * - Autosave interval
+     * - _requestAutoSave() (silent, after money and day changes)
+     *
+     * SIDE EFFECTS:
+     * - Writes STORAGE_KEYS.GAME_STATE and STORAGE_KEYS.LAST_SAVE
+     * - Dispatches GAME_SAVED or SAVE_FAILED event
+     */
+    saveGame(silent = false) {
+        const gameState = GameState.getInstance();
+
+        // Nothing worth keeping once the game has ended
+        if (gameState.isGameOver()) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.GAME_OVER
+            };
+        }
+
+        try {
+            const record = this._createSaveRecord();
+
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.GAME_STATE, JSON.stringify(record));
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.LAST_SAVE, String(record.savedAt));
+
+            gameState.lastSaveTime = record.savedAt;
+            this.lastSaveTime = record.savedAt;
+
+            HELPERS.debugLog('Game saved', {
+                day: gameState.currentDay,
+                money: gameState.currentMoney
+            });
+
+            this._dispatchEvent(CONSTANTS.EVENTS.GAME_SAVED, {
+                silent: silent,
+                message: CONSTANTS.SUCCESS_MESSAGES.GAME_SAVED
+            });
+
+            return {
+                success: true,
+                message: CONSTANTS.SUCCESS_MESSAGES.GAME_SAVED
+            };
+
+        } catch (error) {
+            console.error('SaveManager.saveGame: Failed to save', error);
+
+            this._dispatchEvent(CONSTANTS.EVENTS.SAVE_FAILED, {
+                silent: silent,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            });
+
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            };
+        }
+    }
+
+
+    /**
+     * PUBLIC: loadGame
+     * Restores the saved game from localStorage, if there is one
+     *
+     * @returns {Object} Result object {success, message, gameState?, dayElapsedTime?}
+     *
+     * CALLED BY:
+     * - main.js (FarmRescueGame.initialize)
+     *
+     * NOTE: Returns success: false with no message when there is no save.
+     */
+    loadGame() {
+        let raw = null;
+
+        try {
+            raw = localStorage.getItem(CONSTANTS.STORAGE_KEYS.GAME_STATE);
+        } catch (error) {
+            console.error('SaveManager.loadGame: localStorage unavailable', error);
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.LOAD_FAILED
+            };
+        }
+
+        // No save yet - start a fresh game
+        if (!raw) {
+            return {
+                success: false,
+                message: null
+            };
+        }
+
+        let record = null;
+        try {
+            record = JSON.parse(raw);
+        } catch (error) {
+            console.error('SaveManager.loadGame: Save is not valid JSON', error);
+        }
+
+        // Finished games are not restored
+        const status = record && record.gameState && record.gameState.gameStatus;
+        if (status === CONSTANTS.GAME_STATUS.WON || status === CONSTANTS.GAME_STATUS.LOST) {
+            this.clearSave();
+            return {
+                success: false,
+                message: null
+            };
+        }
+
+        const result = this._restoreSaveRecord(record);
+
+        // A broken autosave would fail again on every reload
+        if (!result.success) {
+            this.clearSave();
+        }
+
+        return result;
+    }
+
+
+    /**
+     * PUBLIC: hasSave
+     * Checks if a saved game exists
+     *
+     * @returns {boolean} True if a save is stored
+     */
+    hasSave() {
+        try {
+            return localStorage.getItem(CONSTANTS.STORAGE_KEYS.GAME_STATE) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+
+    /**
+     * PUBLIC: clearSave
+     * Removes the saved game from localStorage
+     *
+     * CALLED BY:
+     * - GAME_WON / GAME_LOST listeners
+     * - loadGame() (when the save is unusable)
+     */
+    clearSave() {
+        try {
+            localStorage.removeItem(CONSTANTS.STORAGE_KEYS.GAME_STATE);
+            localStorage.removeItem(CONSTANTS.STORAGE_KEYS.LAST_SAVE);
+            HELPERS.debugLog('Save cleared');
+        } catch (error) {
+            console.error('SaveManager.clearSave: Failed to clear save', error);
+        }
+    }
+
+
+    /**
+     * PUBLIC: getLastSaveTime
+     * Gets the timestamp of the last save
+     *
+     * @returns {number|null} Timestamp or null if never saved
+     */
+    getLastSaveTime() {
+        try {
+            const value = parseInt(localStorage.getItem(CONSTANTS.STORAGE_KEYS.LAST_SAVE), 10);
+            return HELPERS.isValidNumber(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+
+    // ========================================================================
+    // NEW GAME (SEED / DAILY CHALLENGE)
+    // ========================================================================
+
+    /**
+     * PUBLIC: queueNewGame
+     * Discards the current save and remembers how the next game should start
+     *
+     * @param {string|null} seed - Seed for the new game (null/empty = random)
+     * @param {string|null} challengeDate - Daily challenge date ('YYYY-MM-DD'), or null
+     * @returns {Object} Result object {success, message, seed}
+     *
+     * LOGIC:
+     * The UI starts a new game by reloading the page. Autosave is stopped
+     * first (otherwise the pagehide save would bring the old game back) and
+     * the queued game is picked up by takePendingGame() on the next start.
+     *
+     * CALLED BY:
+     * - UIManager._handleNewSeededGame()
+     * - ChallengeManager.startDailyChallenge()
+     *
+     * EXAMPLE:
+     * const result = saveManager.queueNewGame('farm42');
+     * if (result.success) window.location.reload();
+     */
+    queueNewGame(seed, challengeDate = null) {
+        const isEmpty = seed === null || seed === undefined || String(seed).trim() === '';
+        const normalized = isEmpty ? null : GameRandom.normalizeSeed(seed);
+
+        if (!isEmpty && normalized === null) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.INVALID_SEED
+            };
+        }
+
+        this.stopAutoSave();
+        this.clearSave();
+
+        try {
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.PENDING_GAME, JSON.stringify({
+                seed: normalized,
+                challengeDate: challengeDate
+            }));
+        } catch (error) {
+            console.error('SaveManager.queueNewGame: Failed to store new game', error);
+        }
+
+        HELPERS.debugLog('New game queued', {seed: normalized, challengeDate: challengeDate});
+
+        return {
+            success: true,
+            message: '',
+            seed: normalized
+        };
+    }
+
+
+    /**
+     * PUBLIC: takePendingGame
+     * Reads and removes the game queued by queueNewGame()
+     *
+     * @returns {Object|null} {seed, challengeDate}, or null if nothing was queued
+     *
+     * CALLED BY:
+     * - main.js initialize() (before a new GameState is created)
+     */
+    takePendingGame() {
+        try {
+            const pending = JSON.parse(localStorage.getItem(CONSTANTS.STORAGE_KEYS.PENDING_GAME));
+            localStorage.removeItem(CONSTANTS.STORAGE_KEYS.PENDING_GAME);
+
+            if (!pending || typeof pending !== 'object') {
+                return null;
+            }
+
+            return {
+                seed: GameRandom.normalizeSeed(pending.seed),
+                challengeDate: HELPERS.isValidDateString(pending.challengeDate)
+                    ? pending.challengeDate
+                    : null
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+
+    // ========================================================================
+    // SAVE SLOTS
+    // ========================================================================
+
+    /**
+     * PUBLIC: getSlots
+     * Gets a summary of every named save slot, newest first
+     *
+     * @returns {Array} Slot summaries
+     *
+     * CALLED BY:
+     * - UIManager (load game screen)
+     *
+     * EXAMPLE:
+     * getSlots() → [{id: 'slot_...', name: 'Cow rush', day: 4, money: 820,
+     *                goalMoney: 5000, progress: 16.4, savedAt: 1700000000000}]
+     */
+    getSlots() {
+        return this._readSlots()
+            .map(slot => this._getSlotSummary(slot))
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+
+    /**
+     * PUBLIC: saveToSlot
+     * Saves the current game into a new named slot
+     *
+     * @param {string} name - Slot name
+     * @returns {Object} Result object {success, message, slot?}
+     *
+     * CALLED BY:
+     * - UIManager (save new slot button)
+     */
+    saveToSlot(name) {
+        const slotName = this._normalizeSlotName(name);
+        if (!slotName) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.INVALID_SLOT_NAME
+            };
+        }
+
+        const slots = this._readSlots();
+        if (slots.length >= CONSTANTS.VALIDATION.MAX_SAVE_SLOTS) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.NO_FREE_SLOTS
+            };
+        }
+
+        const slot = Object.assign({
+            id: HELPERS.generateUniqueId('slot'),
+            name: slotName
+        }, this._createSaveRecord());
+
+        slots.push(slot);
+
+        if (!this._writeSlots(slots)) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            };
+        }
+
+        HELPERS.debugLog(`Saved to slot: ${slotName}`, {slotId: slot.id});
+
+        return {
+            success: true,
+            message: CONSTANTS.SUCCESS_MESSAGES.SLOT_SAVED,
+            slot: this._getSlotSummary(slot)
+        };
+    }
+
+
+    /**
+     * PUBLIC: overwriteSlot
+     * Replaces a slot's contents with the current game (keeps its name)
+     *
+     * @param {string} slotId - Slot ID
+     * @returns {Object} Result object {success, message, slot?}
+     */
+    overwriteSlot(slotId) {
+        const slots = this._readSlots();
+        const index = slots.findIndex(s => s.id === slotId);
+
+        if (index === -1) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SLOT_NOT_FOUND
+            };
+        }
+
+        slots[index] = Object.assign({
+            id: slots[index].id,
+            name: slots[index].name
+        }, this._createSaveRecord());
+
+        if (!this._writeSlots(slots)) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            };
+        }
+
+        HELPERS.debugLog(`Overwrote slot: ${slots[index].name}`, {slotId: slotId});
+
+        return {
+            success: true,
+            message: CONSTANTS.SUCCESS_MESSAGES.SLOT_SAVED,
+            slot: this._getSlotSummary(slots[index])
+        };
+    }
+
+
+    /**
+     * PUBLIC: renameSlot
+     * Changes a slot's name
+     *
+     * @param {string} slotId - Slot ID
+     * @param {string} name - New name
+     * @returns {Object} Result object {success, message}
+     */
+    renameSlot(slotId, name) {
+        const slotName = this._normalizeSlotName(name);
+        if (!slotName) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.INVALID_SLOT_NAME
+            };
+        }
+
+        const slots = this._readSlots();
+        const slot = HELPERS.findById(slots, slotId);
+
+        if (!slot) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SLOT_NOT_FOUND
+            };
+        }
+
+        slot.name = slotName;
+
+        if (!this._writeSlots(slots)) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            };
+        }
+
+        return {
+            success: true,
+            message: CONSTANTS.SUCCESS_MESSAGES.SLOT_RENAMED
+        };
+    }
+
+
+    /**
+     * PUBLIC: deleteSlot
+     * Removes a save slot
+     *
+     * @param {string} slotId - Slot ID
+     * @returns {Object} Result object {success, message}
+     */
+    deleteSlot(slotId) {
+        const slots = this._readSlots();
+        const remaining = slots.filter(s => s.id !== slotId);
+
+        if (remaining.length === slots.length) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SLOT_NOT_FOUND
+            };
+        }
+
+        if (!this._writeSlots(remaining)) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            };
+        }
+
+        HELPERS.debugLog('Deleted slot', {slotId: slotId});
+
+        return {
+            success: true,
+            message: CONSTANTS.SUCCESS_MESSAGES.SLOT_DELETED
+        };
+    }
+
+
+    /**
+     * PUBLIC: loadSlot
+     * Restores the game stored in a slot
+     *
+     * @param {string} slotId - Slot ID
+     * @returns {Object} Result object {success, message, gameState?, dayElapsedTime?}
+     *
+     * CALLED BY:
+     * - UIManager (load button on a slot card)
+     *
+     * NOTE: The caller must restart TimerManager with dayElapsedTime.
+     * If loading fails, the current game is left untouched.
+     */
+    loadSlot(slotId) {
+        const slot = HELPERS.findById(this._readSlots(), slotId);
+
+        if (!slot) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SLOT_NOT_FOUND
+            };
+        }
+
+        const result = this._restoreSaveRecord(slot);
+
+        if (result.success) {
+            HELPERS.debugLog(`Loaded slot: ${slot.name}`, {slotId: slotId});
+        }
+
+        return result;
+    }
+
+
+    // ========================================================================
+    // EXPORT / IMPORT
+    // ========================================================================
+
+    /**
+     * PUBLIC: exportGame
+     * Serializes the current game as a JSON save record
+     *
+     * @returns {Object} {success, message, json, fileName}
+     *
+     * CALLED BY:
+     * - UIManager (download .json button)
+     *
+     * EXAMPLE:
+     * exportGame() → {success: true, json: '{"savedAt":...}', fileName: 'farm-rescue-day7.json'}
+     */
+    exportGame() {
+        try {
+            const record = this._createSaveRecord();
+
+            return {
+                success: true,
+                message: CONSTANTS.SUCCESS_MESSAGES.GAME_EXPORTED,
+                json: JSON.stringify(record, null, 2),
+                fileName: `farm-rescue-day${record.gameState.currentDay}-${record.savedAt}.json`
+            };
+        } catch (error) {
+            console.error('SaveManager.exportGame: Failed to export', error);
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            };
+        }
+    }
+
+
+    /**
+     * PUBLIC: exportShareCode
+     * Serializes the current game as a compact base64 share code
+     *
+     * @returns {Object} {success, message, code}
+     *
+     * NOTE: The ledger and price history are left out (they grow with
+     * every sale and day and make up most of a late save). The imported
+     * game starts both again from its current day; a .json export
+     * (exportGame) keeps them.
+     *
+     * CALLED BY:
+     * - UIManager (share code button)
+     */
+    exportShareCode() {
+        try {
+            const record = this._createSaveRecord();
+            record.gameState.ledger = [];
+            record.gameState.priceHistory = [];
+
+            const json = JSON.stringify(record);
+
+            return {
+                success: true,
+                message: CONSTANTS.SUCCESS_MESSAGES.GAME_EXPORTED,
+                code: this._encodeBase64(json)
+            };
+        } catch (error) {
+            console.error('SaveManager.exportShareCode: Failed to export', error);
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.SAVE_FAILED
+            };
+        }
+    }
+
+
+    /**
+     * PUBLIC: importGame
+     * Restores a game from exported JSON text or a share code
+     *
+     * @param {string} text - Contents of an exported .json file, or a share code
+     * @returns {Object} Result object {success, message, gameState?, dayElapsedTime?}
+     *
+     * CALLED BY:
+     * - UIManager (import dialog)
+     *
+     * LOGIC:
+     * 1. Text starting with '{' is JSON, anything else is decoded as base64
+     * 2. Accepts a full save record or a bare GameState.toJSON() object
+     * 3. Goes through the same migration/validation as a normal load
+     *
+     * NOTE: The caller must restart TimerManager with dayElapsedTime.
+     */
+    importGame(text) {
+        const input = typeof text === 'string' ? text.trim() : '';
+
+        if (!input) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.IMPORT_EMPTY
+            };
+        }
+
+        let parsed = null;
+        try {
+            const json = input.startsWith('{') ? input : this._decodeBase64(input);
+            parsed = JSON.parse(json);
+        } catch (error) {
+            return this._loadFailed(['Not a valid save file or share code.']);
+        }
+
+        // A bare GameState.toJSON() export has no record wrapper
+        const record = parsed && parsed.gameState ? parsed : {gameState: parsed};
+
+        const result = this._restoreSaveRecord(record);
+
+        if (result.success) {
+            result.message = CONSTANTS.SUCCESS_MESSAGES.GAME_IMPORTED;
+            HELPERS.debugLog('Game imported', {day: result.gameState.currentDay});
+        }
+
+        return result;
+    }
+
+
+    // ========================================================================
+    // PRIVATE HELPERS
+    // ========================================================================
+
+    /**
+     * PRIVATE: _createSaveRecord
+     * Builds a save record for the current game
+     *
+     * @returns {Object} {savedAt, dayElapsedTime, gameState}
+     */
+    _createSaveRecord() {
+        return {
+            savedAt: Date.now(),
+            dayElapsedTime: TimerManager.getInstance().getDayElapsedTime(),
+            gameState: GameState.getInstance().toJSON()
+        };
+    }
+
+
+    /**
+     * PRIVATE: _restoreSaveRecord
+     * Rebuilds GameState from a save record
+     *
+     * @param {Object} record - Save record ({savedAt, dayElapsedTime, gameState})
+     * @returns {Object} Result object {success, message, gameState?, dayElapsedTime?}
+     *
+     * LOGIC:
+     * 1. Migrate and validate the data via SAVE_SCHEMA.prepare()
+     * 2. Rebuild GameState (and the game clock) via GameState.fromJSON()
+     * 3. Return the elapsed day time so TimerManager can resume the day clock
+     *
+     * NOTE: On failure the previous GameState and GameRandom instances are put back.
+     */
+    _restoreSaveRecord(record) {
+        const previousState = GameState.instance;
+        const previousRandom = GameRandom.instance;
+
+        try {
+            if (!record || typeof record !== 'object' || !record.gameState) {
+                return this._loadFailed(['Save record is missing game state.']);
+            }
+
+            // Migrate and validate before anything is restored
+            const prepared = SAVE_SCHEMA.prepare(record.gameState);
+            if (!prepared.success) {
+                return this._loadFailed(prepared.errors);
+            }
+
+            // Also restores the game clock, so time spent outside the
+            // game (page closed, other slot loaded) does not count
+            const gameState = GameState.fromJSON(prepared.data);
+
+            const dayElapsedTime = HELPERS.isValidNumber(record.dayElapsedTime)
+                ? Math.max(0, record.dayElapsedTime)
+                : 0;
+
+            HELPERS.debugLog('Game loaded', {
+                day: gameState.currentDay,
+                money: gameState.currentMoney,
+                dayElapsedTime: dayElapsedTime
+            });
+
+            return {
+                success: true,
+                message: CONSTANTS.SUCCESS_MESSAGES.GAME_LOADED,
+                gameState: gameState,
+                dayElapsedTime: dayElapsedTime
+            };
+
+        } catch (error) {
+            console.error('SaveManager: Failed to restore save', error);
+
+            // Make sure a broken save does not leave a half-restored state behind
+            GameState.instance = previousState || null;
+            GameRandom.instance = previousRandom || null;
+
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.LOAD_FAILED
+            };
+        }
+    }
+
+
+    /**
+     * PRIVATE: _loadFailed
+     * Builds the result for a save that failed validation
+     *
+     * @param {string[]} errors - Validation errors
+     * @returns {Object} Result object {success: false, message, errors}
+     */
+    _loadFailed(errors) {
+        console.error('SaveManager: Save rejected', errors);
+
+        return {
+            success: false,
+            message: `${CONSTANTS.ERROR_MESSAGES.LOAD_FAILED} ${errors[0] || ''}`.trim(),
+            errors: errors
+        };
+    }
+
+
+    /**
+     * PRIVATE: _readSlots
+     * Reads all save slots from localStorage
+     *
+     * @returns {Array} Slot records (empty if none or unreadable)
+     */
+    _readSlots() {
+        try {
+            const slots = JSON.parse(localStorage.getItem(CONSTANTS.STORAGE_KEYS.SAVE_SLOTS));
+            return Array.isArray(slots) ? slots : [];
+        } catch (error) {
+            console.error('SaveManager._readSlots: Failed to read slots', error);
+            return [];
+        }
+    }
+
+
+    /**
+     * PRIVATE: _writeSlots
+     * Writes all save slots to localStorage
+     *
+     * @param {Array} slots - Slot records
+     * @returns {boolean} True if written
+     */
+    _writeSlots(slots) {
+        try {
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.SAVE_SLOTS, JSON.stringify(slots));
+            return true;
+        } catch (error) {
+            console.error('SaveManager._writeSlots: Failed to write slots', error);
+            return false;
+        }
+    }
+
+
+    /**
+     * PRIVATE: _getSlotSummary
+     * Extracts the display fields of a slot
+     *
+     * @param {Object} slot - Slot record
+     * @returns {Object} {id, name, day, money, goalMoney, progress, savedAt}
+     */
+    _getSlotSummary(slot) {
+        const state = slot.gameState || {};
+        const money = HELPERS.isValidNumber(state.currentMoney) ? state.currentMoney : 0;
+        const goalMoney = state.goalMoney || GAME_CONFIG.GOAL_MONEY;
+        const debt = HELPERS.isValidNumber(state.debt) ? state.debt : goalMoney;
+        const loanBalance = Array.isArray(state.loans)
+            ? state.loans.reduce((sum, loan) => sum + (loan.balance || 0), 0)
+            : 0;
+        // Paid off + cash - loans, like GameState.getDebtCovered()
+        const covered = Math.max(0, money + goalMoney - debt - loanBalance);
+
+        return {
+            id: slot.id,
+            name: slot.name,
+            day: state.currentDay || 1,
+            money: money,
+            goalMoney: goalMoney,
+            progress: HELPERS.roundToDecimals(HELPERS.calculatePercentage(covered, goalMoney), 1),
+            savedAt: slot.savedAt || 0
+        };
+    }
+
+
+    /**
+     * PRIVATE: _normalizeSlotName
+     * Trims a slot name and checks its length
+     *
+     * @param {string} name - Raw name
+     * @returns {string|null} Trimmed name, or null if invalid
+     */
+    _normalizeSlotName(name) {
+        if (typeof name !== 'string') {
+            return null;
+        }
+
+        const trimmed = name.trim();
+        if (trimmed.length < CONSTANTS.VALIDATION.MIN_NAME_LENGTH ||
+            trimmed.length > CONSTANTS.VALIDATION.MAX_NAME_LENGTH) {
+            return null;
+        }
+
+        return trimmed;
+    }
+
+
+    /**
+     * PRIVATE: _encodeBase64
+     * Encodes a UTF-8 string as base64
+     *
+     * @param {string} text - Text to encode
+     * @returns {string} Base64 string
+     */
+    _encodeBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+
+    /**
+     * PRIVATE: _decodeBase64
+     * Decodes base64 back to a UTF-8 string
+     *
+     * @param {string} code - Base64 string (whitespace is ignored)
+     * @returns {string} Decoded text
+     */
+    _decodeBase64(code) {
+        const binary = atob(code.replace(/\s+/g, ''));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+
+
+    /**
+     * PRIVATE: _dispatchEvent
+     * Dispatches a save-related event
+     *
+     * @param {string} eventName - Event name from CONSTANTS.EVENTS
+     * @param {Object} detail - Event detail
+     */
+    _dispatchEvent(eventName, detail) {
+        GAME_EVENTS.dispatch(eventName, detail);
+    }
+}
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Get save manager instance
+ * const saveManager = SaveManager.getInstance();
+ *
+ * // Restore a previous game (if any) before starting timers
+ * const loadResult = saveManager.loadGame();
+ * if (loadResult.success) {
+ *     timerManager.start(loadResult.dayElapsedTime);
+ * }
+ *
+ * // Start autosaving
+ * saveManager.startAutoSave();
+ *
+ * // Save manually
+ * const result = saveManager.saveGame();
+ * console.log(result.message); // "Game progress saved!"
+ *
+ * // Named slots
+ * saveManager.saveToSlot('Chicken rush');
+ * const slots = saveManager.getSlots();
+ * saveManager.renameSlot(slots[0].id, 'Chicken rush v2');
+ * const slotResult = saveManager.loadSlot(slots[0].id);
+ *
+ * // Share a mid-game situation
+ * const code = saveManager.exportShareCode().code;
+ * const importResult = saveManager.importGame(code);   // also accepts .json text
+ *
+ * ============================================================================
+ */
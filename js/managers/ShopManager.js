@@ -7,7 +7,9 @@
  * This manager handles:
  * - Tom's Seed Shop operations (buy seeds, sell crops)
  * - Henry's Animal Farm operations (buy animals, sell animals)
- * - Price calculations with weather multipliers
+ * - Price calculations with each commodity's demand (weather, season and
+ *   holidays - see Market.js)
+ * - Market saturation (each unit sold today lowers the next one's price)
  * - Transaction validation and execution
  * - Shop inventory management
  *
@@ -21,8 +23,11 @@
  * - Crop.js (create new crop instances)
  * - Animal.js (create new animal instances)
  * - Weather.js (get current weather for pricing)
+ * - Market.js (demand of each crop and animal type)
+ * - Calendar.js (seeds in season)
  * - constants.js (error messages, event names)
  * - helpers.js (formatting, validation)
+ * - gameEvents.js (dispatch game events)
  *
  * USED BY:
  * - UIManager.js (when player clicks shop buttons)
@@ -96,6 +101,7 @@ class ShopManager {
      *
      * VALIDATION:
      * - Crop type must be valid
+     * - Crop must be in season (see CALENDAR)
      * - Player must have enough money
      * - Game must not be over
      *
@@ -103,7 +109,7 @@ class ShopManager {
      * - UIManager.js (when player clicks buy button)
      *
      * SIDE EFFECTS:
-     * - Deducts money from GameState
+     * - Deducts money from GameState (kept in the ledger)
      * - Adds seed to GameState inventory
      * - Dispatches ITEM_PURCHASED event
      *
@@ -133,6 +139,15 @@ class ShopManager {
             };
         }
 
+        // Check the season
+        const outOfSeason = CALENDAR.getOutOfSeasonReason(cropType, gameState.currentDay);
+        if (outOfSeason) {
+            return {
+                success: false,
+                message: outOfSeason
+            };
+        }
+
         // Check if player can afford
         if (!gameState.canAfford(cropDef.seedCost)) {
             return {
@@ -145,7 +160,8 @@ class ShopManager {
         // Deduct money
         const deducted = gameState.deductMoney(
             cropDef.seedCost,
-            `Bought ${cropDef.name} seed`
+            `Bought ${cropDef.name} seed`,
+            {category: CONSTANTS.LEDGER_CATEGORIES.SEED_PURCHASE, itemType: cropType}
         );
 
         if (!deducted) {
@@ -167,14 +183,12 @@ class ShopManager {
         });
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.ITEM_PURCHASED, {
-            detail: {
-                itemType: 'seed',
-                item: crop,
-                cost: cropDef.seedCost,
-                message: `Purchased ${cropDef.name} seed for ${HELPERS.formatMoney(cropDef.seedCost)}`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.ITEM_PURCHASED, {
+            itemType: 'seed',
+            item: crop,
+            cost: cropDef.seedCost,
+            message: `Purchased ${cropDef.name} seed for ${HELPERS.formatMoney(cropDef.seedCost)}`
+        });
 
         return {
             success: true,
@@ -216,6 +230,15 @@ class ShopManager {
             };
         }
 
+        // Check the season
+        const outOfSeason = CALENDAR.getOutOfSeasonReason(cropType, gameState.currentDay);
+        if (outOfSeason) {
+            return {
+                canBuy: false,
+                reason: outOfSeason
+            };
+        }
+
         // Check if can afford
         if (!gameState.canAfford(cropDef.seedCost)) {
             return {
@@ -251,8 +274,10 @@ class ShopManager {
      * - UIManager.js (when player clicks sell button)
      *
      * SIDE EFFECTS:
-     * - Adds money to GameState (with weather multiplier)
-     * - Removes crop from GameState inventory
+     * - Adds money to GameState (with the commodity's demand and market
+     *   saturation; kept in the ledger)
+     * - Removes crop from GameState inventory (counts towards today's sales and
+     *   is kept in the price history)
      * - Dispatches ITEM_SOLD event
      *
      * EXAMPLE:
@@ -298,12 +323,15 @@ class ShopManager {
             };
         }
 
-        // Calculate selling price with weather multiplier
-        const sellPrice = crop.calculateSellPrice(currentWeather.demandIndex);
-        const profit = crop.calculateProfit(currentWeather.demandIndex);
+        // Calculate selling price with this crop's demand, lowered by
+        // the units of this type already sold today
+        const demandIndex = MARKET.getDemandIndex(crop.type, currentWeather.demandIndex, gameState.currentDay);
+        const saturation = this.getSaturationFactor(crop.type);
+        const sellPrice = crop.calculateSellPrice(demandIndex * saturation);
+        const profit = crop.calculateProfit(demandIndex * saturation);
 
         // Remove crop from inventory
-        const sold = gameState.sellCrop(cropId);
+        const sold = gameState.sellCrop(cropId, sellPrice);
         if (!sold) {
             return {
                 success: false,
@@ -314,27 +342,27 @@ class ShopManager {
         // Add money
         gameState.addMoney(
             sellPrice,
-            `Sold ${crop.name} (${HELPERS.formatMultiplier(currentWeather.demandIndex)})`
+            `Sold ${crop.name} (${this._describeSalePrice(demandIndex, saturation)})`,
+            {category: CONSTANTS.LEDGER_CATEGORIES.CROP_SALE, itemType: crop.type, demandIndex: demandIndex}
         );
 
         HELPERS.debugLog(`Sold ${crop.name}`, {
             cropId: crop.id,
             sellPrice: sellPrice,
             profit: profit,
-            demandIndex: currentWeather.demandIndex
+            demandIndex: demandIndex
         });
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.ITEM_SOLD, {
-            detail: {
-                itemType: 'crop',
-                item: crop,
-                sellPrice: sellPrice,
-                profit: profit,
-                demandIndex: currentWeather.demandIndex,
-                message: `Sold ${crop.name} for ${HELPERS.formatMoney(sellPrice)}!`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.ITEM_SOLD, {
+            itemType: 'crop',
+            item: crop,
+            sellPrice: sellPrice,
+            profit: profit,
+            demandIndex: demandIndex,
+            saturation: saturation,
+            message: `Sold ${crop.name} for ${HELPERS.formatMoney(sellPrice)}!`
+        });
 
         return {
             success: true,
@@ -404,7 +432,7 @@ class ShopManager {
      * - UIManager.js (when player clicks buy button)
      *
      * SIDE EFFECTS:
-     * - Deducts money from GameState
+     * - Deducts money from GameState (kept in the ledger)
      * - Adds young animal to GameState inventory
      * - Dispatches ITEM_PURCHASED event
      *
@@ -446,7 +474,8 @@ class ShopManager {
         // Deduct money
         const deducted = gameState.deductMoney(
             animalDef.purchaseCost,
-            `Bought ${animalDef.name}`
+            `Bought ${animalDef.name}`,
+            {category: CONSTANTS.LEDGER_CATEGORIES.ANIMAL_PURCHASE, itemType: animalType}
         );
 
         if (!deducted) {
@@ -468,14 +497,12 @@ class ShopManager {
         });
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.ITEM_PURCHASED, {
-            detail: {
-                itemType: 'animal',
-                item: animal,
-                cost: animalDef.purchaseCost,
-                message: `Purchased ${animalDef.name} for ${HELPERS.formatMoney(animalDef.purchaseCost)}`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.ITEM_PURCHASED, {
+            itemType: 'animal',
+            item: animal,
+            cost: animalDef.purchaseCost,
+            message: `Purchased ${animalDef.name} for ${HELPERS.formatMoney(animalDef.purchaseCost)}`
+        });
 
         return {
             success: true,
@@ -552,8 +579,10 @@ class ShopManager {
      * - UIManager.js (when player clicks sell button)
      *
      * SIDE EFFECTS:
-     * - Adds money to GameState (with weather multiplier)
-     * - Removes animal from GameState inventory
+     * - Adds money to GameState (with the commodity's demand and market
+     *   saturation; kept in the ledger)
+     * - Removes animal from GameState inventory (counts towards today's sales and
+     *   is kept in the price history)
      * - Dispatches ITEM_SOLD event
      *
      * EXAMPLE:
@@ -599,12 +628,15 @@ class ShopManager {
             };
         }
 
-        // Calculate selling price with weather multiplier
-        const sellPrice = animal.calculateSellPrice(currentWeather.demandIndex);
-        const profit = animal.calculateProfit(currentWeather.demandIndex);
+        // Calculate selling price with this animal's demand, lowered by
+        // the units of this type already sold today
+        const demandIndex = MARKET.getDemandIndex(animal.type, currentWeather.demandIndex, gameState.currentDay);
+        const saturation = this.getSaturationFactor(animal.type);
+        const sellPrice = animal.calculateSellPrice(demandIndex * saturation);
+        const profit = animal.calculateProfit(demandIndex * saturation);
 
         // Remove animal from inventory
-        const sold = gameState.sellAnimal(animalId);
+        const sold = gameState.sellAnimal(animalId, sellPrice);
         if (!sold) {
             return {
                 success: false,
@@ -615,28 +647,28 @@ class ShopManager {
         // Add money
         gameState.addMoney(
             sellPrice,
-            `Sold ${animal.name} (${HELPERS.formatMultiplier(currentWeather.demandIndex)})`
+            `Sold ${animal.name} (${this._describeSalePrice(demandIndex, saturation)})`,
+            {category: CONSTANTS.LEDGER_CATEGORIES.ANIMAL_SALE, itemType: animal.type, demandIndex: demandIndex}
         );
 
         HELPERS.debugLog(`Sold ${animal.name}`, {
             animalId: animal.id,
             sellPrice: sellPrice,
             profit: profit,
-            demandIndex: currentWeather.demandIndex,
+            demandIndex: demandIndex,
             hadOffspring: animal.hasOffspring
         });
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.ITEM_SOLD, {
-            detail: {
-                itemType: 'animal',
-                item: animal,
-                sellPrice: sellPrice,
-                profit: profit,
-                demandIndex: currentWeather.demandIndex,
-                message: `Sold ${animal.name} for ${HELPERS.formatMoney(sellPrice)}!`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.ITEM_SOLD, {
+            itemType: 'animal',
+            item: animal,
+            sellPrice: sellPrice,
+            profit: profit,
+            demandIndex: demandIndex,
+            saturation: saturation,
+            message: `Sold ${animal.name} for ${HELPERS.formatMoney(sellPrice)}!`
+        });
 
         return {
             success: true,
@@ -700,25 +732,29 @@ class ShopManager {
      * - UIManager.js (display Tom's shop inventory)
      *
      * RETURNS:
-     * Array of crop definition objects with pricing info
+     * Array of crop definition objects with pricing info and today's
+     * demand breakdown (demand, see MARKET.getDemand())
      */
     getAvailableSeeds() {
         const gameState = GameState.getInstance();
-        const currentWeather = gameState.getCurrentWeather();
-        const demandIndex = currentWeather ? currentWeather.demandIndex : 1.0;
 
         // Get all crops from config
         return GAME_CONFIG.CROPS.map(cropDef => {
             // Calculate what player would get if they bought and sold
+            // (at today's demand for this crop)
+            const demand = this.getCommodityDemand(cropDef.id);
             const baseSellPrice = cropDef.baseSellPrice;
-            const currentSellPrice = Math.floor(baseSellPrice * demandIndex);
+            const currentSellPrice = HELPERS.floorPrice(baseSellPrice * demand.demandIndex);
             const potentialProfit = currentSellPrice - cropDef.seedCost;
 
             return {
                 ...cropDef,
+                demand: demand,
                 currentSellPrice: currentSellPrice,
                 potentialProfit: potentialProfit,
-                canAfford: gameState.canAfford(cropDef.seedCost)
+                canAfford: gameState.canAfford(cropDef.seedCost),
+                inSeason: CALENDAR.isCropInSeason(cropDef.id, gameState.currentDay),
+                seasonNames: CALENDAR.getCropSeasons(cropDef.id).map(season => season.name)
             };
         });
     }
@@ -734,22 +770,24 @@ class ShopManager {
      * - UIManager.js (display Henry's shop inventory)
      *
      * RETURNS:
-     * Array of animal definition objects with pricing info
+     * Array of animal definition objects with pricing info and today's
+     * demand breakdown (demand, see MARKET.getDemand())
      */
     getAvailableAnimals() {
         const gameState = GameState.getInstance();
-        const currentWeather = gameState.getCurrentWeather();
-        const demandIndex = currentWeather ? currentWeather.demandIndex : 1.0;
 
         // Get all animals from config
         return GAME_CONFIG.ANIMALS.map(animalDef => {
             // Calculate what player would get if they bought and sold
+            // (at today's demand for this animal)
+            const demand = this.getCommodityDemand(animalDef.id);
             const baseSellPrice = animalDef.baseSellPrice;
-            const currentSellPrice = Math.floor(baseSellPrice * demandIndex);
+            const currentSellPrice = HELPERS.floorPrice(baseSellPrice * demand.demandIndex);
             const potentialProfit = currentSellPrice - animalDef.purchaseCost;
 
             return {
                 ...animalDef,
+                demand: demand,
                 currentSellPrice: currentSellPrice,
                 potentialProfit: potentialProfit,
                 canAfford: gameState.canAfford(animalDef.purchaseCost)
@@ -788,6 +826,97 @@ class ShopManager {
     }
 
 
+    // ========================================================================
+    // MARKET SATURATION
+    // ========================================================================
+
+    /**
+     * STATIC: calculateSaturationFactor
+     * Converts the units of a type sold today into a price factor
+     *
+     * @param {number} unitsSold - Units of the same type already sold today
+     * @returns {number} Price factor for the next unit (1.0 = full price)
+     *
+     * FORMULA:
+     * factor = 1 - PRICE_DROP_PER_UNIT × unitsSold, at least MIN_PRICE_FACTOR
+     * (GAME_CONFIG.MARKET_SATURATION)
+     *
+     * NOTE: Not rounded, so every unit drops the price by exactly
+     * PRICE_DROP_PER_UNIT; only the final sell price is rounded
+     * (HELPERS.floorPrice, so 1000 × 0.805 still pays $805).
+     *
+     * EXAMPLES:
+     * calculateSaturationFactor(0) → 1.0 (first sale of the day)
+     * calculateSaturationFactor(3) → 0.955
+     * calculateSaturationFactor(5) → 0.925
+     * calculateSaturationFactor(40) → 0.5 (floor)
+     *
+     * CALLED BY:
+     * - getSaturationFactor()
+     * - PLAN_SOLVER (plans sell into the same market)
+     */
+    static calculateSaturationFactor(unitsSold) {
+        const rules = GAME_CONFIG.MARKET_SATURATION;
+        const factor = 1 - rules.PRICE_DROP_PER_UNIT * Math.max(0, unitsSold);
+
+        return Math.max(rules.MIN_PRICE_FACTOR, factor);
+    }
+
+
+    /**
+     * PUBLIC: getSaturationFactor
+     * Gets the price factor of the next unit of a type sold today
+     *
+     * @param {string} type - Crop or animal type (e.g. 'wheat')
+     * @returns {number} Price factor (1.0 = full price)
+     *
+     * NOTE: The market recovers overnight (GameState.advanceDay() clears
+     * today's sales), so every day starts at 1.0.
+     */
+    getSaturationFactor(type) {
+        return ShopManager.calculateSaturationFactor(GameState.getInstance().getSalesToday(type));
+    }
+
+
+    /**
+     * PUBLIC: getMarginalSellPrice
+     * Gets what selling a crop or animal right now would pay
+     *
+     * @param {Crop|Animal} item - Harvested crop or mature animal
+     * @returns {Object} {sellPrice, profit, saturation, fullPrice, demand}
+     *   fullPrice is the price before market saturation, demand the
+     *   breakdown of the item type's demand (MARKET.getDemand())
+     *
+     * CALLED BY:
+     * - UIManager._createSellItemCard()
+     */
+    getMarginalSellPrice(item) {
+        const demand = this.getCommodityDemand(item.type);
+        const demandIndex = demand.demandIndex;
+        const saturation = this.getSaturationFactor(item.type);
+
+        return {
+            sellPrice: item.calculateSellPrice(demandIndex * saturation),
+            profit: item.calculateProfit(demandIndex * saturation),
+            saturation: saturation,
+            fullPrice: item.calculateSellPrice(demandIndex),
+            demand: demand
+        };
+    }
+
+
+    /**
+     * PRIVATE: _describeSalePrice
+     * Describes the multipliers of a sale for the money log
+     *
+     * @returns {string} e.g. "2.0x" or "2.0x, market 80%"
+     */
+    _describeSalePrice(demandIndex, saturation) {
+        const demand = HELPERS.formatMultiplier(demandIndex);
+        return saturation < 1 ? `${demand}, market ${HELPERS.formatPercentage(saturation, 1)}` : demand;
+    }
+
+
     // ========================================================================
     // PRICE CALCULATION UTILITIES
     // ========================================================================
@@ -798,6 +927,10 @@ class ShopManager {
      *
      * @returns {number} Demand index (0.8-2.0)
      *
+     * NOTE: This is the weather's demand, shared by the whole market. What
+     * a crop or animal sells for follows its own demand
+     * (getCommodityDemandIndex).
+     *
      * CALLED BY:
      * - UIManager.js (display current multiplier)
      */
@@ -808,9 +941,37 @@ class ShopManager {
     }
 
 
+    /**
+     * PUBLIC: getCommodityDemand
+     * Gets today's demand for a crop or animal type, with what makes it up
+     *
+     * @param {string} type - Crop or animal type (e.g. 'strawberry', 'pig')
+     * @returns {Object} Demand breakdown (see MARKET.getDemand())
+     *
+     * CALLED BY:
+     * - getAvailableSeeds() / getAvailableAnimals(), getMarginalSellPrice()
+     * - getPriceInfo()
+     */
+    getCommodityDemand(type) {
+        return MARKET.getDemand(type, this.getCurrentDemandIndex(), GameState.getInstance().currentDay);
+    }
+
+
+    /**
+     * PUBLIC: getCommodityDemandIndex
+     * Gets today's demand multiplier for a crop or animal type
+     *
+     * @param {string} type - Crop or animal type
+     * @returns {number} Demand index (weather, season and holiday)
+     */
+    getCommodityDemandIndex(type) {
+        return this.getCommodityDemand(type).demandIndex;
+    }
+
+
     /**
      * PUBLIC: calculateCropSellPrice
-     * Calculates current selling price for a crop
+     * Calculates current selling price for a crop (the next unit sold today)
      *
      * @param {string} cropType - Type of crop
      * @returns {number} Current selling price
@@ -822,14 +983,14 @@ class ShopManager {
         const cropDef = Crop.getCropDefinition(cropType);
         if (!cropDef) return 0;
 
-        const demandIndex = this.getCurrentDemandIndex();
-        return Math.floor(cropDef.baseSellPrice * demandIndex);
+        const demandIndex = this.getCommodityDemandIndex(cropType) * this.getSaturationFactor(cropType);
+        return HELPERS.floorPrice(cropDef.baseSellPrice * demandIndex);
     }
 
 
     /**
      * PUBLIC: calculateAnimalSellPrice
-     * Calculates current selling price for an animal
+     * Calculates current selling price for an animal (the next unit sold today)
      *
      * @param {string} animalType - Type of animal
      * @returns {number} Current selling price
@@ -841,8 +1002,8 @@ class ShopManager {
         const animalDef = Animal.getAnimalDefinition(animalType);
         if (!animalDef) return 0;
 
-        const demandIndex = this.getCurrentDemandIndex();
-        return Math.floor(animalDef.baseSellPrice * demandIndex);
+        const demandIndex = this.getCommodityDemandIndex(animalType) * this.getSaturationFactor(animalType);
+        return HELPERS.floorPrice(animalDef.baseSellPrice * demandIndex);
     }
 
 
@@ -852,21 +1013,23 @@ class ShopManager {
      *
      * @param {string} itemType - 'crop' or 'animal'
      * @param {string} type - Specific type (e.g., 'wheat', 'chicken')
-     * @returns {Object} Price information
+     * @returns {Object} Price information: demandIndex is this type's
+     *   demand, weatherDemandIndex the weather's and demand the breakdown
+     *   (MARKET.getDemand())
      *
      * CALLED BY:
      * - UIManager.js (display detailed price info)
      */
     getPriceInfo(itemType, type) {
-        const gameState = GameState.getInstance();
-        const currentWeather = gameState.getCurrentWeather();
-        const demandIndex = currentWeather ? currentWeather.demandIndex : 1.0;
+        const demand = this.getCommodityDemand(type);
+        const demandIndex = demand.demandIndex;
+        const saturation = this.getSaturationFactor(type);
 
         if (itemType === 'crop') {
             const cropDef = Crop.getCropDefinition(type);
             if (!cropDef) return null;
 
-            const currentSellPrice = Math.floor(cropDef.baseSellPrice * demandIndex);
+            const currentSellPrice = HELPERS.floorPrice(cropDef.baseSellPrice * demandIndex * saturation);
             const potentialProfit = currentSellPrice - cropDef.seedCost;
 
             return {
@@ -874,6 +1037,9 @@ class ShopManager {
                 baseSellPrice: cropDef.baseSellPrice,
                 currentSellPrice: currentSellPrice,
                 demandIndex: demandIndex,
+                weatherDemandIndex: demand.weatherDemandIndex,
+                demand: demand,
+                saturation: saturation,
                 potentialProfit: potentialProfit,
                 profitPercentage: HELPERS.calculatePercentage(potentialProfit, cropDef.seedCost)
             };
@@ -881,7 +1047,7 @@ class ShopManager {
             const animalDef = Animal.getAnimalDefinition(type);
             if (!animalDef) return null;
 
-            const currentSellPrice = Math.floor(animalDef.baseSellPrice * demandIndex);
+            const currentSellPrice = HELPERS.floorPrice(animalDef.baseSellPrice * demandIndex * saturation);
             const potentialProfit = currentSellPrice - animalDef.purchaseCost;
 
             return {
@@ -889,6 +1055,9 @@ class ShopManager {
                 baseSellPrice: animalDef.baseSellPrice,
                 currentSellPrice: currentSellPrice,
                 demandIndex: demandIndex,
+                weatherDemandIndex: demand.weatherDemandIndex,
+                demand: demand,
+                saturation: saturation,
                 potentialProfit: potentialProfit,
                 profitPercentage: HELPERS.calculatePercentage(potentialProfit, animalDef.purchaseCost)
             };
@@ -1127,8 +1296,8 @@ class ShopManager {
         if (shopType === 'tom') {
             const seeds = this.getAvailableSeeds();
 
-            // Filter affordable seeds
-            const affordableSeeds = seeds.filter(s => s.seedCost <= currentMoney);
+            // Filter affordable seeds that are in season
+            const affordableSeeds = seeds.filter(s => s.inSeason && s.seedCost <= currentMoney);
 
             if (affordableSeeds.length === 0) return null;
 
@@ -16,12 +16,19 @@
  * Uses setInterval to create a main game loop that runs every second
  * Updates all growing items and checks for state changes
  *
+ * GAME SPEED:
+ * setSpeed() changes the GameClock speed, so day length, growth and
+ * breeding all scale together. Real-time intervals are divided by the
+ * speed, so the loop still runs once per second of game time.
+ *
  * DEPENDENCIES:
  * - GameState.js (read/write game state)
  * - Crop.js (check maturity, update progress)
  * - Animal.js (check maturity, attempt breeding)
  * - constants.js (timer intervals)
  * - helpers.js (time calculations)
+ * - gameEvents.js (dispatch game events)
+ * - GameClock.js (pause-aware game time)
  *
  * USED BY:
  * - main.js (initialize and start timer system)
@@ -56,7 +63,7 @@ class TimerManager {
 
         // Timer references
         this.mainLoopTimer = null;           // Main game loop interval
-        this.dayTimer = null;                // Day advancement interval
+        this.dayTimer = null;                // Day advancement timeout
 
         // State tracking
         this.isRunning = false;              // Whether timers are active
@@ -112,29 +119,50 @@ class TimerManager {
      * PUBLIC: start
      * Starts all timer systems
      *
+     * @param {number|null} dayElapsedTime - Time already spent in the current day (ms)
+     *                                       Used when restoring a saved game.
+     *                                       Omit to keep the current day clock.
+     *
      * CALLED BY:
      * - main.js (when game starts)
+     * - resume()
      *
      * SIDE EFFECTS:
      * - Starts main game loop (1 second interval)
      * - Starts day advancement timer
      * - Sets isRunning flag
+     *
+     * NOTE: A restored game that was saved while paused stays paused
+     * until resume() is called.
      */
-    start() {
+    start(dayElapsedTime = null) {
         if (this.isRunning) {
             console.warn('TimerManager: Already running');
             return;
         }
 
         const gameState = GameState.getInstance();
+        const clock = GameClock.getInstance();
 
-        // Start main game loop (runs every second)
-        this.mainLoopTimer = setInterval(() => {
-            this._mainLoop();
-        }, CONSTANTS.TIMING.TIMER_UPDATE_INTERVAL);
+        // Record when current day started (backdated when resuming a save)
+        if (dayElapsedTime !== null || this.currentDayStartTime === null) {
+            const elapsed = HELPERS.clamp(dayElapsedTime || 0, 0, this._getDayDuration());
+            this.currentDayStartTime = clock.now() - elapsed;
+        }
+
+        // Growth follows today's weather (saves from before weather growth grew at 1x)
+        gameState.applyGrowthWeather();
+
+        // Paused games keep their clock stopped
+        if (gameState.isPaused()) {
+            clock.pause();
+            this._dispatchPauseEvent(CONSTANTS.EVENTS.GAME_PAUSED);
+            HELPERS.debugLog('TimerManager not started: game is paused');
+            return;
+        }
 
-        // Record when current day started
-        this.currentDayStartTime = Date.now();
+        // Start main game loop (runs every second)
+        this._startMainLoop();
 
         // Start day advancement timer (runs every 3 minutes by default)
         this._startDayTimer();
@@ -143,7 +171,9 @@ class TimerManager {
 
         HELPERS.debugLog('TimerManager started', {
             updateInterval: CONSTANTS.TIMING.TIMER_UPDATE_INTERVAL,
-            dayDuration: GAME_CONFIG.DAY_DURATION_MINUTES
+            dayDuration: GAME_CONFIG.DAY_DURATION_MINUTES,
+            dayElapsedTime: this.getDayElapsedTime(),
+            speed: clock.getSpeed()
         });
     }
 
@@ -173,7 +203,7 @@ class TimerManager {
 
         // Clear day timer
         if (this.dayTimer) {
-            clearInterval(this.dayTimer);
+            clearTimeout(this.dayTimer);
             this.dayTimer = null;
         }
 
@@ -185,45 +215,193 @@ class TimerManager {
 
     /**
      * PUBLIC: pause
-     * Temporarily pauses all timers
+     * Pauses the game: stops timers and the game clock
      *
      * CALLED BY:
-     * - UIManager (if pause feature implemented)
+     * - UIManager (header pause button)
+     * - main.js (FarmRescueGame.pause)
+     *
+     * SIDE EFFECTS:
+     * - Sets GameState status to PAUSED
+     * - Stops GameClock, so crops/animals stop growing
+     * - Dispatches GAME_PAUSED event
      */
     pause() {
+        const gameState = GameState.getInstance();
+
+        if (gameState.isGameOver() || gameState.isPaused()) {
+            return;
+        }
+
         this.stop();
+        GameClock.getInstance().pause();
+        gameState.gameStatus = CONSTANTS.GAME_STATUS.PAUSED;
+
+        this._dispatchPauseEvent(CONSTANTS.EVENTS.GAME_PAUSED);
+
         HELPERS.debugLog('TimerManager paused');
     }
 
 
     /**
      * PUBLIC: resume
-     * Resumes paused timers
+     * Resumes a paused game from exactly where it stopped
      *
      * CALLED BY:
-     * - UIManager (if pause feature implemented)
+     * - UIManager (header pause button)
+     * - main.js (FarmRescueGame.resume)
+     *
+     * SIDE EFFECTS:
+     * - Sets GameState status back to PLAYING
+     * - Restarts GameClock and timers (day clock is kept)
+     * - Dispatches GAME_RESUMED event
      */
     resume() {
+        const gameState = GameState.getInstance();
+
+        if (!gameState.isPaused()) {
+            return;
+        }
+
+        gameState.gameStatus = CONSTANTS.GAME_STATUS.PLAYING;
+        GameClock.getInstance().resume();
         this.start();
+
+        this._dispatchPauseEvent(CONSTANTS.EVENTS.GAME_RESUMED);
+
         HELPERS.debugLog('TimerManager resumed');
     }
 
 
+    /**
+     * PUBLIC: isPaused
+     * Checks if the game is paused
+     *
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return GameState.getInstance().isPaused();
+    }
+
+
+    // ========================================================================
+    // GAME SPEED
+    // ========================================================================
+
+    /**
+     * PUBLIC: setSpeed
+     * Changes the game speed
+     *
+     * @param {number} speed - Speed multiplier (see CONSTANTS.TIMING.GAME_SPEEDS)
+     *
+     * CALLED BY:
+     * - UIManager (header speed selector)
+     *
+     * SIDE EFFECTS:
+     * - Changes GameClock speed (day timer, growth and breeding scale together)
+     * - Reschedules the running timers for the new speed
+     * - Dispatches GAME_SPEED_CHANGED event
+     *
+     * EXAMPLE:
+     * timerManager.setSpeed(5);   // a 3 minute day now takes 36 seconds
+     */
+    setSpeed(speed) {
+        if (!HELPERS.isPositiveNumber(speed)) {
+            console.error('TimerManager.setSpeed: Invalid speed', speed);
+            return;
+        }
+
+        const clock = GameClock.getInstance();
+        if (clock.getSpeed() === speed) {
+            return;
+        }
+
+        clock.setSpeed(speed);
+
+        // Timers were scheduled for the old speed
+        if (this.isRunning) {
+            clearInterval(this.mainLoopTimer);
+            clearTimeout(this.dayTimer);
+            this._startMainLoop();
+            this._startDayTimer();
+        }
+
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.GAME_SPEED_CHANGED, {
+            speed: speed
+        });
+
+        HELPERS.debugLog('TimerManager speed changed', {speed: speed});
+    }
+
+
+    /**
+     * PUBLIC: getSpeed
+     * Gets the current game speed
+     *
+     * @returns {number} Speed multiplier
+     */
+    getSpeed() {
+        return GameClock.getInstance().getSpeed();
+    }
+
+
     // ========================================================================
     // MAIN GAME LOOP
     // ========================================================================
 
+    /**
+     * PUBLIC: tick
+     * Runs one main loop update immediately
+     *
+     * CALLED BY:
+     * - Tests and scripts using a ManualTimeSource (after advancing time)
+     *
+     * NOTE: Works without start() - no intervals are needed.
+     *
+     * EXAMPLE:
+     * source.advance(HELPERS.minutesToMilliseconds(3));
+     * timerManager.tick();   // Day advances, crops mature, breeding is attempted
+     */
+    tick() {
+        if (GameState.getInstance().isPaused()) {
+            return;
+        }
+
+        if (this.currentDayStartTime === null) {
+            this.currentDayStartTime = GameClock.getInstance().now();
+        }
+
+        this._mainLoop();
+    }
+
+
+    /**
+     * PRIVATE: _startMainLoop
+     * Starts the main loop interval for the current game speed
+     *
+     * CALLED BY: start(), setSpeed()
+     */
+    _startMainLoop() {
+        const interval = CONSTANTS.TIMING.TIMER_UPDATE_INTERVAL / this.getSpeed();
+
+        this.mainLoopTimer = setInterval(() => {
+            this._mainLoop();
+        }, interval);
+    }
+
+
     /**
      * PRIVATE: _mainLoop
      * Main game loop - runs every second
      *
      * RESPONSIBILITIES:
-     * 1. Check all growing crops for maturity
-     * 2. Check all growing animals for maturity
-     * 3. Check animals for breeding eligibility
-     * 4. Dispatch update events for UI
+     * 1. Advance days that are already over
+     * 2. Check all growing crops for maturity
+     * 3. Check all growing animals for maturity
+     * 4. Check animals for breeding eligibility
+     * 5. Dispatch update events for UI
      *
-     * CALLED BY: setInterval (every second)
+     * CALLED BY: setInterval (every second), tick()
      */
     _mainLoop() {
         const gameState = GameState.getInstance();
@@ -234,6 +412,12 @@ class TimerManager {
             return;
         }
 
+        // Advance any days that are already over (the clock may have jumped)
+        this._advanceDueDays();
+        if (gameState.isGameOver()) {
+            return;
+        }
+
         // Update all crops
         this._updateCrops();
 
@@ -292,12 +476,10 @@ class TimerManager {
         HELPERS.debugLog(`Crop matured: ${crop.name}`, {cropId: crop.id});
 
         // Dispatch event for UI
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.CROP_MATURED, {
-            detail: {
-                crop: crop,
-                message: `Your ${crop.name} is ready to harvest!`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.CROP_MATURED, {
+            crop: crop,
+            message: `Your ${crop.name} is ready to harvest!`
+        });
     }
 
 
@@ -354,12 +536,10 @@ class TimerManager {
         });
 
         // Dispatch event for UI
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.ANIMAL_MATURED, {
-            detail: {
-                animal: animal,
-                message: `Your ${animal.name} is ready to sell!`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.ANIMAL_MATURED, {
+            animal: animal,
+            message: `Your ${animal.name} is ready to sell!`
+        });
     }
 
 
@@ -423,13 +603,11 @@ class TimerManager {
         });
 
         // Dispatch event for UI notification
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.ANIMAL_BRED, {
-            detail: {
-                parent: parent,
-                offspring: offspring,
-                message: `🎉 Your ${parent.name} gave birth to offspring!`
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.ANIMAL_BRED, {
+            parent: parent,
+            offspring: offspring,
+            message: `🎉 Your ${parent.name} gave birth to offspring!`
+        });
     }
 
 
@@ -439,46 +617,80 @@ class TimerManager {
 
     /**
      * PRIVATE: _startDayTimer
-     * Starts the day advancement timer
+     * Schedules the next day advancement
      *
-     * CALLED BY: start()
+     * CALLED BY: start(), setSpeed(), itself (after each day ends)
      *
      * LOGIC:
      * - Day duration is set in GAME_CONFIG.DAY_DURATION_MINUTES
-     * - Default: 3 minutes per day
-     * - Can be adjusted in config.js for testing
+     * - Default: 3 minutes per day (of game time)
+     * - The real wait is divided by the game speed
+     * - Waits only for the time left in the current day, so a restored
+     *   game finishes its day on time instead of starting a full new one
      */
     _startDayTimer() {
-        const dayDurationMs = HELPERS.minutesToMilliseconds(
-            GAME_CONFIG.DAY_DURATION_MINUTES
-        );
+        const remaining = this.getDayTimeRemaining();
+        const speed = this.getSpeed();
 
-        // Apply testing speed multiplier if enabled
-        const finalDuration = GAME_CONFIG.BALANCE.TESTING_MODE
-            ? dayDurationMs / GAME_CONFIG.BALANCE.TESTING_SPEED_MULTIPLIER
-            : dayDurationMs;
+        this.dayTimer = setTimeout(() => {
+            this._advanceDueDays();
 
-        this.dayTimer = setInterval(() => {
-            this._advanceDay();
-        }, finalDuration);
+            // Schedule the following day unless the game just ended
+            if (this.isRunning) {
+                this._startDayTimer();
+            }
+        }, remaining / speed);
 
         HELPERS.debugLog('Day timer started', {
             durationMinutes: GAME_CONFIG.DAY_DURATION_MINUTES,
-            durationMs: finalDuration,
-            testingMode: GAME_CONFIG.BALANCE.TESTING_MODE
+            remainingMs: remaining,
+            speed: speed
         });
     }
 
 
+    /**
+     * PRIVATE: _getDayDuration
+     * Gets the length of one day in milliseconds
+     *
+     * @returns {number} Day duration in game time (game speed is applied by GameClock)
+     */
+    _getDayDuration() {
+        return HELPERS.minutesToMilliseconds(GAME_CONFIG.DAY_DURATION_MINUTES);
+    }
+
+
+    /**
+     * PRIVATE: _advanceDueDays
+     * Advances every day whose time has fully elapsed
+     *
+     * CALLED BY: _startDayTimer() (day timer), _mainLoop()
+     *
+     * NOTE: Normally advances at most one day. With a ManualTimeSource the
+     * clock can jump several days at once, so this loops until caught up.
+     */
+    _advanceDueDays() {
+        const gameState = GameState.getInstance();
+
+        while (this.currentDayStartTime !== null &&
+               this.getDayTimeRemaining() <= 0 &&
+               !gameState.isGameOver() &&
+               !gameState.isPaused()) {
+            this._advanceDay();
+        }
+    }
+
+
     /**
      * PRIVATE: _advanceDay
      * Advances to the next day
      *
-     * CALLED BY: setInterval (day timer)
+     * CALLED BY: _advanceDueDays()
      *
      * SIDE EFFECTS:
+     * - Moves currentDayStartTime to the start of the new day
      * - Calls GameState.advanceDay()
-     * - Resets currentDayStartTime
+     * - Switches growth to the new day's weather (GameState.applyGrowthWeather)
      * - May trigger game over if day > 10
      */
     _advanceDay() {
@@ -489,11 +701,15 @@ class TimerManager {
             nextDay: gameState.currentDay + 1
         });
 
+        // New day starts exactly where the previous one ended. Done first:
+        // saves made by DAY_ADVANCED listeners read the day's elapsed time
+        this.currentDayStartTime += this._getDayDuration();
+
         // Advance day in game state
         gameState.advanceDay();
 
-        // Reset day start time
-        this.currentDayStartTime = Date.now();
+        // Growth follows the new day's weather from the moment the day began
+        gameState.applyGrowthWeather(this.currentDayStartTime);
 
         // Check if game ended
         if (gameState.isGameOver()) {
@@ -502,6 +718,80 @@ class TimerManager {
     }
 
 
+    /**
+     * PUBLIC: endDay
+     * Ends the current day now, fast-forwarding everything that is growing
+     *
+     * @returns {Object} Result object {success, message}
+     *
+     * LOGIC:
+     * 1. Move the game clock to the end of the day one main-loop step at a time
+     * 2. After each step run the normal crop/animal updates, so maturity and
+     *    breeding (including offspring) happen exactly as if the player had waited
+     * 3. Advance the day and reschedule the day timer
+     *
+     * CALLED BY:
+     * - UIManager (header End Day button)
+     * - main.js (devCommands.nextDay)
+     *
+     * SIDE EFFECTS:
+     * - Same events as waiting out the day (CROP_MATURED, ANIMAL_BRED, DAY_ADVANCED...)
+     */
+    endDay() {
+        const gameState = GameState.getInstance();
+
+        if (gameState.isGameOver()) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.GAME_OVER
+            };
+        }
+
+        if (gameState.isPaused()) {
+            return {
+                success: false,
+                message: CONSTANTS.ERROR_MESSAGES.GAME_PAUSED
+            };
+        }
+
+        const clock = GameClock.getInstance();
+        if (this.currentDayStartTime === null) {
+            this.currentDayStartTime = clock.now();
+        }
+
+        const endedDay = gameState.currentDay;
+        const dayEnd = this.currentDayStartTime + this._getDayDuration();
+        const step = CONSTANTS.TIMING.TIMER_UPDATE_INTERVAL;
+
+        // Replay the rest of the day in main-loop steps
+        while (clock.now() < dayEnd) {
+            clock.setTime(Math.min(clock.now() + step, dayEnd));
+            this._updateCrops();
+            this._updateAnimals();
+        }
+
+        this._advanceDueDays();
+
+        // The day timer was waiting for the old end of day
+        if (this.isRunning) {
+            clearTimeout(this.dayTimer);
+            this._startDayTimer();
+        }
+
+        this._dispatchTimerUpdateEvent();
+
+        HELPERS.debugLog('Day ended early', {
+            endedDay: endedDay,
+            currentDay: gameState.currentDay
+        });
+
+        return {
+            success: true,
+            message: CONSTANTS.SUCCESS_MESSAGES.DAY_ENDED.replace('X', endedDay)
+        };
+    }
+
+
     /**
      * PUBLIC: getDayProgress
      * Gets progress through current day as percentage
@@ -519,19 +809,31 @@ class TimerManager {
             return 0;
         }
 
-        const dayDurationMs = HELPERS.minutesToMilliseconds(
-            GAME_CONFIG.DAY_DURATION_MINUTES
+        const progress = HELPERS.calculatePercentage(
+            this.getDayElapsedTime(),
+            this._getDayDuration()
         );
 
-        // Apply testing speed multiplier
-        const finalDuration = GAME_CONFIG.BALANCE.TESTING_MODE
-            ? dayDurationMs / GAME_CONFIG.BALANCE.TESTING_SPEED_MULTIPLIER
-            : dayDurationMs;
+        return Math.min(100, progress);
+    }
 
-        const elapsed = HELPERS.getElapsedTime(this.currentDayStartTime);
-        const progress = HELPERS.calculatePercentage(elapsed, finalDuration);
 
-        return Math.min(100, progress);
+    /**
+     * PUBLIC: getDayElapsedTime
+     * Gets time spent in the current day
+     *
+     * @returns {number} Milliseconds since the current day started
+     *
+     * CALLED BY:
+     * - SaveManager (store day clock in save)
+     * - getDayProgress()
+     */
+    getDayElapsedTime() {
+        if (!this.currentDayStartTime) {
+            return 0;
+        }
+
+        return HELPERS.getElapsedTime(this.currentDayStartTime);
     }
 
 
@@ -549,15 +851,7 @@ class TimerManager {
             return 0;
         }
 
-        const dayDurationMs = HELPERS.minutesToMilliseconds(
-            GAME_CONFIG.DAY_DURATION_MINUTES
-        );
-
-        const finalDuration = GAME_CONFIG.BALANCE.TESTING_MODE
-            ? dayDurationMs / GAME_CONFIG.BALANCE.TESTING_SPEED_MULTIPLIER
-            : dayDurationMs;
-
-        return HELPERS.getRemainingTime(this.currentDayStartTime, finalDuration);
+        return HELPERS.getRemainingTime(this.currentDayStartTime, this._getDayDuration());
     }
 
 
@@ -565,6 +859,19 @@ class TimerManager {
     // EVENT DISPATCHING
     // ========================================================================
 
+    /**
+     * PRIVATE: _dispatchPauseEvent
+     * Dispatches GAME_PAUSED or GAME_RESUMED
+     *
+     * @param {string} eventName - Event name from CONSTANTS.EVENTS
+     */
+    _dispatchPauseEvent(eventName) {
+        GAME_EVENTS.dispatch(eventName, {
+            dayTimeRemaining: this.getDayTimeRemaining()
+        });
+    }
+
+
     /**
      * PRIVATE: _dispatchTimerUpdateEvent
      * Dispatches event to notify UI of timer updates
@@ -576,13 +883,11 @@ class TimerManager {
     _dispatchTimerUpdateEvent() {
         const gameState = GameState.getInstance();
 
-        document.dispatchEvent(new CustomEvent('timer-update', {
-            detail: {
-                crops: gameState.getGrowingCrops(),
-                animals: gameState.getAnimalsOnFarm(),
-                dayProgress: this.getDayProgress()
-            }
-        }));
+        GAME_EVENTS.dispatch('timer-update', {
+            crops: gameState.getGrowingCrops(),
+            animals: gameState.getAnimalsOnFarm(),
+            dayProgress: this.getDayProgress()
+        });
     }
 
 
@@ -719,12 +1024,18 @@ class TimerManager {
  * // Stop timers when game ends
  * timerManager.stop();
  *
- * // Listen for events
- * document.addEventListener('crop-matured', (e) => {
+ * // Tests / scripts: drive the game instantly with a manual clock
+ * const source = new ManualTimeSource();
+ * GameClock.useTimeSource(source);
+ * source.advance(HELPERS.minutesToMilliseconds(GAME_CONFIG.DAY_DURATION_MINUTES));
+ * timerManager.tick();   // Day 2 starts, growth and breeding are updated
+ *
+ * // Listen for events (also works headless, without a document)
+ * GAME_EVENTS.on('crop-matured', (e) => {
  *     console.log(`Crop ready: ${e.detail.crop.name}`);
  * });
  *
- * document.addEventListener('animal-bred', (e) => {
+ * GAME_EVENTS.on('animal-bred', (e) => {
  *     console.log(`New offspring: ${e.detail.offspring.name}`);
  * });
  *
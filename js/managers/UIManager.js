@@ -18,11 +18,14 @@
  * Uses other managers to execute actions
  *
  * DEPENDENCIES:
- * - All Manager classes (Farm, Shop, Timer)
+ * - All Manager classes (Farm, Shop, Bank, Timer)
  * - GameState (read current state)
  * - All Model classes (Crop, Animal, Weather)
  * - constants.js (element IDs, CSS classes, events)
  * - helpers.js (formatting, DOM manipulation)
+ * - planSolver.js (What Was Possible on the end screens)
+ * - demandCurve.js (balancing screen, testing mode)
+ * - ledger.js (Ledger screen reports and CSV)
  *
  * USED BY:
  * - main.js (initialize UI system)
@@ -51,11 +54,23 @@ class UIManager {
         this.gameState = null;
         this.farmManager = null;
         this.shopManager = null;
+        this.bankManager = null;
         this.timerManager = null;
+        this.saveManager = null;
+        this.challengeManager = null;
 
         // Track current screen
         this.currentScreen = CONSTANTS.SCREENS.HOME;
 
+        // Month shown in the daily results calendar ({year, month}), null = current month
+        this.dailyCalendarMonth = null;
+
+        // Weather-demand rules being edited on the balancing screen, null = not opened yet
+        this.demandCurveDraft = null;
+
+        // Item shown in each shop's market history chart, null = the first one
+        this.marketHistorySelection = {crop: null, animal: null};
+
         // Store singleton instance
         UIManager.instance = this;
 
@@ -112,7 +127,10 @@ class UIManager {
         this.gameState = managers.gameState || GameState.getInstance();
         this.farmManager = managers.farmManager || FarmManager.getInstance();
         this.shopManager = managers.shopManager || ShopManager.getInstance();
+        this.bankManager = managers.bankManager || BankManager.getInstance();
         this.timerManager = managers.timerManager || TimerManager.getInstance();
+        this.saveManager = managers.saveManager || SaveManager.getInstance();
+        this.challengeManager = managers.challengeManager || ChallengeManager.getInstance();
 
         // Set up event listeners
         this._setupEventListeners();
@@ -148,6 +166,31 @@ class UIManager {
             this.showScreen(CONSTANTS.SCREENS.HENRY_SHOP);
         });
 
+        this._attachListener('btn-go-to-load-game', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.LOAD_GAME);
+        });
+
+        this._attachListener('btn-new-seeded-game', 'click', () => {
+            this._handleNewSeededGame();
+        });
+
+        this._attachListener('btn-go-to-daily-challenge', 'click', () => {
+            this.dailyCalendarMonth = null;
+            this.showScreen(CONSTANTS.SCREENS.DAILY_CHALLENGE);
+        });
+
+        this._attachListener('btn-go-to-balancing', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.BALANCING);
+        });
+
+        this._attachListener('btn-go-to-ledger', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.LEDGER);
+        });
+
+        this._attachListener('btn-go-to-bank', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.BANK);
+        });
+
         // Back to home buttons
         this._attachListener('btn-farm-to-home', 'click', () => {
             this.showScreen(CONSTANTS.SCREENS.HOME);
@@ -161,6 +204,117 @@ class UIManager {
             this.showScreen(CONSTANTS.SCREENS.HOME);
         });
 
+        this._attachListener('btn-load-to-home', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.HOME);
+        });
+
+        this._attachListener('btn-daily-to-home', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.HOME);
+        });
+
+        this._attachListener('btn-balancing-to-home', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.HOME);
+        });
+
+        this._attachListener('btn-ledger-to-home', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.HOME);
+        });
+
+        this._attachListener('btn-bank-to-home', 'click', () => {
+            this.showScreen(CONSTANTS.SCREENS.HOME);
+        });
+
+        // Header pause / resume button
+        this._attachListener('btn-pause', 'click', () => {
+            if (this.timerManager.isPaused()) {
+                this.timerManager.resume();
+            } else {
+                this.timerManager.pause();
+            }
+        });
+
+        // Header end day button
+        this._attachListener('btn-end-day', 'click', () => {
+            this._handleEndDay();
+        });
+
+        // Header game speed selector
+        this._attachListener('game-speed-select', 'change', (e) => {
+            this.timerManager.setSpeed(Number(e.target.value));
+        });
+
+        // Save slot buttons
+        this._attachListener('btn-save-new-slot', 'click', () => {
+            this._handleSaveNewSlot();
+        });
+
+        // Daily challenge buttons
+        this._attachListener('btn-start-daily-challenge', 'click', () => {
+            this._handleStartDailyChallenge();
+        });
+
+        this._attachListener('btn-daily-prev-month', 'click', () => {
+            this._changeDailyCalendarMonth(-1);
+        });
+
+        this._attachListener('btn-daily-next-month', 'click', () => {
+            this._changeDailyCalendarMonth(1);
+        });
+
+        // Balancing screen buttons
+        this._attachListener('btn-demand-reset', 'click', () => {
+            this._handleResetDemandCurve();
+        });
+
+        this._attachListener('btn-demand-export', 'click', () => {
+            this._handleExportDemandCurve();
+        });
+
+        // Ledger screen buttons
+        this._attachListener('btn-ledger-export', 'click', () => {
+            this._handleExportLedger();
+        });
+
+        // Bank screen buttons
+        this._attachListener('btn-bank-repay', 'click', () => {
+            const input = document.getElementById('bank-repay-amount');
+            this._handleRepayDebt(input ? Number(input.value) : 0);
+        });
+
+        this._attachListener('btn-bank-repay-max', 'click', () => {
+            this._handleRepayDebt(this.bankManager.getSummary().maxDebtPayment);
+        });
+
+        // Share / import dialog
+        this._attachListener('btn-open-share-dialog', 'click', () => {
+            this.openShareDialog();
+        });
+
+        this._attachListener('btn-close-share-dialog', 'click', () => {
+            this.closeShareDialog();
+        });
+
+        // Severe weather report
+        this._attachListener('btn-close-weather-report', 'click', () => {
+            this.closeWeatherReport();
+        });
+
+        this._attachListener('btn-export-json', 'click', () => {
+            this._handleExportJson();
+        });
+
+        this._attachListener('btn-export-code', 'click', () => {
+            this._handleExportCode();
+        });
+
+        this._attachListener('btn-import-game', 'click', () => {
+            this._handleImportGame();
+        });
+
+        this._attachListener('import-file-input', 'change', (e) => {
+            this._handleImportFile(e);
+        });
+
         // End screen buttons
         this._attachListener('btn-play-again-victory', 'click', () => {
             this._restartGame();
@@ -195,6 +349,19 @@ class UIManager {
             this._refreshCurrentScreen();
         });
 
+        // Farm debt or a loan changed (payments, loans, nightly interest)
+        document.addEventListener(CONSTANTS.EVENTS.DEBT_CHANGED, () => {
+            this.updateHeader();
+            if (this.currentScreen === CONSTANTS.SCREENS.BANK) {
+                this.renderBankScreen();
+            }
+        });
+
+        // Bank collected a loan that was due
+        document.addEventListener(CONSTANTS.EVENTS.LOAN_COLLECTED, (e) => {
+            this.showNotification(e.detail.remaining > 0 ? 'warning' : 'info', e.detail.message);
+        });
+
         // Day advanced
         document.addEventListener(CONSTANTS.EVENTS.DAY_ADVANCED, () => {
             this.updateHeader();
@@ -242,6 +409,57 @@ class UIManager {
             this.showScreen(CONSTANTS.SCREENS.DEFEAT);
         });
 
+        // Game paused / resumed
+        document.addEventListener(CONSTANTS.EVENTS.GAME_PAUSED, () => {
+            this.updateHeader();
+            this.showNotification('info', '⏸️ Game Paused - crops and animals have stopped growing');
+        });
+
+        document.addEventListener(CONSTANTS.EVENTS.GAME_RESUMED, () => {
+            this.updateHeader();
+            this.showNotification('info', '▶️ Game Resumed');
+        });
+
+        // Game speed changed
+        document.addEventListener(CONSTANTS.EVENTS.GAME_SPEED_CHANGED, (e) => {
+            this.updateHeader();
+            this.showNotification('info', `⏩ Game speed: ${e.detail.speed}x`, 2000);
+        });
+
+        // Game saved (autosave interval only - event-driven saves are silent)
+        document.addEventListener(CONSTANTS.EVENTS.GAME_SAVED, (e) => {
+            if (!e.detail.silent) {
+                this.showNotification('info', `💾 ${e.detail.message}`, 2000);
+            }
+        });
+
+        // Save failed
+        document.addEventListener(CONSTANTS.EVENTS.SAVE_FAILED, (e) => {
+            if (!e.detail.silent) {
+                this.showNotification('error', e.detail.message);
+            }
+        });
+
+        // Severe weather hit the farm
+        document.addEventListener(CONSTANTS.EVENTS.SEVERE_WEATHER, (e) => {
+            this.showNotification('warning', e.detail.message);
+            this.openWeatherReport(e.detail.report);
+        });
+
+        // Daily challenge finished
+        document.addEventListener(CONSTANTS.EVENTS.DAILY_RESULT_RECORDED, () => {
+            this.showNotification('success', `📅 ${CONSTANTS.SUCCESS_MESSAGES.DAILY_RESULT_SAVED}`);
+        });
+
+        // Sale made - show it on the open shop's market history
+        document.addEventListener(CONSTANTS.EVENTS.ITEM_SOLD, (e) => {
+            if (e.detail.itemType === 'crop' && this.currentScreen === CONSTANTS.SCREENS.TOM_SHOP) {
+                this._renderMarketHistory('tom-market-history', 'crop');
+            } else if (e.detail.itemType === 'animal' && this.currentScreen === CONSTANTS.SCREENS.HENRY_SHOP) {
+                this._renderMarketHistory('henry-market-history', 'animal');
+            }
+        });
+
         // Timer updates (every second)
         document.addEventListener('timer-update', () => {
             if (this.currentScreen === CONSTANTS.SCREENS.FARM) {
@@ -292,6 +510,11 @@ class UIManager {
             'farm-screen',
             'tom-shop-screen',
             'henry-shop-screen',
+            'load-game-screen',
+            'daily-challenge-screen',
+            'balancing-screen',
+            'ledger-screen',
+            'bank-screen',
             'victory-screen',
             'defeat-screen'
         ];
@@ -342,6 +565,21 @@ class UIManager {
             case CONSTANTS.SCREENS.HENRY_SHOP:
                 this.renderHenryShopScreen();
                 break;
+            case CONSTANTS.SCREENS.LOAD_GAME:
+                this.renderLoadGameScreen();
+                break;
+            case CONSTANTS.SCREENS.DAILY_CHALLENGE:
+                this.renderDailyChallengeScreen();
+                break;
+            case CONSTANTS.SCREENS.BALANCING:
+                this.renderBalancingScreen();
+                break;
+            case CONSTANTS.SCREENS.LEDGER:
+                this.renderLedgerScreen();
+                break;
+            case CONSTANTS.SCREENS.BANK:
+                this.renderBankScreen();
+                break;
             case CONSTANTS.SCREENS.VICTORY:
                 this.renderVictoryScreen();
                 break;
@@ -388,16 +626,55 @@ class UIManager {
             dayDisplay.textContent = info.currentDay;
         }
 
+        const totalDays = document.getElementById('total-days');
+        if (totalDays) {
+            totalDays.textContent = `of ${GAME_CONFIG.TOTAL_DAYS}`;
+        }
+
+        // Update season display
+        const date = CALENDAR.getDate(info.currentDay);
+        const seasonDisplay = document.getElementById('season-display');
+        if (seasonDisplay) {
+            seasonDisplay.textContent = `${date.season.emoji} ${date.season.name}` +
+                (date.year > 1 ? ` (Y${date.year})` : '');
+            seasonDisplay.title = CALENDAR.formatDate(info.currentDay);
+        }
+
+        const seasonDay = document.getElementById('season-day');
+        if (seasonDay) {
+            seasonDay.textContent = `day ${date.dayOfSeason} of ${date.daysPerSeason}`;
+        }
+
         // Update days remaining
         const daysRemaining = document.getElementById('days-remaining');
         if (daysRemaining) {
             daysRemaining.textContent = info.daysRemaining;
         }
 
-        // Update goal progress
+        // Update debt still owed (farm debt + loans)
         const goalProgress = document.getElementById('goal-progress');
         if (goalProgress) {
-            goalProgress.textContent = `${info.formattedMoney} / ${info.formattedGoal}`;
+            goalProgress.textContent = `${info.formattedDebtBalance} owed`;
+        }
+
+        // Update pause button
+        const pauseBtn = document.getElementById('btn-pause');
+        if (pauseBtn) {
+            pauseBtn.textContent = this.gameState.isPaused() ? '▶️ Resume' : '⏸️ Pause';
+            pauseBtn.disabled = this.gameState.isGameOver();
+        }
+
+        // Update end day button
+        const endDayBtn = document.getElementById('btn-end-day');
+        if (endDayBtn) {
+            endDayBtn.disabled = this.gameState.isGameOver() || this.gameState.isPaused();
+        }
+
+        // Update game speed selector
+        const speedSelect = document.getElementById('game-speed-select');
+        if (speedSelect) {
+            speedSelect.value = String(this.timerManager.getSpeed());
+            speedSelect.disabled = this.gameState.isGameOver();
         }
     }
 
@@ -412,6 +689,18 @@ class UIManager {
      */
     renderHomeScreen() {
         this.updateWeatherDisplay();
+
+        const seedDisplay = document.getElementById('game-seed');
+        if (seedDisplay) {
+            seedDisplay.textContent = this.gameState.seed;
+        }
+
+        // The balancing screen is a designer tool
+        const balancingBtn = document.getElementById('btn-go-to-balancing');
+        if (balancingBtn) {
+            balancingBtn.classList.toggle('hidden', !GAME_CONFIG.BALANCE.TESTING_MODE);
+        }
+
         HELPERS.debugLog('Home screen rendered');
     }
 
@@ -444,11 +733,21 @@ class UIManager {
      *
      * @param {Weather} weather - Weather object
      * @returns {HTMLElement} Weather card element
+     *
+     * NOTE: Days ahead show the forecast range (Weather.getForecastRange),
+     * not the actual value: wider the further out the day is.
      */
     _createWeatherCard(weather) {
         const card = document.createElement('div');
         card.className = 'weather-card';
 
+        const range = weather.getForecastRange(this.gameState.currentDay);
+        if (!range.exact) {
+            card.classList.add('uncertain');
+            card.title = `Forecast ${range.daysAhead} day${range.daysAhead === 1 ? '' : 's'} ahead: ` +
+                `weather between ${range.minWeather.toFixed(2)} and ${range.maxWeather.toFixed(2)}`;
+        }
+
         // Highlight current day
         if (weather.day === this.gameState.currentDay) {
             card.classList.add('today');
@@ -462,29 +761,51 @@ class UIManager {
             : `Day ${weather.day}`;
         card.appendChild(dayLabel);
 
+        // First day of a new season
+        if (weather.day > 1 && CALENDAR.isSeasonStart(weather.day)) {
+            const season = CALENDAR.getSeason(weather.day);
+            const seasonLabel = document.createElement('div');
+            seasonLabel.className = 'weather-season';
+            seasonLabel.textContent = `${season.emoji} ${season.name} starts`;
+            card.appendChild(seasonLabel);
+        }
+
+        // Holidays raise the demand for some crops and animals
+        const holiday = CALENDAR.getHoliday(weather.day);
+        if (holiday) {
+            const holidayLabel = document.createElement('div');
+            holidayLabel.className = 'weather-season';
+            holidayLabel.textContent = `${holiday.emoji} ${holiday.name}`;
+            card.appendChild(holidayLabel);
+        }
+
         // Weather icon
         const icon = document.createElement('div');
         icon.className = 'weather-icon';
-        icon.textContent = weather.getWeatherIcon();
+        icon.textContent = range.icons.join('');
         card.appendChild(icon);
 
-        // Weather value
+        // Weather value (range for days ahead)
         const value = document.createElement('div');
         value.className = 'weather-value';
-        value.textContent = weather.weatherValue.toFixed(2);
+        value.textContent = range.exact
+            ? range.minWeather.toFixed(2)
+            : `${range.minWeather.toFixed(2)}–${range.maxWeather.toFixed(2)}`;
         card.appendChild(value);
 
-        // Demand multiplier
+        // Demand multiplier (range for days ahead)
         const demand = document.createElement('div');
         demand.className = 'weather-demand';
-        demand.textContent = HELPERS.formatMultiplier(weather.demandIndex);
+        demand.textContent = range.minDemand === range.maxDemand
+            ? HELPERS.formatMultiplier(range.minDemand)
+            : `${HELPERS.formatMultiplier(range.minDemand)}–${HELPERS.formatMultiplier(range.maxDemand)}`;
 
-        // Color code by demand
-        if (weather.demandIndex >= 2.0) {
+        // Color code by the demand the range can reach
+        if (range.maxDemand >= 2.0) {
             demand.classList.add('demand-best');
-        } else if (weather.demandIndex >= 1.5) {
+        } else if (range.maxDemand >= 1.5) {
             demand.classList.add('demand-great');
-        } else if (weather.demandIndex >= 1.2) {
+        } else if (range.maxDemand >= 1.2) {
             demand.classList.add('demand-good');
         } else {
             demand.classList.add('demand-poor');
@@ -492,6 +813,21 @@ class UIManager {
 
         card.appendChild(demand);
 
+        // Severe weather risk (a warning once the event is certain)
+        const risk = SEVERE_WEATHER.getRisk(weather, this.gameState.currentDay);
+        if (risk) {
+            const warning = document.createElement('div');
+            warning.className = risk.certain ? 'weather-warning certain' : 'weather-warning';
+            warning.textContent = risk.certain
+                ? `⚠️ ${risk.event.emoji} ${risk.event.name}`
+                : `${risk.event.emoji} ${HELPERS.formatPercentage(risk.chance)}`;
+            warning.title = risk.certain
+                ? `${risk.event.name} expected: ${risk.event.description}`
+                : `${HELPERS.formatPercentage(risk.chance)} risk of ${risk.event.name.toLowerCase()}: ${risk.event.description}`;
+            card.classList.toggle('severe', risk.certain);
+            card.appendChild(warning);
+        }
+
         return card;
     }
 
@@ -538,6 +874,16 @@ class UIManager {
             demandIndex.textContent = HELPERS.formatMultiplier(currentWeather.demandIndex);
         }
 
+        // Update growth speed (for crops and animals of normal sensitivity)
+        const growthCondition = document.getElementById('growth-condition');
+        if (growthCondition) {
+            const rule = Weather.getGrowthRule(currentWeather.weatherValue);
+            const rate = Weather.calculateGrowthRate(currentWeather.weatherValue);
+            growthCondition.textContent = rule
+                ? `${rule.growthCondition} (${this._formatGrowthRate(rate)})`
+                : this._formatGrowthRate(rate);
+        }
+
         // Update recommendation
         const recommendation = document.getElementById('sell-recommendation');
         if (recommendation) {
@@ -546,6 +892,22 @@ class UIManager {
     }
 
 
+    /**
+     * PRIVATE: _formatGrowthRate
+     * Formats a growth rate as a speed change
+     *
+     * @param {number} rate - Growth rate (1.0 = normal)
+     * @returns {string} e.g. "+25%", "-20%", "normal speed"
+     */
+    _formatGrowthRate(rate) {
+        const change = Math.round((rate - 1) * 100);
+        if (change === 0) {
+            return 'normal speed';
+        }
+        return `${change > 0 ? '+' : ''}${change}%`;
+    }
+
+
     /**
      * PRIVATE: _renderCropPlots
      * Renders all crops on the farm
@@ -651,6 +1013,11 @@ class UIManager {
         statusBadge.textContent = crop.isMature() ? 'Ready!' : 'Growing...';
         card.appendChild(statusBadge);
 
+        // Severe weather damage
+        if (crop.isDamaged()) {
+            card.appendChild(this._createDamagedBadge(crop));
+        }
+
         // Progress section
         if (!crop.isMature()) {
             const progressSection = this._createProgressSection(crop);
@@ -732,8 +1099,13 @@ class UIManager {
         plantBtn.innerHTML = '🌱 Plant This Seed';
 
         const hasSpace = this.gameState.canPlantMoreCrops();
+        const outOfSeason = CALENDAR.getOutOfSeasonReason(seed.type, this.gameState.currentDay);
 
-        if (!hasSpace) {
+        if (outOfSeason) {
+            plantBtn.disabled = true;
+            plantBtn.textContent = `${CALENDAR.getSeason(this.gameState.currentDay).emoji} Out of Season`;
+            plantBtn.title = outOfSeason;
+        } else if (!hasSpace) {
             plantBtn.disabled = true;
             plantBtn.textContent = '❌ Farm Full';
         } else {
@@ -1014,6 +1386,9 @@ class UIManager {
      *
      * @param {Crop|Animal} item - Item with growth progress
      * @returns {HTMLElement} Progress section element
+     *
+     * NOTE: The remaining time is at today's weather growth rate, which is
+     * shown next to it when it is not normal speed.
      */
     _createProgressSection(item) {
         const section = document.createElement('div');
@@ -1027,8 +1402,10 @@ class UIManager {
         label.className = 'progress-label';
         label.innerHTML = `
             <span class="progress-percentage">${Math.floor(progress)}%</span>
+            <span class="growth-rate"></span>
             <span class="time-remaining">${remaining}</span>
         `;
+        this._updateGrowthRateBadge(label.querySelector('.growth-rate'), item);
         section.appendChild(label);
 
         // Progress bar
@@ -1046,6 +1423,24 @@ class UIManager {
     }
 
 
+    /**
+     * PRIVATE: _updateGrowthRateBadge
+     * Shows how the weather changes an item's growth speed
+     *
+     * @param {HTMLElement|null} badge - .growth-rate element
+     * @param {Crop|Animal} item - Growing item
+     */
+    _updateGrowthRateBadge(badge, item) {
+        if (!badge) return;
+
+        const rate = item.growthRate || 1;
+        badge.classList.toggle('growth-fast', rate > 1);
+        badge.classList.toggle('growth-slow', rate < 1);
+        badge.textContent = rate === 1 ? '' : `${rate > 1 ? '☀️' : '🌧️'} ${this._formatGrowthRate(rate)}`;
+        badge.title = rate === 1 ? '' : 'Growth speed in today\'s weather';
+    }
+
+
     /**
      * PRIVATE: _updateFarmTimers
      * Updates all progress bars on farm screen
@@ -1072,6 +1467,8 @@ class UIManager {
                 if (timeRemaining) {
                     timeRemaining.textContent = crop.getFormattedRemainingTime();
                 }
+
+                this._updateGrowthRateBadge(card.querySelector('.growth-rate'), crop);
             }
         });
 
@@ -1096,6 +1493,8 @@ class UIManager {
                 if (timeRemaining) {
                     timeRemaining.textContent = animal.getFormattedRemainingTime();
                 }
+
+                this._updateGrowthRateBadge(card.querySelector('.growth-rate'), animal);
             }
         });
     }
@@ -1113,6 +1512,7 @@ class UIManager {
         this._updateShopDemandDisplay('tom-demand-display');
         this._renderTomShopInventory();
         this._renderPlayerCropInventory();
+        this._renderMarketHistory('tom-market-history', 'crop');
         HELPERS.debugLog('Tom shop screen rendered');
     }
 
@@ -1184,6 +1584,7 @@ class UIManager {
         this._updateShopDemandDisplay('henry-demand-display');
         this._renderHenryShopInventory();
         this._renderPlayerAnimalInventory();
+        this._renderMarketHistory('henry-market-history', 'animal');
         HELPERS.debugLog('Henry shop screen rendered');
     }
 
@@ -1297,10 +1698,7 @@ class UIManager {
                 <span class="price-label">Current Sell Price:</span>
                 <span class="price-amount sell-price">${HELPERS.formatMoney(itemDef.currentSellPrice)}</span>
             </div>
-            <div class="multiplier-info">
-                <span class="multiplier-label">Today's Multiplier:</span>
-                <span class="multiplier-value ${this._getDemandClass()}">${HELPERS.formatMultiplier(this.shopManager.getCurrentDemandIndex())}</span>
-            </div>
+            ${this._getDemandInfoHTML(itemDef.demand)}
         `;
         card.appendChild(priceSection);
 
@@ -1316,6 +1714,12 @@ class UIManager {
                 <span class="stat-name">Potential Profit:</span>
                 <span class="stat-value highlight">${HELPERS.formatMoney(itemDef.potentialProfit)}</span>
             </div>
+            ${itemType === 'seed' ? `
+                <div class="stat-row">
+                    <span class="stat-name">Season:</span>
+                    <span class="stat-value ${itemDef.inSeason ? '' : 'out-of-season'}">${itemDef.seasonNames.join(', ') || 'Never'}</span>
+                </div>
+            ` : ''}
             ${itemType === 'animal' ? `
                 <div class="stat-row">
                     <span class="stat-name">Breeding Chance:</span>
@@ -1333,6 +1737,14 @@ class UIManager {
         buyBtn.className = 'btn btn-buy';
         buyBtn.textContent = `Buy ${itemDef.name}`;
         buyBtn.disabled = !itemDef.canAfford;
+
+        // Seeds out of season cannot be bought
+        if (itemType === 'seed' && !itemDef.inSeason) {
+            card.classList.add('out-of-season');
+            buyBtn.disabled = true;
+            buyBtn.textContent = `${CALENDAR.getSeason(this.gameState.currentDay).emoji} Out of Season`;
+            buyBtn.title = CALENDAR.getOutOfSeasonReason(itemDef.id, this.gameState.currentDay);
+        }
         buyBtn.onclick = () => {
             if (itemType === 'seed') {
                 this._handleBuySeed(itemDef.id);
@@ -1360,9 +1772,10 @@ class UIManager {
         const card = document.createElement('div');
         card.className = 'inventory-item-card';
 
-        const demandIndex = this.shopManager.getCurrentDemandIndex();
-        const sellPrice = item.calculateSellPrice(demandIndex);
-        const profit = item.calculateProfit(demandIndex);
+        // Price of the next unit: each one of this type sold today pays less
+        const price = this.shopManager.getMarginalSellPrice(item);
+        const sellPrice = price.sellPrice;
+        const profit = price.profit;
 
         // Header
         const header = document.createElement('div');
@@ -1375,6 +1788,11 @@ class UIManager {
         `;
         card.appendChild(header);
 
+        // Severe weather damage
+        if (itemType === 'crop' && item.isDamaged()) {
+            card.appendChild(this._createDamagedBadge(item));
+        }
+
         // Price info
         const priceSection = document.createElement('div');
         priceSection.className = 'price-section';
@@ -1383,6 +1801,13 @@ class UIManager {
                 <span class="price-label">Sell Price:</span>
                 <span class="price-amount sell-price">${HELPERS.formatMoney(sellPrice)}</span>
             </div>
+            ${this._getDemandInfoHTML(price.demand)}
+            ${price.saturation < 1 ? `
+                <div class="market-saturation" title="Each ${item.name} sold today lowers the next one's price. Full price returns tomorrow.">
+                    📉 Market ${HELPERS.formatPercentage(price.saturation, 1)}
+                    <span class="original-price">${HELPERS.formatMoney(price.fullPrice)}</span>
+                </div>
+            ` : ''}
             <div class="profit-info">
                 <span class="profit-label">Profit:</span>
                 <span class="profit-amount">${HELPERS.formatMoney(profit)}</span>
@@ -1412,14 +1837,51 @@ class UIManager {
     }
 
 
+    /**
+     * PRIVATE: _createDamagedBadge
+     * Creates the badge for a crop damaged by severe weather
+     *
+     * @param {Crop} crop - Damaged crop
+     * @returns {HTMLElement} Badge element
+     */
+    _createDamagedBadge(crop) {
+        const badge = document.createElement('div');
+        badge.className = 'damaged-badge';
+        badge.textContent = `🩹 Damaged - sells for ${HELPERS.formatPercentage(crop.quality)}`;
+        badge.title = 'Hit by severe weather';
+        return badge;
+    }
+
+
+    /**
+     * PRIVATE: _getDemandInfoHTML
+     * Shows an item type's demand today, with its season and holiday bonuses
+     *
+     * @param {Object} demand - Demand breakdown (MARKET.getDemand())
+     * @returns {string} HTML of the multiplier row
+     */
+    _getDemandInfoHTML(demand) {
+        const factors = MARKET.describeDemand(demand);
+        const bonuses = factors.slice(1);
+
+        return `
+            <div class="multiplier-info" title="${factors.join('\n')}">
+                <span class="multiplier-label">Today's Demand:</span>
+                <span class="multiplier-value ${this._getDemandClass(demand.demandIndex)}">${HELPERS.formatMultiplier(demand.demandIndex)}</span>
+            </div>
+            ${bonuses.length > 0 ? `<div class="demand-bonuses">${bonuses.join(' · ')}</div>` : ''}
+        `;
+    }
+
+
     /**
      * PRIVATE: _getDemandClass
      * Gets CSS class for demand indicator
      *
+     * @param {number} demand - Demand index (default: today's weather demand)
      * @returns {string} CSS class name
      */
-    _getDemandClass() {
-        const demand = this.shopManager.getCurrentDemandIndex();
+    _getDemandClass(demand = this.shopManager.getCurrentDemandIndex()) {
         if (demand >= 2.0) return 'best';
         if (demand >= 1.5) return 'great';
         if (demand >= 1.2) return 'good';
@@ -1428,93 +1890,1758 @@ class UIManager {
 
 
     // ========================================================================
-    // END SCREENS RENDERING
+    // MARKET HISTORY RENDERING
     // ========================================================================
 
     /**
-     * PUBLIC: renderVictoryScreen
-     * Renders the victory screen
+     * PRIVATE: _renderMarketHistory
+     * Renders a shop's market history: one button per item and a chart of
+     * the chosen item's price over the days played
+     *
+     * @param {string} containerId - ID of the market history container
+     * @param {string} itemType - 'crop' (Tom) or 'animal' (Henry)
      */
-    renderVictoryScreen() {
-        const container = document.getElementById('victory-statistics');
+    _renderMarketHistory(containerId, itemType) {
+        const container = document.getElementById(containerId);
         if (!container) return;
 
-        const stats = this.gameState.getStatistics();
+        const commodities = itemType === 'crop' ? GAME_CONFIG.CROPS : GAME_CONFIG.ANIMALS;
+        const selected = commodities.find(c => c.id === this.marketHistorySelection[itemType]) || commodities[0];
 
-        container.innerHTML = `
-            <div class="stat-row">
-                <span class="stat-name">Final Money:</span>
-                <span class="stat-value-display">${stats.formattedFinalMoney}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Days Played:</span>
-                <span class="stat-value-display">${stats.daysPlayed} / 10</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Total Crops Sold:</span>
-                <span class="stat-value-display">${stats.totalCropsSold}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Total Animals Sold:</span>
-                <span class="stat-value-display">${stats.totalAnimalsSold}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Total Offspring Born:</span>
-                <span class="stat-value-display">${stats.totalOffspringBorn}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Net Profit:</span>
-                <span class="stat-value-display">${stats.formattedNetProfit}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Best Single Sale:</span>
-                <span class="stat-value-display">${HELPERS.formatMoney(stats.bestSingleSale)}</span>
-            </div>
-        `;
+        container.innerHTML = '';
 
-        HELPERS.debugLog('Victory screen rendered', stats);
+        // Item buttons
+        const controls = document.createElement('div');
+        controls.className = 'shop-controls';
+        commodities.forEach(commodity => {
+            const button = document.createElement('button');
+            button.className = 'filter-button' + (commodity.id === selected.id ? ' active' : '');
+            button.textContent = `${commodity.emoji} ${commodity.name}`;
+            button.onclick = () => {
+                this.marketHistorySelection[itemType] = commodity.id;
+                this._renderMarketHistory(containerId, itemType);
+            };
+            controls.appendChild(button);
+        });
+        container.appendChild(controls);
+
+        const history = this.gameState.getPriceHistory();
+
+        const chart = document.createElement('div');
+        chart.className = 'market-history-chart';
+        this._renderPriceHistoryChart(chart, selected, history);
+        container.appendChild(chart);
+
+        const summary = document.createElement('p');
+        summary.className = 'market-history-summary';
+        summary.textContent = this._getPriceHistorySummary(selected, history);
+        container.appendChild(summary);
     }
 
 
     /**
-     * PUBLIC: renderDefeatScreen
-     * Renders the defeat screen
+     * PRIVATE: _renderPriceHistoryChart
+     * Draws an item's full price on each day as a line, with the player's
+     * own sales as dots
+     *
+     * @param {HTMLElement} container - Chart container
+     * @param {Object} commodity - Crop or animal definition
+     * @param {Object[]} history - From GameState.getPriceHistory()
+     *
+     * LAYOUT:
+     * Days 1 to the last day left to right (the line grows as days pass),
+     * price bottom to top. Sales below the line were damaged crops or
+     * sold into a saturated market.
      */
-    renderDefeatScreen() {
-        const container = document.getElementById('defeat-statistics');
-        if (!container) return;
+    _renderPriceHistoryChart(container, commodity, history) {
+        const width = 600;
+        const height = 220;
+        const margin = {top: 10, right: 15, bottom: 30, left: 55};
+        const lastDay = Math.max(GAME_CONFIG.TOTAL_DAYS, ...history.map(entry => entry.day));
+
+        const sales = [];
+        history.forEach(entry => {
+            entry.sales
+                .filter(sale => sale.type === commodity.id)
+                .forEach(sale => sales.push({day: entry.day, price: sale.price}));
+        });
 
-        const stats = this.gameState.getStatistics();
-        const shortfall = this.gameState.goalMoney - this.gameState.currentMoney;
+        // Price axis: 0 to the highest price, in 4-5 round steps
+        const highest = Math.max(commodity.baseSellPrice,
+            ...history.map(entry => entry.prices[commodity.id] || 0),
+            ...sales.map(sale => sale.price));
+        const step = this._getChartStep(highest / 4);
+        const maxPrice = Math.ceil(highest / step) * step;
+
+        const x = day => margin.left +
+            (lastDay > 1 ? (day - 1) / (lastDay - 1) : 0.5) * (width - margin.left - margin.right);
+        const y = price => margin.top +
+            (1 - price / maxPrice) * (height - margin.top - margin.bottom);
+
+        const svg = this._createSvgElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'aria-label': `${commodity.name} price by day`
+        });
 
-        container.innerHTML = `
-            <div class="stat-row">
-                <span class="stat-name">Final Money:</span>
-                <span class="stat-value-display">${stats.formattedFinalMoney}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Money Needed:</span>
-                <span class="stat-value-display">${HELPERS.formatMoney(shortfall)}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Total Crops Sold:</span>
-                <span class="stat-value-display">${stats.totalCropsSold}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Total Animals Sold:</span>
-                <span class="stat-value-display">${stats.totalAnimalsSold}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Total Offspring Born:</span>
-                <span class="stat-value-display">${stats.totalOffspringBorn}</span>
-            </div>
-            <div class="stat-row">
-                <span class="stat-name">Best Single Sale:</span>
-                <span class="stat-value-display">${HELPERS.formatMoney(stats.bestSingleSale)}</span>
-            </div>
-        `;
+        // Grid and price labels
+        for (let price = 0; price <= maxPrice; price += step) {
+            svg.appendChild(this._createSvgElement('line', {
+                class: 'chart-grid',
+                x1: margin.left, x2: width - margin.right, y1: y(price), y2: y(price)
+            }));
 
-        HELPERS.debugLog('Defeat screen rendered', stats);
+            const label = this._createSvgElement('text', {
+                class: 'chart-label', x: margin.left - 6, y: y(price) + 4, 'text-anchor': 'end'
+            });
+            label.textContent = HELPERS.formatMoney(price);
+            svg.appendChild(label);
+        }
+
+        // Day labels (every day, or fewer in long games)
+        const labelEvery = Math.ceil(lastDay / 10);
+        for (let day = 1; day <= lastDay; day += labelEvery) {
+            const label = this._createSvgElement('text', {
+                class: 'chart-label', x: x(day), y: height - 10, 'text-anchor': 'middle'
+            });
+            label.textContent = `D${day}`;
+            svg.appendChild(label);
+        }
+
+        // Axes
+        svg.appendChild(this._createSvgElement('line', {
+            class: 'chart-axis',
+            x1: margin.left, x2: margin.left, y1: margin.top, y2: y(0)
+        }));
+        svg.appendChild(this._createSvgElement('line', {
+            class: 'chart-axis',
+            x1: margin.left, x2: width - margin.right, y1: y(0), y2: y(0)
+        }));
+
+        // Price line with a point per day
+        const points = history
+            .filter(entry => typeof entry.prices[commodity.id] === 'number')
+            .map(entry => ({day: entry.day, price: entry.prices[commodity.id]}));
+
+        svg.appendChild(this._createSvgElement('path', {
+            class: 'chart-price',
+            d: points.map((point, index) => (
+                `${index === 0 ? 'M' : 'L'} ${x(point.day).toFixed(1)} ${y(point.price).toFixed(1)}`
+            )).join(' ')
+        }));
+        points.forEach(point => {
+            svg.appendChild(this._createChartPoint('chart-price-point', x(point.day), y(point.price), 4,
+                `Day ${point.day}: ${HELPERS.formatMoney(point.price)}`));
+        });
+
+        // The player's sales on top
+        sales.forEach(sale => {
+            svg.appendChild(this._createChartPoint('chart-sale', x(sale.day), y(sale.price), 6,
+                `Day ${sale.day}: you sold one for ${HELPERS.formatMoney(sale.price)}`));
+        });
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+    }
+
+
+    /**
+     * PRIVATE: _createChartPoint
+     * Creates an SVG dot with a tooltip
+     *
+     * @returns {SVGElement} circle element
+     */
+    _createChartPoint(className, cx, cy, radius, tooltip) {
+        const point = this._createSvgElement('circle', {
+            class: className, cx: cx.toFixed(1), cy: cy.toFixed(1), r: radius
+        });
+
+        const title = this._createSvgElement('title');
+        title.textContent = tooltip;
+        point.appendChild(title);
+
+        return point;
+    }
+
+
+    /**
+     * PRIVATE: _getChartStep
+     * Rounds a step up to 1, 2 or 5 times a power of ten (for axis labels)
+     *
+     * @param {number} rawStep - Smallest acceptable step
+     * @returns {number} Round step (e.g. 37 → 50)
+     */
+    _getChartStep(rawStep) {
+        const power = Math.pow(10, Math.floor(Math.log10(Math.max(1, rawStep))));
+        const step = [1, 2, 5, 10].find(factor => factor * power >= rawStep);
+        return step * power;
+    }
+
+
+    /**
+     * PRIVATE: _getPriceHistorySummary
+     * Sums up an item's prices and the player's sales of it
+     *
+     * @param {Object} commodity - Crop or animal definition
+     * @param {Object[]} history - From GameState.getPriceHistory()
+     * @returns {string} e.g. "Today $32 · Best $36 (day 2) · Lowest $14 (day 5) · You sold 6 for $171"
+     */
+    _getPriceHistorySummary(commodity, history) {
+        const days = history.filter(entry => typeof entry.prices[commodity.id] === 'number');
+        if (days.length === 0) {
+            return 'No prices recorded yet.';
+        }
+
+        const price = entry => entry.prices[commodity.id];
+        const today = days[days.length - 1];
+        const best = days.reduce((top, entry) => (price(entry) > price(top) ? entry : top));
+        const lowest = days.reduce((low, entry) => (price(entry) < price(low) ? entry : low));
+
+        const sales = history.reduce((list, entry) => (
+            list.concat(entry.sales.filter(sale => sale.type === commodity.id))
+        ), []);
+        const earned = sales.reduce((sum, sale) => sum + sale.price, 0);
+
+        return [
+            `${today.day === this.gameState.currentDay ? 'Today' : `Day ${today.day}`} ${HELPERS.formatMoney(price(today))}`,
+            `Best ${HELPERS.formatMoney(price(best))} (day ${best.day})`,
+            `Lowest ${HELPERS.formatMoney(price(lowest))} (day ${lowest.day})`,
+            sales.length > 0
+                ? `You sold ${sales.length} for ${HELPERS.formatMoney(earned)}`
+                : `No ${commodity.name} sold yet`
+        ].join(' · ');
+    }
+
+
+    // ========================================================================
+    // LOAD GAME SCREEN RENDERING
+    // ========================================================================
+
+    /**
+     * PUBLIC: renderLoadGameScreen
+     * Renders the list of named save slots
+     */
+    renderLoadGameScreen() {
+        const container = document.getElementById('save-slot-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const slots = this.saveManager.getSlots();
+
+        if (slots.length === 0) {
+            const emptyState = this._createEmptyState(
+                'No saved games yet',
+                'Name a slot above to save your current game'
+            );
+            container.appendChild(emptyState);
+            return;
+        }
+
+        slots.forEach(slot => {
+            container.appendChild(this._createSaveSlotCard(slot));
+        });
+
+        HELPERS.debugLog('Load game screen rendered');
+    }
+
+
+    /**
+     * PRIVATE: _createSaveSlotCard
+     * Creates a card for a save slot
+     *
+     * @param {Object} slot - Slot summary from SaveManager.getSlots()
+     * @returns {HTMLElement} Save slot card
+     */
+    _createSaveSlotCard(slot) {
+        const card = document.createElement('div');
+        card.className = 'save-slot-card';
+        card.dataset.slotId = slot.id;
+
+        // Slot info
+        const info = document.createElement('div');
+        info.className = 'save-slot-info';
+
+        const name = document.createElement('div');
+        name.className = 'save-slot-name';
+        name.textContent = slot.name;
+        info.appendChild(name);
+
+        const details = document.createElement('div');
+        details.className = 'save-slot-details';
+        details.textContent = `${HELPERS.formatDay(slot.day)} • ${HELPERS.formatMoney(slot.money)} / ` +
+            `${HELPERS.formatMoney(slot.goalMoney)} • Saved ${new Date(slot.savedAt).toLocaleString()}`;
+        info.appendChild(details);
+
+        // Progress toward goal
+        const barContainer = document.createElement('div');
+        barContainer.className = 'progress-bar-container';
+
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        bar.style.width = `${slot.progress}%`;
+        barContainer.appendChild(bar);
+
+        info.appendChild(barContainer);
+        card.appendChild(info);
+
+        // Actions
+        const actions = document.createElement('div');
+        actions.className = 'save-slot-actions';
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'btn btn-primary btn-small';
+        loadBtn.textContent = 'Load';
+        loadBtn.onclick = () => this._handleLoadSlot(slot.id);
+        actions.appendChild(loadBtn);
+
+        const overwriteBtn = document.createElement('button');
+        overwriteBtn.className = 'btn btn-warning btn-small';
+        overwriteBtn.textContent = 'Overwrite';
+        overwriteBtn.onclick = () => this._handleOverwriteSlot(slot);
+        actions.appendChild(overwriteBtn);
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'btn btn-secondary btn-small';
+        renameBtn.textContent = 'Rename';
+        renameBtn.onclick = () => this._handleRenameSlot(slot);
+        actions.appendChild(renameBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = () => this._handleDeleteSlot(slot);
+        actions.appendChild(deleteBtn);
+
+        card.appendChild(actions);
+
+        return card;
+    }
+
+
+    /**
+     * PRIVATE: _handleSaveNewSlot
+     * Saves the current game into a new slot named from the input field
+     */
+    _handleSaveNewSlot() {
+        const input = document.getElementById('save-slot-name');
+        const result = this.saveManager.saveToSlot(input ? input.value : '');
+
+        if (result.success) {
+            this.showNotification('success', result.message);
+            if (input) {
+                input.value = '';
+            }
+            this.renderLoadGameScreen();
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+
+    /**
+     * PRIVATE: _handleLoadSlot
+     * Loads a save slot
+     *
+     * @param {string} slotId - Slot ID
+     */
+    _handleLoadSlot(slotId) {
+        const result = this.saveManager.loadSlot(slotId);
+
+        if (!result.success) {
+            this.showNotification('danger', result.message);
+            return;
+        }
+
+        this._applyLoadedGame(result);
+    }
+
+
+    /**
+     * PRIVATE: _applyLoadedGame
+     * Switches the UI and timers to a freshly loaded game
+     *
+     * @param {Object} result - Successful result from SaveManager (loadSlot / importGame)
+     *
+     * SIDE EFFECTS:
+     * - Restarts TimerManager from the loaded day clock
+     * - Makes the loaded game the current autosave
+     * - Shows the home screen
+     */
+    _applyLoadedGame(result) {
+        // Switch to the loaded state and continue its day where it left off
+        this.gameState = result.gameState;
+        this.timerManager.stop();
+        this.timerManager.start(result.dayElapsedTime);
+
+        // The loaded game becomes the current autosave
+        this.saveManager.saveGame(true);
+
+        this.showScreen(CONSTANTS.SCREENS.HOME);
+        this.updateHeader();
+        this.showNotification('success', result.message);
+    }
+
+
+    /**
+     * PRIVATE: _handleOverwriteSlot
+     * Replaces a slot with the current game after confirmation
+     *
+     * @param {Object} slot - Slot summary
+     */
+    _handleOverwriteSlot(slot) {
+        if (!window.confirm(`Overwrite "${slot.name}" with the current game?`)) {
+            return;
+        }
+
+        const result = this.saveManager.overwriteSlot(slot.id);
+
+        if (result.success) {
+            this.showNotification('success', result.message);
+            this.renderLoadGameScreen();
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+
+    /**
+     * PRIVATE: _handleRenameSlot
+     * Prompts for a new slot name
+     *
+     * @param {Object} slot - Slot summary
+     */
+    _handleRenameSlot(slot) {
+        const newName = window.prompt('New slot name:', slot.name);
+        if (newName === null) {
+            return;
+        }
+
+        const result = this.saveManager.renameSlot(slot.id, newName);
+
+        if (result.success) {
+            this.showNotification('success', result.message);
+            this.renderLoadGameScreen();
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+
+    /**
+     * PRIVATE: _handleDeleteSlot
+     * Deletes a slot after confirmation
+     *
+     * @param {Object} slot - Slot summary
+     */
+    _handleDeleteSlot(slot) {
+        if (!window.confirm(`Delete "${slot.name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        const result = this.saveManager.deleteSlot(slot.id);
+
+        if (result.success) {
+            this.showNotification('success', result.message);
+            this.renderLoadGameScreen();
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+
+    // ========================================================================
+    // SHARE / IMPORT DIALOG
+    // ========================================================================
+
+    /**
+     * PUBLIC: openShareDialog
+     * Shows the share / import dialog
+     */
+    openShareDialog() {
+        const dialog = document.getElementById('share-dialog');
+        if (dialog) {
+            dialog.classList.remove('hidden');
+        }
+    }
+
+
+    /**
+     * PUBLIC: closeShareDialog
+     * Hides the share / import dialog and clears its inputs
+     */
+    closeShareDialog() {
+        const dialog = document.getElementById('share-dialog');
+        if (dialog) {
+            dialog.classList.add('hidden');
+        }
+
+        const codeInput = document.getElementById('share-code-input');
+        if (codeInput) {
+            codeInput.value = '';
+        }
+
+        const fileInput = document.getElementById('import-file-input');
+        if (fileInput) {
+            fileInput.value = '';
+        }
+    }
+
+
+    // ========================================================================
+    // SEVERE WEATHER REPORT
+    // ========================================================================
+
+    /**
+     * PUBLIC: openWeatherReport
+     * Shows what a severe weather event did to the farm
+     *
+     * @param {Object} report - Report from GameState (see _applySevereWeather)
+     *
+     * CALLED BY:
+     * - SEVERE_WEATHER event listener
+     */
+    openWeatherReport(report) {
+        const dialog = document.getElementById('weather-report-dialog');
+        if (!dialog || !report) return;
+
+        const title = document.getElementById('weather-report-title');
+        if (title) {
+            title.textContent = `${report.emoji} ${report.name} on Day ${report.day}`;
+        }
+
+        const event = SEVERE_WEATHER.getEvent(report.eventId);
+        const summary = document.getElementById('weather-report-summary');
+        if (summary) {
+            summary.textContent = `${event ? event.description + '. ' : ''}` +
+                `Value lost at normal prices: ${HELPERS.formatMoney(report.valueLost)}`;
+        }
+
+        const list = document.getElementById('weather-report-list');
+        if (list) {
+            list.innerHTML = '';
+
+            const lines = [
+                ['destroyed', '💥 Destroyed', report.cropsDestroyed],
+                ['damaged', '🩹 Damaged (sells for less)', report.cropsDamaged],
+                ['lost', '💀 Animals lost', report.animalsLost]
+            ];
+
+            lines.forEach(([className, label, items]) => {
+                if (items.length === 0) return;
+
+                const item = document.createElement('li');
+                item.className = className;
+                item.textContent = `${label}: ${this._summarizeNames(items)}`;
+                list.appendChild(item);
+            });
+
+            if (list.children.length === 0) {
+                const item = document.createElement('li');
+                item.textContent = '✅ Nothing on the farm was harmed.';
+                list.appendChild(item);
+            }
+        }
+
+        dialog.classList.remove('hidden');
+    }
+
+
+    /**
+     * PUBLIC: closeWeatherReport
+     * Hides the severe weather report
+     */
+    closeWeatherReport() {
+        const dialog = document.getElementById('weather-report-dialog');
+        if (dialog) {
+            dialog.classList.add('hidden');
+        }
+    }
+
+
+    /**
+     * PRIVATE: _summarizeNames
+     * Counts items by name for a report line
+     *
+     * @param {Object[]} items - [{name}, ...]
+     * @returns {string} e.g. "2× Corn, 1× Pig"
+     */
+    _summarizeNames(items) {
+        const counts = {};
+        items.forEach(item => {
+            counts[item.name] = (counts[item.name] || 0) + 1;
+        });
+
+        return Object.keys(counts).map(name => `${counts[name]}× ${name}`).join(', ');
+    }
+
+
+    /**
+     * PRIVATE: _handleExportJson
+     * Downloads the current game as a .json file
+     */
+    _handleExportJson() {
+        const result = this.saveManager.exportGame();
+
+        if (!result.success) {
+            this.showNotification('danger', result.message);
+            return;
+        }
+
+        const blob = new Blob([result.json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        this.showNotification('success', result.message);
+    }
+
+
+    /**
+     * PRIVATE: _handleExportCode
+     * Puts a share code in the text box and copies it to the clipboard
+     */
+    _handleExportCode() {
+        const result = this.saveManager.exportShareCode();
+
+        if (!result.success) {
+            this.showNotification('danger', result.message);
+            return;
+        }
+
+        const codeInput = document.getElementById('share-code-input');
+        if (codeInput) {
+            codeInput.value = result.code;
+            codeInput.select();
+        }
+
+        // Clipboard access can be denied; the code is still selectable in the box
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(result.code).then(
+                () => this.showNotification('success', '🔗 Share code copied to clipboard!'),
+                () => this.showNotification('info', 'Share code ready - copy it from the box.')
+            );
+        } else {
+            this.showNotification('info', 'Share code ready - copy it from the box.');
+        }
+    }
+
+
+    /**
+     * PRIVATE: _handleImportGame
+     * Imports the share code or JSON pasted into the text box
+     */
+    _handleImportGame() {
+        const codeInput = document.getElementById('share-code-input');
+        this._importFromText(codeInput ? codeInput.value : '');
+    }
+
+
+    /**
+     * PRIVATE: _handleImportFile
+     * Imports a chosen .json file
+     *
+     * @param {Event} e - File input change event
+     */
+    _handleImportFile(e) {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this._importFromText(reader.result);
+        reader.onerror = () => this.showNotification('danger', CONSTANTS.ERROR_MESSAGES.LOAD_FAILED);
+        reader.readAsText(file);
+    }
+
+
+    /**
+     * PRIVATE: _importFromText
+     * Runs an import and switches to the imported game on success
+     *
+     * @param {string} text - Share code or JSON text
+     */
+    _importFromText(text) {
+        const result = this.saveManager.importGame(text);
+
+        if (!result.success) {
+            this.showNotification('danger', result.message);
+            return;
+        }
+
+        this.closeShareDialog();
+        this._applyLoadedGame(result);
+    }
+
+
+    // ========================================================================
+    // DAILY CHALLENGE SCREEN RENDERING
+    // ========================================================================
+
+    /**
+     * PUBLIC: renderDailyChallengeScreen
+     * Renders today's challenge status and the results calendar
+     */
+    renderDailyChallengeScreen() {
+        const today = this.challengeManager.getTodayChallenge();
+
+        // Today's challenge
+        const todayContainer = document.getElementById('daily-today');
+        if (todayContainer) {
+            todayContainer.innerHTML = '';
+
+            const dateLine = document.createElement('p');
+            dateLine.className = 'daily-today-date';
+            dateLine.textContent = `${today.date} • Seed: ${today.seed}`;
+            todayContainer.appendChild(dateLine);
+
+            const status = document.createElement('p');
+            status.className = 'daily-today-status';
+            if (today.played) {
+                status.textContent = today.result.won
+                    ? `✅ Won with ${HELPERS.formatMoney(today.result.finalMoney)} on ${HELPERS.formatDay(today.result.dayReached)}`
+                    : `❌ Lost with ${HELPERS.formatMoney(today.result.finalMoney)} (reached ${HELPERS.formatDay(today.result.dayReached)})`;
+            } else if (this.gameState.challengeDate === today.date) {
+                status.textContent = '🎮 In progress - finish the game to record your result';
+            } else {
+                status.textContent = 'Everyone gets the same weather and breeding luck today. One attempt per day!';
+            }
+            todayContainer.appendChild(status);
+        }
+
+        const startBtn = document.getElementById('btn-start-daily-challenge');
+        if (startBtn) {
+            startBtn.disabled = today.played || this.gameState.challengeDate === today.date;
+        }
+
+        this._renderDailyCalendar();
+
+        HELPERS.debugLog('Daily challenge screen rendered');
+    }
+
+
+    /**
+     * PRIVATE: _renderDailyCalendar
+     * Renders the month grid of daily results and the totals
+     */
+    _renderDailyCalendar() {
+        const container = document.getElementById('daily-calendar');
+        if (!container) return;
+
+        if (!this.dailyCalendarMonth) {
+            const now = new Date();
+            this.dailyCalendarMonth = {year: now.getUTCFullYear(), month: now.getUTCMonth()};
+        }
+
+        const calendar = this.challengeManager.getCalendarMonth(
+            this.dailyCalendarMonth.year,
+            this.dailyCalendarMonth.month
+        );
+
+        const title = document.getElementById('daily-calendar-title');
+        if (title) {
+            title.textContent = calendar.label;
+        }
+
+        container.innerHTML = '';
+
+        // Weekday headings
+        ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(weekday => {
+            const heading = document.createElement('div');
+            heading.className = 'daily-calendar-weekday';
+            heading.textContent = weekday;
+            container.appendChild(heading);
+        });
+
+        // Empty cells before the 1st
+        for (let i = 0; i < calendar.leadingBlanks; i++) {
+            const blank = document.createElement('div');
+            blank.className = 'daily-calendar-day empty';
+            container.appendChild(blank);
+        }
+
+        calendar.days.forEach(day => {
+            container.appendChild(this._createDailyCalendarDay(day));
+        });
+
+        // Totals
+        const summary = document.getElementById('daily-summary');
+        if (summary) {
+            const totals = this.challengeManager.getSummary();
+            summary.textContent = totals.played === 0
+                ? 'No daily challenges finished yet.'
+                : `Played ${totals.played} • Won ${totals.won} • Best ${HELPERS.formatMoney(totals.bestMoney)}`;
+        }
+    }
+
+
+    /**
+     * PRIVATE: _createDailyCalendarDay
+     * Creates one day cell of the results calendar
+     *
+     * @param {Object} day - Day from ChallengeManager.getCalendarMonth()
+     * @returns {HTMLElement} Day cell
+     */
+    _createDailyCalendarDay(day) {
+        const cell = document.createElement('div');
+        cell.className = 'daily-calendar-day';
+
+        if (day.isToday) {
+            cell.classList.add('today');
+        }
+        if (day.isFuture) {
+            cell.classList.add('future');
+        }
+
+        const number = document.createElement('div');
+        number.className = 'daily-calendar-number';
+        number.textContent = day.day;
+        cell.appendChild(number);
+
+        if (day.result) {
+            cell.classList.add(day.result.won ? 'won' : 'lost');
+
+            const icon = document.createElement('div');
+            icon.className = 'daily-calendar-result';
+            icon.textContent = day.result.won ? '✅' : '❌';
+            cell.appendChild(icon);
+
+            const money = document.createElement('div');
+            money.className = 'daily-calendar-money';
+            money.textContent = HELPERS.formatMoney(day.result.finalMoney);
+            cell.appendChild(money);
+
+            cell.title = `${day.date}: ${day.result.won ? 'Won' : 'Lost'} with ` +
+                `${HELPERS.formatMoney(day.result.finalMoney)}, reached ${HELPERS.formatDay(day.result.dayReached)}`;
+        }
+
+        return cell;
+    }
+
+
+    /**
+     * PRIVATE: _changeDailyCalendarMonth
+     * Moves the results calendar by a number of months
+     *
+     * @param {number} delta - Months to move (-1 = previous, 1 = next)
+     */
+    _changeDailyCalendarMonth(delta) {
+        if (!this.dailyCalendarMonth) {
+            const now = new Date();
+            this.dailyCalendarMonth = {year: now.getUTCFullYear(), month: now.getUTCMonth()};
+        }
+
+        const target = new Date(Date.UTC(this.dailyCalendarMonth.year, this.dailyCalendarMonth.month + delta, 1));
+        this.dailyCalendarMonth = {year: target.getUTCFullYear(), month: target.getUTCMonth()};
+
+        this._renderDailyCalendar();
+    }
+
+
+    /**
+     * PRIVATE: _handleStartDailyChallenge
+     * Starts today's daily challenge (replaces the current game)
+     */
+    _handleStartDailyChallenge() {
+        if (!window.confirm('Start today\'s challenge? Progress that is not in a save slot will be lost.')) {
+            return;
+        }
+
+        const result = this.challengeManager.startDailyChallenge();
+
+        if (result.success) {
+            this._restartGame();
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+    // ========================================================================
+    // BANK SCREEN RENDERING
+    // ========================================================================
+
+    /**
+     * PUBLIC: renderBankScreen
+     * Renders the farm debt, loan offers, loans owed and the repayment schedule
+     */
+    renderBankScreen() {
+        const summary = this.bankManager.getSummary();
+        const bank = GAME_CONFIG.BANK;
+        const gameOver = this.gameState.isGameOver();
+
+        // Farm debt and deadline
+        const summaryBox = document.getElementById('bank-summary');
+        if (summaryBox) {
+            summaryBox.textContent =
+                `Farm debt ${HELPERS.formatMoney(summary.debt)} • Paid off ${HELPERS.formatMoney(summary.debtRepaid)} • ` +
+                `Loans ${HELPERS.formatMoney(summary.loanBalance)} • Total owed ${HELPERS.formatMoney(summary.debtBalance)} • ` +
+                `The bank collects everything on ${HELPERS.formatDay(summary.deadlineDay)}`;
+        }
+
+        const repayInput = document.getElementById('bank-repay-amount');
+        if (repayInput) {
+            repayInput.max = String(summary.maxDebtPayment);
+            repayInput.disabled = gameOver;
+        }
+
+        ['btn-bank-repay', 'btn-bank-repay-max'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.disabled = gameOver || summary.maxDebtPayment < 1;
+            }
+        });
+
+        // Loan terms and offers
+        const terms = document.getElementById('bank-loan-terms');
+        if (terms) {
+            terms.textContent = `${HELPERS.formatPercentage(bank.DAILY_INTEREST_RATE)} interest every night, ` +
+                `due ${bank.LOAN_TERM_DAYS} days after borrowing, at most ${HELPERS.formatMoney(bank.MAX_LOAN_BALANCE)} owed at once. ` +
+                'On the day a loan is due the bank takes it from your cash.';
+        }
+
+        const offers = document.getElementById('bank-loan-offers');
+        if (offers) {
+            offers.innerHTML = '';
+            this.bankManager.getLoanOffers().forEach(offer => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = `Borrow ${HELPERS.formatMoney(offer.amount)} - ` +
+                    `repay ${HELPERS.formatMoney(offer.dueAmount)} on ${HELPERS.formatDay(offer.dueDay)}`;
+                button.disabled = !offer.canTake;
+                button.title = offer.reason || '';
+                button.onclick = () => this._handleTakeLoan(offer.amount);
+                offers.appendChild(button);
+            });
+        }
+
+        // Loans owed
+        const loansBody = document.getElementById('bank-loans');
+        if (loansBody) {
+            loansBody.innerHTML = '';
+            const loans = this.gameState.getLoans();
+            if (loans.length === 0) {
+                loansBody.appendChild(this._createLedgerRow([{text: 'No loans.', colSpan: 6}]));
+            }
+            loans.forEach(loan => {
+                const row = this._createLedgerRow([
+                    {text: HELPERS.formatMoney(loan.principal)},
+                    {text: HELPERS.formatDay(loan.dayTaken)},
+                    {text: HELPERS.formatDay(loan.dueDay),
+                        className: loan.dueDay <= this.gameState.currentDay ? 'ledger-expense' : ''},
+                    {text: HELPERS.formatMoney(loan.interestCharged)},
+                    {text: HELPERS.formatMoney(loan.balance)}
+                ]);
+
+                const actions = document.createElement('td');
+                const repayBtn = document.createElement('button');
+                repayBtn.className = 'btn btn-small btn-primary';
+                repayBtn.textContent = 'Repay';
+                repayBtn.disabled = gameOver || this.gameState.currentMoney < 1;
+                repayBtn.onclick = () => this._handleRepayLoan(loan.id);
+                actions.appendChild(repayBtn);
+                row.appendChild(actions);
+
+                loansBody.appendChild(row);
+            });
+        }
+
+        // What the bank collects each morning
+        const scheduleBody = document.getElementById('bank-schedule');
+        if (scheduleBody) {
+            scheduleBody.innerHTML = '';
+            const schedule = gameOver ? [] : this.bankManager.getRepaymentSchedule();
+            if (schedule.length === 0) {
+                scheduleBody.appendChild(this._createLedgerRow([{text: 'Nothing left to collect.', colSpan: 7}]));
+            }
+            schedule.forEach(row => {
+                let consequence = [];
+                if (row.farmLost) {
+                    consequence = ['The farm is lost'];
+                } else if (row.unpaid > 0) {
+                    consequence = ['Keeps collecting interest'];
+                }
+
+                scheduleBody.appendChild(this._createLedgerRow([
+                    {text: HELPERS.formatDay(row.day) + (row.isDeadline ? ' (deadline)' : '')},
+                    {text: HELPERS.formatMoney(row.interest)},
+                    {text: HELPERS.formatMoney(row.due)},
+                    {text: HELPERS.formatMoney(row.collected)},
+                    {text: HELPERS.formatMoney(row.unpaid), className: row.unpaid > 0 ? 'ledger-expense' : '',
+                        breakdown: consequence},
+                    {text: HELPERS.formatMoney(row.cash)},
+                    {text: HELPERS.formatMoney(row.loanBalance)}
+                ]));
+            });
+        }
+
+        HELPERS.debugLog('Bank screen rendered', summary);
+    }
+
+
+    /**
+     * PRIVATE: _handleRepayDebt
+     * Pays an amount toward the farm debt (Repay / Repay Max buttons)
+     *
+     * @param {number} amount - Amount to pay
+     */
+    _handleRepayDebt(amount) {
+        const result = this.bankManager.repayDebt(amount);
+
+        if (result.success) {
+            this.showNotification('success', result.message);
+            const input = document.getElementById('bank-repay-amount');
+            if (input) {
+                input.value = '';
+            }
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+
+    /**
+     * PRIVATE: _handleTakeLoan
+     * Borrows an amount from the bank (loan offer buttons)
+     *
+     * @param {number} amount - One of GAME_CONFIG.BANK.LOAN_AMOUNTS
+     */
+    _handleTakeLoan(amount) {
+        const result = this.bankManager.takeLoan(amount);
+        this.showNotification(result.success ? 'success' : 'danger', result.message);
+    }
+
+
+    /**
+     * PRIVATE: _handleRepayLoan
+     * Pays back as much of a loan as the cash allows (loan Repay buttons)
+     *
+     * @param {string} loanId - ID of the loan
+     */
+    _handleRepayLoan(loanId) {
+        const result = this.bankManager.repayLoan(loanId, this.gameState.currentMoney);
+        this.showNotification(result.success ? 'success' : 'danger', result.message);
+    }
+
+
+    // ========================================================================
+    // LEDGER SCREEN RENDERING
+    // ========================================================================
+
+    /**
+     * PUBLIC: renderLedgerScreen
+     * Renders the daily cash flow, profit per item type and every transaction
+     */
+    renderLedgerScreen() {
+        const entries = this.gameState.getLedger();
+
+        // Totals
+        const totals = document.getElementById('ledger-totals');
+        if (totals) {
+            const sums = LEDGER.getTotals(entries);
+            totals.textContent = sums.transactions === 0
+                ? 'No money has changed hands yet.'
+                : `Income ${HELPERS.formatMoney(sums.income)} • Expenses ${HELPERS.formatMoney(sums.expenses)} • ` +
+                  `Net ${LEDGER.formatAmount(sums.net)} • ${sums.transactions} transactions`;
+        }
+
+        // Cash flow by day
+        const daysBody = document.getElementById('ledger-days');
+        if (daysBody) {
+            daysBody.innerHTML = '';
+            const lastDay = Math.min(this.gameState.currentDay, GAME_CONFIG.TOTAL_DAYS);
+            LEDGER.getDailySummary(entries, lastDay, this.gameState.currentMoney).forEach(row => {
+                daysBody.appendChild(this._createLedgerRow([
+                    {text: HELPERS.formatDay(row.day)},
+                    {text: HELPERS.formatMoney(row.income), className: 'ledger-income',
+                        breakdown: this._getLedgerBreakdown(row.byCategory, amount => amount > 0)},
+                    {text: HELPERS.formatMoney(row.expenses), className: 'ledger-expense',
+                        breakdown: this._getLedgerBreakdown(row.byCategory, amount => amount < 0)},
+                    {text: LEDGER.formatAmount(row.net), className: this._getLedgerAmountClass(row.net)},
+                    {text: HELPERS.formatMoney(row.closingBalance)}
+                ]));
+            });
+        }
+
+        // Profit per crop and animal type
+        const profitBody = document.getElementById('ledger-profit');
+        if (profitBody) {
+            profitBody.innerHTML = '';
+            const rows = LEDGER.getProfitByType(entries);
+            if (rows.length === 0) {
+                profitBody.appendChild(this._createLedgerRow([{text: 'Nothing bought or sold yet.', colSpan: 6}]));
+            }
+            rows.forEach(row => {
+                profitBody.appendChild(this._createLedgerRow([
+                    {text: `${row.emoji} ${row.name}`},
+                    {text: String(row.bought)},
+                    {text: String(row.sold)},
+                    {text: HELPERS.formatMoney(row.spent)},
+                    {text: HELPERS.formatMoney(row.earned)},
+                    {text: LEDGER.formatAmount(row.profit), className: this._getLedgerAmountClass(row.profit)}
+                ]));
+            });
+        }
+
+        // Every transaction with the running balance
+        const transactionsBody = document.getElementById('ledger-transactions');
+        if (transactionsBody) {
+            transactionsBody.innerHTML = '';
+            if (entries.length === 0) {
+                transactionsBody.appendChild(this._createLedgerRow([{text: 'No transactions yet.', colSpan: 7}]));
+            }
+            entries.forEach(entry => {
+                transactionsBody.appendChild(this._createLedgerRow([
+                    {text: HELPERS.formatDay(entry.day)},
+                    {text: HELPERS.formatTime(Math.max(0, entry.timestamp - this.gameState.gameStartTime))},
+                    {text: LEDGER.getCategoryLabel(entry.category)},
+                    {text: entry.reason},
+                    {text: entry.demandIndex === null ? '—' : HELPERS.formatMultiplier(entry.demandIndex)},
+                    {text: LEDGER.formatAmount(entry.amount), className: this._getLedgerAmountClass(entry.amount)},
+                    {text: HELPERS.formatMoney(entry.balance)}
+                ]));
+            });
+        }
+
+        HELPERS.debugLog('Ledger screen rendered');
+    }
+
+
+    /**
+     * PRIVATE: _createLedgerRow
+     * Creates a table row for the ledger tables
+     *
+     * @param {Object[]} cells - [{text, className, breakdown, colSpan}],
+     *                           breakdown = small lines under the text
+     * @returns {HTMLElement} tr element
+     */
+    _createLedgerRow(cells) {
+        const row = document.createElement('tr');
+
+        cells.forEach(cell => {
+            const td = document.createElement('td');
+            td.textContent = cell.text;
+            if (cell.className) {
+                td.className = cell.className;
+            }
+            if (cell.colSpan) {
+                td.colSpan = cell.colSpan;
+            }
+
+            (cell.breakdown || []).forEach(line => {
+                const small = document.createElement('small');
+                small.className = 'ledger-breakdown';
+                small.textContent = line;
+                td.appendChild(small);
+            });
+
+            row.appendChild(td);
+        });
+
+        return row;
+    }
+
+
+    /**
+     * PRIVATE: _getLedgerBreakdown
+     * Lists a day's categories on one side of the cash flow
+     *
+     * @param {Object} byCategory - From LEDGER.getDailySummary()
+     * @param {Function} include - Picks income (amount > 0) or expenses
+     * @returns {string[]} e.g. ["🌾 Crop sales $120"]
+     */
+    _getLedgerBreakdown(byCategory, include) {
+        return Object.keys(byCategory)
+            .filter(category => include(byCategory[category]))
+            .map(category => (
+                `${LEDGER.getCategoryLabel(category)} ${HELPERS.formatMoney(Math.abs(byCategory[category]))}`
+            ));
+    }
+
+
+    /**
+     * PRIVATE: _getLedgerAmountClass
+     * Colors a signed amount
+     *
+     * @param {number} amount - Signed amount
+     * @returns {string} 'ledger-income', 'ledger-expense' or ''
+     */
+    _getLedgerAmountClass(amount) {
+        if (amount > 0) return 'ledger-income';
+        if (amount < 0) return 'ledger-expense';
+        return '';
+    }
+
+
+    /**
+     * PRIVATE: _handleExportLedger
+     * Downloads every ledger entry as a .csv file
+     */
+    _handleExportLedger() {
+        const csv = LEDGER.toCSV(this.gameState.getLedger());
+
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = LEDGER.getCsvFileName(this.gameState.currentDay);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        this.showNotification('success', CONSTANTS.SUCCESS_MESSAGES.LEDGER_EXPORTED);
+    }
+
+
+    // ========================================================================
+    // BALANCING SCREEN RENDERING (TESTING MODE)
+    // ========================================================================
+
+    /**
+     * PUBLIC: renderBalancingScreen
+     * Renders the weather-demand curve editor
+     *
+     * The editor works on a draft copy of GAME_CONFIG.WEATHER_DEMAND_RULES:
+     * the running game keeps its prices, and the designer exports the
+     * finished table as JSON for config.js.
+     */
+    renderBalancingScreen() {
+        if (!this.demandCurveDraft) {
+            this.demandCurveDraft = DEMAND_CURVE.getConfigRules();
+        }
+
+        this._renderDemandRuleRows();
+        this._updateDemandCurvePreview();
+
+        HELPERS.debugLog('Balancing screen rendered');
+    }
+
+
+    /**
+     * PRIVATE: _renderDemandRuleRows
+     * Renders one editable table row per rule of the draft
+     */
+    _renderDemandRuleRows() {
+        const container = document.getElementById('demand-rule-rows');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        this.demandCurveDraft.forEach((rule, index) => {
+            container.appendChild(this._createDemandRuleRow(rule, index));
+        });
+    }
+
+
+    /**
+     * PRIVATE: _createDemandRuleRow
+     * Creates the inputs and actions for one rule
+     *
+     * @param {Object} rule - Draft rule
+     * @param {number} index - Index in the draft
+     * @returns {HTMLElement} Table row
+     */
+    _createDemandRuleRow(rule, index) {
+        const row = document.createElement('tr');
+
+        const fields = [
+            {key: 'minWeather', type: 'number', step: '0.01'},
+            {key: 'maxWeather', type: 'number', step: '0.01'},
+            {key: 'demandMultiplier', type: 'number', step: '0.1'},
+            {key: 'marketCondition', type: 'text'}
+        ];
+
+        fields.forEach(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = field.type;
+            input.value = rule[field.key];
+
+            if (field.type === 'number') {
+                input.step = field.step;
+                input.min = '0';
+            }
+
+            // Edits only refresh the preview, so the input keeps focus
+            input.oninput = () => {
+                const value = field.type === 'number'
+                    ? (input.value === '' ? NaN : Number(input.value))
+                    : input.value;
+
+                rule[field.key] = value;
+                input.classList.toggle('invalid', field.type === 'number' && !HELPERS.isValidNumber(value));
+                this._updateDemandCurvePreview();
+            };
+
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+
+        // Actions
+        const actions = document.createElement('td');
+        actions.className = 'demand-rule-actions';
+
+        const splitBtn = document.createElement('button');
+        splitBtn.className = 'btn btn-secondary btn-small';
+        splitBtn.textContent = '✂️ Split';
+        splitBtn.title = 'Add a breakpoint in the middle of this range';
+        splitBtn.onclick = () => {
+            this.demandCurveDraft = DEMAND_CURVE.splitRule(this.demandCurveDraft, index);
+            this.renderBalancingScreen();
+        };
+        actions.appendChild(splitBtn);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove this rule';
+        removeBtn.disabled = this.demandCurveDraft.length <= 1;
+        removeBtn.onclick = () => {
+            this.demandCurveDraft = this.demandCurveDraft.filter((_, i) => i !== index);
+            this.renderBalancingScreen();
+        };
+        actions.appendChild(removeBtn);
+
+        row.appendChild(actions);
+
+        return row;
+    }
+
+
+    /**
+     * PRIVATE: _updateDemandCurvePreview
+     * Re-validates the draft and redraws the chart
+     */
+    _updateDemandCurvePreview() {
+        const validation = DEMAND_CURVE.validate(this.demandCurveDraft);
+
+        const errorList = document.getElementById('demand-curve-errors');
+        if (errorList) {
+            errorList.innerHTML = '';
+            errorList.classList.toggle('valid', validation.valid);
+
+            const messages = validation.valid
+                ? [`✅ ${this.demandCurveDraft.length} rules cover ${CONSTANTS.WEATHER_RANGES.MIN.toFixed(2)}-` +
+                   `${CONSTANTS.WEATHER_RANGES.MAX.toFixed(2)} with no gaps.`]
+                : validation.errors.map(error => `❌ ${error}`);
+
+            messages.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                errorList.appendChild(item);
+            });
+        }
+
+        const chart = document.getElementById('demand-curve-chart');
+        if (chart) {
+            this._renderDemandCurveChart(chart);
+        }
+    }
+
+
+    /**
+     * PRIVATE: _renderDemandCurveChart
+     * Draws the draft curve over the config.js curve as an SVG step chart
+     *
+     * @param {HTMLElement} container - Chart container
+     *
+     * LAYOUT:
+     * Weather 0.10-1.00 left to right, demand multiplier bottom to top
+     * (at least up to 2.0x). Gaps in the draft break the line.
+     */
+    _renderDemandCurveChart(container) {
+        const width = 600;
+        const height = 260;
+        const margin = {top: 10, right: 10, bottom: 30, left: 45};
+        const minWeather = CONSTANTS.WEATHER_RANGES.MIN;
+        const maxWeather = CONSTANTS.WEATHER_RANGES.MAX;
+
+        const draftCurve = DEMAND_CURVE.getCurve(this.demandCurveDraft);
+        const configCurve = DEMAND_CURVE.getCurve(GAME_CONFIG.WEATHER_DEMAND_RULES);
+
+        // Multiplier axis: 0 to the highest multiplier, in steps of 0.5
+        const highest = Math.max(2.0, ...draftCurve.concat(configCurve)
+            .map(point => point.demandMultiplier || 0));
+        const maxMultiplier = Math.ceil(highest * 2) / 2;
+
+        const x = value => margin.left +
+            (value - minWeather) / (maxWeather - minWeather) * (width - margin.left - margin.right);
+        const y = multiplier => margin.top +
+            (1 - multiplier / maxMultiplier) * (height - margin.top - margin.bottom);
+
+        const svg = this._createSvgElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'aria-label': 'Demand multiplier by weather value'
+        });
+
+        // Grid and multiplier labels
+        for (let multiplier = 0; multiplier <= maxMultiplier; multiplier += 0.5) {
+            svg.appendChild(this._createSvgElement('line', {
+                class: 'chart-grid',
+                x1: margin.left, x2: width - margin.right, y1: y(multiplier), y2: y(multiplier)
+            }));
+
+            const label = this._createSvgElement('text', {
+                class: 'chart-label', x: margin.left - 6, y: y(multiplier) + 4, 'text-anchor': 'end'
+            });
+            label.textContent = HELPERS.formatMultiplier(multiplier);
+            svg.appendChild(label);
+        }
+
+        // Weather labels
+        for (let tenth = Math.round(minWeather * 10); tenth <= Math.round(maxWeather * 10); tenth++) {
+            const label = this._createSvgElement('text', {
+                class: 'chart-label', x: x(tenth / 10), y: height - 10, 'text-anchor': 'middle'
+            });
+            label.textContent = (tenth / 10).toFixed(1);
+            svg.appendChild(label);
+        }
+
+        // Axes
+        svg.appendChild(this._createSvgElement('line', {
+            class: 'chart-axis',
+            x1: margin.left, x2: margin.left, y1: margin.top, y2: y(0)
+        }));
+        svg.appendChild(this._createSvgElement('line', {
+            class: 'chart-axis',
+            x1: margin.left, x2: width - margin.right, y1: y(0), y2: y(0)
+        }));
+
+        // Curves: config.js underneath, draft on top
+        svg.appendChild(this._createSvgElement('path', {
+            class: 'chart-config', d: this._buildStepPath(configCurve, x, y)
+        }));
+        svg.appendChild(this._createSvgElement('path', {
+            class: 'chart-draft', d: this._buildStepPath(draftCurve, x, y)
+        }));
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+    }
+
+
+    /**
+     * PRIVATE: _buildStepPath
+     * Turns curve points into an SVG path of flat steps
+     *
+     * @param {Object[]} points - From DEMAND_CURVE.getCurve()
+     * @param {Function} x - Weather value → x position
+     * @param {Function} y - Multiplier → y position
+     * @returns {string} Path data ('' if no point has a multiplier)
+     *
+     * Each weather value covers half a step to either side, so a range
+     * like 0.30-0.39 is drawn from 0.295 to 0.395.
+     */
+    _buildStepPath(points, x, y) {
+        const half = Math.pow(10, -CONSTANTS.WEATHER_RANGES.DECIMALS) / 2;
+        const parts = [];
+        let lastTop = null;
+        let lastRight = null;
+
+        points.forEach(point => {
+            if (point.demandMultiplier === null) {
+                // A gap: finish the step drawn so far
+                if (lastTop !== null) {
+                    parts.push(`H ${lastRight}`);
+                }
+                lastTop = null;
+                return;
+            }
+
+            const left = x(Math.max(CONSTANTS.WEATHER_RANGES.MIN, point.weatherValue - half)).toFixed(1);
+            const right = x(Math.min(CONSTANTS.WEATHER_RANGES.MAX, point.weatherValue + half)).toFixed(1);
+            const top = y(point.demandMultiplier).toFixed(1);
+
+            if (lastTop === null) {
+                parts.push(`M ${left} ${top}`);
+            } else if (top !== lastTop) {
+                parts.push(`H ${lastRight} V ${top}`);
+            }
+
+            lastTop = top;
+            lastRight = right;
+        });
+
+        if (lastTop !== null) {
+            parts.push(`H ${lastRight}`);
+        }
+
+        return parts.join(' ');
+    }
+
+
+    /**
+     * PRIVATE: _createSvgElement
+     * Creates an SVG element with attributes
+     *
+     * @param {string} tag - SVG tag name
+     * @param {Object} attributes - Attribute values
+     * @returns {SVGElement} New element
+     */
+    _createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+
+        Object.keys(attributes).forEach(name => {
+            element.setAttribute(name, attributes[name]);
+        });
+
+        return element;
+    }
+
+
+    /**
+     * PRIVATE: _handleResetDemandCurve
+     * Throws the draft away and starts again from config.js
+     */
+    _handleResetDemandCurve() {
+        this.demandCurveDraft = DEMAND_CURVE.getConfigRules();
+        this.renderBalancingScreen();
+
+        const output = document.getElementById('demand-curve-json');
+        if (output) {
+            output.value = '';
+        }
+
+        this.showNotification('info', 'Table reset to config.js');
+    }
+
+
+    /**
+     * PRIVATE: _handleExportDemandCurve
+     * Puts the draft as JSON in the text box and copies it to the clipboard
+     */
+    _handleExportDemandCurve() {
+        const validation = DEMAND_CURVE.validate(this.demandCurveDraft);
+
+        if (!validation.valid) {
+            this.showNotification('danger', `Fix the table first: ${validation.errors[0]}`);
+            return;
+        }
+
+        const json = DEMAND_CURVE.toConfigJSON(this.demandCurveDraft);
+
+        const output = document.getElementById('demand-curve-json');
+        if (output) {
+            output.value = json;
+            output.select();
+        }
+
+        // Clipboard access can be denied; the JSON is still selectable in the box
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).then(
+                () => this.showNotification('success', '📋 Table copied to clipboard!'),
+                () => this.showNotification('info', 'Table ready - copy it from the box.')
+            );
+        } else {
+            this.showNotification('info', 'Table ready - copy it from the box.');
+        }
+    }
+
+
+    // ========================================================================
+    // END SCREENS RENDERING
+    // ========================================================================
+
+    /**
+     * PUBLIC: renderVictoryScreen
+     * Renders the victory screen
+     */
+    renderVictoryScreen() {
+        const container = document.getElementById('victory-statistics');
+        if (!container) return;
+
+        const stats = this.gameState.getStatistics();
+
+        container.innerHTML = `
+            <div class="stat-row">
+                <span class="stat-name">Final Money:</span>
+                <span class="stat-value-display">${stats.formattedFinalMoney}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Debt Repaid:</span>
+                <span class="stat-value-display">${HELPERS.formatMoney(stats.debtRepaid)}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Days Played:</span>
+                <span class="stat-value-display">${stats.daysPlayed} / ${GAME_CONFIG.TOTAL_DAYS}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Total Crops Sold:</span>
+                <span class="stat-value-display">${stats.totalCropsSold}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Total Animals Sold:</span>
+                <span class="stat-value-display">${stats.totalAnimalsSold}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Total Offspring Born:</span>
+                <span class="stat-value-display">${stats.totalOffspringBorn}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Net Profit:</span>
+                <span class="stat-value-display">${stats.formattedNetProfit}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Best Single Sale:</span>
+                <span class="stat-value-display">${HELPERS.formatMoney(stats.bestSingleSale)}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Lost to Severe Weather:</span>
+                <span class="stat-value-display">${stats.cropsLostToWeather} crops, ${stats.animalsLostToWeather} animals</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Game Seed:</span>
+                <span class="stat-value-display">${stats.seed}</span>
+            </div>
+        `;
+
+        this._renderPossibleResult('victory-possible');
+
+        HELPERS.debugLog('Victory screen rendered', stats);
+    }
+
+
+    /**
+     * PUBLIC: renderDefeatScreen
+     * Renders the defeat screen
+     */
+    renderDefeatScreen() {
+        const container = document.getElementById('defeat-statistics');
+        if (!container) return;
+
+        const stats = this.gameState.getStatistics();
+        const shortfall = stats.debtBalance - stats.finalMoney;
+
+        container.innerHTML = `
+            <div class="stat-row">
+                <span class="stat-name">Final Money:</span>
+                <span class="stat-value-display">${stats.formattedFinalMoney}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Debt Still Owed:</span>
+                <span class="stat-value-display">${HELPERS.formatMoney(stats.debtBalance)}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Money Needed:</span>
+                <span class="stat-value-display">${HELPERS.formatMoney(shortfall)}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Total Crops Sold:</span>
+                <span class="stat-value-display">${stats.totalCropsSold}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Total Animals Sold:</span>
+                <span class="stat-value-display">${stats.totalAnimalsSold}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Total Offspring Born:</span>
+                <span class="stat-value-display">${stats.totalOffspringBorn}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Best Single Sale:</span>
+                <span class="stat-value-display">${HELPERS.formatMoney(stats.bestSingleSale)}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Lost to Severe Weather:</span>
+                <span class="stat-value-display">${stats.cropsLostToWeather} crops, ${stats.animalsLostToWeather} animals</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-name">Game Seed:</span>
+                <span class="stat-value-display">${stats.seed}</span>
+            </div>
+        `;
+
+        this._renderPossibleResult('defeat-possible');
+
+        HELPERS.debugLog('Defeat screen rendered', stats);
+    }
+
+
+    /**
+     * PRIVATE: _renderPossibleResult
+     * Renders the "What Was Possible" comparison on an end screen
+     *
+     * @param {string} containerId - Container element ID
+     *
+     * LOGIC:
+     * Shows the player's result (GameState.getDebtCovered(), so money paid
+     * to the bank still counts) next to the best plan PLAN_SOLVER finds for
+     * this game's weather, with the plan itself day by day (collapsed).
+     * The solver is a heuristic, so the plan is labelled as the best one
+     * found. The search takes a moment, so it runs in slices
+     * (solveForGameAsync) while the screen stays responsive.
+     */
+    _renderPossibleResult(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '<p class="possible-note">🔍 Working out what was possible...</p>';
+
+        const gameState = this.gameState;
+        const actual = gameState.getDebtCovered();
+
+        PLAN_SOLVER.solveForGameAsync(gameState).then(plan => {
+            const share = plan.finalMoney > 0 ? Math.min(1, actual / plan.finalMoney) : 1;
+
+            const days = [];
+            plan.actions.forEach(action => {
+                const day = days[action.day - 1] || (days[action.day - 1] = {bought: [], sold: [], earned: 0});
+                const text = `${action.count} ${action.emoji} ${action.name}`;
+                if (action.action === 'buy') {
+                    day.bought.push(text);
+                } else {
+                    day.sold.push(text);
+                    day.earned += action.amount;
+                }
+            });
+
+            const planItems = days.map((day, index) => {
+                if (!day) return '';
+                const parts = [];
+                if (day.bought.length > 0) parts.push(`buy ${day.bought.join(', ')}`);
+                if (day.sold.length > 0) parts.push(`sell ${day.sold.join(', ')} (${HELPERS.formatMoney(day.earned)})`);
+                return `<li><strong>${HELPERS.formatDay(index + 1)}:</strong> ${parts.join('; ')}</li>`;
+            }).join('');
+
+            container.innerHTML = `
+                <h3>🔍 What Was Possible</h3>
+                <div class="stat-row">
+                    <span class="stat-name">Your Result:</span>
+                    <span class="stat-value-display">${HELPERS.formatMoney(actual)}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-name">Best Plan Found:</span>
+                    <span class="stat-value-display">${HELPERS.formatMoney(plan.finalMoney)}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-name">Plan Reaches Goal:</span>
+                    <span class="stat-value-display">${plan.goalDay ? HELPERS.formatDay(plan.goalDay) : 'Not in time'}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-name">You Reached:</span>
+                    <span class="stat-value-display">${HELPERS.formatPercentage(share)} of the best plan found</span>
+                </div>
+                <p class="possible-note">
+                    Best plan the solver found for this game's weather, without breeding
+                    luck. It is a search, not a guarantee: free offspring or a better
+                    plan can beat it.
+                </p>
+                <details class="possible-plan">
+                    <summary>Show the plan</summary>
+                    <ol>${planItems}</ol>
+                </details>
+            `;
+        }).catch(error => {
+            console.error('UIManager._renderPossibleResult: Solver failed', error);
+            container.innerHTML = '';
+        });
     }
 
 
@@ -1522,6 +3649,29 @@ class UIManager {
     // ACTION HANDLERS
     // ========================================================================
 
+    /**
+     * PRIVATE: _handleEndDay
+     * Ends the current day early (header button)
+     *
+     * NOTE: Asks first - skipped day time cannot be taken back.
+     */
+    _handleEndDay() {
+        const remaining = HELPERS.formatTime(this.timerManager.getDayTimeRemaining());
+        if (!window.confirm(`End ${HELPERS.formatDay(this.gameState.currentDay)} now? ` +
+            `Everything on the farm grows through the remaining ${remaining}.`)) {
+            return;
+        }
+
+        const result = this.timerManager.endDay();
+
+        if (result.success) {
+            this.showNotification('success', `⏭️ ${result.message}`);
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+
     /**
      * PRIVATE: _handleBuySeed
      * Handles buying a seed from Tom's shop
@@ -1693,6 +3843,39 @@ class UIManager {
     }
 
 
+    /**
+     * PRIVATE: _handleNewSeededGame
+     * Asks for a seed and starts a new game with it
+     *
+     * LOGIC:
+     * 1. Prompt for a seed (empty = random)
+     * 2. Confirm that the current game will be discarded
+     * 3. Queue the seed via SaveManager and reload (like _restartGame)
+     */
+    _handleNewSeededGame() {
+        const seed = window.prompt(
+            'Seed for the new game (share it to play the same weather and breeding luck).\n' +
+            'Leave empty for a random seed:',
+            ''
+        );
+        if (seed === null) {
+            return;
+        }
+
+        if (!window.confirm('Start a new game? Progress that is not in a save slot will be lost.')) {
+            return;
+        }
+
+        const result = this.saveManager.queueNewGame(seed);
+
+        if (result.success) {
+            this._restartGame();
+        } else {
+            this.showNotification('danger', result.message);
+        }
+    }
+
+
     /**
      * PRIVATE: _restartGame
      * Restarts the game
@@ -1742,7 +3925,8 @@ class UIManager {
  *     gameState: GameState.getInstance(),
  *     farmManager: FarmManager.getInstance(),
  *     shopManager: ShopManager.getInstance(),
- *     timerManager: TimerManager.getInstance()
+ *     timerManager: TimerManager.getInstance(),
+ *     saveManager: SaveManager.getInstance()
  * });
  *
  * // Navigate to different screens
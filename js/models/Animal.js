@@ -10,6 +10,12 @@
  * - Manages animal lifecycle (young → growing → mature)
  * - Handles breeding mechanics (random offspring generation)
  * - Tracks offspring and survival rates
+ * - Grows faster in good weather and slower in storms (storm stress)
+ *
+ * WEATHER AND GROWTH:
+ * Growth builds up at a growth rate set by the day's weather
+ * (Weather.calculateGrowthRate × weatherSensitivity) and changes when the
+ * day advances, the same way as for crops (see Crop.js).
  *
  * ANIMAL LIFECYCLE:
  * 1. YOUNG: Purchased from Henry's shop, not yet placed on farm
@@ -29,6 +35,9 @@
  * - config.js (for animal definitions and properties)
  * - constants.js (for status constants)
  * - helpers.js (for ID generation, time calculations, random checks)
+ * - GameClock.js (for place timestamps)
+ * - GameRandom.js (breeding stream)
+ * - Weather.js (growth rate for the day's weather)
  *
  * USED BY:
  * - FarmManager.js (place and sell animals)
@@ -60,6 +69,9 @@
  * - offspring: Array of offspring Animal objects
  * - breedingAttempted: Whether breeding has been attempted yet
  * - tier: Difficulty tier (1-5)
+ * - weatherSensitivity: How strongly weather changes growth speed
+ * - growthWeather / growthRate / growthBanked / growthRateSince:
+ *   Weather-driven growth (see Crop.js)
  *
  * USAGE:
  * const chicken = new Animal('chicken', true);
@@ -112,6 +124,9 @@ class Animal {
         this.growthTime = animalDef.growthTime; // in minutes
         this.tier = animalDef.tier;
         this.description = animalDef.description;
+        this.weatherSensitivity = HELPERS.isValidNumber(animalDef.weatherSensitivity)
+            ? animalDef.weatherSensitivity
+            : 1;
 
         // Breeding properties
         this.breedingChance = animalDef.breedingChance; // 0-1 (e.g., 0.35 = 35%)
@@ -126,6 +141,12 @@ class Animal {
         // Initialize timing properties
         this.placeTime = null; // When animal was placed on farm
 
+        // Weather-driven growth (set when placed and each new day)
+        this.growthWeather = null;
+        this.growthRate = 1.0;
+        this.growthBanked = 0;
+        this.growthRateSince = null;
+
         // Breeding state
         this.isPurchased = isPurchased; // Purchased animals have 100% survival
         this.hasOffspring = false;
@@ -153,6 +174,9 @@ class Animal {
      * PUBLIC: place
      * Places the animal on farm, starting its growth timer
      *
+     * @param {number|null} weatherValue - Today's weather value (sets the growth
+     *                                     rate; null = normal speed)
+     *
      * STATUS CHANGE: YOUNG → GROWING
      *
      * CALLED BY:
@@ -162,9 +186,9 @@ class Animal {
      *
      * EXAMPLE:
      * const chicken = new Animal('chicken', true);
-     * chicken.place(); // Start growing
+     * chicken.place(0.15); // Start growing (slowly - storm)
      */
-    place() {
+    place(weatherValue = null) {
         // Check if already placed
         if (this.status !== CONSTANTS.ANIMAL_STATUS.YOUNG) {
             console.warn(`Animal.place: Cannot place ${this.name} - already placed or mature`);
@@ -174,14 +198,20 @@ class Animal {
         // Update status to GROWING
         this.status = CONSTANTS.ANIMAL_STATUS.GROWING;
 
-        // Record place time
-        this.placeTime = Date.now();
+        // Record place time (game clock, so paused time does not count)
+        this.placeTime = GameClock.getInstance().now();
+
+        // Growth starts at today's weather rate
+        this.growthBanked = 0;
+        this.growthRateSince = this.placeTime;
+        this.setGrowthWeather(weatherValue, this.placeTime);
 
         // Log placement in debug mode
         HELPERS.debugLog(`Placed ${this.name} on farm`, {
             id: this.id,
             placeTime: this.placeTime,
-            willMatureAt: this.placeTime + this.growthDuration
+            growthRate: this.growthRate,
+            willMatureAt: this.placeTime + this.getRemainingTime()
         });
 
         return true;
@@ -200,7 +230,7 @@ class Animal {
      *
      * LOGIC:
      * 1. Animal must be in GROWING status
-     * 2. Current time >= place time + growth duration
+     * 2. Growth made (time × weather growth rate) >= growth duration
      * 3. If mature, automatically update status to MATURE
      *
      * CALLED BY:
@@ -219,9 +249,8 @@ class Animal {
             return this.status === CONSTANTS.ANIMAL_STATUS.MATURE;
         }
 
-        // Check if enough time has passed
-        const elapsed = HELPERS.getElapsedTime(this.placeTime);
-        const isReady = elapsed >= this.growthDuration;
+        // Check if it has grown enough (weather speeds growth up or down)
+        const isReady = this._getGrowthMade() >= this.growthDuration;
 
         // If ready, update status to MATURE
         if (isReady) {
@@ -229,7 +258,7 @@ class Animal {
 
             HELPERS.debugLog(`${this.name} is now mature!`, {
                 id: this.id,
-                growthTime: HELPERS.formatTime(elapsed),
+                growthTime: HELPERS.formatTime(HELPERS.getElapsedTime(this.placeTime)),
                 hadOffspring: this.hasOffspring,
                 offspringCount: this.offspring.length
             });
@@ -313,7 +342,7 @@ class Animal {
         result.attempted = true;
 
         // Random breeding check
-        const breedingSuccess = HELPERS.randomBoolean(this.breedingChance);
+        const breedingSuccess = HELPERS.randomBoolean(this.breedingChance, GameRandom.STREAMS.BREEDING);
 
         if (!breedingSuccess) {
             HELPERS.debugLog(`${this.name} breeding failed`, {
@@ -336,7 +365,7 @@ class Animal {
         const offspring = new Animal(this.type, false);
 
         // Survival check for offspring
-        const survivalSuccess = HELPERS.randomBoolean(this.offspringSurvivalRate);
+        const survivalSuccess = HELPERS.randomBoolean(this.offspringSurvivalRate, GameRandom.STREAMS.BREEDING);
 
         if (!survivalSuccess) {
             HELPERS.debugLog(`Offspring did not survive`, {
@@ -353,8 +382,8 @@ class Animal {
         // Add to offspring array
         this.offspring.push(offspring);
 
-        // Automatically place offspring on farm (start growing)
-        offspring.place();
+        // Automatically place offspring on farm (start growing in today's weather)
+        offspring.place(this.growthWeather);
 
         HELPERS.debugLog(`${this.name} gave birth to surviving offspring!`, {
             parentId: this.id,
@@ -411,7 +440,8 @@ class Animal {
      * LOGIC:
      * - Returns 0 if not placed
      * - Returns 100 if mature
-     * - Otherwise: (elapsed time / total duration) × 100
+     * - Otherwise: (growth made / total duration) × 100, where growth made
+     *   is elapsed time scaled by the weather growth rate of each day
      *
      * CALLED BY:
      * - UIManager.js (display progress bars)
@@ -430,8 +460,7 @@ class Animal {
         }
 
         // Calculate progress for growing animals
-        const elapsed = HELPERS.getElapsedTime(this.placeTime);
-        const progress = HELPERS.calculatePercentage(elapsed, this.growthDuration);
+        const progress = HELPERS.calculatePercentage(this._getGrowthMade(), this.growthDuration);
 
         return Math.min(100, progress);
     }
@@ -443,6 +472,9 @@ class Animal {
      *
      * @returns {number} Remaining time in milliseconds (0 if mature)
      *
+     * LOGIC:
+     * Growth still needed ÷ today's growth rate (re-estimated when the day changes)
+     *
      * CALLED BY:
      * - UIManager.js (display countdown timer)
      */
@@ -452,8 +484,60 @@ class Animal {
             return 0;
         }
 
-        // Calculate remaining time
-        return HELPERS.getRemainingTime(this.placeTime, this.growthDuration);
+        // Calculate remaining time at today's growth rate
+        const growthLeft = Math.max(0, this.growthDuration - this._getGrowthMade());
+        return Math.ceil(growthLeft / this.growthRate);
+    }
+
+
+    // ========================================================================
+    // WEATHER GROWTH METHODS
+    // ========================================================================
+
+    /**
+     * PUBLIC: setGrowthWeather
+     * Switches growth to the rate of a (new) day's weather
+     *
+     * @param {number|null} weatherValue - Weather value (null = normal speed)
+     * @param {number|null} atTime - Game time the new rate applies from (default: now)
+     *
+     * LOGIC:
+     * Banks the growth made at the old rate up to atTime, then continues
+     * at the new rate (see Crop.setGrowthWeather)
+     *
+     * CALLED BY:
+     * - place()
+     * - GameState.applyGrowthWeather() (when the day advances)
+     */
+    setGrowthWeather(weatherValue, atTime = null) {
+        if (this.status === CONSTANTS.ANIMAL_STATUS.GROWING && this.growthRateSince !== null) {
+            const time = Math.max(
+                atTime === null ? GameClock.getInstance().now() : atTime,
+                this.growthRateSince
+            );
+            this.growthBanked = this._getGrowthMade(time);
+            this.growthRateSince = time;
+        }
+
+        this.growthWeather = HELPERS.isValidNumber(weatherValue) ? weatherValue : null;
+        this.growthRate = Weather.calculateGrowthRate(this.growthWeather, this.weatherSensitivity);
+    }
+
+
+    /**
+     * PRIVATE: _getGrowthMade
+     * Growth made so far, in milliseconds at normal speed
+     *
+     * @param {number|null} time - Game time to measure at (default: now)
+     * @returns {number} Growth made (compare with growthDuration)
+     */
+    _getGrowthMade(time = null) {
+        if (this.growthRateSince === null) {
+            return 0;
+        }
+
+        const now = time === null ? GameClock.getInstance().now() : time;
+        return this.growthBanked + Math.max(0, now - this.growthRateSince) * this.growthRate;
     }
 
 
@@ -501,8 +585,8 @@ class Animal {
         // Calculate final price
         const finalPrice = this.baseSellPrice * demandIndex;
 
-        // Round to nearest dollar
-        return Math.floor(finalPrice);
+        // Round down to whole dollars
+        return HELPERS.floorPrice(finalPrice);
     }
 
 
@@ -601,6 +685,7 @@ class Animal {
             status: this._getStatusText(),
             progress: this.getGrowthProgress(),
             remainingTime: this.getFormattedRemainingTime(),
+            growthRate: this.growthRate,
             tier: this.tier,
             purchaseCost: this.purchaseCost,
             baseSellPrice: this.baseSellPrice,
@@ -652,6 +737,10 @@ class Animal {
             growthTime: this.growthTime,
             growthDuration: this.growthDuration,
             placeTime: this.placeTime,
+            growthWeather: this.growthWeather,
+            growthRate: this.growthRate,
+            growthBanked: this.growthBanked,
+            growthRateSince: this.growthRateSince,
             breedingChance: this.breedingChance,
             offspringSurvivalRate: this.offspringSurvivalRate,
             isPurchased: this.isPurchased,
@@ -696,6 +785,12 @@ class Animal {
         animal.breedingAttempted = json.breedingAttempted || false;
         animal.createdAt = json.createdAt || animal.createdAt;
 
+        // Weather growth (saves from before weather growth grew at normal speed)
+        animal.growthWeather = HELPERS.isValidNumber(json.growthWeather) ? json.growthWeather : null;
+        animal.growthRate = HELPERS.isValidNumber(json.growthRate) && json.growthRate > 0 ? json.growthRate : 1.0;
+        animal.growthBanked = HELPERS.isValidNumber(json.growthBanked) ? json.growthBanked : 0;
+        animal.growthRateSince = HELPERS.isValidNumber(json.growthRateSince) ? json.growthRateSince : animal.placeTime;
+
         // Note: offspring array will be populated separately by GameState
 
         return animal;
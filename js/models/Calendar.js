@@ -0,0 +1,292 @@
+/**
+ * ============================================================================
+ * FILE: Calendar.js
+ * PURPOSE: Game calendar with seasons
+ *
+ * DESCRIPTION:
+ * Turns a game day into a date on the calendar (GAME_CONFIG.CALENDAR):
+ * year, season and day of the season. Seasons change:
+ * - The weather: each season shifts the weather values (summer is drier,
+ *   winter stormier) - see getWeatherShift()
+ * - What can be planted: crops have their seasons (watermelon only in
+ *   summer) and winter allows no planting at all
+ * Holidays fall on a fixed day of a season and raise the demand for some
+ * commodities (see Market.js).
+ *
+ * The calendar only depends on the day number, so nothing is saved and
+ * any game length works: the standard 10-day game is spring and summer,
+ * longer game modes (a higher TOTAL_DAYS) go round the whole year.
+ *
+ * DEPENDENCIES:
+ * - config.js (CALENDAR, CROPS)
+ * - constants.js (out of season messages)
+ *
+ * USED BY:
+ * - WeatherGenerators.js (seasonal weather)
+ * - ShopManager.js / FarmManager.js (seeds in season)
+ * - planSolver.js (plans only plant crops in season)
+ * - Market.js (season and holiday demand)
+ * - UIManager.js (season in the header, shop and forecast)
+ * ============================================================================
+ */
+
+/**
+ * CALENDAR Object
+ * Seasons and dates of game days
+ */
+const CALENDAR = {
+
+    // ========================================================================
+    // DATES
+    // ========================================================================
+
+    /**
+     * GET DATE
+     * Gets the calendar date of a game day
+     *
+     * @param {number} day - Game day (1 = first day; lower values count as day 1)
+     * @returns {Object} {day, year, season, dayOfSeason, daysPerSeason}
+     *
+     * EXAMPLE:
+     * CALENDAR.getDate(7) → {day: 7, year: 1, season: {id: 'summer', ...},
+     *                        dayOfSeason: 2, daysPerSeason: 5}
+     */
+    getDate(day) {
+        const calendar = GAME_CONFIG.CALENDAR;
+        const seasons = calendar.SEASONS;
+        const startIndex = Math.max(0, seasons.findIndex(season => season.id === calendar.START_SEASON));
+
+        // Days since the first day of the first year's spring (or first season)
+        const elapsed = startIndex * calendar.DAYS_PER_SEASON + Math.max(1, day) - 1;
+        const seasonCount = Math.floor(elapsed / calendar.DAYS_PER_SEASON);
+
+        return {
+            day: day,
+            year: Math.floor(seasonCount / seasons.length) + 1,
+            season: seasons[seasonCount % seasons.length],
+            dayOfSeason: (elapsed % calendar.DAYS_PER_SEASON) + 1,
+            daysPerSeason: calendar.DAYS_PER_SEASON
+        };
+    },
+
+
+    /**
+     * GET SEASON
+     * Gets the season of a game day
+     *
+     * @param {number} day - Game day
+     * @returns {Object} Season from GAME_CONFIG.CALENDAR.SEASONS
+     */
+    getSeason(day) {
+        return this.getDate(day).season;
+    },
+
+
+    /**
+     * IS SEASON START
+     * Checks if a new season begins on a day (day 1 counts)
+     *
+     * @param {number} day - Game day
+     * @returns {boolean} True on the first day of a season
+     */
+    isSeasonStart(day) {
+        return this.getDate(day).dayOfSeason === 1;
+    },
+
+
+    /**
+     * FORMAT DATE
+     * Describes a game day for display
+     *
+     * @param {number} day - Game day
+     * @returns {string} e.g. "☀️ Summer, day 2 of 5" (years from year 2 on,
+     *                   holidays added: "🌱 Spring, day 3 of 5 - 🎪 Spring Fair")
+     */
+    formatDate(day) {
+        const date = this.getDate(day);
+        const year = date.year > 1 ? ` (year ${date.year})` : '';
+        const holiday = this.getHoliday(day);
+
+        return `${date.season.emoji} ${date.season.name}${year}, day ${date.dayOfSeason} of ${date.daysPerSeason}` +
+            (holiday ? ` - ${holiday.emoji} ${holiday.name}` : '');
+    },
+
+
+    // ========================================================================
+    // HOLIDAYS
+    // ========================================================================
+
+    /**
+     * GET HOLIDAY
+     * Gets the holiday on a game day
+     *
+     * @param {number} day - Game day
+     * @returns {Object|null} Holiday from GAME_CONFIG.CALENDAR.HOLIDAYS, or null
+     *
+     * EXAMPLE:
+     * CALENDAR.getHoliday(3) → {id: 'spring-fair', name: 'Spring Fair', ...}
+     * CALENDAR.getHoliday(4) → null
+     */
+    getHoliday(day) {
+        const date = this.getDate(day);
+        const holidays = GAME_CONFIG.CALENDAR.HOLIDAYS || [];
+
+        return holidays.find(holiday => (
+            holiday.season === date.season.id && holiday.dayOfSeason === date.dayOfSeason
+        )) || null;
+    },
+
+
+    // ========================================================================
+    // WEATHER
+    // ========================================================================
+
+    /**
+     * GET WEATHER SHIFT
+     * Gets how much the season moves the weather values of a day
+     *
+     * @param {number} day - Game day
+     * @returns {number} Shift added to the weather value (e.g. 0.08 in summer)
+     *
+     * CALLED BY:
+     * - WEATHER_GENERATORS.generateValue()
+     */
+    getWeatherShift(day) {
+        const shift = this.getSeason(day).weatherShift;
+        return typeof shift === 'number' ? shift : 0;
+    },
+
+
+    // ========================================================================
+    // CROPS
+    // ========================================================================
+
+    /**
+     * IS CROP IN SEASON
+     * Checks if a crop's seeds can be bought and planted on a day
+     *
+     * @param {string} cropType - Crop type (e.g. 'watermelon')
+     * @param {number} day - Game day
+     * @returns {boolean} True if in season
+     *
+     * LOGIC:
+     * The season must allow planting and, if the crop lists its seasons,
+     * be one of them.
+     *
+     * EXAMPLE:
+     * CALENDAR.isCropInSeason('watermelon', 3) → false (spring)
+     * CALENDAR.isCropInSeason('watermelon', 6) → true (summer)
+     */
+    isCropInSeason(cropType, day) {
+        const season = this.getSeason(day);
+        if (!season.allowPlanting) {
+            return false;
+        }
+
+        const cropDef = GAME_CONFIG.CROPS.find(crop => crop.id === cropType);
+        return !!cropDef && (!Array.isArray(cropDef.seasons) || cropDef.seasons.includes(season.id));
+    },
+
+
+    /**
+     * GET OUT OF SEASON REASON
+     * Explains why a crop cannot be planted on a day
+     *
+     * @param {string} cropType - Crop type
+     * @param {number} day - Game day
+     * @returns {string|null} Message for the player, or null if in season
+     *
+     * CALLED BY:
+     * - ShopManager.buySeed() / canBuySeed()
+     * - FarmManager.plantCrop() / canPlantCrop()
+     *
+     * EXAMPLE:
+     * CALENDAR.getOutOfSeasonReason('watermelon', 3)
+     *     → "Watermelon is out of season. It can be planted in Summer."
+     */
+    getOutOfSeasonReason(cropType, day) {
+        if (this.isCropInSeason(cropType, day)) {
+            return null;
+        }
+
+        const season = this.getSeason(day);
+        if (!season.allowPlanting) {
+            return CONSTANTS.ERROR_MESSAGES.NO_PLANTING_SEASON.replace('X', season.name);
+        }
+
+        const cropDef = GAME_CONFIG.CROPS.find(crop => crop.id === cropType);
+        return CONSTANTS.ERROR_MESSAGES.OUT_OF_SEASON
+            .replace('X', cropDef ? cropDef.name : cropType)
+            .replace('Y', this.getCropSeasons(cropType).map(s => s.name).join(' or '));
+    },
+
+
+    /**
+     * GET CROP SEASONS
+     * Gets the seasons a crop can be planted in
+     *
+     * @param {string} cropType - Crop type
+     * @returns {Object[]} Seasons, in calendar order
+     *
+     * EXAMPLE:
+     * CALENDAR.getCropSeasons('strawberry').map(s => s.name) → ['Spring', 'Summer']
+     */
+    getCropSeasons(cropType) {
+        const cropDef = GAME_CONFIG.CROPS.find(crop => crop.id === cropType);
+        if (!cropDef) {
+            return [];
+        }
+
+        return GAME_CONFIG.CALENDAR.SEASONS.filter(season => (
+            season.allowPlanting &&
+            (!Array.isArray(cropDef.seasons) || cropDef.seasons.includes(season.id))
+        ));
+    },
+
+
+    /**
+     * GET NEXT CROP SEASON DAY
+     * Finds the next day (from a day on) a crop is in season
+     *
+     * @param {string} cropType - Crop type
+     * @param {number} day - First day to check
+     * @returns {number|null} Game day, or null if not in season within a year
+     *
+     * EXAMPLE:
+     * CALENDAR.getNextCropSeasonDay('watermelon', 2) → 6
+     */
+    getNextCropSeasonDay(cropType, day) {
+        const calendar = GAME_CONFIG.CALENDAR;
+        const yearLength = calendar.DAYS_PER_SEASON * calendar.SEASONS.length;
+
+        for (let d = day; d < day + yearLength; d++) {
+            if (this.isCropInSeason(cropType, d)) {
+                return d;
+            }
+        }
+
+        return null;
+    }
+};
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Header text for today
+ * CALENDAR.formatDate(gameState.currentDay); // "🌱 Spring, day 3 of 5"
+ *
+ * // Is there a holiday tomorrow?
+ * CALENDAR.getHoliday(gameState.currentDay + 1); // null or {name: 'Spring Fair', ...}
+ *
+ * // Can the player buy watermelon seeds today?
+ * CALENDAR.isCropInSeason('watermelon', gameState.currentDay);
+ *
+ * // A full-year game (run with the headless engine)
+ * createEngine({configOverrides: {'TOTAL_DAYS': 20}});
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default CALENDAR;
@@ -9,6 +9,14 @@
  * - Tracks growth progress
  * - Manages crop lifecycle (seed → growing → mature → harvested)
  * - Calculates when crop is ready to harvest
+ * - Grows faster in good weather and slower in storms
+ *
+ * WEATHER AND GROWTH:
+ * Growth is not just elapsed time: it builds up at a growth rate set by
+ * the day's weather (Weather.calculateGrowthRate × weatherSensitivity).
+ * The rate changes when the day advances; growth made at the old rate is
+ * banked first, so progress never jumps. The remaining time assumes
+ * today's rate holds until the crop is mature.
  *
  * CROP LIFECYCLE:
  * 1. SEED: Purchased from Tom's shop, not yet planted
@@ -20,6 +28,8 @@
  * - config.js (for crop definitions and properties)
  * - constants.js (for status constants)
  * - helpers.js (for ID generation, time calculations)
+ * - GameClock.js (for plant/harvest timestamps)
+ * - Weather.js (growth rate for the day's weather)
  *
  * USED BY:
  * - FarmManager.js (plant and harvest crops)
@@ -46,6 +56,13 @@
  * - plantTime: Timestamp when crop was planted (null if not planted)
  * - harvestTime: Timestamp when crop was harvested (null if not harvested)
  * - tier: Difficulty tier (1-5)
+ * - weatherSensitivity: How strongly weather changes growth speed
+ * - growthWeather: Weather value growth currently follows (null = normal)
+ * - growthRate: Current growth speed (1.0 = normal)
+ * - growthBanked: Growth (ms at normal speed) made before growthRateSince
+ * - growthRateSince: Game time the current growth rate applies from
+ * - quality: Share of the price the crop sells for (1.0 = perfect,
+ *   lowered by severe weather damage)
  *
  * USAGE:
  * const wheat = new Crop('wheat');
@@ -96,6 +113,9 @@ class Crop {
         this.growthTime = cropDef.growthTime; // in minutes
         this.tier = cropDef.tier;
         this.description = cropDef.description;
+        this.weatherSensitivity = HELPERS.isValidNumber(cropDef.weatherSensitivity)
+            ? cropDef.weatherSensitivity
+            : 1;
 
         // Convert growth time to milliseconds for timer calculations
         this.growthDuration = HELPERS.minutesToMilliseconds(this.growthTime);
@@ -107,6 +127,15 @@ class Crop {
         this.plantTime = null;      // When crop was planted
         this.harvestTime = null;    // When crop was harvested
 
+        // Weather-driven growth (set when planted and each new day)
+        this.growthWeather = null;
+        this.growthRate = 1.0;
+        this.growthBanked = 0;
+        this.growthRateSince = null;
+
+        // Quality (lowered when severe weather damages the crop)
+        this.quality = 1.0;
+
         // Store creation timestamp for debugging/statistics
         this.createdAt = Date.now();
 
@@ -127,6 +156,9 @@ class Crop {
      * PUBLIC: plant
      * Plants the crop, starting its growth timer
      *
+     * @param {number|null} weatherValue - Today's weather value (sets the growth
+     *                                     rate; null = normal speed)
+     *
      * STATUS CHANGE: SEED → GROWING
      *
      * CALLED BY:
@@ -136,9 +168,9 @@ class Crop {
      *
      * EXAMPLE:
      * const wheat = new Crop('wheat');
-     * wheat.plant(); // Start growing
+     * wheat.plant(0.85); // Start growing in good weather
      */
-    plant() {
+    plant(weatherValue = null) {
         // Check if already planted
         if (this.status !== CONSTANTS.CROP_STATUS.SEED) {
             console.warn(`Crop.plant: Cannot plant ${this.name} - already planted or harvested`);
@@ -148,14 +180,20 @@ class Crop {
         // Update status to GROWING
         this.status = CONSTANTS.CROP_STATUS.GROWING;
 
-        // Record plant time
-        this.plantTime = Date.now();
+        // Record plant time (game clock, so paused time does not count)
+        this.plantTime = GameClock.getInstance().now();
+
+        // Growth starts at today's weather rate
+        this.growthBanked = 0;
+        this.growthRateSince = this.plantTime;
+        this.setGrowthWeather(weatherValue, this.plantTime);
 
         // Log planting in debug mode
         HELPERS.debugLog(`Planted ${this.name}`, {
             id: this.id,
             plantTime: this.plantTime,
-            willMatureAt: this.plantTime + this.growthDuration
+            growthRate: this.growthRate,
+            willMatureAt: this.plantTime + this.getRemainingTime()
         });
 
         return true;
@@ -189,7 +227,7 @@ class Crop {
         this.status = CONSTANTS.CROP_STATUS.HARVESTED;
 
         // Record harvest time
-        this.harvestTime = Date.now();
+        this.harvestTime = GameClock.getInstance().now();
 
         // Log harvesting in debug mode
         HELPERS.debugLog(`Harvested ${this.name}`, {
@@ -213,7 +251,7 @@ class Crop {
      *
      * LOGIC:
      * 1. Crop must be in GROWING status
-     * 2. Current time >= plant time + growth duration
+     * 2. Growth made (time × weather growth rate) >= growth duration
      * 3. If mature, automatically update status to MATURE
      *
      * CALLED BY:
@@ -232,9 +270,8 @@ class Crop {
             return this.status === CONSTANTS.CROP_STATUS.MATURE;
         }
 
-        // Check if enough time has passed
-        const elapsed = HELPERS.getElapsedTime(this.plantTime);
-        const isReady = elapsed >= this.growthDuration;
+        // Check if it has grown enough (weather speeds growth up or down)
+        const isReady = this._getGrowthMade() >= this.growthDuration;
 
         // If ready, update status to MATURE
         if (isReady) {
@@ -242,7 +279,7 @@ class Crop {
 
             HELPERS.debugLog(`${this.name} is now mature!`, {
                 id: this.id,
-                growthTime: HELPERS.formatTime(elapsed)
+                growthTime: HELPERS.formatTime(HELPERS.getElapsedTime(this.plantTime))
             });
         }
 
@@ -304,7 +341,8 @@ class Crop {
      * LOGIC:
      * - Returns 0 if not planted
      * - Returns 100 if mature or harvested
-     * - Otherwise: (elapsed time / total duration) × 100
+     * - Otherwise: (growth made / total duration) × 100, where growth made
+     *   is elapsed time scaled by the weather growth rate of each day
      *
      * CALLED BY:
      * - UIManager.js (display progress bars)
@@ -327,8 +365,7 @@ class Crop {
         }
 
         // Calculate progress for growing crops
-        const elapsed = HELPERS.getElapsedTime(this.plantTime);
-        const progress = HELPERS.calculatePercentage(elapsed, this.growthDuration);
+        const progress = HELPERS.calculatePercentage(this._getGrowthMade(), this.growthDuration);
 
         return Math.min(100, progress); // Cap at 100%
     }
@@ -340,6 +377,10 @@ class Crop {
      *
      * @returns {number} Remaining time in milliseconds (0 if mature)
      *
+     * LOGIC:
+     * Growth still needed ÷ today's growth rate, so the ETA is longer in
+     * storms and shorter in good weather (re-estimated when the day changes)
+     *
      * CALLED BY:
      * - UIManager.js (display countdown timer)
      *
@@ -353,8 +394,65 @@ class Crop {
             return 0;
         }
 
-        // Calculate remaining time
-        return HELPERS.getRemainingTime(this.plantTime, this.growthDuration);
+        // Calculate remaining time at today's growth rate
+        const growthLeft = Math.max(0, this.growthDuration - this._getGrowthMade());
+        return Math.ceil(growthLeft / this.growthRate);
+    }
+
+
+    // ========================================================================
+    // WEATHER GROWTH METHODS
+    // ========================================================================
+
+    /**
+     * PUBLIC: setGrowthWeather
+     * Switches growth to the rate of a (new) day's weather
+     *
+     * @param {number|null} weatherValue - Weather value (null = normal speed)
+     * @param {number|null} atTime - Game time the new rate applies from
+     *                               (default: now; the start of the new day
+     *                               when the day advances)
+     *
+     * LOGIC:
+     * 1. Bank the growth made at the old rate up to atTime
+     * 2. Continue from atTime at the new rate
+     *
+     * CALLED BY:
+     * - plant()
+     * - GameState.applyGrowthWeather() (when the day advances)
+     *
+     * EXAMPLE:
+     * wheat.setGrowthWeather(0.15);   // Storm: grows at 0.8x speed from now
+     */
+    setGrowthWeather(weatherValue, atTime = null) {
+        if (this.status === CONSTANTS.CROP_STATUS.GROWING && this.growthRateSince !== null) {
+            const time = Math.max(
+                atTime === null ? GameClock.getInstance().now() : atTime,
+                this.growthRateSince
+            );
+            this.growthBanked = this._getGrowthMade(time);
+            this.growthRateSince = time;
+        }
+
+        this.growthWeather = HELPERS.isValidNumber(weatherValue) ? weatherValue : null;
+        this.growthRate = Weather.calculateGrowthRate(this.growthWeather, this.weatherSensitivity);
+    }
+
+
+    /**
+     * PRIVATE: _getGrowthMade
+     * Growth made so far, in milliseconds at normal speed
+     *
+     * @param {number|null} time - Game time to measure at (default: now)
+     * @returns {number} Growth made (compare with growthDuration)
+     */
+    _getGrowthMade(time = null) {
+        if (this.growthRateSince === null) {
+            return 0;
+        }
+
+        const now = time === null ? GameClock.getInstance().now() : time;
+        return this.growthBanked + Math.max(0, now - this.growthRateSince) * this.growthRate;
     }
 
 
@@ -388,7 +486,7 @@ class Crop {
      * @returns {number} Final selling price
      *
      * FORMULA:
-     * Final Price = Base Sell Price × Demand Index
+     * Final Price = Base Sell Price × Demand Index × Quality
      *
      * EXAMPLES:
      * wheat.calculateSellPrice(1.0) → $18 (normal weather)
@@ -409,11 +507,48 @@ class Crop {
             demandIndex = 1.0; // Use neutral multiplier as fallback
         }
 
-        // Calculate final price
-        const finalPrice = this.baseSellPrice * demandIndex;
+        // Calculate final price (damaged crops sell for less)
+        const finalPrice = this.baseSellPrice * demandIndex * this.quality;
+
+        // Round down to whole dollars
+        return HELPERS.floorPrice(finalPrice);
+    }
+
+
+    /**
+     * PUBLIC: damage
+     * Damages the crop (severe weather), lowering its quality
+     *
+     * @returns {number} Sell value lost at normal prices
+     *
+     * LOGIC:
+     * Quality is multiplied by GAME_CONFIG.SEVERE_WEATHER.DAMAGED_QUALITY,
+     * so a crop damaged twice is worth a quarter.
+     *
+     * CALLED BY:
+     * - GameState._applySevereWeather()
+     *
+     * EXAMPLE:
+     * corn.damage(); // → 75 (sells for half from now on)
+     */
+    damage() {
+        const valueBefore = this.calculateSellPrice(1.0);
+        this.quality = HELPERS.roundToDecimals(
+            this.quality * GAME_CONFIG.SEVERE_WEATHER.DAMAGED_QUALITY,
+            2
+        );
+        return valueBefore - this.calculateSellPrice(1.0);
+    }
+
 
-        // Round to nearest dollar
-        return Math.floor(finalPrice);
+    /**
+     * PUBLIC: isDamaged
+     * Checks if severe weather has damaged the crop
+     *
+     * @returns {boolean} True if quality is below perfect
+     */
+    isDamaged() {
+        return this.quality < 1;
     }
 
 
@@ -480,6 +615,9 @@ class Crop {
             status: this._getStatusText(),
             progress: this.getGrowthProgress(),
             remainingTime: this.getFormattedRemainingTime(),
+            growthRate: this.growthRate,
+            quality: this.quality,
+            isDamaged: this.isDamaged(),
             tier: this.tier,
             seedCost: this.seedCost,
             baseSellPrice: this.baseSellPrice
@@ -536,6 +674,11 @@ class Crop {
             growthDuration: this.growthDuration,
             plantTime: this.plantTime,
             harvestTime: this.harvestTime,
+            growthWeather: this.growthWeather,
+            growthRate: this.growthRate,
+            growthBanked: this.growthBanked,
+            growthRateSince: this.growthRateSince,
+            quality: this.quality,
             tier: this.tier,
             createdAt: this.createdAt
         };
@@ -577,6 +720,15 @@ class Crop {
         crop.harvestTime = json.harvestTime || null;
         crop.createdAt = json.createdAt || crop.createdAt;
 
+        // Weather growth (saves from before weather growth grew at normal speed)
+        crop.growthWeather = HELPERS.isValidNumber(json.growthWeather) ? json.growthWeather : null;
+        crop.growthRate = HELPERS.isValidNumber(json.growthRate) && json.growthRate > 0 ? json.growthRate : 1.0;
+        crop.growthBanked = HELPERS.isValidNumber(json.growthBanked) ? json.growthBanked : 0;
+        crop.growthRateSince = HELPERS.isValidNumber(json.growthRateSince) ? json.growthRateSince : crop.plantTime;
+
+        // Quality (saves from before severe weather are undamaged)
+        crop.quality = HELPERS.isValidNumber(json.quality) && json.quality > 0 ? Math.min(1, json.quality) : 1.0;
+
         return crop;
     }
 
@@ -0,0 +1,372 @@
+/**
+ * ============================================================================
+ * FILE: GameClock.js
+ * PURPOSE: Central game clock that only advances while the game is running
+ *
+ * DESCRIPTION:
+ * All growth and day timing is measured against this clock instead of
+ * Date.now(), so pausing the game really stops time:
+ * - Crops and animals do not grow while paused
+ * - The day timer continues where it stopped on resume
+ *
+ * Game time is a millisecond timestamp. A new clock starts at the current
+ * time of its time source and from then on only accumulates unpaused time.
+ * Saves store the clock value so timestamps in a save stay consistent
+ * when restored.
+ *
+ * TIME SOURCES:
+ * GameClock reads time from an injectable time source:
+ * - RealTimeSource   - Date.now() (default, used in the browser)
+ * - ManualTimeSource - only moves when advance() is called, so growth,
+ *                      breeding and day advancement can be exercised
+ *                      instantly in tests and scripts
+ *
+ * Any object with a now() method returning milliseconds can be used.
+ *
+ * SPEED:
+ * The clock runs at a speed multiplier (1x, 2x, 5x, 10x...). Because growth,
+ * breeding and the day timer are all measured in game time, changing the
+ * speed scales all of them together.
+ *
+ * DEPENDENCIES:
+ * - config.js (testing mode start speed)
+ * - helpers.js (debug logging)
+ *
+ * USED BY:
+ * - helpers.js (getElapsedTime / getRemainingTime)
+ * - Crop.js, Animal.js (plant/place/harvest timestamps)
+ * - GameState.js (save/restore clock value)
+ * - TimerManager.js (day timer, pause/resume)
+ * ============================================================================
+ */
+
+/**
+ * CLASS: RealTimeSource
+ * Time source backed by the system clock
+ */
+class RealTimeSource {
+
+    /**
+     * PUBLIC: now
+     * @returns {number} Current real time in milliseconds
+     */
+    now() {
+        return Date.now();
+    }
+}
+
+
+/**
+ * CLASS: ManualTimeSource
+ * Time source that only moves when told to
+ */
+class ManualTimeSource {
+
+    /**
+     * CONSTRUCTOR
+     *
+     * @param {number} startTime - Initial time in milliseconds
+     *
+     * NOTE: Defaults to a fixed non-zero timestamp (2025-01-01 UTC) because
+     * models treat a timestamp of 0 as "not planted / not placed".
+     */
+    constructor(startTime = Date.UTC(2025, 0, 1)) {
+        this.time = startTime;
+    }
+
+
+    /**
+     * PUBLIC: now
+     * @returns {number} Current manual time in milliseconds
+     */
+    now() {
+        return this.time;
+    }
+
+
+    /**
+     * PUBLIC: advance
+     * Moves time forward
+     *
+     * @param {number} milliseconds - Amount to advance (must be >= 0)
+     *
+     * EXAMPLE:
+     * source.advance(HELPERS.minutesToMilliseconds(2)); // 2 minutes pass instantly
+     */
+    advance(milliseconds) {
+        if (!HELPERS.isValidNumber(milliseconds) || milliseconds < 0) {
+            console.error('ManualTimeSource.advance: Invalid amount', milliseconds);
+            return;
+        }
+        this.time += milliseconds;
+    }
+}
+
+
+/**
+ * CLASS: GameClock
+ * Singleton pausable clock
+ */
+class GameClock {
+
+    /**
+     * CONSTRUCTOR
+     * Creates a running clock starting at the time source's current time
+     *
+     * @param {Object} timeSource - Object with now() (default: GameClock.defaultTimeSource)
+     *
+     * NOTE: Use GameClock.getInstance() instead of calling directly
+     */
+    constructor(timeSource = null) {
+        // Prevent multiple instances (singleton pattern)
+        if (GameClock.instance) {
+            return GameClock.instance;
+        }
+
+        // Where time comes from
+        this.timeSource = timeSource || GameClock.defaultTimeSource;
+
+        // Game time at the last anchor point (ms)
+        this.baseTime = this.timeSource.now();
+
+        // Source time when the clock was last (re)started, null while paused
+        this.anchorSourceTime = this.timeSource.now();
+
+        // Game milliseconds per source millisecond (testing mode starts fast)
+        this.speed = GAME_CONFIG.BALANCE.TESTING_MODE
+            ? GAME_CONFIG.BALANCE.TESTING_SPEED_MULTIPLIER
+            : 1;
+
+        // Store singleton instance
+        GameClock.instance = this;
+
+        HELPERS.debugLog('GameClock initialized');
+    }
+
+
+    // ========================================================================
+    // SINGLETON PATTERN
+    // ========================================================================
+
+    /**
+     * STATIC: getInstance
+     * Gets or creates the single GameClock instance
+     *
+     * @returns {GameClock} The clock instance
+     */
+    static getInstance() {
+        if (!GameClock.instance) {
+            GameClock.instance = new GameClock();
+        }
+        return GameClock.instance;
+    }
+
+
+    /**
+     * STATIC: resetInstance
+     * Resets the singleton (for new game)
+     */
+    static resetInstance() {
+        GameClock.instance = null;
+        HELPERS.debugLog('GameClock reset');
+    }
+
+
+    /**
+     * STATIC: useTimeSource
+     * Replaces the clock with a new one reading from the given source
+     *
+     * @param {Object} timeSource - Object with now() (RealTimeSource, ManualTimeSource, ...)
+     * @returns {GameClock} The new clock instance
+     *
+     * NOTE: Future resets (new game) also use this source.
+     *
+     * EXAMPLE:
+     * const source = new ManualTimeSource();
+     * GameClock.useTimeSource(source);
+     */
+    static useTimeSource(timeSource) {
+        if (!timeSource || typeof timeSource.now !== 'function') {
+            console.error('GameClock.useTimeSource: Time source must have now()');
+            return GameClock.getInstance();
+        }
+
+        GameClock.defaultTimeSource = timeSource;
+        GameClock.instance = null;
+
+        HELPERS.debugLog('GameClock time source changed');
+
+        return GameClock.getInstance();
+    }
+
+
+    // ========================================================================
+    // TIME
+    // ========================================================================
+
+    /**
+     * PUBLIC: now
+     * Gets the current game time
+     *
+     * @returns {number} Game time in milliseconds
+     *
+     * EXAMPLE:
+     * crop.plantTime = GameClock.getInstance().now();
+     */
+    now() {
+        if (this.anchorSourceTime === null) {
+            return this.baseTime;
+        }
+        return this.baseTime + (this.timeSource.now() - this.anchorSourceTime) * this.speed;
+    }
+
+
+    /**
+     * PUBLIC: setTime
+     * Moves the clock to a given game time (keeps paused state)
+     *
+     * @param {number} time - Game time in milliseconds
+     *
+     * CALLED BY:
+     * - GameState.fromJSON() (restore saved clock)
+     */
+    setTime(time) {
+        if (!HELPERS.isValidNumber(time)) {
+            console.error('GameClock.setTime: Invalid time', time);
+            return;
+        }
+
+        this.baseTime = time;
+        if (this.anchorSourceTime !== null) {
+            this.anchorSourceTime = this.timeSource.now();
+        }
+    }
+
+
+    // ========================================================================
+    // SPEED
+    // ========================================================================
+
+    /**
+     * PUBLIC: setSpeed
+     * Changes how fast game time passes
+     *
+     * @param {number} speed - Speed multiplier (e.g. 1, 2, 5, 10)
+     *
+     * CALLED BY:
+     * - TimerManager.setSpeed() (which also reschedules its timers)
+     *
+     * NOTE: Time that already passed is kept; only time from now on
+     * runs at the new speed.
+     */
+    setSpeed(speed) {
+        if (!HELPERS.isPositiveNumber(speed)) {
+            console.error('GameClock.setSpeed: Invalid speed', speed);
+            return;
+        }
+
+        // Re-anchor so the new speed only applies from now on
+        if (!this.isPaused()) {
+            this.baseTime = this.now();
+            this.anchorSourceTime = this.timeSource.now();
+        }
+
+        this.speed = speed;
+
+        HELPERS.debugLog('GameClock speed changed', {speed: speed});
+    }
+
+
+    /**
+     * PUBLIC: getSpeed
+     * @returns {number} Current speed multiplier
+     */
+    getSpeed() {
+        return this.speed;
+    }
+
+
+    // ========================================================================
+    // PAUSE / RESUME
+    // ========================================================================
+
+    /**
+     * PUBLIC: pause
+     * Stops the clock
+     *
+     * CALLED BY:
+     * - TimerManager.pause()
+     */
+    pause() {
+        if (this.isPaused()) {
+            return;
+        }
+
+        this.baseTime = this.now();
+        this.anchorSourceTime = null;
+
+        HELPERS.debugLog('GameClock paused', {gameTime: this.baseTime});
+    }
+
+
+    /**
+     * PUBLIC: resume
+     * Starts the clock again from where it stopped
+     *
+     * CALLED BY:
+     * - TimerManager.resume()
+     */
+    resume() {
+        if (!this.isPaused()) {
+            return;
+        }
+
+        this.anchorSourceTime = this.timeSource.now();
+
+        HELPERS.debugLog('GameClock resumed', {gameTime: this.baseTime});
+    }
+
+
+    /**
+     * PUBLIC: isPaused
+     * Checks if the clock is stopped
+     *
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return this.anchorSourceTime === null;
+    }
+}
+
+// Default time source for new clocks
+GameClock.defaultTimeSource = new RealTimeSource();
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * const clock = GameClock.getInstance();
+ *
+ * const start = clock.now();
+ * clock.pause();
+ * // ... any amount of real time passes ...
+ * clock.resume();
+ * HELPERS.getElapsedTime(start);   // excludes the paused time
+ *
+ * // Run the game 5x faster (use TimerManager.setSpeed() in-game)
+ * clock.setSpeed(5);
+ *
+ * // Tests / scripts: make time jump instead of waiting
+ * const source = new ManualTimeSource();
+ * GameClock.useTimeSource(source);
+ * const crop = new Crop('wheat');
+ * crop.plant();
+ * source.advance(crop.growthDuration);
+ * crop.isMature();                 // true
+ * TimerManager.getInstance().tick(); // runs breeding checks / day advancement now
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export { GameClock, RealTimeSource, ManualTimeSource };
@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * FILE: GameRandom.js
+ * PURPOSE: Seeded random number generator for reproducible games
+ *
+ * DESCRIPTION:
+ * All game randomness goes through this generator instead of Math.random(),
+ * so a game started from the same seed gets the same weather forecast and
+ * the same breeding luck. Two players can share a seed and compare
+ * strategies on identical conditions.
+ *
+ * STREAMS:
+ * Randomness is split into independent streams, each derived from the seed:
+ * - weather  - forecast values
+ * - forecast - forecast uncertainty (where forecast ranges sit)
+ * - events   - severe weather events and the damage they do
+ * - breeding - breeding and offspring survival rolls
+ * - ids      - random part of object IDs
+ * - general  - everything else
+ *
+ * Drawing from one stream never moves another, so buying an extra seed
+ * (which generates an ID) does not change tomorrow's weather.
+ *
+ * ALGORITHM:
+ * Seeds are strings (numbers are converted). Each stream hashes
+ * "{seed}:{stream}" to a 32-bit state and advances it with mulberry32.
+ * The state of every stream is saved with the game, so a loaded game
+ * continues the exact same sequence.
+ *
+ * DEPENDENCIES:
+ * - helpers.js (debug logging)
+ *
+ * USED BY:
+ * - helpers.js (randomInt / randomFloat / randomBoolean / shuffleArray / generateUniqueId)
+ * - GameState.js (seed + stream state in saves)
+ * - main.js (new game with seed)
+ * ============================================================================
+ */
+
+/**
+ * CLASS: GameRandom
+ * Singleton seeded random number generator
+ */
+class GameRandom {
+
+    /**
+     * CONSTRUCTOR
+     * Creates a generator for a seed
+     *
+     * @param {string|number|null} seed - Game seed (default: new random seed)
+     *
+     * NOTE: Use GameRandom.getInstance() / GameRandom.useSeed() instead of calling directly
+     */
+    constructor(seed = null) {
+        // Prevent multiple instances (singleton pattern)
+        if (GameRandom.instance) {
+            return GameRandom.instance;
+        }
+
+        const normalized = GameRandom.normalizeSeed(seed);
+
+        // Seed shown to the player and stored in saves
+        this.seed = normalized !== null ? normalized : GameRandom.generateSeed();
+
+        // Current 32-bit state per stream (created on first use)
+        this.streams = {};
+
+        // Store singleton instance
+        GameRandom.instance = this;
+
+        HELPERS.debugLog('GameRandom initialized', {seed: this.seed});
+    }
+
+
+    // ========================================================================
+    // SINGLETON PATTERN
+    // ========================================================================
+
+    /**
+     * STATIC: getInstance
+     * Gets or creates the single GameRandom instance
+     *
+     * @returns {GameRandom} The generator instance
+     */
+    static getInstance() {
+        if (!GameRandom.instance) {
+            GameRandom.instance = new GameRandom();
+        }
+        return GameRandom.instance;
+    }
+
+
+    /**
+     * STATIC: resetInstance
+     * Resets the singleton (next game gets a new random seed)
+     */
+    static resetInstance() {
+        GameRandom.instance = null;
+        HELPERS.debugLog('GameRandom reset');
+    }
+
+
+    /**
+     * STATIC: useSeed
+     * Replaces the generator with a fresh one for the given seed
+     *
+     * @param {string|number|null} seed - Game seed (null = new random seed)
+     * @returns {GameRandom} The new generator instance
+     *
+     * CALLED BY:
+     * - main.js (before a new GameState is created)
+     *
+     * EXAMPLE:
+     * GameRandom.useSeed('harvest-42');
+     * GameState.resetInstance();
+     * GameState.getInstance();   // forecast generated from 'harvest-42'
+     */
+    static useSeed(seed) {
+        GameRandom.instance = null;
+        GameRandom.instance = new GameRandom(seed);
+        return GameRandom.instance;
+    }
+
+
+    /**
+     * STATIC: restore
+     * Replaces the generator with one continuing a saved state
+     *
+     * @param {string} seed - Saved seed
+     * @param {Object} streams - Saved stream states ({streamName: uint32})
+     * @returns {GameRandom} The restored generator instance
+     *
+     * CALLED BY:
+     * - GameState.fromJSON()
+     */
+    static restore(seed, streams = {}) {
+        const random = GameRandom.useSeed(seed);
+
+        Object.keys(streams || {}).forEach(name => {
+            if (Number.isInteger(streams[name])) {
+                random.streams[name] = streams[name] >>> 0;
+            }
+        });
+
+        return random;
+    }
+
+
+    // ========================================================================
+    // SEEDS
+    // ========================================================================
+
+    /**
+     * STATIC: normalizeSeed
+     * Turns user input into a valid seed
+     *
+     * @param {string|number|null} seed - Raw seed
+     * @returns {string|null} Trimmed seed, or null if empty or invalid
+     *
+     * EXAMPLES:
+     * normalizeSeed('  farm42 ') → 'farm42'
+     * normalizeSeed(1234)        → '1234'
+     * normalizeSeed('')          → null
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            seed = String(seed);
+        }
+
+        if (typeof seed !== 'string') {
+            return null;
+        }
+
+        const trimmed = seed.trim();
+        if (trimmed.length === 0 || trimmed.length > CONSTANTS.VALIDATION.MAX_SEED_LENGTH) {
+            return null;
+        }
+
+        return trimmed;
+    }
+
+
+    /**
+     * STATIC: generateSeed
+     * Creates a new random seed
+     *
+     * @returns {string} 8-character seed (e.g. 'k3x9q0ab')
+     *
+     * NOTE: The only place Math.random() is still used - a new seed must
+     * not be predictable.
+     */
+    static generateSeed() {
+        let seed = '';
+        while (seed.length < 8) {
+            seed += Math.random().toString(36).substring(2);
+        }
+        return seed.substring(0, 8);
+    }
+
+
+    /**
+     * STATIC: hashString
+     * Hashes a string to a 32-bit unsigned integer (FNV-1a)
+     *
+     * @param {string} text - Text to hash
+     * @returns {number} 32-bit hash
+     */
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+
+    // ========================================================================
+    // RANDOM VALUES
+    // ========================================================================
+
+    /**
+     * PUBLIC: next
+     * Gets the next random number from a stream
+     *
+     * @param {string} stream - Stream name (default: GameRandom.STREAMS.GENERAL)
+     * @returns {number} Random number in [0, 1), like Math.random()
+     *
+     * EXAMPLE:
+     * const roll = GameRandom.getInstance().next(GameRandom.STREAMS.BREEDING);
+     */
+    next(stream = GameRandom.STREAMS.GENERAL) {
+        if (this.streams[stream] === undefined) {
+            this.streams[stream] = GameRandom.hashString(`${this.seed}:${stream}`);
+        }
+
+        // mulberry32
+        const state = (this.streams[stream] + 0x6D2B79F5) >>> 0;
+        this.streams[stream] = state;
+
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+
+    /**
+     * PUBLIC: getState
+     * Gets the seed and stream states for saving
+     *
+     * @returns {Object} {seed, streams}
+     *
+     * CALLED BY:
+     * - GameState.toJSON()
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            streams: {...this.streams}
+        };
+    }
+}
+
+/**
+ * STREAMS: Names of the independent random streams
+ */
+GameRandom.STREAMS = Object.freeze({
+    WEATHER: 'weather',
+    FORECAST: 'forecast',
+    EVENTS: 'events',
+    BREEDING: 'breeding',
+    IDS: 'ids',
+    GENERAL: 'general'
+});
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Same seed → same forecast
+ * GameRandom.useSeed('farm42');
+ * const a = Weather.generateForecast(7, 1);
+ * GameRandom.useSeed('farm42');
+ * const b = Weather.generateForecast(7, 1);   // identical values to a
+ *
+ * // Streams are independent
+ * HELPERS.randomBoolean(0.35, GameRandom.STREAMS.BREEDING);
+ * HELPERS.generateUniqueId('crop');   // does not affect breeding or weather
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default GameRandom;
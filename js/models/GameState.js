@@ -6,6 +6,7 @@
  * DESCRIPTION:
  * This is the CORE of the entire game. GameState manages:
  * - Current money, day, and goal progress
+ * - The farm debt and bank loans (interest, due dates)
  * - All game inventory (crops, animals)
  * - Weather forecast for 7 days
  * - Game status (playing/won/lost)
@@ -21,7 +22,12 @@
  * - config.js (for game settings)
  * - constants.js (for status constants)
  * - helpers.js (for utility functions)
+ * - gameEvents.js (for game events)
+ * - saveSchema.js (for save versioning and validation)
+ * - GameClock.js (for pause-aware timestamps)
+ * - GameRandom.js (for the game seed)
  * - Weather.js (for forecast generation)
+ * - Market.js (for the prices kept in the price history)
  * - Crop.js (for crop management)
  * - Animal.js (for animal management)
  *
@@ -30,6 +36,7 @@
  * - UIManager.js (read state for display)
  * - FarmManager.js (update inventory)
  * - ShopManager.js (update money and inventory)
+ * - BankManager.js (farm debt and loans)
  * - TimerManager.js (advance days, update progress)
  * ============================================================================
  */
@@ -41,9 +48,16 @@
  * STATE DATA:
  * - currentMoney: Player's current balance
  * - currentDay: Current game day (1-10)
- * - goalMoney: Target amount to win ($5,000)
+ * - goalMoney: The farm's debt at the start ($5,000)
+ * - debt: What is still owed on the farm debt (won when it and all loans are paid)
+ * - loans: Bank loans not yet paid back
  * - gameStatus: Current status (playing/won/lost)
  * - weatherForecast: Array of Weather objects (7 days)
+ * - weatherHistory: Weather of the days already played
+ * - weatherReports: Reports of the severe weather events that hit the farm
+ * - salesToday: Units of each item type sold today (market saturation)
+ * - priceHistory: Weather, demand, prices and the player's sales of each day
+ * - ledger: Every money movement (day, amount, category, item, demand)
  * - inventory: All crops and animals
  * - statistics: Game statistics for end screen
  * - milestones: Progress tracking
@@ -78,12 +92,38 @@ class GameState {
         this.goalMoney = GAME_CONFIG.GOAL_MONEY; // $5,000
         this.gameStatus = CONSTANTS.GAME_STATUS.PLAYING;
 
+        // Bank: farm debt still owed, and loans not yet paid back (see getLoans)
+        this.debt = this.goalMoney;
+        this.loans = [];
+
+        // Seed of the random generator (same seed = same weather and breeding luck)
+        this.seed = GameRandom.getInstance().seed;
+
+        // Date of the daily challenge this game belongs to ('YYYY-MM-DD'), null for normal games
+        this.challengeDate = null;
+
         // Weather forecast (7 days ahead)
         this.weatherForecast = Weather.generateForecast(
             GAME_CONFIG.WEATHER_FORECAST_DAYS,
             this.currentDay
         );
 
+        // Weather of past days (moved here from the forecast as days pass)
+        this.weatherHistory = [];
+
+        // Severe weather events that hit the farm (newest last)
+        this.weatherReports = [];
+
+        // Units sold today per item type ({wheat: 12}), cleared overnight
+        this.salesToday = {};
+
+        // Market of each day so far (see getPriceHistory)
+        this.priceHistory = [];
+        this._recordMarketDay();
+
+        // Every money movement, oldest first (see getLedger)
+        this.ledger = [];
+
         // Inventory system
         this.inventory = {
             // Seeds purchased but not planted
@@ -112,14 +152,16 @@ class GameState {
             totalMoneySpent: 0,
             bestSingleSale: 0,
             totalOffspringBorn: 0,
-            successfulBreedings: 0
+            successfulBreedings: 0,
+            cropsLostToWeather: 0,
+            animalsLostToWeather: 0
         };
 
         // Milestone tracking
         this.milestonesReached = [];
 
         // Timestamps
-        this.gameStartTime = Date.now();
+        this.gameStartTime = GameClock.getInstance().now();
         this.lastSaveTime = null;
 
         // Store singleton instance
@@ -183,6 +225,8 @@ class GameState {
      *
      * @param {number} amount - Amount to add
      * @param {string} reason - Reason for adding (for statistics)
+     * @param {Object} details - Kept in the ledger (see _recordTransaction):
+     *   {category, itemType, demandIndex}
      * @returns {boolean} Success status
      *
      * CALLED BY:
@@ -190,15 +234,22 @@ class GameState {
      *
      * SIDE EFFECTS:
      * - Updates currentMoney
+     * - Adds a ledger entry
      * - Checks for milestones
-     * - Checks for victory condition
-     * - Updates statistics
+     * - Updates statistics (not for loans)
      * - Dispatches MONEY_CHANGED event
      *
+     * NOTE: Money alone no longer wins the game - the debt has to be paid
+     * (see reduceDebt)
+     *
      * EXAMPLE:
-     * gameState.addMoney(100, 'Sold wheat');
+     * gameState.addMoney(100, 'Sold wheat', {
+     *     category: CONSTANTS.LEDGER_CATEGORIES.CROP_SALE,
+     *     itemType: 'wheat',
+     *     demandIndex: 1.5
+     * });
      */
-    addMoney(amount, reason = 'unknown') {
+    addMoney(amount, reason = 'unknown', details = {}) {
         // Validate amount
         if (!HELPERS.isValidNumber(amount) || amount < 0) {
             console.error('GameState.addMoney: Invalid amount', amount);
@@ -208,12 +259,16 @@ class GameState {
         // Add money
         this.currentMoney += amount;
 
-        // Update statistics
-        this.statistics.totalMoneyEarned += amount;
-        if (amount > this.statistics.bestSingleSale) {
-            this.statistics.bestSingleSale = amount;
+        // Update statistics (a loan is not earned)
+        if (!this._isBankTransaction(details.category)) {
+            this.statistics.totalMoneyEarned += amount;
+            if (amount > this.statistics.bestSingleSale) {
+                this.statistics.bestSingleSale = amount;
+            }
         }
 
+        this._recordTransaction(amount, reason, details);
+
         HELPERS.debugLog(`Added ${HELPERS.formatMoney(amount)}`, {
             reason: reason,
             newBalance: HELPERS.formatMoney(this.currentMoney)
@@ -222,9 +277,6 @@ class GameState {
         // Check for milestones
         this._checkMilestones();
 
-        // Check for victory
-        this._checkWinCondition();
-
         // Dispatch event for UI updates
         this._dispatchMoneyChangedEvent();
 
@@ -238,17 +290,21 @@ class GameState {
      *
      * @param {number} amount - Amount to deduct
      * @param {string} reason - Reason for deduction
+     * @param {Object} details - Kept in the ledger, as in addMoney()
      * @returns {boolean} Success status (false if insufficient funds)
      *
      * CALLED BY:
      * - ShopManager.js (when buying items)
      *
      * EXAMPLE:
-     * if (gameState.deductMoney(50, 'Bought seeds')) {
+     * if (gameState.deductMoney(50, 'Bought seeds', {
+     *     category: CONSTANTS.LEDGER_CATEGORIES.SEED_PURCHASE,
+     *     itemType: 'carrot'
+     * })) {
      *     // Purchase successful
      * }
      */
-    deductMoney(amount, reason = 'unknown') {
+    deductMoney(amount, reason = 'unknown', details = {}) {
         // Validate amount
         if (!HELPERS.isValidNumber(amount) || amount < 0) {
             console.error('GameState.deductMoney: Invalid amount', amount);
@@ -267,8 +323,12 @@ class GameState {
         // Deduct money
         this.currentMoney -= amount;
 
-        // Update statistics
-        this.statistics.totalMoneySpent += amount;
+        // Update statistics (paying the bank is not spending on the farm)
+        if (!this._isBankTransaction(details.category)) {
+            this.statistics.totalMoneySpent += amount;
+        }
+
+        this._recordTransaction(-amount, reason, details);
 
         HELPERS.debugLog(`Deducted ${HELPERS.formatMoney(amount)}`, {
             reason: reason,
@@ -298,6 +358,285 @@ class GameState {
     }
 
 
+    // ========================================================================
+    // DEBT AND LOANS
+    // ========================================================================
+
+    /**
+     * PUBLIC: getDebtBalance
+     * Gets everything owed to the bank: the farm debt plus all loans
+     *
+     * @returns {number} Debt balance ($0 = the farm is saved)
+     *
+     * CALLED BY:
+     * - BankManager.js, UIManager.js (header, Bank screen)
+     * - _checkWinCondition(), _checkDeadline()
+     */
+    getDebtBalance() {
+        return this.debt + this.getLoanBalance();
+    }
+
+
+    /**
+     * PUBLIC: getLoanBalance
+     * Gets what is owed on loans (interest included)
+     *
+     * @returns {number} Sum of all loan balances
+     */
+    getLoanBalance() {
+        return this.loans.reduce((sum, loan) => sum + loan.balance, 0);
+    }
+
+
+    /**
+     * PUBLIC: getDebtCovered
+     * Gets how much of the farm debt the player has put together: what is
+     * already paid off, plus the cash on hand, minus what is owed on loans
+     *
+     * @returns {number} Amount toward goalMoney (goalMoney or more = the
+     *                   cash pays off everything)
+     *
+     * EXAMPLE:
+     * $2,000 paid off, $900 cash, $200 loan → 2,000 + 900 - 200 = $2,700
+     *
+     * CALLED BY:
+     * - getProgress(), _checkMilestones()
+     * - ChallengeManager.js, simulator.js (result of a game)
+     */
+    getDebtCovered() {
+        return Math.max(0, this.currentMoney + this.goalMoney - this.getDebtBalance());
+    }
+
+
+    /**
+     * PUBLIC: getLoans
+     * Gets the loans not yet paid back
+     *
+     * @returns {Object[]} Oldest first:
+     *   [{id,
+     *     principal,        // Amount borrowed
+     *     balance,          // Still owed (interest included)
+     *     dailyRate,        // Interest added each night (0.05 = 5%)
+     *     dayTaken, dueDay, // Collected on the morning of dueDay
+     *     interestCharged}] // Interest added so far
+     */
+    getLoans() {
+        return this.loans;
+    }
+
+
+    /**
+     * PUBLIC: reduceDebt
+     * Lowers the farm debt after a payment (the money is deducted by the caller)
+     *
+     * @param {number} amount - Amount paid
+     * @returns {boolean} Success status (false if more than is owed)
+     *
+     * CALLED BY:
+     * - BankManager.js (repayDebt)
+     * - _settleDebts()
+     *
+     * SIDE EFFECTS:
+     * - Dispatches DEBT_CHANGED event
+     * - Wins the game once nothing is owed
+     */
+    reduceDebt(amount) {
+        if (!HELPERS.isPositiveNumber(amount) || amount > this.debt) {
+            console.error('GameState.reduceDebt: Invalid amount', amount);
+            return false;
+        }
+
+        this.debt -= amount;
+
+        HELPERS.debugLog(`Farm debt reduced by ${HELPERS.formatMoney(amount)}`, {
+            debt: HELPERS.formatMoney(this.debt)
+        });
+
+        this._dispatchDebtChangedEvent();
+        this._checkWinCondition();
+
+        return true;
+    }
+
+
+    /**
+     * PUBLIC: addLoan
+     * Records a new loan (the money is added by the caller)
+     *
+     * @param {number} amount - Amount borrowed
+     * @returns {Object} The loan (see getLoans)
+     *
+     * CALLED BY:
+     * - BankManager.js (takeLoan)
+     *
+     * SIDE EFFECTS:
+     * - Dispatches DEBT_CHANGED event
+     */
+    addLoan(amount) {
+        const loan = {
+            id: HELPERS.generateUniqueId('loan'),
+            principal: amount,
+            balance: amount,
+            dailyRate: GAME_CONFIG.BANK.DAILY_INTEREST_RATE,
+            dayTaken: this.currentDay,
+            dueDay: this.currentDay + GAME_CONFIG.BANK.LOAN_TERM_DAYS,
+            interestCharged: 0
+        };
+
+        this.loans.push(loan);
+
+        HELPERS.debugLog(`Loan of ${HELPERS.formatMoney(amount)} taken`, {
+            dueDay: loan.dueDay
+        });
+
+        this._dispatchDebtChangedEvent();
+
+        return loan;
+    }
+
+
+    /**
+     * PUBLIC: reduceLoan
+     * Lowers a loan's balance after a payment (the money is deducted by
+     * the caller); a loan paid in full is removed
+     *
+     * @param {string} loanId - ID of the loan
+     * @param {number} amount - Amount paid
+     * @returns {boolean} Success status (false if unknown loan or more than is owed)
+     *
+     * CALLED BY:
+     * - BankManager.js (repayLoan)
+     * - _collectDueLoans(), _settleDebts()
+     *
+     * SIDE EFFECTS:
+     * - Dispatches DEBT_CHANGED event
+     * - Wins the game once nothing is owed
+     */
+    reduceLoan(loanId, amount) {
+        const loan = this.loans.find(l => l.id === loanId);
+
+        if (!loan || !HELPERS.isPositiveNumber(amount) || amount > loan.balance) {
+            console.error('GameState.reduceLoan: Invalid loan or amount', loanId, amount);
+            return false;
+        }
+
+        loan.balance -= amount;
+        if (loan.balance === 0) {
+            this.loans = this.loans.filter(l => l.id !== loanId);
+        }
+
+        this._dispatchDebtChangedEvent();
+        this._checkWinCondition();
+
+        return true;
+    }
+
+
+    /**
+     * PRIVATE: _applyLoanInterest
+     * Adds a night's interest to every loan
+     *
+     * CALLED BY: advanceDay()
+     */
+    _applyLoanInterest() {
+        if (this.loans.length === 0) {
+            return;
+        }
+
+        this.loans.forEach(loan => {
+            const interest = Math.ceil(loan.balance * loan.dailyRate);
+            loan.balance += interest;
+            loan.interestCharged += interest;
+        });
+
+        this._dispatchDebtChangedEvent();
+    }
+
+
+    /**
+     * PRIVATE: _collectDueLoans
+     * Takes loans that are due from the cash on hand (as much as there is)
+     *
+     * CALLED BY: advanceDay()
+     *
+     * SIDE EFFECTS:
+     * - Deducts money (LOAN_REPAYMENT ledger entries)
+     * - Dispatches LOAN_COLLECTED for each loan the bank took money for
+     */
+    _collectDueLoans() {
+        this.loans
+            .filter(loan => loan.dueDay <= this.currentDay)
+            .forEach(loan => {
+                const amount = Math.min(this.currentMoney, loan.balance);
+                if (amount <= 0) {
+                    return;
+                }
+
+                this.deductMoney(amount, 'Loan collected by the bank', {
+                    category: CONSTANTS.LEDGER_CATEGORIES.LOAN_REPAYMENT
+                });
+                const remaining = loan.balance - amount;
+                this.reduceLoan(loan.id, amount);
+
+                GAME_EVENTS.dispatch(CONSTANTS.EVENTS.LOAN_COLLECTED, {
+                    loan: loan,
+                    amount: amount,
+                    remaining: remaining,
+                    message: remaining > 0
+                        ? `🏦 The bank collected ${HELPERS.formatMoney(amount)} of a loan that was due - ` +
+                          `${HELPERS.formatMoney(remaining)} is still owed.`
+                        : `🏦 The bank collected a ${HELPERS.formatMoney(amount)} loan that was due.`
+                });
+            });
+    }
+
+
+    /**
+     * PRIVATE: _settleDebts
+     * Pays every loan and the farm debt from the cash on hand
+     *
+     * NOTE: Only call when the cash covers getDebtBalance()
+     *
+     * SIDE EFFECTS:
+     * - Deducts money (LOAN_REPAYMENT and DEBT_REPAYMENT ledger entries)
+     * - Dispatches DEBT_REPAID for each payment
+     *
+     * CALLED BY: _checkDeadline()
+     */
+    _settleDebts() {
+        this.loans.slice().forEach(loan => {
+            const amount = loan.balance;
+            this.deductMoney(amount, 'Loan collected by the bank', {
+                category: CONSTANTS.LEDGER_CATEGORIES.LOAN_REPAYMENT
+            });
+            this.reduceLoan(loan.id, amount);
+            this._dispatchDebtRepaidEvent(loan.id, amount, 0);
+        });
+
+        if (this.debt > 0) {
+            const amount = this.debt;
+            this.deductMoney(amount, 'Farm debt collected by the bank', {
+                category: CONSTANTS.LEDGER_CATEGORIES.DEBT_REPAYMENT
+            });
+            this.reduceDebt(amount);
+            this._dispatchDebtRepaidEvent('farm', amount, 0);
+        }
+    }
+
+
+    /**
+     * PRIVATE: _isBankTransaction
+     * Checks if a ledger category moves money to or from the bank
+     *
+     * @param {string} category - CONSTANTS.LEDGER_CATEGORIES value
+     * @returns {boolean} True for loans and repayments
+     */
+    _isBankTransaction(category) {
+        const {LOAN, LOAN_REPAYMENT, DEBT_REPAYMENT} = CONSTANTS.LEDGER_CATEGORIES;
+        return [LOAN, LOAN_REPAYMENT, DEBT_REPAYMENT].includes(category);
+    }
+
+
     // ========================================================================
     // DAY MANAGEMENT
     // ========================================================================
@@ -308,9 +647,13 @@ class GameState {
      *
      * SIDE EFFECTS:
      * - Increments currentDay
+     * - Clears today's sales (the market recovers overnight)
      * - Updates weather forecast (shifts forward 1 day)
-     * - Checks for game over (day > 10)
-     * - Dispatches DAY_ADVANCED event
+     * - Records the new day's prices in priceHistory
+     * - Adds a night's interest to loans and collects the ones that are due
+     * - Applies the new day's severe weather event (if any)
+     * - Checks for game over (day > 10: the debt must be paid)
+     * - Dispatches DAY_ADVANCED event (and SEVERE_WEATHER after a severe event)
      *
      * CALLED BY:
      * - TimerManager.js (when day timer expires)
@@ -330,14 +673,30 @@ class GameState {
 
         HELPERS.debugLog(`Advanced to Day ${this.currentDay}`);
 
+        // The market recovers overnight
+        this.salesToday = {};
+
         // Update weather forecast (shift forward)
         this._updateWeatherForecast();
 
+        // Keep the new day's prices
+        this._recordMarketDay();
+
+        // Loans grow overnight; the bank collects the ones due today
+        this._applyLoanInterest();
+        this._collectDueLoans();
+
+        // Severe weather hits the farm as the day begins
+        const weatherReport = this._applySevereWeather();
+
         // Check for game over
-        this._checkLoseCondition();
+        this._checkDeadline();
 
         // Dispatch event
         this._dispatchDayAdvancedEvent();
+        if (weatherReport) {
+            this._dispatchSevereWeatherEvent(weatherReport);
+        }
     }
 
 
@@ -404,6 +763,135 @@ class GameState {
     }
 
 
+    /**
+     * PUBLIC: getWeatherSequence
+     * Gets the weather of every game day known so far
+     *
+     * @returns {Weather[]} Past days followed by the forecast, ordered by day
+     *
+     * NOTE: At the end of the game this is the complete weather of days 1-10.
+     * Saves made before weather history was kept only know the days from
+     * the save on.
+     *
+     * CALLED BY:
+     * - PLAN_SOLVER.solveForGame() (best possible plan for this weather)
+     */
+    getWeatherSequence() {
+        return this.weatherHistory
+            .concat(this.weatherForecast)
+            .filter(w => w.day <= GAME_CONFIG.TOTAL_DAYS)
+            .sort((a, b) => a.day - b.day);
+    }
+
+
+    /**
+     * PUBLIC: applyGrowthWeather
+     * Sets everything growing on the farm to today's weather growth rate
+     *
+     * @param {number|null} atTime - Game time the rate applies from
+     *                               (default: now)
+     *
+     * CALLED BY:
+     * - TimerManager (at the start of each new day, and when started)
+     *
+     * EXAMPLE:
+     * gameState.applyGrowthWeather(dayStartTime);
+     */
+    applyGrowthWeather(atTime = null) {
+        const weather = this.getCurrentWeather();
+        const weatherValue = weather ? weather.weatherValue : null;
+
+        this.getGrowingCrops().forEach(crop => crop.setGrowthWeather(weatherValue, atTime));
+        this.inventory.animals.forEach(animal => animal.setGrowthWeather(weatherValue, atTime));
+    }
+
+
+    /**
+     * PUBLIC: getWeatherReports
+     * Gets the reports of severe weather events so far
+     *
+     * @returns {Object[]} Reports, oldest first (see _applySevereWeather)
+     *
+     * CALLED BY:
+     * - UIManager.js (post-event report)
+     */
+    getWeatherReports() {
+        return this.weatherReports;
+    }
+
+
+    /**
+     * PRIVATE: _applySevereWeather
+     * Lets today's severe weather event (if any) hit the farm
+     *
+     * @returns {Object|null} Report or null if the day has no event
+     *
+     * REPORT:
+     * {day, eventId, name, emoji, cropsDestroyed, cropsDamaged,
+     *  animalsLost, valueLost}
+     * - cropsDestroyed / cropsDamaged / animalsLost: [{id, type, name}]
+     * - valueLost: Sell value lost at normal prices (demand 1.0)
+     *
+     * SIDE EFFECTS:
+     * - Removes destroyed crops and lost animals from the farm
+     * - Lowers the quality of damaged crops
+     * - Adds the report to weatherReports and updates statistics
+     *
+     * NOTE: Only crops and animals on the farm are at risk. Seeds,
+     * harvested crops and young animals are safe in the barn.
+     *
+     * CALLED BY: advanceDay()
+     */
+    _applySevereWeather() {
+        const weather = this.getCurrentWeather();
+        const event = weather ? weather.getSevereEvent() : null;
+        if (!event) {
+            return null;
+        }
+
+        const hit = SEVERE_WEATHER.selectDamage(event, this.inventory.crops, this.inventory.animals);
+        const describe = item => ({id: item.id, type: item.type, name: item.name});
+        let valueLost = 0;
+
+        hit.destroyed.forEach(crop => {
+            valueLost += crop.calculateSellPrice(1.0);
+        });
+        hit.damaged.forEach(crop => {
+            valueLost += crop.damage();
+        });
+        hit.lost.forEach(animal => {
+            valueLost += animal.calculateSellPrice(1.0);
+        });
+
+        this.inventory.crops = this.inventory.crops.filter(crop => !hit.destroyed.includes(crop));
+        this.inventory.animals = this.inventory.animals.filter(animal => !hit.lost.includes(animal));
+
+        const report = {
+            day: this.currentDay,
+            eventId: event.id,
+            name: event.name,
+            emoji: event.emoji,
+            cropsDestroyed: hit.destroyed.map(describe),
+            cropsDamaged: hit.damaged.map(describe),
+            animalsLost: hit.lost.map(describe),
+            valueLost: valueLost
+        };
+
+        this.weatherReports.push(report);
+        this.statistics.cropsLostToWeather += hit.destroyed.length;
+        this.statistics.animalsLostToWeather += hit.lost.length;
+
+        HELPERS.debugLog(`${event.name} hit the farm on Day ${this.currentDay}`, {
+            destroyed: hit.destroyed.length,
+            damaged: hit.damaged.length,
+            lost: hit.lost.length,
+            valueLost: valueLost
+        });
+
+        return report;
+    }
+
+
     /**
      * PRIVATE: _updateWeatherForecast
      * Updates forecast when day advances
@@ -415,15 +903,29 @@ class GameState {
      * CALLED BY: advanceDay()
      */
     _updateWeatherForecast() {
-        // Remove weather for days that have passed
+        // Keep weather of days that have passed, then remove it from the forecast
+        this.weatherHistory = this.weatherHistory.concat(
+            this.weatherForecast.filter(w => w.day < this.currentDay)
+        );
         this.weatherForecast = this.weatherForecast.filter(
             w => w.day >= this.currentDay
         );
 
         // Add new weather to maintain 7-day forecast
-        const lastDay = this.weatherForecast[this.weatherForecast.length - 1].day;
-        const newWeather = new Weather(lastDay + 1);
-        this.weatherForecast.push(newWeather);
+        // (no weather exists past the last day, so the forecast shrinks near the end)
+        const lastWeather = this.weatherForecast.length > 0
+            ? this.weatherForecast[this.weatherForecast.length - 1]
+            : this.weatherHistory[this.weatherHistory.length - 1];
+        const lastDay = lastWeather ? lastWeather.day : this.currentDay - 1;
+
+        if (lastDay < GAME_CONFIG.TOTAL_DAYS) {
+            // New day follows on from the last one (correlated weather models)
+            this.weatherForecast.push(new Weather(
+                lastDay + 1,
+                null,
+                lastWeather ? lastWeather.weatherValue : null
+            ));
+        }
 
         HELPERS.debugLog('Weather forecast updated', {
             forecastDays: this.weatherForecast.map(w => ({
@@ -485,8 +987,9 @@ class GameState {
         // Remove from seeds
         const crop = this.inventory.seeds.splice(seedIndex, 1)[0];
 
-        // Plant the crop
-        crop.plant();
+        // Plant the crop (grows at today's weather rate)
+        const weather = this.getCurrentWeather();
+        crop.plant(weather ? weather.weatherValue : null);
 
         // Add to crops (on farm)
         this.inventory.crops.push(crop);
@@ -544,12 +1047,13 @@ class GameState {
      * Removes crop from inventory after selling
      *
      * @param {string} cropId - ID of crop to sell
+     * @param {number} sellPrice - What Tom paid (kept in the price history)
      * @returns {Crop|null} Sold crop object or null
      *
      * CALLED BY:
      * - ShopManager.js (after selling crop to Tom)
      */
-    sellCrop(cropId) {
+    sellCrop(cropId, sellPrice = 0) {
         // Find harvested crop
         const cropIndex = this.inventory.harvestedCrops.findIndex(c => c.id === cropId);
 
@@ -563,6 +1067,7 @@ class GameState {
 
         // Update statistics
         this.statistics.totalCropsSold++;
+        this._recordSale(crop.type, sellPrice);
 
         HELPERS.debugLog(`Sold ${crop.name}`, {cropId: crop.id});
 
@@ -599,6 +1104,149 @@ class GameState {
     }
 
 
+    // ========================================================================
+    // MARKET SATURATION
+    // ========================================================================
+
+    /**
+     * PUBLIC: getSalesToday
+     * Gets how many units of an item type were sold today
+     *
+     * @param {string} type - Crop or animal type (e.g. 'wheat', 'rabbit')
+     * @returns {number} Units sold since the day began
+     *
+     * CALLED BY:
+     * - ShopManager.js (saturated sell prices)
+     */
+    getSalesToday(type) {
+        return this.salesToday[type] || 0;
+    }
+
+
+    /**
+     * PRIVATE: _recordSale
+     * Counts a sold unit towards today's market saturation and keeps the
+     * sale in today's price history
+     *
+     * @param {string} type - Crop or animal type
+     * @param {number} sellPrice - Price paid
+     *
+     * CALLED BY: sellCrop(), sellAnimal()
+     */
+    _recordSale(type, sellPrice) {
+        this.salesToday[type] = this.getSalesToday(type) + 1;
+
+        const today = this.priceHistory.find(entry => entry.day === this.currentDay);
+        if (today) {
+            today.sales.push({type: type, price: sellPrice});
+        }
+    }
+
+
+    // ========================================================================
+    // LEDGER
+    // ========================================================================
+
+    /**
+     * PUBLIC: getLedger
+     * Gets every money movement of the game
+     *
+     * @returns {Object[]} Oldest first:
+     *   [{day, timestamp,      // Game day and game clock time (ms)
+     *     amount,              // Positive = income, negative = expense
+     *     balance,             // Money after the movement
+     *     category,            // CONSTANTS.LEDGER_CATEGORIES
+     *     itemType,            // Crop or animal type, or null
+     *     demandIndex,         // Demand multiplier of a sale, or null
+     *     reason}]             // Text passed to addMoney() / deductMoney()
+     *
+     * CALLED BY:
+     * - UIManager.js (Ledger screen, CSV export)
+     */
+    getLedger() {
+        return this.ledger;
+    }
+
+
+    /**
+     * PRIVATE: _recordTransaction
+     * Adds a money movement to the ledger (after currentMoney has changed)
+     *
+     * @param {number} amount - Signed amount (negative for expenses)
+     * @param {string} reason - Description
+     * @param {Object} details - {category, itemType, demandIndex}, all optional
+     *
+     * CALLED BY: addMoney(), deductMoney()
+     */
+    _recordTransaction(amount, reason, details) {
+        this.ledger.push({
+            day: this.currentDay,
+            timestamp: GameClock.getInstance().now(),
+            amount: amount,
+            balance: this.currentMoney,
+            category: details.category || CONSTANTS.LEDGER_CATEGORIES.OTHER,
+            itemType: details.itemType || null,
+            demandIndex: HELPERS.isValidNumber(details.demandIndex) ? details.demandIndex : null,
+            reason: reason
+        });
+    }
+
+
+    // ========================================================================
+    // PRICE HISTORY
+    // ========================================================================
+
+    /**
+     * PUBLIC: getPriceHistory
+     * Gets the market of every day so far, today included
+     *
+     * @returns {Object[]} Oldest first:
+     *   [{day, weatherValue, demandIndex,  // The day's weather and its demand
+     *     prices: {wheat: 32, ...},        // Full sell price of each item type
+     *     sales: [{type, price}]}]         // What the player sold that day
+     *
+     * NOTE: prices are what one unit sold for as the day began: before
+     * market saturation and for undamaged crops.
+     *
+     * CALLED BY:
+     * - UIManager.js (market history charts in the shops)
+     */
+    getPriceHistory() {
+        return this.priceHistory;
+    }
+
+
+    /**
+     * PRIVATE: _recordMarketDay
+     * Adds today's weather and prices to the price history
+     *
+     * Does nothing if today is already recorded or has no weather (after
+     * the last day).
+     *
+     * CALLED BY: constructor, reset(), advanceDay(), fromJSON()
+     */
+    _recordMarketDay() {
+        const weather = this.getCurrentWeather();
+        if (!weather || this.priceHistory.some(entry => entry.day === this.currentDay)) {
+            return;
+        }
+
+        const prices = {};
+        GAME_CONFIG.CROPS.concat(GAME_CONFIG.ANIMALS).forEach(commodity => {
+            const demandIndex = MARKET.getDemandIndex(commodity.id, weather.demandIndex, this.currentDay);
+            prices[commodity.id] = HELPERS.floorPrice(commodity.baseSellPrice * demandIndex);
+        });
+
+        this.priceHistory.push({
+            day: this.currentDay,
+            weatherValue: weather.weatherValue,
+            demandIndex: weather.demandIndex,
+            prices: prices,
+            sales: []
+        });
+    }
+
+
     // ========================================================================
     // INVENTORY MANAGEMENT - ANIMALS
     // ========================================================================
@@ -649,8 +1297,9 @@ class GameState {
         // Remove from young animals
         const animal = this.inventory.youngAnimals.splice(animalIndex, 1)[0];
 
-        // Place the animal
-        animal.place();
+        // Place the animal (grows at today's weather rate)
+        const weather = this.getCurrentWeather();
+        animal.place(weather ? weather.weatherValue : null);
 
         // Add to animals (on farm)
         this.inventory.animals.push(animal);
@@ -666,12 +1315,13 @@ class GameState {
      * Removes animal from inventory after selling
      *
      * @param {string} animalId - ID of animal to sell
+     * @param {number} sellPrice - What Henry paid (kept in the price history)
      * @returns {Animal|null} Sold animal object or null
      *
      * CALLED BY:
      * - ShopManager.js (after selling animal to Henry)
      */
-    sellAnimal(animalId) {
+    sellAnimal(animalId, sellPrice = 0) {
         // Find animal on farm
         const animalIndex = this.inventory.animals.findIndex(a => a.id === animalId);
 
@@ -693,6 +1343,7 @@ class GameState {
 
         // Update statistics
         this.statistics.totalAnimalsSold++;
+        this._recordSale(animal.type, sellPrice);
 
         HELPERS.debugLog(`Sold ${animal.name}`, {animalId: animal.id});
 
@@ -750,37 +1401,43 @@ class GameState {
      * Checks if player has won the game
      *
      * WIN CONDITION:
-     * currentMoney >= goalMoney ($5,000)
+     * Debt balance (farm debt + loans) paid down to $0
      *
-     * CALLED BY: addMoney()
+     * CALLED BY: reduceDebt(), reduceLoan()
      */
     _checkWinCondition() {
-        if (this.gameStatus !== CONSTANTS.GAME_STATUS.PLAYING) {
+        // NOTE: Paying while paused can still win the game
+        if (this.isGameOver()) {
             return;
         }
 
-        if (this.currentMoney >= this.goalMoney) {
+        if (this.getDebtBalance() <= 0) {
             this._setGameWon();
         }
     }
 
 
     /**
-     * PRIVATE: _checkLoseCondition
-     * Checks if player has lost the game
+     * PRIVATE: _checkDeadline
+     * Ends the game once the last day is over
      *
-     * LOSE CONDITION:
-     * currentDay > TOTAL_DAYS (10) AND currentMoney < goalMoney
+     * AFTER DAY 10:
+     * - Cash on hand covers the debt balance → the bank takes it, game won
+     * - Otherwise → game lost
      *
      * CALLED BY: advanceDay()
      */
-    _checkLoseCondition() {
-        if (this.gameStatus !== CONSTANTS.GAME_STATUS.PLAYING) {
+    _checkDeadline() {
+        if (this.gameStatus !== CONSTANTS.GAME_STATUS.PLAYING ||
+            this.currentDay <= GAME_CONFIG.TOTAL_DAYS) {
             return;
         }
 
-        if (this.currentDay > GAME_CONFIG.TOTAL_DAYS &&
-            this.currentMoney < this.goalMoney) {
+        if (this.currentMoney >= this.getDebtBalance()) {
+            this._settleDebts();
+        }
+
+        if (!this.isGameOver()) {
             this._setGameLost();
         }
     }
@@ -803,13 +1460,12 @@ class GameState {
         });
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.GAME_WON, {
-            detail: {
-                finalMoney: this.currentMoney,
-                daysUsed: this.currentDay,
-                statistics: this.statistics
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.GAME_WON, {
+            finalMoney: this.currentMoney,
+            debtCovered: this.getDebtCovered(),
+            daysUsed: this.currentDay,
+            statistics: this.statistics
+        });
     }
 
 
@@ -824,7 +1480,8 @@ class GameState {
     _setGameLost() {
         this.gameStatus = CONSTANTS.GAME_STATUS.LOST;
 
-        const shortfall = this.goalMoney - this.currentMoney;
+        // Money that was missing to pay everything off
+        const shortfall = this.getDebtBalance() - this.currentMoney;
 
         HELPERS.debugLog('GAME LOST', {
             finalMoney: HELPERS.formatMoney(this.currentMoney),
@@ -832,13 +1489,12 @@ class GameState {
         });
 
         // Dispatch event
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.GAME_LOST, {
-            detail: {
-                finalMoney: this.currentMoney,
-                shortfall: shortfall,
-                statistics: this.statistics
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.GAME_LOST, {
+            finalMoney: this.currentMoney,
+            debtBalance: this.getDebtBalance(),
+            shortfall: shortfall,
+            statistics: this.statistics
+        });
     }
 
 
@@ -857,6 +1513,21 @@ class GameState {
     }
 
 
+    /**
+     * PUBLIC: isPaused
+     * Checks if the game is paused
+     *
+     * @returns {boolean} True if paused
+     *
+     * CALLED BY:
+     * - TimerManager.js (pause / resume)
+     * - UIManager.js (pause button label)
+     */
+    isPaused() {
+        return this.gameStatus === CONSTANTS.GAME_STATUS.PAUSED;
+    }
+
+
     // ========================================================================
     // MILESTONE TRACKING
     // ========================================================================
@@ -874,8 +1545,8 @@ class GameState {
                 continue;
             }
 
-            // Check if reached
-            if (this.currentMoney >= milestone.amount) {
+            // Check if reached (money put together toward the debt)
+            if (this.getDebtCovered() >= milestone.amount) {
                 this._reachMilestone(milestone);
             }
         }
@@ -901,17 +1572,15 @@ class GameState {
         });
 
         // Dispatch event for UI notification
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.MILESTONE_REACHED, {
-            detail: {
-                milestone: milestone
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.MILESTONE_REACHED, {
+            milestone: milestone
+        });
     }
 
 
     /**
      * PUBLIC: getProgress
-     * Gets goal completion percentage
+     * Gets goal completion percentage (see getDebtCovered)
      *
      * @returns {number} Progress percentage (0-100)
      *
@@ -919,7 +1588,7 @@ class GameState {
      * - UIManager.js (display progress bar)
      */
     getProgress() {
-        return HELPERS.calculatePercentage(this.currentMoney, this.goalMoney);
+        return HELPERS.calculatePercentage(this.getDebtCovered(), this.goalMoney);
     }
 
 
@@ -932,12 +1601,41 @@ class GameState {
      * Dispatches event when money changes
      */
     _dispatchMoneyChangedEvent() {
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.MONEY_CHANGED, {
-            detail: {
-                currentMoney: this.currentMoney,
-                progress: this.getProgress()
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.MONEY_CHANGED, {
+            currentMoney: this.currentMoney,
+            progress: this.getProgress()
+        });
+    }
+
+
+    /**
+     * PRIVATE: _dispatchDebtChangedEvent
+     * Dispatches event when the farm debt or a loan changes
+     */
+    _dispatchDebtChangedEvent() {
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.DEBT_CHANGED, {
+            debt: this.debt,
+            loanBalance: this.getLoanBalance(),
+            debtBalance: this.getDebtBalance()
+        });
+    }
+
+
+    /**
+     * PRIVATE: _dispatchDebtRepaidEvent
+     * Dispatches event when the bank collects what is owed at the deadline
+     *
+     * @param {string} target - 'farm' or the loan ID
+     * @param {number} amount - Amount collected
+     * @param {number} remaining - Still owed there
+     */
+    _dispatchDebtRepaidEvent(target, amount, remaining) {
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.DEBT_REPAID, {
+            target: target,
+            amount: amount,
+            remaining: remaining,
+            message: `🏦 The bank collected ${HELPERS.formatMoney(amount)}.`
+        });
     }
 
 
@@ -946,12 +1644,28 @@ class GameState {
      * Dispatches event when day advances
      */
     _dispatchDayAdvancedEvent() {
-        document.dispatchEvent(new CustomEvent(CONSTANTS.EVENTS.DAY_ADVANCED, {
-            detail: {
-                currentDay: this.currentDay,
-                daysRemaining: this.getDaysRemaining()
-            }
-        }));
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.DAY_ADVANCED, {
+            currentDay: this.currentDay,
+            daysRemaining: this.getDaysRemaining()
+        });
+    }
+
+
+    /**
+     * PRIVATE: _dispatchSevereWeatherEvent
+     * Dispatches event when severe weather hits the farm
+     *
+     * @param {Object} report - Report from _applySevereWeather()
+     */
+    _dispatchSevereWeatherEvent(report) {
+        const losses = report.cropsDestroyed.length + report.cropsDamaged.length + report.animalsLost.length;
+
+        GAME_EVENTS.dispatch(CONSTANTS.EVENTS.SEVERE_WEATHER, {
+            report: report,
+            message: losses > 0
+                ? `${report.emoji} ${report.name}! The farm lost ${HELPERS.formatMoney(report.valueLost)} worth of produce.`
+                : `${report.emoji} ${report.name}! The farm came through unharmed.`
+        });
     }
 
 
@@ -964,14 +1678,28 @@ class GameState {
      * Converts game state to JSON for saving
      *
      * @returns {Object} JSON representation of game state
+     *
+     * NOTE: Stamped with SAVE_SCHEMA.VERSION. If you change this shape,
+     * bump the version and add a migration in saveSchema.js.
      */
     toJSON() {
         return {
+            version: SAVE_SCHEMA.VERSION,
             currentMoney: this.currentMoney,
             currentDay: this.currentDay,
             goalMoney: this.goalMoney,
+            debt: this.debt,
+            loans: this.loans,
             gameStatus: this.gameStatus,
+            seed: this.seed,
+            randomState: GameRandom.getInstance().getState().streams,
+            challengeDate: this.challengeDate,
             weatherForecast: this.weatherForecast.map(w => w.toJSON()),
+            weatherHistory: this.weatherHistory.map(w => w.toJSON()),
+            weatherReports: this.weatherReports,
+            salesToday: this.salesToday,
+            priceHistory: this.priceHistory,
+            ledger: this.ledger,
             inventory: {
                 seeds: this.inventory.seeds.map(c => c.toJSON()),
                 crops: this.inventory.crops.map(c => c.toJSON()),
@@ -982,6 +1710,7 @@ class GameState {
             statistics: this.statistics,
             milestonesReached: this.milestonesReached,
             gameStartTime: this.gameStartTime,
+            gameTime: GameClock.getInstance().now(),
             lastSaveTime: Date.now()
         };
     }
@@ -989,38 +1718,83 @@ class GameState {
 
     /**
      * STATIC: fromJSON
-     * Restores game state from JSON
+     * Restores game state from saved JSON
+     *
+     * @param {Object} json - Saved game state (any known schema version)
+     * @returns {GameState|null} Restored game state, or null if the save is invalid
      *
-     * @param {Object} json - Saved game state
-     * @returns {GameState} Restored game state
+     * LOGIC:
+     * 1. Migrate and validate via SAVE_SCHEMA.prepare()
+     * 2. Only then reset the singleton and rebuild all objects
+     *
+     * NOTE: An invalid save leaves the current instance untouched.
      */
     static fromJSON(json) {
+        const prepared = SAVE_SCHEMA.prepare(json);
+        if (!prepared.success) {
+            console.error('GameState.fromJSON: Invalid save data', prepared.errors);
+            return null;
+        }
+        const data = prepared.data;
+
         // Reset and get fresh instance
         GameState.resetInstance();
         const gameState = GameState.getInstance();
 
         // Restore basic values
-        gameState.currentMoney = json.currentMoney || GAME_CONFIG.STARTING_MONEY;
-        gameState.currentDay = json.currentDay || 1;
-        gameState.goalMoney = json.goalMoney || GAME_CONFIG.GOAL_MONEY;
-        gameState.gameStatus = json.gameStatus || CONSTANTS.GAME_STATUS.PLAYING;
+        gameState.currentMoney = data.currentMoney;
+        gameState.currentDay = data.currentDay;
+        gameState.goalMoney = data.goalMoney;
+        gameState.debt = data.debt;
+        gameState.loans = data.loans;
+        gameState.gameStatus = data.gameStatus;
 
         // Restore weather forecast
-        gameState.weatherForecast = json.weatherForecast.map(w => Weather.fromJSON(w));
+        gameState.weatherForecast = data.weatherForecast.map(w => Weather.fromJSON(w));
+        gameState.weatherHistory = data.weatherHistory.map(w => Weather.fromJSON(w));
+        gameState.weatherReports = data.weatherReports;
+        gameState.salesToday = data.salesToday;
+        gameState.priceHistory = data.priceHistory;
+        gameState._recordMarketDay();
+        gameState.ledger = data.ledger;
 
         // Restore inventory
-        gameState.inventory.seeds = json.inventory.seeds.map(c => Crop.fromJSON(c));
-        gameState.inventory.crops = json.inventory.crops.map(c => Crop.fromJSON(c));
-        gameState.inventory.harvestedCrops = json.inventory.harvestedCrops.map(c => Crop.fromJSON(c));
-        gameState.inventory.youngAnimals = json.inventory.youngAnimals.map(a => Animal.fromJSON(a));
-        gameState.inventory.animals = json.inventory.animals.map(a => Animal.fromJSON(a));
+        gameState.inventory.seeds = data.inventory.seeds.map(c => Crop.fromJSON(c));
+        gameState.inventory.crops = data.inventory.crops.map(c => Crop.fromJSON(c));
+        gameState.inventory.harvestedCrops = data.inventory.harvestedCrops.map(c => Crop.fromJSON(c));
+        gameState.inventory.youngAnimals = data.inventory.youngAnimals.map(a => Animal.fromJSON(a));
+        gameState.inventory.animals = data.inventory.animals.map(a => Animal.fromJSON(a));
+
+        // Relink offspring (saved as IDs to avoid circular references)
+        data.inventory.animals.forEach((animalJson, index) => {
+            const parent = gameState.inventory.animals[index];
+            parent.offspring = (animalJson.offspringIds || [])
+                .map(id => HELPERS.findById(gameState.inventory.animals, id))
+                .filter(offspring => offspring !== null);
+        });
+
+        // Restore statistics (over defaults, so newer counters start at 0) and milestones
+        gameState.statistics = Object.assign(gameState.statistics, data.statistics);
+        gameState.milestonesReached = data.milestonesReached;
+        gameState.lastSaveTime = data.lastSaveTime || null;
+
+        // Restore the game clock so saved timestamps line up again
+        const clock = GameClock.getInstance();
+        clock.setTime(data.gameTime);
+        if (gameState.isPaused()) {
+            clock.pause();
+        } else {
+            clock.resume();
+        }
+        gameState.gameStartTime = data.gameStartTime || clock.now();
 
-        // Restore statistics and milestones
-        gameState.statistics = json.statistics || gameState.statistics;
-        gameState.milestonesReached = json.milestonesReached || [];
-        gameState.gameStartTime = json.gameStartTime || Date.now();
+        // Continue the saved random sequence (after all objects are rebuilt,
+        // since rebuilding them draws IDs from the generator)
+        GameRandom.restore(data.seed, data.randomState);
+        gameState.seed = data.seed;
+        gameState.challengeDate = data.challengeDate;
 
-        HELPERS.debugLog('GameState restored from JSON');
+        HELPERS.debugLog('GameState restored from JSON', {version: data.version});
 
         return gameState;
     }
@@ -1055,8 +1829,14 @@ class GameState {
 
             // Progress
             progress: this.getProgress(),
-            moneyNeeded: this.goalMoney - this.currentMoney,
-            formattedMoneyNeeded: HELPERS.formatMoney(this.goalMoney - this.currentMoney),
+            moneyNeeded: this.getDebtBalance() - this.currentMoney,
+            formattedMoneyNeeded: HELPERS.formatMoney(this.getDebtBalance() - this.currentMoney),
+
+            // Bank
+            debt: this.debt,
+            loanBalance: this.getLoanBalance(),
+            debtBalance: this.getDebtBalance(),
+            formattedDebtBalance: HELPERS.formatMoney(this.getDebtBalance()),
 
             // Weather
             currentWeather: currentWeather,
@@ -1096,7 +1876,7 @@ class GameState {
     getStatistics() {
         // Calculate additional statistics
         const netProfit = this.statistics.totalMoneyEarned - this.statistics.totalMoneySpent;
-        const totalPlayTime = Date.now() - this.gameStartTime;
+        const totalPlayTime = HELPERS.getElapsedTime(this.gameStartTime);
 
         return {
             ...this.statistics,
@@ -1106,7 +1886,10 @@ class GameState {
             formattedPlayTime: HELPERS.formatTime(totalPlayTime),
             finalMoney: this.currentMoney,
             formattedFinalMoney: HELPERS.formatMoney(this.currentMoney),
-            daysPlayed: this.currentDay
+            debtRepaid: this.goalMoney - this.debt,
+            debtBalance: this.getDebtBalance(),
+            daysPlayed: this.currentDay,
+            seed: this.seed
         };
     }
 
@@ -1115,23 +1898,38 @@ class GameState {
      * PUBLIC: reset
      * Resets game state for new game
      *
+     * @param {string|null} seed - Seed for the new game (null = new random seed)
+     *
      * CALLED BY:
      * - main.js (start new game button)
      *
      * EXAMPLE:
      * gameState.reset();
+     * gameState.reset('farm42');   // replay a shared seed
      */
-    reset() {
+    reset(seed = null) {
         // Reset to initial values
         this.currentMoney = GAME_CONFIG.STARTING_MONEY;
         this.currentDay = 1;
         this.gameStatus = CONSTANTS.GAME_STATUS.PLAYING;
+        this.debt = this.goalMoney;
+        this.loans = [];
+
+        // Fresh random generator (a reset game is never a daily challenge)
+        this.seed = GameRandom.useSeed(seed).seed;
+        this.challengeDate = null;
 
         // Regenerate weather
         this.weatherForecast = Weather.generateForecast(
             GAME_CONFIG.WEATHER_FORECAST_DAYS,
             this.currentDay
         );
+        this.weatherHistory = [];
+        this.weatherReports = [];
+        this.salesToday = {};
+        this.priceHistory = [];
+        this._recordMarketDay();
+        this.ledger = [];
 
         // Clear inventory
         this.inventory = {
@@ -1152,14 +1950,16 @@ class GameState {
             totalMoneySpent: 0,
             bestSingleSale: 0,
             totalOffspringBorn: 0,
-            successfulBreedings: 0
+            successfulBreedings: 0,
+            cropsLostToWeather: 0,
+            animalsLostToWeather: 0
         };
 
         // Reset milestones
         this.milestonesReached = [];
 
         // Reset timestamps
-        this.gameStartTime = Date.now();
+        this.gameStartTime = GameClock.getInstance().now();
         this.lastSaveTime = null;
 
         HELPERS.debugLog('GameState reset for new game');
@@ -1251,6 +2051,14 @@ class GameState {
  * const currentWeather = gameState.getCurrentWeather();
  * console.log(currentWeather.demandIndex); // 1.5
  *
+ * // Pay $500 toward the farm debt (BankManager does this with checks)
+ * if (gameState.deductMoney(500, 'Paid toward the farm debt', {
+ *     category: CONSTANTS.LEDGER_CATEGORIES.DEBT_REPAYMENT
+ * })) {
+ *     gameState.reduceDebt(500);
+ * }
+ * console.log(gameState.getDebtBalance()); // 4500
+ *
  * // Advance day
  * gameState.advanceDay();
  *
@@ -1295,6 +2103,9 @@ class GameState {
  *    - GAME_WON: When player wins
  *    - GAME_LOST: When player loses
  *    - MILESTONE_REACHED: When milestone achieved
+ *    - DEBT_CHANGED: When the farm debt or a loan changes
+ *    - LOAN_COLLECTED: When the bank takes a due loan from the cash
+ *    - DEBT_REPAID: When the bank collects what is owed at the deadline
  *
  * 3. INVENTORY FLOW:
  *    Seeds → Plant → Crops → Harvest → HarvestedCrops → Sell → Money
@@ -1306,8 +2117,9 @@ class GameState {
  *    TimerManager adds offspring to GameState.inventory.animals
  *
  * 5. WIN/LOSE:
- *    Checked automatically in addMoney() and advanceDay()
- *    No need to manually check in most cases
+ *    Won when the debt balance (farm debt + loans) reaches $0 - checked
+ *    in reduceDebt() / reduceLoan(); after the last day advanceDay()
+ *    settles the debt from the cash on hand or ends the game lost
  *
  * 6. STATISTICS:
  *    Updated automatically as actions occur
@@ -1317,5 +2129,8 @@ class GameState {
  */
 
 // Make GameState available globally (helps when script/module load order varies)
-console.log('GameState.js loaded — attaching GameState to window');
-window.GameState = window.GameState || GameState;
\ No newline at end of file
+// Skipped when running headless (no window in Node)
+if (typeof window !== 'undefined') {
+    console.log('GameState.js loaded — attaching GameState to window');
+    window.GameState = window.GameState || GameState;
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * FILE: Market.js
+ * PURPOSE: Demand for each commodity (crop and animal type)
+ *
+ * DESCRIPTION:
+ * The weather sets one demand index for the day (Weather.demandIndex).
+ * Each commodity turns it into its own demand:
+ * - Weather effect: how strongly the weather moves the commodity
+ *   (demandWeatherEffect) - rain ruins strawberries, so storms push their
+ *   price up more than that of carrots, which store well
+ * - Season: a multiplier while a season lasts (demandBonuses, e.g. wool
+ *   sells better in winter)
+ * - Holiday: a multiplier on holidays (demandBonuses, e.g. pork for the
+ *   Winter Feast) - see CALENDAR.getHoliday()
+ *
+ * FORMULA:
+ * demand = (1 + (weather demand - 1) × demandWeatherEffect)
+ *          × season bonus × holiday bonus
+ *
+ * The demand only depends on the weather and the day, so nothing is saved.
+ *
+ * DEPENDENCIES:
+ * - config.js (CROPS, ANIMALS)
+ * - helpers.js (rounding, multipliers)
+ * - Calendar.js (seasons and holidays)
+ *
+ * USED BY:
+ * - ShopManager.js (sell prices, price info)
+ * - FarmManager.js (farm value)
+ * - planSolver.js (prices of each product per day)
+ * - UIManager.js (demand on the shop cards)
+ * ============================================================================
+ */
+
+/**
+ * MARKET Object
+ * Per-commodity demand
+ */
+const MARKET = {
+
+    // ========================================================================
+    // COMMODITIES
+    // ========================================================================
+
+    /**
+     * GET COMMODITY
+     * Gets the crop or animal definition of a commodity
+     *
+     * @param {string} type - Crop or animal type (e.g. 'wheat', 'pig')
+     * @returns {Object|null} Definition from GAME_CONFIG.CROPS or ANIMALS
+     */
+    getCommodity(type) {
+        return GAME_CONFIG.CROPS.find(crop => crop.id === type) ||
+            GAME_CONFIG.ANIMALS.find(animal => animal.id === type) ||
+            null;
+    },
+
+
+    // ========================================================================
+    // DEMAND
+    // ========================================================================
+
+    /**
+     * GET DEMAND
+     * Works out a commodity's demand and what it is made of
+     *
+     * @param {string} type - Crop or animal type
+     * @param {number} weatherDemandIndex - The day's weather demand index
+     * @param {number} day - Game day (for season and holiday)
+     * @returns {Object} Demand breakdown:
+     *   {
+     *     demandIndex,          // Commodity demand (price multiplier)
+     *     weatherDemandIndex,   // The day's weather demand
+     *     weatherEffect,        // demandWeatherEffect of the commodity
+     *     weatherFactor,        // Weather demand after the weather effect
+     *     season, seasonFactor, // Season of the day and its bonus (1 = none)
+     *     holiday, holidayFactor // Holiday of the day (or null) and its bonus
+     *   }
+     *
+     * EXAMPLE:
+     * MARKET.getDemand('strawberry', 2.0, 3).demandIndex → 2.3 × 1.1 × 1.3 = 3.29
+     * MARKET.getDemand('carrot', 2.0, 4).demandIndex → 1.9
+     */
+    getDemand(type, weatherDemandIndex, day) {
+        const commodity = this.getCommodity(type) || {};
+        const bonuses = commodity.demandBonuses || {};
+        const weatherEffect = typeof commodity.demandWeatherEffect === 'number'
+            ? commodity.demandWeatherEffect
+            : 1.0;
+
+        const season = CALENDAR.getSeason(day);
+        const holiday = CALENDAR.getHoliday(day);
+        const weatherFactor = 1 + (weatherDemandIndex - 1) * weatherEffect;
+        const seasonFactor = typeof bonuses[season.id] === 'number' ? bonuses[season.id] : 1.0;
+        const holidayFactor = holiday && typeof bonuses[holiday.id] === 'number' ? bonuses[holiday.id] : 1.0;
+
+        return {
+            demandIndex: HELPERS.roundToDecimals(weatherFactor * seasonFactor * holidayFactor, 2),
+            weatherDemandIndex: weatherDemandIndex,
+            weatherEffect: weatherEffect,
+            weatherFactor: HELPERS.roundToDecimals(weatherFactor, 2),
+            season: season,
+            seasonFactor: seasonFactor,
+            holiday: holiday,
+            holidayFactor: holidayFactor
+        };
+    },
+
+
+    /**
+     * GET DEMAND INDEX
+     * Gets a commodity's demand (price multiplier)
+     *
+     * @param {string} type - Crop or animal type
+     * @param {number} weatherDemandIndex - The day's weather demand index
+     * @param {number} day - Game day
+     * @returns {number} Demand index
+     */
+    getDemandIndex(type, weatherDemandIndex, day) {
+        return this.getDemand(type, weatherDemandIndex, day).demandIndex;
+    },
+
+
+    /**
+     * DESCRIBE DEMAND
+     * Lists what makes up a demand, for tooltips
+     *
+     * @param {Object} demand - Breakdown from getDemand()
+     * @returns {string[]} e.g. ["Weather 2.0x (strong effect) → 2.3x",
+     *                           "🌱 Spring 1.1x", "🎪 Spring Fair 1.3x"]
+     */
+    describeDemand(demand) {
+        let effect = '';
+        if (demand.weatherEffect > 1) {
+            effect = ' (strong effect)';
+        } else if (demand.weatherEffect < 1) {
+            effect = ' (weak effect)';
+        }
+
+        const lines = [
+            `Weather ${HELPERS.formatMultiplier(demand.weatherDemandIndex)}${effect}` +
+            (effect ? ` → ${HELPERS.formatMultiplier(demand.weatherFactor)}` : '')
+        ];
+        if (demand.seasonFactor !== 1) {
+            lines.push(`${demand.season.emoji} ${demand.season.name} ${HELPERS.formatMultiplier(demand.seasonFactor)}`);
+        }
+        if (demand.holiday && demand.holidayFactor !== 1) {
+            lines.push(`${demand.holiday.emoji} ${demand.holiday.name} ${HELPERS.formatMultiplier(demand.holidayFactor)}`);
+        }
+
+        return lines;
+    }
+};
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Today's pork demand
+ * const weather = gameState.getCurrentWeather();
+ * MARKET.getDemandIndex('pig', weather.demandIndex, gameState.currentDay);
+ *
+ * // Why is it that high?
+ * MARKET.describeDemand(MARKET.getDemand('pig', weather.demandIndex, gameState.currentDay));
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default MARKET;
@@ -0,0 +1,232 @@
+/**
+ * ============================================================================
+ * FILE: SevereWeather.js
+ * PURPOSE: Rare weather events that damage the farm
+ *
+ * DESCRIPTION:
+ * Hailstorms, floods, heatwaves and droughts (GAME_CONFIG.SEVERE_WEATHER).
+ * - Each new day of weather may roll one event, but only if its weather
+ *   value is inside the event's band (storm events on storm days, heat
+ *   events on hot days)
+ * - The forecast shows the risk: the chance of the most likely event for
+ *   the forecast range, and a warning once the event is certain
+ * - When the day arrives the event destroys or damages part of the crops
+ *   growing on the farm and can kill animals (GameState applies it)
+ *
+ * RANDOMNESS:
+ * Events and the damage they do draw from GameRandom.STREAMS.EVENTS, so
+ * they only depend on the seed and never change the weather itself.
+ *
+ * DEPENDENCIES:
+ * - config.js (SEVERE_WEATHER events)
+ * - helpers.js (rounding)
+ * - GameRandom.js (events stream)
+ *
+ * USED BY:
+ * - Weather.js (roll an event for a new day)
+ * - GameState.js (apply the event when the day arrives)
+ * - UIManager.js (risk and warnings on the weather cards)
+ * ============================================================================
+ */
+
+/**
+ * SEVERE_WEATHER Object
+ * Rolls, forecasts and resolves severe weather events
+ */
+const SEVERE_WEATHER = {
+
+    // ========================================================================
+    // EVENTS
+    // ========================================================================
+
+    /**
+     * GET EVENT
+     * Gets an event definition by ID
+     *
+     * @param {string} id - Event ID (e.g. 'hailstorm')
+     * @returns {Object|null} Event from GAME_CONFIG.SEVERE_WEATHER.EVENTS
+     */
+    getEvent(id) {
+        return GAME_CONFIG.SEVERE_WEATHER.EVENTS.find(event => event.id === id) || null;
+    },
+
+
+    /**
+     * GET EVENTS FOR WEATHER
+     * Gets the events that can happen at a weather value
+     *
+     * @param {number} weatherValue - Weather value (0.10-1.00)
+     * @returns {Object[]} Events whose band contains the value
+     *
+     * EXAMPLE:
+     * SEVERE_WEATHER.getEventsForWeather(0.15) → [hailstorm, flood]
+     */
+    getEventsForWeather(weatherValue) {
+        return GAME_CONFIG.SEVERE_WEATHER.EVENTS.filter(event => (
+            weatherValue >= event.minWeather && weatherValue <= event.maxWeather
+        ));
+    },
+
+
+    /**
+     * ROLL
+     * Decides whether a new day of weather brings a severe event
+     *
+     * @param {number} weatherValue - The day's weather value
+     * @param {number} day - The day the weather is for
+     * @returns {string|null} Event ID or null for a normal day
+     *
+     * LOGIC:
+     * One roll on the events stream, checked against the chances of the
+     * events that fit the weather one after another (so two events in the
+     * same band never happen together). Day 1 is never rolled: the player
+     * could not have seen it coming.
+     *
+     * CALLED BY:
+     * - Weather constructor (generated weather only)
+     */
+    roll(weatherValue, day) {
+        if (day <= 1) {
+            return null;
+        }
+
+        const events = this.getEventsForWeather(weatherValue);
+        if (events.length === 0) {
+            return null;
+        }
+
+        const roll = GameRandom.getInstance().next(GameRandom.STREAMS.EVENTS);
+        let cumulative = 0;
+
+        for (const event of events) {
+            cumulative += event.chance;
+            if (roll < cumulative) {
+                return event.id;
+            }
+        }
+
+        return null;
+    },
+
+
+    // ========================================================================
+    // FORECAST
+    // ========================================================================
+
+    /**
+     * GET RISK
+     * Gets the severe weather risk the forecast shows for a day
+     *
+     * @param {Weather} weather - Weather of the day
+     * @param {number} currentDay - Day the forecast is seen from
+     * @returns {Object|null} {event, chance, certain} or null if no risk
+     *
+     * LOGIC:
+     * - Today and up to WARNING_DAYS ahead the event is known: a certain
+     *   warning if one is coming, otherwise no risk
+     * - Further ahead only the forecast range is known: the chance of each
+     *   event is the share of the range inside its band × its chance, and
+     *   the most likely event is shown (below MIN_RISK_SHOWN: no risk)
+     *
+     * CALLED BY:
+     * - UIManager._createWeatherCard()
+     *
+     * EXAMPLE:
+     * SEVERE_WEATHER.getRisk(forecast[3], 1) → {event: {...flood}, chance: 0.08, certain: false}
+     */
+    getRisk(weather, currentDay) {
+        const daysAhead = weather.day - currentDay;
+
+        if (daysAhead <= GAME_CONFIG.SEVERE_WEATHER.WARNING_DAYS) {
+            const event = weather.severeEvent ? this.getEvent(weather.severeEvent) : null;
+            return event ? {event: event, chance: 1, certain: true} : null;
+        }
+
+        // Count weather values in steps of 0.01 so the range ends are included
+        const range = weather.getForecastRange(currentDay);
+        const step = Math.pow(10, -CONSTANTS.WEATHER_RANGES.DECIMALS);
+        const width = range.maxWeather - range.minWeather + step;
+        let best = null;
+
+        GAME_CONFIG.SEVERE_WEATHER.EVENTS.forEach(event => {
+            const overlap = Math.min(range.maxWeather, event.maxWeather) -
+                Math.max(range.minWeather, event.minWeather) + step;
+            if (overlap <= 0) {
+                return;
+            }
+
+            const chance = HELPERS.roundToDecimals(Math.min(1, overlap / width) * event.chance, 2);
+            if (chance >= GAME_CONFIG.SEVERE_WEATHER.MIN_RISK_SHOWN && (!best || chance > best.chance)) {
+                best = {event: event, chance: chance, certain: false};
+            }
+        });
+
+        return best;
+    },
+
+
+    // ========================================================================
+    // DAMAGE
+    // ========================================================================
+
+    /**
+     * SELECT DAMAGE
+     * Decides which crops and animals an event hits
+     *
+     * @param {Object} event - Event definition
+     * @param {Crop[]} crops - Crops on the farm
+     * @param {Animal[]} animals - Animals on the farm
+     * @returns {Object} {destroyed: Crop[], damaged: Crop[], lost: Animal[]}
+     *
+     * LOGIC:
+     * Every crop gets one roll: below cropLoss it is destroyed, below
+     * cropLoss + cropDamage it is damaged. Every animal is lost with the
+     * chance animalLoss. Nothing is changed here - GameState applies it.
+     *
+     * CALLED BY:
+     * - GameState._applySevereWeather()
+     */
+    selectDamage(event, crops, animals) {
+        const random = GameRandom.getInstance();
+        const result = {destroyed: [], damaged: [], lost: []};
+
+        crops.forEach(crop => {
+            const roll = random.next(GameRandom.STREAMS.EVENTS);
+            if (roll < event.cropLoss) {
+                result.destroyed.push(crop);
+            } else if (roll < event.cropLoss + event.cropDamage) {
+                result.damaged.push(crop);
+            }
+        });
+
+        animals.forEach(animal => {
+            if (random.next(GameRandom.STREAMS.EVENTS) < event.animalLoss) {
+                result.lost.push(animal);
+            }
+        });
+
+        return result;
+    }
+};
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // What can happen in a storm?
+ * SEVERE_WEATHER.getEventsForWeather(0.15).map(e => e.name); // ['Hailstorm', 'Flood']
+ *
+ * // Risk shown on the Day 5 weather card, seen from Day 2
+ * const risk = SEVERE_WEATHER.getRisk(gameState.weatherForecast[3], 2);
+ * if (risk) {
+ *     console.log(`${risk.event.emoji} ${risk.event.name} ${Math.round(risk.chance * 100)}%`);
+ * }
+ *
+ * // Make events more common (before a new game)
+ * GAME_CONFIG.SEVERE_WEATHER.EVENTS.forEach(e => { e.chance *= 2; });
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default SEVERE_WEATHER;
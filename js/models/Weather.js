@@ -5,10 +5,15 @@
  *
  * DESCRIPTION:
  * This class handles all weather-related functionality:
- * - Generate random weather values (0.10 - 1.00)
+ * - Generate weather values (0.10 - 1.00) with the configured weather
+ *   model (see WeatherGenerators.js)
  * - Convert weather values to demand multipliers
+ * - Convert weather values to growth rates (good weather grows faster)
  * - Create multi-day weather forecasts
+ * - Forecast uncertainty: days ahead are shown as ranges that narrow as
+ *   the day approaches (see GAME_CONFIG.FORECAST_ACCURACY)
  * - Provide weather classification (Perfect/Good/Poor/Terrible)
+ * - Roll rare severe weather events for new days (see SevereWeather.js)
  *
  * WEATHER SYSTEM LOGIC:
  * - Weather value ranges from 0.10 (terrible storm) to 1.00 (perfect sunny)
@@ -17,7 +22,10 @@
  *
  * DEPENDENCIES:
  * - config.js (for weather-demand conversion rules)
- * - helpers.js (for random number generation)
+ * - helpers.js (for validation and random numbers)
+ * - WeatherGenerators.js (generates new weather values)
+ * - GameRandom.js (forecast stream)
+ * - SevereWeather.js (severe weather events)
  *
  * USED BY:
  * - GameState.js (generate initial forecast)
@@ -36,6 +44,9 @@
  * - weatherValue: Numeric value representing weather quality (0.10-1.00)
  * - demandIndex: Price multiplier calculated from weather (0.8-2.0)
  * - marketCondition: Text description of market state
+ * - forecastBias: Where the forecast range sits around the actual value
+ *   (-1 to 1, fixed per day so the range narrows onto the actual value)
+ * - severeEvent: ID of the severe weather event on this day (null = none)
  *
  * USAGE:
  * const weather = new Weather(1); // Create weather for Day 1
@@ -50,6 +61,8 @@ class Weather {
      *
      * @param {number} day - The day number (1-10)
      * @param {number} weatherValue - Optional: specify weather value (for testing)
+     * @param {number} previousValue - Optional: weather value of the day before,
+     *                                 so correlated weather models can follow on
      *
      * CALLED BY:
      * - Weather.generateForecast() (creates multiple Weather objects)
@@ -58,8 +71,9 @@ class Weather {
      * EXAMPLE:
      * const todayWeather = new Weather(1);
      * const testWeather = new Weather(5, 0.25); // Force specific weather for testing
+     * const tomorrow = new Weather(2, null, todayWeather.weatherValue);
      */
-    constructor(day, weatherValue = null) {
+    constructor(day, weatherValue = null, previousValue = null) {
         // Validate day number
         if (typeof day !== 'number' || day < 1 || day > GAME_CONFIG.TOTAL_DAYS) {
             console.error('Weather: Invalid day number', day);
@@ -77,10 +91,20 @@ class Weather {
                 CONSTANTS.WEATHER_RANGES.MAX
             );
         } else {
-            // Generate random weather value
-            this.weatherValue = this._generateWeatherValue();
+            // Generate weather value with the configured model
+            this.weatherValue = this._generateWeatherValue(previousValue);
         }
 
+        // Forecast uncertainty (own stream, so it never changes the weather itself)
+        this.forecastBias = weatherValue !== null
+            ? 0
+            : HELPERS.randomFloat(-1, 1, 2, GameRandom.STREAMS.FORECAST);
+
+        // Severe weather event (own stream as well; never rolled for given values)
+        this.severeEvent = weatherValue !== null
+            ? null
+            : SEVERE_WEATHER.roll(this.weatherValue, this.day);
+
         // Calculate demand index from weather value
         this.demandIndex = Weather.calculateDemandIndex(this.weatherValue);
 
@@ -98,22 +122,20 @@ class Weather {
 
     /**
      * PRIVATE: _generateWeatherValue
-     * Generates a random weather value with 2 decimal places
+     * Generates a weather value with 2 decimal places
      *
-     * @returns {number} Random weather value (0.10 - 1.00)
+     * @param {number|null} previousValue - Weather value of the day before
+     * @returns {number} Weather value (0.10 - 1.00)
      *
      * LOGIC:
-     * Uses HELPERS.randomFloat to generate value in valid range
-     * Rounds to 2 decimal places (e.g., 0.65, not 0.654321)
+     * Asks the model in GAME_CONFIG.WEATHER_MODEL.TYPE (uniform, markov or
+     * autoregressive). Models draw from the weather stream, so the forecast
+     * only depends on the seed.
      *
      * CALLED BY: constructor (when weatherValue not provided)
      */
-    _generateWeatherValue() {
-        return HELPERS.randomFloat(
-            CONSTANTS.WEATHER_RANGES.MIN,      // 0.10
-            CONSTANTS.WEATHER_RANGES.MAX,      // 1.00
-            CONSTANTS.WEATHER_RANGES.DECIMALS  // 2 decimal places
-        );
+    _generateWeatherValue(previousValue = null) {
+        return WEATHER_GENERATORS.generateValue(this.day, previousValue);
     }
 
 
@@ -194,14 +216,78 @@ class Weather {
      * weather.getWeatherIcon() → "⛈️" (storm icon)
      */
     getWeatherIcon() {
-        const value = this.weatherValue;
+        return Weather.getIconForValue(this.weatherValue);
+    }
 
-        if (value === 1.00) return '☀️';      // Perfect - sunny
-        if (value >= 0.80) return '🌤️';      // Good - partly sunny
-        if (value >= 0.60) return '⛅';      // Fair - partly cloudy
-        if (value >= 0.40) return '☁️';      // Poor - cloudy
-        if (value >= 0.20) return '🌧️';     // Bad - rainy
-        return '⛈️';                         // Terrible - stormy
+
+    /**
+     * PUBLIC: getForecastRange
+     * Gets what the forecast shows for this day, seen from the current day
+     *
+     * @param {number} currentDay - Day the forecast is seen from
+     * @returns {Object} {daysAhead, exact, minWeather, maxWeather,
+     *                    minDemand, maxDemand, icons}
+     *
+     * LOGIC:
+     * Half-width = SPREAD_PER_DAY × days ahead (at most MAX_SPREAD).
+     * The middle of the range is moved off the actual value by
+     * forecastBias × CENTER_OFFSET × half-width, so the actual value is
+     * always inside the range. As the day approaches the half-width shrinks
+     * and the range closes in on the actual value; today it is exact.
+     *
+     * USED BY:
+     * - UIManager.js (weather cards on the home screen)
+     *
+     * EXAMPLE:
+     * weather.getForecastRange(1) → {daysAhead: 3, exact: false,
+     *     minWeather: 0.32, maxWeather: 0.62, minDemand: 1.3, maxDemand: 1.7,
+     *     icons: ['⛅', '🌧️']}
+     */
+    getForecastRange(currentDay) {
+        const accuracy = GAME_CONFIG.FORECAST_ACCURACY;
+        const daysAhead = Math.max(0, this.day - currentDay);
+        const spread = Math.min(accuracy.MAX_SPREAD, accuracy.SPREAD_PER_DAY * daysAhead);
+        const center = this.weatherValue + (this.forecastBias || 0) * accuracy.CENTER_OFFSET * spread;
+
+        const toRange = (value) => HELPERS.roundToDecimals(
+            HELPERS.clamp(value, CONSTANTS.WEATHER_RANGES.MIN, CONSTANTS.WEATHER_RANGES.MAX),
+            CONSTANTS.WEATHER_RANGES.DECIMALS
+        );
+        const minWeather = spread > 0 ? toRange(center - spread) : this.weatherValue;
+        const maxWeather = spread > 0 ? toRange(center + spread) : this.weatherValue;
+
+        // Better weather = lower demand, so the ends swap
+        const minDemand = Weather.calculateDemandIndex(maxWeather);
+        const maxDemand = Weather.calculateDemandIndex(minWeather);
+
+        const icons = [Weather.getIconForValue(maxWeather), Weather.getIconForValue(minWeather)];
+
+        return {
+            daysAhead: daysAhead,
+            exact: minWeather === maxWeather,
+            minWeather: minWeather,
+            maxWeather: maxWeather,
+            minDemand: minDemand,
+            maxDemand: maxDemand,
+            icons: icons[0] === icons[1] ? [icons[0]] : icons
+        };
+    }
+
+
+    /**
+     * PUBLIC: getSevereEvent
+     * Gets the severe weather event of this day
+     *
+     * @returns {Object|null} Event from GAME_CONFIG.SEVERE_WEATHER.EVENTS
+     *
+     * NOTE: This is the actual event - what the player may know about it
+     * comes from SEVERE_WEATHER.getRisk().
+     *
+     * CALLED BY:
+     * - GameState._applySevereWeather()
+     */
+    getSevereEvent() {
+        return this.severeEvent ? SEVERE_WEATHER.getEvent(this.severeEvent) : null;
     }
 
 
@@ -257,6 +343,8 @@ class Weather {
             weatherValue: this.weatherValue,
             demandIndex: this.demandIndex,
             marketCondition: this.marketCondition,
+            forecastBias: this.forecastBias,
+            severeEvent: this.severeEvent,
             createdAt: this.createdAt
         };
     }
@@ -319,12 +407,73 @@ class Weather {
     }
 
 
+    /**
+     * STATIC: calculateGrowthRate
+     * Converts a weather value to a growth speed multiplier
+     *
+     * @param {number|null} weatherValue - Weather value (0.10-1.00); null = normal growth
+     * @param {number} sensitivity - weatherSensitivity of the crop or animal (default: 1)
+     * @returns {number} Growth rate (1.0 = normal speed, 1.25 = 25% faster)
+     *
+     * FORMULA:
+     * rate = 1 + growthEffect × sensitivity (at least GAME_CONFIG.MIN_GROWTH_RATE)
+     * where growthEffect comes from GAME_CONFIG.WEATHER_GROWTH_RULES
+     *
+     * EXAMPLES:
+     * calculateGrowthRate(0.90)       → 1.25 (ideal growing weather)
+     * calculateGrowthRate(0.15, 1.3)  → 0.48 (storm, delicate crop)
+     * calculateGrowthRate(0.50)       → 1.0  (normal)
+     *
+     * CALLED BY:
+     * - Crop.setGrowthWeather(), Animal.setGrowthWeather()
+     * - planSolver.js (growth times of a plan)
+     */
+    static calculateGrowthRate(weatherValue, sensitivity = 1) {
+        if (!HELPERS.isValidNumber(weatherValue)) {
+            return 1.0;
+        }
+
+        const rule = Weather.getGrowthRule(weatherValue);
+        if (!rule) {
+            return 1.0;
+        }
+
+        const rate = 1 + rule.growthEffect * (HELPERS.isValidNumber(sensitivity) ? sensitivity : 1);
+        return HELPERS.roundToDecimals(Math.max(GAME_CONFIG.MIN_GROWTH_RATE, rate), 2);
+    }
+
+
+    /**
+     * STATIC: getGrowthRule
+     * Finds the growth rule for a weather value
+     *
+     * @param {number} weatherValue - Weather value (0.10-1.00)
+     * @returns {Object|null} Rule from GAME_CONFIG.WEATHER_GROWTH_RULES
+     *
+     * EXAMPLE:
+     * Weather.getGrowthRule(0.15).growthCondition → "Storm Stress"
+     */
+    static getGrowthRule(weatherValue) {
+        const value = HELPERS.clamp(
+            weatherValue,
+            CONSTANTS.WEATHER_RANGES.MIN,
+            CONSTANTS.WEATHER_RANGES.MAX
+        );
+
+        return GAME_CONFIG.WEATHER_GROWTH_RULES.find(rule => (
+            value >= rule.minWeather && value <= rule.maxWeather
+        )) || null;
+    }
+
+
     /**
      * STATIC: generateForecast
      * Generates a multi-day weather forecast
      *
      * @param {number} numDays - Number of days to forecast (default: 7)
      * @param {number} startDay - Starting day number (default: 1)
+     * @param {number|null} previousValue - Weather value of the day before startDay
+     *                                      (null = no previous day)
      * @returns {Weather[]} Array of Weather objects
      *
      * USAGE:
@@ -342,7 +491,7 @@ class Weather {
      * - GameState.js (initialize forecast at game start)
      * - TimerManager.js (update forecast when day advances)
      */
-    static generateForecast(numDays = 7, startDay = 1) {
+    static generateForecast(numDays = 7, startDay = 1, previousValue = null) {
         // Validate inputs
         if (!HELPERS.isValidNumber(numDays) || numDays < 1) {
             console.error('Weather.generateForecast: Invalid numDays', numDays);
@@ -357,11 +506,12 @@ class Weather {
         // Create array to store forecast
         const forecast = [];
 
-        // Generate weather for each day
+        // Generate weather for each day, each following on from the day before
         for (let i = 0; i < numDays; i++) {
             const day = startDay + i;
-            const weather = new Weather(day);
+            const weather = new Weather(day, null, previousValue);
             forecast.push(weather);
+            previousValue = weather.weatherValue;
         }
 
         // Log forecast for debugging
@@ -407,10 +557,38 @@ class Weather {
             weather.createdAt = json.createdAt;
         }
 
+        // Restore forecast uncertainty (older saves have none: exact forecast)
+        if (HELPERS.isValidNumber(json.forecastBias)) {
+            weather.forecastBias = HELPERS.clamp(json.forecastBias, -1, 1);
+        }
+
+        // Restore severe weather event (older saves have none)
+        weather.severeEvent = SEVERE_WEATHER.getEvent(json.severeEvent) ? json.severeEvent : null;
+
         return weather;
     }
 
 
+    /**
+     * STATIC: getIconForValue
+     * Returns the weather icon for a weather value
+     *
+     * @param {number} value - Weather value (0.10-1.00)
+     * @returns {string} Weather icon/emoji
+     *
+     * EXAMPLE:
+     * Weather.getIconForValue(0.25) → "🌧️"
+     */
+    static getIconForValue(value) {
+        if (value === 1.00) return '☀️';      // Perfect - sunny
+        if (value >= 0.80) return '🌤️';      // Good - partly sunny
+        if (value >= 0.60) return '⛅';      // Fair - partly cloudy
+        if (value >= 0.40) return '☁️';      // Poor - cloudy
+        if (value >= 0.20) return '🌧️';     // Bad - rainy
+        return '⛈️';                         // Terrible - stormy
+    }
+
+
     /**
      * STATIC: getWorstWeatherForSelling
      * Finds the worst weather (best selling time) in a forecast
@@ -523,6 +701,10 @@ class Weather {
  *     console.log(`Day ${w.day}: ${w.weatherValue} = ${w.demandIndex}x`);
  * });
  *
+ * // What the player sees for Day 5 from Day 2 (a range, exact on Day 5)
+ * const range = forecast[4].getForecastRange(2);
+ * console.log(`${range.minWeather} - ${range.maxWeather}`); // "0.31 - 0.61"
+ *
  * // Find best selling opportunity
  * const bestDay = Weather.getWorstWeatherForSelling(forecast);
  * console.log(`Sell on Day ${bestDay.day} for ${bestDay.demandIndex}x prices!`);
@@ -531,5 +713,8 @@ class Weather {
  * const demand = Weather.calculateDemandIndex(0.25);
  * console.log(demand); // 2.0
  *
+ * // Growth speed in a storm for a delicate crop
+ * Weather.calculateGrowthRate(0.15, 1.3); // 0.48
+ *
  * ============================================================================
  */
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * ============================================================================
+ * FILE: WeatherGenerators.js
+ * PURPOSE: Pluggable models that generate each day's weather value
+ *
+ * DESCRIPTION:
+ * Weather.js asks the active generator for every new day's weather value.
+ * GAME_CONFIG.WEATHER_MODEL.TYPE picks the generator:
+ *
+ * - uniform: Independent roll from 0.10 to 1.00 each day (original model)
+ * - markov: Markov chain over weather regimes (storm front / unsettled /
+ *   dry spell). Today's regime is read from yesterday's value, so fronts
+ *   and dry spells last several days.
+ * - autoregressive: AR(1) - tomorrow = MEAN + PERSISTENCE × (today - MEAN)
+ *   + noise. Weather drifts smoothly instead of jumping.
+ *
+ * GENERATOR INTERFACE:
+ * {
+ *   name: 'Display name',
+ *   description: 'One line',
+ *   next(context) → number   // context = {day, previousValue}
+ * }
+ * previousValue is yesterday's weather value, or null for the first day.
+ * Generators must draw from GameRandom.STREAMS.WEATHER so the weather only
+ * depends on the seed. Results are clamped and rounded to the weather range.
+ *
+ * SEASONS:
+ * Generators work without seasons. generateValue() removes the season's
+ * weather shift from yesterday's value before asking the generator and adds
+ * today's shift to the answer (CALENDAR.getWeatherShift), so every model
+ * gets drier summers and stormier winters for free.
+ *
+ * ADDING A GENERATOR:
+ * WEATHER_GENERATORS.register('myModel', {name, description, next});
+ * then set GAME_CONFIG.WEATHER_MODEL.TYPE = 'myModel'.
+ *
+ * DEPENDENCIES:
+ * - config.js (WEATHER_MODEL settings)
+ * - constants.js (weather range)
+ * - helpers.js (random numbers, clamp)
+ * - GameRandom.js (weather stream)
+ * - Calendar.js (seasonal weather shift)
+ *
+ * USED BY:
+ * - Weather.js (new weather values)
+ * ============================================================================
+ */
+
+/**
+ * WEATHER_GENERATORS Object
+ * Registry of weather generators
+ */
+const WEATHER_GENERATORS = {
+
+    // ========================================================================
+    // BUILT-IN GENERATORS
+    // ========================================================================
+
+    /**
+     * Registered generators by ID
+     */
+    _generators: {
+
+        /**
+         * UNIFORM
+         * Every day is an independent roll (pure noise)
+         */
+        uniform: {
+            name: 'Uniform',
+            description: 'Independent roll each day',
+
+            next() {
+                return HELPERS.randomFloat(
+                    CONSTANTS.WEATHER_RANGES.MIN,
+                    CONSTANTS.WEATHER_RANGES.MAX,
+                    CONSTANTS.WEATHER_RANGES.DECIMALS,
+                    GameRandom.STREAMS.WEATHER
+                );
+            }
+        },
+
+        /**
+         * MARKOV
+         * Regime chain: pick tomorrow's regime from today's, then a value
+         * inside the regime's range
+         */
+        markov: {
+            name: 'Fronts and Dry Spells',
+            description: 'Markov chain over storm fronts, unsettled days and dry spells',
+
+            next(context) {
+                const settings = GAME_CONFIG.WEATHER_MODEL.MARKOV;
+                const current = context.previousValue === null
+                    ? null
+                    : WEATHER_GENERATORS.getMarkovState(context.previousValue);
+                const chances = current ? settings.TRANSITIONS[current.id] : settings.START;
+
+                // Walk the cumulative chances with one draw
+                const roll = GameRandom.getInstance().next(GameRandom.STREAMS.WEATHER);
+                let total = 0;
+                let state = settings.STATES[settings.STATES.length - 1];
+                for (const candidate of settings.STATES) {
+                    total += chances[candidate.id] || 0;
+                    if (roll < total) {
+                        state = candidate;
+                        break;
+                    }
+                }
+
+                return HELPERS.randomFloat(
+                    state.minWeather,
+                    state.maxWeather,
+                    CONSTANTS.WEATHER_RANGES.DECIMALS,
+                    GameRandom.STREAMS.WEATHER
+                );
+            }
+        },
+
+        /**
+         * AUTOREGRESSIVE
+         * AR(1): stays near yesterday, pulled back toward the mean
+         */
+        autoregressive: {
+            name: 'Smooth Drift',
+            description: 'Each day stays close to the day before (AR(1))',
+
+            next(context) {
+                const settings = GAME_CONFIG.WEATHER_MODEL.AUTOREGRESSIVE;
+                const random = GameRandom.getInstance();
+
+                // Normal noise via Box-Muller (1 - u keeps the log finite)
+                const u1 = 1 - random.next(GameRandom.STREAMS.WEATHER);
+                const u2 = random.next(GameRandom.STREAMS.WEATHER);
+                const noise = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2) * settings.NOISE;
+
+                // First day: start anywhere around the mean
+                if (context.previousValue === null) {
+                    return settings.MEAN + noise / Math.sqrt(1 - Math.min(0.99, settings.PERSISTENCE ** 2));
+                }
+
+                return settings.MEAN + settings.PERSISTENCE * (context.previousValue - settings.MEAN) + noise;
+            }
+        }
+    },
+
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * REGISTER
+     * Adds (or replaces) a generator
+     *
+     * @param {string} id - Generator ID (used in GAME_CONFIG.WEATHER_MODEL.TYPE)
+     * @param {Object} generator - {name, description, next(context)}
+     * @returns {boolean} True if registered
+     */
+    register(id, generator) {
+        if (!generator || typeof generator.next !== 'function') {
+            console.error('WEATHER_GENERATORS.register: Generator needs next(context)', id);
+            return false;
+        }
+
+        this._generators[id] = generator;
+        return true;
+    },
+
+
+    /**
+     * GET
+     * Gets a generator by ID
+     *
+     * @param {string} id - Generator ID
+     * @returns {Object|null} Generator or null if unknown
+     */
+    get(id) {
+        return this._generators[id] || null;
+    },
+
+
+    /**
+     * LIST
+     * Gets all generator IDs
+     *
+     * @returns {string[]} IDs (e.g. ['uniform', 'markov', 'autoregressive'])
+     */
+    list() {
+        return Object.keys(this._generators);
+    },
+
+
+    /**
+     * GET ACTIVE
+     * Gets the generator chosen in GAME_CONFIG.WEATHER_MODEL.TYPE
+     *
+     * @returns {Object} Generator (uniform if the configured one is unknown)
+     */
+    getActive() {
+        const type = GAME_CONFIG.WEATHER_MODEL ? GAME_CONFIG.WEATHER_MODEL.TYPE : 'uniform';
+        const generator = this.get(type);
+
+        if (!generator) {
+            console.error('WEATHER_GENERATORS: Unknown weather model, using uniform', type);
+            return this._generators.uniform;
+        }
+
+        return generator;
+    },
+
+
+    /**
+     * GENERATE VALUE
+     * Generates one day's weather value with the active generator
+     *
+     * @param {number} day - Day the weather is for
+     * @param {number|null} previousValue - Weather value of the day before (null if unknown)
+     * @returns {number} Weather value in range, rounded
+     *
+     * NOTE: The generator sees values without the season's shift; the shift
+     * of the day is added afterwards.
+     *
+     * CALLED BY:
+     * - Weather constructor
+     */
+    generateValue(day, previousValue = null) {
+        const unshiftedPrevious = previousValue === null
+            ? null
+            : previousValue - CALENDAR.getWeatherShift(day - 1);
+        const value = this.getActive().next({day: day, previousValue: unshiftedPrevious}) +
+            CALENDAR.getWeatherShift(day);
+        const clamped = HELPERS.clamp(
+            HELPERS.isValidNumber(value) ? value : CONSTANTS.WEATHER_RANGES.MAX,
+            CONSTANTS.WEATHER_RANGES.MIN,
+            CONSTANTS.WEATHER_RANGES.MAX
+        );
+
+        return parseFloat(clamped.toFixed(CONSTANTS.WEATHER_RANGES.DECIMALS));
+    },
+
+
+    /**
+     * GET MARKOV STATE
+     * Finds the regime a weather value belongs to
+     *
+     * @param {number} weatherValue - Weather value
+     * @returns {Object} Regime from GAME_CONFIG.WEATHER_MODEL.MARKOV.STATES
+     *
+     * EXAMPLE:
+     * WEATHER_GENERATORS.getMarkovState(0.25).name → 'Storm Front'
+     */
+    getMarkovState(weatherValue) {
+        const states = GAME_CONFIG.WEATHER_MODEL.MARKOV.STATES;
+        return states.find(state => weatherValue >= state.minWeather && weatherValue <= state.maxWeather) ||
+            (weatherValue < states[0].minWeather ? states[0] : states[states.length - 1]);
+    }
+};
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Switch model (before a new game)
+ * GAME_CONFIG.WEATHER_MODEL.TYPE = 'autoregressive';
+ *
+ * // Plug in a custom model: always a storm on even days
+ * WEATHER_GENERATORS.register('evenStorms', {
+ *     name: 'Even Storms',
+ *     description: 'Storms on even days',
+ *     next: (context) => (context.day % 2 === 0 ? 0.15 : 0.9)
+ * });
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default WEATHER_GENERATORS;
@@ -0,0 +1,409 @@
+/**
+ * ============================================================================
+ * FILE: simulator.js
+ * PURPOSE: Play a full game with a scripted strategy from the command line
+ *
+ * DESCRIPTION:
+ * Loads a strategy script, plays one complete game on the headless engine
+ * (engine.js) and prints a day-by-day ledger and the final outcome.
+ * A 10-day game (30 minutes of play) is simulated in well under a second,
+ * so strategies like "wheat until $300, then rabbits" can be compared
+ * without clicking through the game.
+ *
+ * STRATEGY SCRIPTS:
+ * A strategy is a Node module exporting either a decision function or an
+ * object {name, description, decide}. decide(engine, turn) is called once
+ * per game tick (every second of game time) and plays through the same
+ * rules as the UI:
+ * - engine.shop.buySeed / sellCrop / buyAnimal / sellAnimal
+ * - engine.farm.plantCrop / harvestCrop / placeAnimal
+ * - engine.state for money, inventory and forecast
+ *
+ * turn = {
+ *   tick: 0,              // Ticks played so far
+ *   day: 1,               // Current day (1-10)
+ *   isLastDay: false,     // True on the final day
+ *   dayElapsed: 0,        // Game time spent in the current day (ms)
+ *   money: 50,            // Current money
+ *   demandIndex: 1.2      // Today's weather demand (each item's own price
+ *                         // multiplier: engine.shop.getCommodityDemandIndex(type))
+ * }
+ *
+ * See js/strategies/ for examples.
+ *
+ * COMMAND LINE:
+ * node js/simulator.js <strategy.js> [--seed <seed>] [--json]
+ *
+ * DEPENDENCIES: engine.js
+ * USED BY: Command line, scripts comparing strategies
+ *
+ * NOTE: Node only. Do not add this file to index.html.
+ * ============================================================================
+ */
+
+'use strict';
+
+const path = require('path');
+const {createEngine} = require('./engine.js');
+
+
+// ============================================================================
+// STRATEGIES
+// ============================================================================
+
+/**
+ * PUBLIC: loadStrategy
+ * Loads a strategy script
+ *
+ * @param {string} file - Path to the strategy module
+ * @returns {Object} Strategy {name, description, decide}
+ * @throws {Error} If the module does not provide a decision function
+ *
+ * EXAMPLE:
+ * const strategy = loadStrategy('js/strategies/wheatThenRabbits.js');
+ */
+function loadStrategy(file) {
+    const filename = path.resolve(file);
+    return normalizeStrategy(require(filename), path.basename(filename, '.js'));
+}
+
+
+/**
+ * PRIVATE: normalizeStrategy
+ * Turns a strategy module into {name, description, decide}
+ *
+ * @param {Function|Object} strategy - Decision function or strategy object
+ * @param {string} fallbackName - Name used when the strategy has none
+ * @returns {Object} Strategy {name, description, decide}
+ * @throws {Error} If there is no decision function
+ */
+function normalizeStrategy(strategy, fallbackName = 'strategy') {
+    if (typeof strategy === 'function') {
+        return {name: strategy.name || fallbackName, description: '', decide: strategy};
+    }
+
+    if (!strategy || typeof strategy.decide !== 'function') {
+        throw new Error(`Strategy "${fallbackName}" must export a function or an object with decide(engine, turn)`);
+    }
+
+    return {
+        name: strategy.name || fallbackName,
+        description: strategy.description || '',
+        decide: strategy.decide
+    };
+}
+
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * PUBLIC: runSimulation
+ * Plays one full game with a strategy
+ *
+ * @param {Function|Object} strategy - Strategy (see loadStrategy)
+ * @param {Object} options - Simulation options
+ * @param {string|null} options.seed - Game seed (null = random seed)
+ * @param {Object} options.configOverrides - GAME_CONFIG changes (see engine.js)
+ * @returns {Object} {strategy, seed, ledger, outcome}
+ *
+ * LEDGER:
+ * One row per day: {day, weatherValue, demandIndex, openingMoney,
+ * closingMoney, spent, earned, borrowed, repaid, bought, sold, harvested,
+ * born, severe, lost},
+ * where bought/sold/harvested/born/lost count items by name ({Wheat: 4})
+ * and severe is the name of the day's severe weather event (or null).
+ *
+ * OUTCOME:
+ * {status, won, finalMoney, cash, debtRepaid, goalMoney, debtBalance,
+ *  dayReached, statistics}
+ * where finalMoney is what the player put together toward the farm debt
+ * (GameState.getDebtCovered()), so paying the bank does not lower it,
+ * cash is the money still on hand, debtRepaid is how much of the farm
+ * debt was paid off and debtBalance is what was still owed at the end
+ * (loans included).
+ *
+ * LOGIC:
+ * Each tick the strategy decides first, then one second of game time
+ * passes. The game ends on its own: by reaching the goal or running out
+ * of days.
+ */
+function runSimulation(strategy, options = {}) {
+    strategy = normalizeStrategy(strategy);
+
+    const ledger = [];
+    let engine = null;
+
+    // Row of the day currently being played (created on first use)
+    const currentRow = () => {
+        const {GAME_CONFIG} = engine.globals;
+        const state = engine.state;
+        const day = Math.min(state.currentDay, GAME_CONFIG.TOTAL_DAYS);
+
+        if (!ledger[day - 1]) {
+            const weather = state.getCurrentWeather();
+            ledger[day - 1] = {
+                day: day,
+                weatherValue: weather ? weather.weatherValue : null,
+                demandIndex: weather ? weather.demandIndex : 1.0,
+                openingMoney: state.currentMoney,
+                closingMoney: state.currentMoney,
+                spent: 0,
+                earned: 0,
+                borrowed: 0,
+                repaid: 0,
+                bought: {},
+                sold: {},
+                harvested: {},
+                born: {},
+                severe: null,
+                lost: {}
+            };
+        }
+        return ledger[day - 1];
+    };
+
+    const count = (tally, name) => {
+        tally[name] = (tally[name] || 0) + 1;
+    };
+
+    const recordEvent = (eventName, detail) => {
+        if (!engine) {
+            return;
+        }
+
+        const {EVENTS} = engine.globals.CONSTANTS;
+        switch (eventName) {
+            case EVENTS.ITEM_PURCHASED:
+                currentRow().spent += detail.cost;
+                count(currentRow().bought, detail.item.name);
+                break;
+            case EVENTS.ITEM_SOLD:
+                currentRow().earned += detail.sellPrice;
+                count(currentRow().sold, detail.item.name);
+                break;
+            case EVENTS.LOAN_TAKEN:
+                currentRow().borrowed += detail.loan.principal;
+                break;
+            case EVENTS.DEBT_REPAID:
+            case EVENTS.LOAN_COLLECTED:
+                currentRow().repaid += detail.amount;
+                break;
+            case EVENTS.CROP_HARVESTED:
+                count(currentRow().harvested, detail.crop.name);
+                break;
+            case EVENTS.ANIMAL_BRED:
+                count(currentRow().born, detail.offspring.name);
+                break;
+            case EVENTS.SEVERE_WEATHER:
+                currentRow().severe = detail.report.name;
+                detail.report.cropsDestroyed
+                    .concat(detail.report.animalsLost)
+                    .forEach(item => count(currentRow().lost, item.name));
+                break;
+        }
+    };
+
+    engine = createEngine({
+        seed: options.seed || null,
+        eventSink: recordEvent,
+        configOverrides: options.configOverrides
+    });
+
+    const {CONSTANTS, GAME_CONFIG, HELPERS} = engine.globals;
+    const step = CONSTANTS.TIMING.TIMER_UPDATE_INTERVAL;
+    const maxTicks = Math.ceil(
+        HELPERS.minutesToMilliseconds(GAME_CONFIG.DAY_DURATION_MINUTES) * (GAME_CONFIG.TOTAL_DAYS + 1) / step
+    );
+
+    for (let tick = 0; tick < maxTicks && !engine.state.isGameOver(); tick++) {
+        const state = engine.state;
+        currentRow();
+
+        strategy.decide(engine, {
+            tick: tick,
+            day: state.currentDay,
+            isLastDay: state.currentDay === GAME_CONFIG.TOTAL_DAYS,
+            dayElapsed: engine.timer.getDayElapsedTime(),
+            money: state.currentMoney,
+            demandIndex: engine.shop.getCurrentDemandIndex()
+        });
+        currentRow().closingMoney = state.currentMoney;
+
+        if (state.isGameOver()) {
+            break;
+        }
+
+        engine.advance(step);
+        currentRow().closingMoney = engine.state.currentMoney;
+    }
+
+    const state = engine.state;
+
+    return {
+        strategy: strategy.name,
+        seed: state.seed,
+        ledger: ledger.filter(Boolean),
+        outcome: {
+            status: state.gameStatus,
+            won: state.gameStatus === CONSTANTS.GAME_STATUS.WON,
+            finalMoney: state.getDebtCovered(),
+            cash: state.currentMoney,
+            debtRepaid: state.goalMoney - state.debt,
+            goalMoney: GAME_CONFIG.GOAL_MONEY,
+            debtBalance: state.getDebtBalance(),
+            dayReached: Math.min(state.currentDay, GAME_CONFIG.TOTAL_DAYS),
+            statistics: Object.assign({}, state.statistics)
+        }
+    };
+}
+
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * PUBLIC: formatReport
+ * Formats a simulation result as a text ledger
+ *
+ * @param {Object} result - Result of runSimulation()
+ * @returns {string} Report for the terminal
+ */
+function formatReport(result) {
+    const money = (amount) => `$${Math.floor(amount).toLocaleString('en-US')}`;
+    const items = (tally) => Object.keys(tally).map(name => `${tally[name]} ${name}`).join(', ');
+
+    const columns = [
+        ['Day', 4],
+        ['Weather', 8],
+        ['Demand', 7],
+        ['Opening', 10],
+        ['Spent', 9],
+        ['Earned', 9],
+        ['Closing', 10]
+    ];
+    const row = (values) => values.map((value, i) => String(value).padStart(columns[i][1])).join(' ');
+
+    const lines = [
+        `Strategy: ${result.strategy}`,
+        `Seed:     ${result.seed}`,
+        '',
+        `${row(columns.map(column => column[0]))}  Activity`
+    ];
+
+    result.ledger.forEach(day => {
+        const severe = day.severe
+            ? `${day.severe}${Object.keys(day.lost).length > 0 ? ` lost ${items(day.lost)}` : ''}`
+            : null;
+        const activity = [
+            ['bought', day.bought],
+            ['sold', day.sold],
+            ['harvested', day.harvested],
+            ['born', day.born]
+        ]
+            .filter(([, tally]) => Object.keys(tally).length > 0)
+            .map(([label, tally]) => `${label} ${items(tally)}`)
+            .concat(day.borrowed > 0 ? [`borrowed ${money(day.borrowed)}`] : [])
+            .concat(day.repaid > 0 ? [`paid the bank ${money(day.repaid)}`] : [])
+            .concat(severe ? [severe] : [])
+            .join('; ');
+
+        lines.push(`${row([
+            day.day,
+            day.weatherValue === null ? '-' : day.weatherValue.toFixed(2),
+            `${day.demandIndex.toFixed(1)}x`,
+            money(day.openingMoney),
+            money(day.spent),
+            money(day.earned),
+            money(day.closingMoney)
+        ])}  ${activity || '-'}`);
+    });
+
+    const outcome = result.outcome;
+    lines.push('');
+    const repaid = `paid off ${money(outcome.debtRepaid)} of the ${money(outcome.goalMoney)} debt`;
+    lines.push(outcome.won
+        ? `Outcome: WON on day ${outcome.dayReached}: ${repaid}, ${money(outcome.cash)} cash left`
+        : `Outcome: LOST: ${repaid}, ${money(outcome.cash)} cash left, ` +
+          `still owing ${money(outcome.debtBalance)}`);
+
+    return lines.join('\n');
+}
+
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/**
+ * PRIVATE: parseArguments
+ * Reads the command line options
+ *
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} {strategyFile, seed, json}
+ */
+function parseArguments(args) {
+    const options = {strategyFile: null, seed: null, json: false};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--seed') {
+            options.seed = args[++i] || null;
+        } else if (args[i] === '--json') {
+            options.json = true;
+        } else if (!options.strategyFile) {
+            options.strategyFile = args[i];
+        }
+    }
+
+    return options;
+}
+
+
+/**
+ * PRIVATE: main
+ * Command line entry point
+ *
+ * @param {string[]} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+    const options = parseArguments(args);
+
+    if (!options.strategyFile) {
+        console.error('Usage: node js/simulator.js <strategy.js> [--seed <seed>] [--json]');
+        return 1;
+    }
+
+    try {
+        const result = runSimulation(loadStrategy(options.strategyFile), {seed: options.seed});
+        console.log(options.json ? JSON.stringify(result, null, 2) : formatReport(result));
+        return 0;
+    } catch (error) {
+        console.error(`Simulation failed: ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Command line
+ * node js/simulator.js js/strategies/wheatThenRabbits.js --seed demo
+ *
+ * // From another script
+ * const {loadStrategy, runSimulation} = require('./js/simulator.js');
+ * const result = runSimulation(loadStrategy('js/strategies/wheatOnly.js'), {seed: 'demo'});
+ * console.log(result.outcome.won, result.outcome.finalMoney);
+ *
+ * ============================================================================
+ */
+
+module.exports = {loadStrategy, runSimulation, formatReport};
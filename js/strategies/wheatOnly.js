@@ -0,0 +1,41 @@
+/**
+ * ============================================================================
+ * FILE: wheatOnly.js
+ * PURPOSE: Example strategy - grow nothing but wheat
+ *
+ * DESCRIPTION:
+ * Harvests and sells wheat as soon as it is ready and replants every free
+ * plot, and pays off the debt once the cash covers it. A baseline to compare other strategies against.
+ *
+ * RUN:
+ * node js/simulator.js js/strategies/wheatOnly.js --seed demo
+ * ============================================================================
+ */
+
+'use strict';
+
+module.exports = {
+    name: 'Wheat only',
+    description: 'Replant wheat on every free plot, sell each harvest right away',
+
+    /**
+     * Called once per game tick (see simulator.js)
+     *
+     * @param {FarmRescueEngine} engine - Headless game
+     * @param {Object} turn - {tick, day, isLastDay, dayElapsed, money, demandIndex}
+     */
+    decide(engine, turn) {
+        engine.farm.harvestAllMature();
+        engine.shop.sellAllHarvestedCrops();
+
+        // Pay off the farm as soon as the cash covers everything owed
+        if (engine.state.currentMoney >= engine.state.getDebtBalance()) {
+            engine.bank.repayAll();
+            return;
+        }
+
+        while (engine.state.canPlantMoreCrops() && engine.shop.buySeed('wheat').success) {
+            engine.farm.plantCrop(engine.state.inventory.seeds[0].id);
+        }
+    }
+};
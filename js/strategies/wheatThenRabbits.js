@@ -0,0 +1,62 @@
+/**
+ * ============================================================================
+ * FILE: wheatThenRabbits.js
+ * PURPOSE: Example strategy - wheat until $300, then rabbits
+ *
+ * DESCRIPTION:
+ * Grows wheat until there is $300 in the bank, then fills the animal pens
+ * with rabbits (the best breeders) while wheat keeps the cash coming in.
+ * Mature rabbits are sold when demand is high, and everything is sold on
+ * the last day. The debt is paid off at the bank as soon as the cash
+ * covers it.
+ *
+ * RUN:
+ * node js/simulator.js js/strategies/wheatThenRabbits.js --seed demo
+ * ============================================================================
+ */
+
+'use strict';
+
+// Money needed before buying the first rabbit
+const RABBIT_THRESHOLD = 300;
+
+// Sell mature rabbits at or above this demand index
+const SELL_DEMAND = 1.5;
+
+module.exports = {
+    name: 'Wheat until $300, then rabbits',
+    description: 'Wheat for cash, rabbits once there is $300, sell rabbits on high demand',
+
+    /**
+     * Called once per game tick (see simulator.js)
+     *
+     * @param {FarmRescueEngine} engine - Headless game
+     * @param {Object} turn - {tick, day, isLastDay, dayElapsed, money, demandIndex}
+     */
+    decide(engine, turn) {
+        const {farm, shop, state} = engine;
+
+        farm.harvestAllMature();
+        shop.sellAllHarvestedCrops();
+
+        if (turn.isLastDay || turn.demandIndex >= SELL_DEMAND) {
+            shop.sellAllMatureAnimals();
+        }
+
+        // Pay off the farm as soon as the cash covers everything owed
+        if (state.currentMoney >= state.getDebtBalance()) {
+            engine.bank.repayAll();
+            return;
+        }
+
+        if (state.currentMoney >= RABBIT_THRESHOLD || state.inventory.animals.length > 0) {
+            while (state.canPlaceMoreAnimals() && shop.buyAnimal('rabbit').success) {
+                farm.placeAnimal(state.inventory.youngAnimals[0].id);
+            }
+        }
+
+        while (state.canPlantMoreCrops() && shop.buySeed('wheat').success) {
+            farm.plantCrop(state.inventory.seeds[0].id);
+        }
+    }
+};
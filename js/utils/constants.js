@@ -42,7 +42,7 @@ const CONSTANTS = {
         PLAYING: 'playing',    // Game is active, player can play
         WON: 'won',           // Player reached $5,000 goal
         LOST: 'lost',         // Player failed to reach goal by Day 10
-        PAUSED: 'paused'      // Game is paused (optional feature)
+        PAUSED: 'paused'      // Game is paused (clock stopped)
     },
 
 
@@ -86,6 +86,29 @@ const CONSTANTS = {
     },
 
 
+    // ========================================================================
+    // LEDGER CATEGORIES
+    // ========================================================================
+
+    /**
+     * LEDGER_CATEGORIES: What a money movement was for
+     *
+     * USAGE:
+     * Passed to GameState.addMoney() / deductMoney() and stored on every
+     * ledger entry; the Ledger screen and CSV export group by it
+     */
+    LEDGER_CATEGORIES: {
+        SEED_PURCHASE: 'seed-purchase',     // Seeds bought from Tom
+        ANIMAL_PURCHASE: 'animal-purchase', // Animals bought from Henry
+        CROP_SALE: 'crop-sale',             // Crops sold to Tom
+        ANIMAL_SALE: 'animal-sale',         // Animals sold to Henry
+        LOAN: 'loan',                       // Loans from the bank
+        LOAN_REPAYMENT: 'loan-repayment',   // Loans paid back (by hand or collected)
+        DEBT_REPAYMENT: 'debt-repayment',   // Payments toward the farm debt
+        OTHER: 'other'                      // Anything else (e.g. debug commands)
+    },
+
+
     // ========================================================================
     // SCREEN IDENTIFIERS
     // ========================================================================
@@ -107,6 +130,11 @@ const CONSTANTS = {
         FARM: 'farm',               // Farm management screen
         TOM_SHOP: 'tom-shop',       // Tom's seed store
         HENRY_SHOP: 'henry-shop',   // Henry's animal farm
+        LOAD_GAME: 'load-game',     // Named save slots
+        DAILY_CHALLENGE: 'daily-challenge', // Daily challenge + results calendar
+        BALANCING: 'balancing',     // Weather-demand curve editor (testing mode)
+        LEDGER: 'ledger',           // Transactions, cash flow and profit per item
+        BANK: 'bank',               // Debt repayments and loans
         VICTORY: 'victory',         // Victory screen (game won)
         DEFEAT: 'defeat'            // Defeat screen (game lost)
     },
@@ -225,7 +253,7 @@ const CONSTANTS = {
      *
      * EXAMPLE:
      * When money changes:
-     * document.dispatchEvent(new CustomEvent(EVENTS.MONEY_CHANGED, {detail: {newAmount: 100}}))
+     * GAME_EVENTS.dispatch(EVENTS.MONEY_CHANGED, {newAmount: 100})
      */
     EVENTS: {
         // Game state events
@@ -233,11 +261,23 @@ const CONSTANTS = {
         GAME_WON: 'game-won',
         GAME_LOST: 'game-lost',
         DAY_ADVANCED: 'day-advanced',
+        GAME_PAUSED: 'game-paused',
+        GAME_RESUMED: 'game-resumed',
+        GAME_SPEED_CHANGED: 'game-speed-changed',
+
+        // Weather events
+        SEVERE_WEATHER: 'severe-weather',
 
         // Money events
         MONEY_CHANGED: 'money-changed',
         MILESTONE_REACHED: 'milestone-reached',
 
+        // Bank events
+        DEBT_CHANGED: 'debt-changed',       // Farm debt or a loan balance changed
+        DEBT_REPAID: 'debt-repaid',         // Payment toward the farm debt or a loan
+        LOAN_TAKEN: 'loan-taken',
+        LOAN_COLLECTED: 'loan-collected',   // Bank took a due loan from the cash on hand
+
         // Item events
         CROP_PLANTED: 'crop-planted',
         CROP_MATURED: 'crop-matured',
@@ -250,6 +290,13 @@ const CONSTANTS = {
         ITEM_PURCHASED: 'item-purchased',
         ITEM_SOLD: 'item-sold',
 
+        // Save events
+        GAME_SAVED: 'game-saved',
+        SAVE_FAILED: 'save-failed',
+
+        // Daily challenge events
+        DAILY_RESULT_RECORDED: 'daily-result-recorded',
+
         // UI events
         SCREEN_CHANGED: 'screen-changed',
         NOTIFICATION_SHOWN: 'notification-shown'
@@ -269,7 +316,10 @@ const CONSTANTS = {
      */
     TIMING: {
         // Timer update frequency
-        TIMER_UPDATE_INTERVAL: 1000,      // Update every 1 second (1000ms)
+        TIMER_UPDATE_INTERVAL: 1000,      // Update every 1 second of game time (1000ms)
+
+        // Game speeds offered in the header speed selector
+        GAME_SPEEDS: [1, 2, 5, 10],       // 1x, 2x, 5x, 10x
 
         // Animation durations
         ANIMATION_FAST: 200,              // Quick transitions
@@ -283,6 +333,7 @@ const CONSTANTS = {
 
         // Auto-save interval (optional feature)
         AUTO_SAVE_INTERVAL: 30000,        // Save every 30 seconds
+        AUTO_SAVE_THROTTLE: 2000,         // Money/day change saves at most every 2 seconds
 
         // Conversion factors
         MINUTES_TO_MILLISECONDS: 60000,   // 1 minute = 60,000 milliseconds
@@ -355,6 +406,12 @@ const CONSTANTS = {
         MIN_NAME_LENGTH: 2,
         MAX_NAME_LENGTH: 20,
 
+        // Save slots
+        MAX_SAVE_SLOTS: 10,               // Maximum named save slots
+
+        // Game seeds
+        MAX_SEED_LENGTH: 32,              // Maximum characters in a game seed
+
         // Numeric bounds
         MIN_MONEY: 0,                     // Can't go negative
         MAX_MONEY: 999999,                // Upper limit (optional)
@@ -383,7 +440,20 @@ const CONSTANTS = {
         INVALID_ITEM: 'Invalid item selected.',
         GAME_OVER: 'Game is over. Cannot perform this action.',
         SAVE_FAILED: 'Failed to save game progress.',
-        LOAD_FAILED: 'Failed to load game progress.'
+        LOAD_FAILED: 'Failed to load game progress.',
+        SLOT_NOT_FOUND: 'Save slot not found.',
+        NO_FREE_SLOTS: 'All save slots are in use. Overwrite or delete one first.',
+        INVALID_SLOT_NAME: 'Slot names must be 2-20 characters long.',
+        IMPORT_EMPTY: 'Paste a share code or choose a .json file first.',
+        INVALID_SEED: 'Seeds must be 1-32 characters long.',
+        DAILY_ALREADY_PLAYED: 'You already played today\'s challenge. Come back tomorrow!',
+        GAME_PAUSED: 'The game is paused. Resume it first.',
+        OUT_OF_SEASON: 'X is out of season. It can be planted in Y.',
+        NO_PLANTING_SEASON: 'Nothing can be planted in X.',
+        INVALID_AMOUNT: 'Enter an amount of at least $1.',
+        LOAN_LIMIT: 'The bank lends at most X at a time.',
+        NOTHING_OWED: 'Nothing is owed there.',
+        LOAN_NOT_FOUND: 'Loan not found.'
     },
 
 
@@ -406,7 +476,18 @@ const CONSTANTS = {
         ANIMAL_BRED: 'X gave birth to offspring!',
         MILESTONE_REACHED: 'Milestone reached: X!',
         GAME_SAVED: 'Game progress saved!',
-        GAME_LOADED: 'Game progress loaded!'
+        GAME_LOADED: 'Game progress loaded!',
+        SLOT_SAVED: 'Game saved to slot!',
+        SLOT_RENAMED: 'Save slot renamed!',
+        SLOT_DELETED: 'Save slot deleted!',
+        GAME_EXPORTED: 'Game exported!',
+        GAME_IMPORTED: 'Game imported!',
+        DAILY_RESULT_SAVED: 'Daily challenge result recorded!',
+        LEDGER_EXPORTED: 'Ledger exported!',
+        LOAN_TAKEN: 'Borrowed X, due Y.',
+        DEBT_REPAID: 'Paid X toward the farm debt!',
+        LOAN_REPAID: 'Paid X toward the loan!',
+        DAY_ENDED: 'Day X ended early!'
     },
 
 
@@ -447,7 +528,10 @@ const CONSTANTS = {
         GAME_STATE: 'farmRescue_gameState',
         SETTINGS: 'farmRescue_settings',
         HIGH_SCORE: 'farmRescue_highScore',
-        LAST_SAVE: 'farmRescue_lastSave'
+        LAST_SAVE: 'farmRescue_lastSave',
+        SAVE_SLOTS: 'farmRescue_saveSlots',
+        PENDING_GAME: 'farmRescue_pendingGame',
+        DAILY_RESULTS: 'farmRescue_dailyResults'
     },
 
 
@@ -494,6 +578,7 @@ Object.freeze(CONSTANTS.ELEMENT_IDS);
 Object.freeze(CONSTANTS.CSS_CLASSES);
 Object.freeze(CONSTANTS.EVENTS);
 Object.freeze(CONSTANTS.TIMING);
+Object.freeze(CONSTANTS.TIMING.GAME_SPEEDS);
 Object.freeze(CONSTANTS.WEATHER_RANGES);
 Object.freeze(CONSTANTS.FORMATS);
 Object.freeze(CONSTANTS.VALIDATION);
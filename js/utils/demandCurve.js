@@ -0,0 +1,314 @@
+/**
+ * ============================================================================
+ * FILE: demandCurve.js
+ * PURPOSE: Check, preview and export weather-demand tables
+ *
+ * DESCRIPTION:
+ * GAME_CONFIG.WEATHER_DEMAND_RULES maps weather ranges to demand
+ * multipliers. The balancing screen (testing mode) edits a copy of that
+ * table; this module does the non-UI work for it:
+ * - Validation: every value, and ranges that cover 0.10-1.00 exactly
+ *   once (no gaps, no overlaps)
+ * - The curve: the multiplier at every weather value, for the chart
+ * - Export: the table as JSON, ordered like config.js
+ *
+ * Weather values are compared in whole hundredths
+ * (CONSTANTS.WEATHER_RANGES.DECIMALS) so 0.1 + 0.2 style rounding never
+ * opens a gap between two ranges.
+ *
+ * DEPENDENCIES:
+ * - config.js (WEATHER_DEMAND_RULES)
+ * - constants.js (WEATHER_RANGES)
+ * - helpers.js (number checks, rounding)
+ *
+ * USED BY:
+ * - UIManager.js (balancing screen)
+ * - engine.js (exported for tools)
+ * ============================================================================
+ */
+
+/**
+ * DEMAND_CURVE Object
+ * Tools for weather-demand rule tables
+ */
+const DEMAND_CURVE = {
+
+    // ========================================================================
+    // TABLES
+    // ========================================================================
+
+    /**
+     * GET CONFIG RULES
+     * Copies the rules in GAME_CONFIG, so a draft can be edited safely
+     *
+     * @returns {Object[]} Copy of GAME_CONFIG.WEATHER_DEMAND_RULES
+     */
+    getConfigRules() {
+        return GAME_CONFIG.WEATHER_DEMAND_RULES.map(rule => ({...rule}));
+    },
+
+
+    /**
+     * FIND RULE
+     * Finds the rule whose range contains a weather value
+     *
+     * @param {Object[]} rules - Rule table
+     * @param {number} weatherValue - Weather value (0.10-1.00)
+     * @returns {Object|null} First matching rule, or null (a gap)
+     *
+     * NOTE: Same lookup as Weather.calculateDemandIndex()
+     */
+    findRule(rules, weatherValue) {
+        const value = this._toSteps(weatherValue);
+
+        return rules.find(rule => (
+            value >= this._toSteps(rule.minWeather) &&
+            value <= this._toSteps(rule.maxWeather)
+        )) || null;
+    },
+
+
+    /**
+     * SPLIT RULE
+     * Splits a rule's range in two, adding a breakpoint in the middle
+     *
+     * @param {Object[]} rules - Rule table
+     * @param {number} index - Index of the rule to split
+     * @returns {Object[]} New table (the input is not changed), or the
+     *                     same rules if the range is a single value
+     *
+     * EXAMPLE:
+     * 0.30-0.39 (1.7x) → 0.35-0.39 (1.7x) and 0.30-0.34 (1.7x)
+     */
+    splitRule(rules, index) {
+        const rule = rules[index];
+        if (!rule) {
+            return rules;
+        }
+
+        const min = this._toSteps(rule.minWeather);
+        const max = this._toSteps(rule.maxWeather);
+        if (!(max > min)) {
+            return rules;
+        }
+
+        const middle = Math.ceil((min + max) / 2);
+        const upper = {...rule, minWeather: this._fromSteps(middle)};
+        const lower = {...rule, maxWeather: this._fromSteps(middle - 1)};
+
+        // Rules are kept from best to worst weather, like config.js
+        return [...rules.slice(0, index), upper, lower, ...rules.slice(index + 1)];
+    },
+
+
+    // ========================================================================
+    // VALIDATION
+    // ========================================================================
+
+    /**
+     * VALIDATE
+     * Checks a rule table before it is previewed as valid or exported
+     *
+     * @param {Object[]} rules - Rule table
+     * @returns {Object} {valid: boolean, errors: string[]}
+     *
+     * CHECKS:
+     * - Each rule: weather values inside 0.10-1.00 with at most 2 decimals,
+     *   minWeather <= maxWeather, a positive demand multiplier and a
+     *   market condition
+     * - Together: the ranges start at 0.10, end at 1.00 and follow each
+     *   other without gaps or overlaps
+     *
+     * EXAMPLE:
+     * DEMAND_CURVE.validate(GAME_CONFIG.WEATHER_DEMAND_RULES) → {valid: true, errors: []}
+     */
+    validate(rules) {
+        const errors = [];
+
+        if (!Array.isArray(rules) || rules.length === 0) {
+            return {valid: false, errors: ['The table has no rules.']};
+        }
+
+        rules.forEach((rule, index) => {
+            const label = `Rule ${index + 1}`;
+
+            ['minWeather', 'maxWeather'].forEach(key => {
+                if (!this._isWeatherValue(rule[key])) {
+                    errors.push(`${label}: ${key} must be a weather value from ` +
+                        `${this._format(CONSTANTS.WEATHER_RANGES.MIN)} to ${this._format(CONSTANTS.WEATHER_RANGES.MAX)}.`);
+                }
+            });
+
+            if (this._isWeatherValue(rule.minWeather) && this._isWeatherValue(rule.maxWeather) &&
+                rule.minWeather > rule.maxWeather) {
+                errors.push(`${label}: minWeather is above maxWeather.`);
+            }
+
+            if (!HELPERS.isPositiveNumber(rule.demandMultiplier)) {
+                errors.push(`${label}: demand multiplier must be above 0.`);
+            }
+
+            if (typeof rule.marketCondition !== 'string' || rule.marketCondition.trim() === '') {
+                errors.push(`${label}: market condition is missing.`);
+            }
+        });
+
+        // Coverage is only meaningful once every range is readable
+        if (errors.length === 0) {
+            errors.push(...this._checkCoverage(rules));
+        }
+
+        return {valid: errors.length === 0, errors: errors};
+    },
+
+
+    /**
+     * PRIVATE: _checkCoverage
+     * Finds gaps and overlaps between the ranges
+     *
+     * @param {Object[]} rules - Rule table with valid ranges
+     * @returns {string[]} Errors
+     */
+    _checkCoverage(rules) {
+        const errors = [];
+        const ranges = rules
+            .map(rule => ({min: this._toSteps(rule.minWeather), max: this._toSteps(rule.maxWeather)}))
+            .sort((a, b) => a.min - b.min);
+
+        let covered = this._toSteps(CONSTANTS.WEATHER_RANGES.MIN) - 1;
+
+        ranges.forEach(range => {
+            if (range.min > covered + 1) {
+                errors.push(`No rule covers ${this._formatRange(covered + 1, range.min - 1)}.`);
+            } else if (range.min <= covered) {
+                errors.push(`Rules overlap at ${this._formatRange(range.min, Math.min(covered, range.max))}.`);
+            }
+            covered = Math.max(covered, range.max);
+        });
+
+        const last = this._toSteps(CONSTANTS.WEATHER_RANGES.MAX);
+        if (covered < last) {
+            errors.push(`No rule covers ${this._formatRange(covered + 1, last)}.`);
+        }
+
+        return errors;
+    },
+
+
+    // ========================================================================
+    // PREVIEW & EXPORT
+    // ========================================================================
+
+    /**
+     * GET CURVE
+     * Gets the demand multiplier at every weather value
+     *
+     * @param {Object[]} rules - Rule table
+     * @returns {Object[]} [{weatherValue, demandMultiplier}] from 0.10 to 1.00
+     *                     (demandMultiplier is null where no rule matches)
+     *
+     * CALLED BY:
+     * - UIManager._renderDemandCurveChart()
+     */
+    getCurve(rules) {
+        const points = [];
+        const first = this._toSteps(CONSTANTS.WEATHER_RANGES.MIN);
+        const last = this._toSteps(CONSTANTS.WEATHER_RANGES.MAX);
+
+        for (let step = first; step <= last; step++) {
+            const weatherValue = this._fromSteps(step);
+            const rule = this.findRule(rules, weatherValue);
+            points.push({
+                weatherValue: weatherValue,
+                demandMultiplier: rule && HELPERS.isValidNumber(rule.demandMultiplier)
+                    ? rule.demandMultiplier
+                    : null
+            });
+        }
+
+        return points;
+    },
+
+
+    /**
+     * TO CONFIG JSON
+     * Formats a rule table for WEATHER_DEMAND_RULES in config.js
+     *
+     * @param {Object[]} rules - Rule table
+     * @returns {string} JSON, rules ordered from best to worst weather
+     */
+    toConfigJSON(rules) {
+        const ordered = rules
+            .map(rule => ({
+                minWeather: rule.minWeather,
+                maxWeather: rule.maxWeather,
+                demandMultiplier: rule.demandMultiplier,
+                marketCondition: rule.marketCondition
+            }))
+            .sort((a, b) => b.minWeather - a.minWeather);
+
+        return JSON.stringify(ordered, null, 4);
+    },
+
+
+    // ========================================================================
+    // PRIVATE HELPERS
+    // ========================================================================
+
+    /**
+     * PRIVATE: _isWeatherValue
+     * Checks a value is inside the weather range with at most DECIMALS decimals
+     */
+    _isWeatherValue(value) {
+        return HELPERS.isValidNumber(value) &&
+            value >= CONSTANTS.WEATHER_RANGES.MIN &&
+            value <= CONSTANTS.WEATHER_RANGES.MAX &&
+            Math.abs(this._fromSteps(this._toSteps(value)) - value) < 1e-9;
+    },
+
+
+    /**
+     * PRIVATE: _toSteps / _fromSteps
+     * Converts weather values to and from whole steps (0.37 ↔ 37)
+     */
+    _toSteps(value) {
+        return Math.round(value * Math.pow(10, CONSTANTS.WEATHER_RANGES.DECIMALS));
+    },
+
+    _fromSteps(steps) {
+        return HELPERS.roundToDecimals(steps / Math.pow(10, CONSTANTS.WEATHER_RANGES.DECIMALS),
+            CONSTANTS.WEATHER_RANGES.DECIMALS);
+    },
+
+
+    /**
+     * PRIVATE: _format / _formatRange
+     * Weather values for messages ("0.30", "0.30-0.34")
+     */
+    _format(value) {
+        return value.toFixed(CONSTANTS.WEATHER_RANGES.DECIMALS);
+    },
+
+    _formatRange(fromSteps, toSteps) {
+        const from = this._format(this._fromSteps(fromSteps));
+        return fromSteps === toSteps ? from : `${from}-${this._format(this._fromSteps(toSteps))}`;
+    }
+};
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Edit a copy of the table and check it
+ * const draft = DEMAND_CURVE.getConfigRules();
+ * draft[0].demandMultiplier = 0.7;
+ * DEMAND_CURVE.validate(draft); // {valid: true, errors: []}
+ *
+ * // Paste the result over WEATHER_DEMAND_RULES in config.js
+ * console.log(DEMAND_CURVE.toConfigJSON(draft));
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default DEMAND_CURVE;
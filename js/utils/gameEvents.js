@@ -0,0 +1,183 @@
+/**
+ * ============================================================================
+ * FILE: gameEvents.js
+ * PURPOSE: Game event bus that works with or without the DOM
+ *
+ * DESCRIPTION:
+ * Models and managers publish events (MONEY_CHANGED, DAY_ADVANCED, ...)
+ * through GAME_EVENTS instead of calling document.dispatchEvent directly,
+ * so the game rules also run where there is no document (Node, tests).
+ *
+ * Every dispatched event goes to:
+ * 1. Listeners registered with GAME_EVENTS.on()
+ * 2. The event sink - a function (eventName, detail) => void
+ *
+ * In the browser the default sink re-dispatches each event as a DOM
+ * CustomEvent on document, so UIManager keeps listening with
+ * document.addEventListener exactly as before. Without a document the
+ * default sink does nothing; the headless engine injects its own.
+ *
+ * Listeners receive an object shaped like a DOM event ({type, detail}),
+ * so the same handler works for both.
+ *
+ * DEPENDENCIES: None
+ * USED BY: GameState.js, TimerManager.js, FarmManager.js, ShopManager.js,
+ *          SaveManager.js, ChallengeManager.js, engine.js
+ * ============================================================================
+ */
+
+/**
+ * GAME_EVENTS Object
+ * Publish/subscribe for game events with an injectable sink
+ */
+const GAME_EVENTS = {
+
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    /**
+     * Current event sink (null = listeners only)
+     */
+    _sink: null,
+
+    /**
+     * Registered listeners: {eventName: [handler, ...]}
+     */
+    _listeners: {},
+
+
+    // ========================================================================
+    // DISPATCHING
+    // ========================================================================
+
+    /**
+     * DISPATCH
+     * Publishes an event to listeners and the sink
+     *
+     * @param {string} eventName - Event name (see CONSTANTS.EVENTS)
+     * @param {Object} detail - Event data
+     *
+     * EXAMPLE:
+     * GAME_EVENTS.dispatch(CONSTANTS.EVENTS.MONEY_CHANGED, {newAmount: 100});
+     */
+    dispatch(eventName, detail = {}) {
+        const event = {type: eventName, detail: detail};
+
+        // Copy so handlers can remove themselves while being called
+        (this._listeners[eventName] || []).slice().forEach(handler => {
+            handler(event);
+        });
+
+        if (this._sink) {
+            this._sink(eventName, detail);
+        }
+    },
+
+
+    // ========================================================================
+    // LISTENERS
+    // ========================================================================
+
+    /**
+     * ON
+     * Registers a listener for an event
+     *
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Called with {type, detail}
+     *
+     * EXAMPLE:
+     * GAME_EVENTS.on(CONSTANTS.EVENTS.GAME_WON, (e) => console.log(e.detail.finalMoney));
+     */
+    on(eventName, handler) {
+        if (typeof handler !== 'function') {
+            console.error('GAME_EVENTS.on: Handler must be a function', eventName);
+            return;
+        }
+
+        this._listeners[eventName] = this._listeners[eventName] || [];
+        if (!this._listeners[eventName].includes(handler)) {
+            this._listeners[eventName].push(handler);
+        }
+    },
+
+
+    /**
+     * OFF
+     * Removes a listener registered with on()
+     *
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler to remove
+     */
+    off(eventName, handler) {
+        if (!this._listeners[eventName]) {
+            return;
+        }
+
+        this._listeners[eventName] = this._listeners[eventName].filter(h => h !== handler);
+    },
+
+
+    // ========================================================================
+    // SINK
+    // ========================================================================
+
+    /**
+     * SET SINK
+     * Replaces where events are forwarded after the listeners
+     *
+     * @param {Function|null} sink - (eventName, detail) => void, or null for none
+     * @returns {Function|null} The previous sink
+     *
+     * EXAMPLE:
+     * // Collect every event of a headless game
+     * const log = [];
+     * GAME_EVENTS.setSink((name, detail) => log.push(name));
+     */
+    setSink(sink) {
+        if (sink !== null && typeof sink !== 'function') {
+            console.error('GAME_EVENTS.setSink: Sink must be a function or null');
+            return this._sink;
+        }
+
+        const previous = this._sink;
+        this._sink = sink;
+        return previous;
+    },
+
+
+    /**
+     * DOM SINK
+     * Forwards events as CustomEvents on document (browser default)
+     *
+     * @param {string} eventName - Event name
+     * @param {Object} detail - Event data
+     */
+    domSink(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(eventName, {detail: detail}));
+    }
+};
+
+// Browser: keep delivering events to document listeners (UIManager)
+if (typeof document !== 'undefined' && typeof CustomEvent !== 'undefined') {
+    GAME_EVENTS.setSink(GAME_EVENTS.domSink);
+}
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Publish (models / managers)
+ * GAME_EVENTS.dispatch(CONSTANTS.EVENTS.DAY_ADVANCED, {newDay: 2});
+ *
+ * // Subscribe without the DOM
+ * GAME_EVENTS.on(CONSTANTS.EVENTS.DAY_ADVANCED, (e) => console.log(e.detail.newDay));
+ *
+ * // Browser UI code can still use:
+ * document.addEventListener(CONSTANTS.EVENTS.DAY_ADVANCED, (e) => ...);
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default GAME_EVENTS;
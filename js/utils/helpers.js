@@ -14,10 +14,12 @@
  *
  * DESIGN PATTERN: Pure Functions
  * - No side effects
- * - Same input always produces same output (except random functions)
+ * - Same input always produces same output (except random functions,
+ *   which draw from the seeded GameRandom generator)
  * - Easy to test
  *
- * DEPENDENCIES: CONSTANTS (for format templates)
+ * DEPENDENCIES: CONSTANTS (for format templates), GameClock (for elapsed time),
+ *               GameRandom (for random values)
  * USED BY: All game modules
  * ============================================================================
  */
@@ -195,6 +197,7 @@ const HELPERS = {
      *
      * @param {number} min - Minimum value (inclusive)
      * @param {number} max - Maximum value (inclusive)
+     * @param {string} stream - GameRandom stream (default: general)
      * @returns {number} Random integer
      *
      * EXAMPLES:
@@ -205,7 +208,7 @@ const HELPERS = {
      * - Weather.js (generate random weather in specific ranges)
      * - Testing functions
      */
-    randomInt(min, max) {
+    randomInt(min, max, stream = GameRandom.STREAMS.GENERAL) {
         // Validate inputs
         if (typeof min !== 'number' || typeof max !== 'number') {
             console.error('randomInt: Invalid arguments');
@@ -218,9 +221,9 @@ const HELPERS = {
         }
 
         // Generate random integer
-        // Math.random() gives [0, 1)
+        // The seeded generator gives [0, 1) like Math.random()
         // Multiply by range, add min, and floor
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(GameRandom.getInstance().next(stream) * (max - min + 1)) + min;
     },
 
 
@@ -231,6 +234,7 @@ const HELPERS = {
      * @param {number} min - Minimum value (inclusive)
      * @param {number} max - Maximum value (inclusive)
      * @param {number} decimals - Number of decimal places (default: 2)
+     * @param {string} stream - GameRandom stream (default: general)
      * @returns {number} Random float
      *
      * EXAMPLES:
@@ -238,9 +242,9 @@ const HELPERS = {
      * randomFloat(0, 100, 1) → 45.7 (random value with 1 decimal)
      *
      * USED BY:
-     * - Weather.js (generate weather values 0.10-1.00)
+     * - WeatherGenerators.js (generate weather values 0.10-1.00)
      */
-    randomFloat(min, max, decimals = 2) {
+    randomFloat(min, max, decimals = 2, stream = GameRandom.STREAMS.GENERAL) {
         // Validate inputs
         if (typeof min !== 'number' || typeof max !== 'number') {
             console.error('randomFloat: Invalid arguments');
@@ -253,7 +257,7 @@ const HELPERS = {
         }
 
         // Generate random float
-        const random = Math.random() * (max - min) + min;
+        const random = GameRandom.getInstance().next(stream) * (max - min) + min;
 
         // Round to specified decimal places
         return parseFloat(random.toFixed(decimals));
@@ -265,6 +269,7 @@ const HELPERS = {
      * Returns true or false based on a probability
      *
      * @param {number} probability - Chance of returning true (0-1)
+     * @param {string} stream - GameRandom stream (default: general)
      * @returns {boolean} True or false
      *
      * EXAMPLES:
@@ -275,7 +280,7 @@ const HELPERS = {
      * USED BY:
      * - Animal.js (breeding checks, survival checks)
      */
-    randomBoolean(probability) {
+    randomBoolean(probability, stream = GameRandom.STREAMS.GENERAL) {
         // Validate input
         if (typeof probability !== 'number' || probability < 0 || probability > 1) {
             console.error('randomBoolean: Invalid probability');
@@ -283,7 +288,7 @@ const HELPERS = {
         }
 
         // Return true if random value is less than probability
-        return Math.random() < probability;
+        return GameRandom.getInstance().next(stream) < probability;
     },
 
 
@@ -307,6 +312,8 @@ const HELPERS = {
      * Combines timestamp + random string to ensure uniqueness
      * Even if two IDs are generated in the same millisecond,
      * the random part makes collision extremely unlikely
+     * The random part comes from its own seeded stream, so creating
+     * objects never changes weather or breeding results
      *
      * USED BY:
      * - Crop.js (assign unique ID to each crop)
@@ -317,7 +324,9 @@ const HELPERS = {
         const timestamp = Date.now();
 
         // Generate random string (6 characters)
-        const randomStr = Math.random().toString(36).substring(2, 8);
+        const randomStr = Math.floor(GameRandom.getInstance().next(GameRandom.STREAMS.IDS) * 2176782336)
+            .toString(36)
+            .padStart(6, '0');
 
         // Combine parts
         const id = prefix ? `${prefix}_${timestamp}_${randomStr}` : `${timestamp}_${randomStr}`;
@@ -419,6 +428,30 @@ const HELPERS = {
     },
 
 
+    /**
+     * FLOOR PRICE
+     * Rounds a price down to whole dollars
+     *
+     * @param {number} amount - Price before rounding (base × multipliers)
+     * @returns {number} Whole-dollar price
+     *
+     * NOTE: Multipliers such as 0.805 have no exact binary value, so
+     * 1000 × 0.805 comes out as 804.9999999999999. A tiny tolerance keeps
+     * Math.floor() from taking a whole dollar off for that.
+     *
+     * EXAMPLES:
+     * floorPrice(1000 * (1 - 0.015 * 13)) → 805 (Math.floor gives 804)
+     * floorPrice(14.4) → 14
+     *
+     * USED BY:
+     * - Crop.js / Animal.js (sell prices)
+     * - ShopManager.js, planSolver.js (price previews and plans)
+     */
+    floorPrice(amount) {
+        return Math.floor(amount + 1e-9);
+    },
+
+
     // ========================================================================
     // TIME UTILITIES
     // ========================================================================
@@ -474,13 +507,15 @@ const HELPERS = {
 
     /**
      * GET ELAPSED TIME
-     * Calculates time elapsed since a starting timestamp
+     * Calculates game time elapsed since a starting timestamp
      *
-     * @param {number} startTime - Starting timestamp (milliseconds)
+     * @param {number} startTime - Starting game timestamp (milliseconds)
      * @returns {number} Elapsed time in milliseconds
      *
+     * NOTE: Measured against GameClock, so paused time is not counted.
+     *
      * EXAMPLES:
-     * If startTime was 1000ms ago: getElapsedTime(startTime) → 1000
+     * If startTime was 1000ms of play ago: getElapsedTime(startTime) → 1000
      *
      * USED BY:
      * - TimerManager.js (calculate growth progress)
@@ -490,7 +525,7 @@ const HELPERS = {
         if (typeof startTime !== 'number' || startTime < 0) {
             return 0;
         }
-        return Date.now() - startTime;
+        return GameClock.getInstance().now() - startTime;
     },
 
 
@@ -655,6 +690,31 @@ const HELPERS = {
     },
 
 
+    /**
+     * IS VALID DATE STRING
+     * Checks if a value is a real calendar date written as 'YYYY-MM-DD'
+     *
+     * @param {any} value - Value to check
+     * @returns {boolean} True if valid date string
+     *
+     * EXAMPLES:
+     * isValidDateString('2026-10-19') → true
+     * isValidDateString('2026-02-30') → false (no such day)
+     *
+     * USED BY:
+     * - saveSchema.js (daily challenge date in saves)
+     * - SaveManager.js (queued daily challenge)
+     */
+    isValidDateString(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return false;
+        }
+
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().substring(0, 10) === value;
+    },
+
+
     // ========================================================================
     // ARRAY UTILITIES
     // ========================================================================
@@ -664,18 +724,19 @@ const HELPERS = {
      * Randomly shuffles an array (Fisher-Yates algorithm)
      *
      * @param {Array} array - Array to shuffle
+     * @param {string} stream - GameRandom stream (default: general)
      * @returns {Array} Shuffled array (new array, doesn't modify original)
      *
      * USED BY:
      * - Optional: Randomize shop display order
      */
-    shuffleArray(array) {
+    shuffleArray(array, stream = GameRandom.STREAMS.GENERAL) {
         // Create a copy to avoid modifying original
         const shuffled = [...array];
 
         // Fisher-Yates shuffle
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(GameRandom.getInstance().next(stream) * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
 
@@ -0,0 +1,301 @@
+/**
+ * ============================================================================
+ * FILE: ledger.js
+ * PURPOSE: Reports on the ledger of money movements
+ *
+ * DESCRIPTION:
+ * GameState records every addMoney() / deductMoney() as a ledger entry
+ * (see GameState.getLedger()). This module turns those entries into what
+ * the Ledger screen shows, without touching the DOM:
+ * - Daily cash flow: income and expenses per day and category, with the
+ *   balance at the end of each day
+ * - Profit per crop and animal type: what was spent on it and earned
+ *   from it
+ * - CSV export of every entry
+ *
+ * DEPENDENCIES:
+ * - config.js (CROPS, ANIMALS)
+ * - constants.js (LEDGER_CATEGORIES)
+ * - helpers.js (money formatting)
+ *
+ * USED BY:
+ * - UIManager.js (Ledger screen)
+ * - engine.js (exported for tools)
+ * ============================================================================
+ */
+
+/**
+ * LEDGER Object
+ * Cash flow, profit and CSV reports of ledger entries
+ */
+const LEDGER = {
+
+    // ========================================================================
+    // CATEGORIES
+    // ========================================================================
+
+    /**
+     * CATEGORY_LABELS: Display name of each CONSTANTS.LEDGER_CATEGORIES value
+     */
+    CATEGORY_LABELS: {
+        'seed-purchase': '🌱 Seeds',
+        'animal-purchase': '🐣 Animals bought',
+        'crop-sale': '🌾 Crop sales',
+        'animal-sale': '🐄 Animal sales',
+        'loan': '🏦 Loans',
+        'loan-repayment': '🏦 Loan repayments',
+        'debt-repayment': '🏦 Debt payments',
+        'other': '📝 Other'
+    },
+
+
+    /**
+     * GET CATEGORY LABEL
+     * Gets the display name of a category
+     *
+     * @param {string} category - CONSTANTS.LEDGER_CATEGORIES value
+     * @returns {string} e.g. "🌾 Crop sales"
+     */
+    getCategoryLabel(category) {
+        return this.CATEGORY_LABELS[category] || category;
+    },
+
+
+    // ========================================================================
+    // DAILY CASH FLOW
+    // ========================================================================
+
+    /**
+     * GET DAILY SUMMARY
+     * Sums up the money movements of each day
+     *
+     * @param {Object[]} entries - Ledger entries (GameState.getLedger())
+     * @param {number} lastDay - Last day to include (usually today)
+     * @param {number} currentMoney - Balance to show if nothing was recorded
+     * @returns {Object[]} One row per day from day 1:
+     *   [{day, income, expenses,       // expenses are positive
+     *     net, openingBalance, closingBalance,
+     *     byCategory: {'crop-sale': 120, 'seed-purchase': -30}}]
+     *
+     * NOTE: The opening balance of day 1 comes from the first entry, so
+     * saves whose ledger started late (older versions) still add up.
+     *
+     * EXAMPLE:
+     * LEDGER.getDailySummary(gameState.getLedger(), 2, 80)
+     * → [{day: 1, income: 60, expenses: 30, net: 30, openingBalance: 50, closingBalance: 80, ...},
+     *    {day: 2, income: 0, expenses: 0, net: 0, openingBalance: 80, closingBalance: 80, ...}]
+     */
+    getDailySummary(entries, lastDay, currentMoney) {
+        const days = [];
+        let balance = entries.length > 0
+            ? entries[0].balance - entries[0].amount
+            : currentMoney;
+
+        for (let day = 1; day <= lastDay; day++) {
+            const row = {
+                day: day,
+                income: 0,
+                expenses: 0,
+                net: 0,
+                openingBalance: balance,
+                closingBalance: balance,
+                byCategory: {}
+            };
+
+            entries.filter(entry => entry.day === day).forEach(entry => {
+                if (entry.amount >= 0) {
+                    row.income += entry.amount;
+                } else {
+                    row.expenses -= entry.amount;
+                }
+                row.byCategory[entry.category] = (row.byCategory[entry.category] || 0) + entry.amount;
+                row.closingBalance = entry.balance;
+            });
+
+            row.net = row.income - row.expenses;
+            balance = row.closingBalance;
+            days.push(row);
+        }
+
+        return days;
+    },
+
+
+    /**
+     * GET TOTALS
+     * Sums up all entries
+     *
+     * @param {Object[]} entries - Ledger entries
+     * @returns {Object} {income, expenses, net, transactions}
+     */
+    getTotals(entries) {
+        const income = entries.filter(entry => entry.amount > 0)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+        const expenses = entries.filter(entry => entry.amount < 0)
+            .reduce((sum, entry) => sum - entry.amount, 0);
+
+        return {
+            income: income,
+            expenses: expenses,
+            net: income - expenses,
+            transactions: entries.length
+        };
+    },
+
+
+    // ========================================================================
+    // PROFIT PER ITEM TYPE
+    // ========================================================================
+
+    /**
+     * GET PROFIT BY TYPE
+     * Sums up spending and earnings of each crop and animal type
+     *
+     * @param {Object[]} entries - Ledger entries
+     * @returns {Object[]} Types that have entries, in config order:
+     *   [{type, name, emoji, bought, sold, spent, earned, profit}]
+     *
+     * NOTE: Offspring cost nothing, so an animal type can sell more than
+     * was bought.
+     *
+     * EXAMPLE:
+     * 3 wheat seeds bought for $10 and sold for $36, $35, $34:
+     * → [{type: 'wheat', bought: 3, sold: 3, spent: 30, earned: 105, profit: 75, ...}]
+     */
+    getProfitByType(entries) {
+        const commodities = GAME_CONFIG.CROPS.concat(GAME_CONFIG.ANIMALS);
+
+        return commodities.map(commodity => {
+            const row = {
+                type: commodity.id,
+                name: commodity.name,
+                emoji: commodity.emoji,
+                bought: 0,
+                sold: 0,
+                spent: 0,
+                earned: 0,
+                profit: 0
+            };
+
+            entries.filter(entry => entry.itemType === commodity.id).forEach(entry => {
+                if (entry.amount < 0) {
+                    row.bought++;
+                    row.spent -= entry.amount;
+                } else {
+                    row.sold++;
+                    row.earned += entry.amount;
+                }
+            });
+
+            row.profit = row.earned - row.spent;
+            return row;
+        }).filter(row => row.bought > 0 || row.sold > 0);
+    },
+
+
+    // ========================================================================
+    // FORMATTING AND EXPORT
+    // ========================================================================
+
+    /**
+     * FORMAT AMOUNT
+     * Formats a signed amount
+     *
+     * @param {number} amount - Positive (income) or negative (expense)
+     * @returns {string} e.g. "+$36", "-$5", "$0"
+     */
+    formatAmount(amount) {
+        if (amount === 0) {
+            return HELPERS.formatMoney(0);
+        }
+        return `${amount > 0 ? '+' : '-'}${HELPERS.formatMoney(Math.abs(amount))}`;
+    },
+
+
+    /**
+     * TO CSV
+     * Writes ledger entries as CSV (one line per entry, with a header)
+     *
+     * @param {Object[]} entries - Ledger entries
+     * @returns {string} CSV text
+     *
+     * COLUMNS:
+     * day, timestamp (game clock, ms), category, item_type, amount (signed),
+     * balance, demand_index, reason
+     *
+     * EXAMPLE:
+     * day,timestamp,category,item_type,amount,balance,demand_index,reason
+     * 1,1700000012000,seed-purchase,wheat,-10,40,,Bought Wheat seed
+     * 1,1700000141000,crop-sale,wheat,36,76,2,Sold Wheat (2.0x)
+     * 1,1700000142000,crop-sale,wheat,35,111,2,"Sold Wheat (2.0x, market 98.5%)"
+     */
+    toCSV(entries) {
+        const header = ['day', 'timestamp', 'category', 'item_type', 'amount', 'balance', 'demand_index', 'reason'];
+        const lines = entries.map(entry => [
+            entry.day,
+            entry.timestamp,
+            entry.category,
+            entry.itemType,
+            entry.amount,
+            entry.balance,
+            entry.demandIndex,
+            entry.reason
+        ].map(value => this._toCsvField(value)).join(','));
+
+        return [header.join(',')].concat(lines).join('\n') + '\n';
+    },
+
+
+    /**
+     * GET CSV FILE NAME
+     * Names an exported ledger
+     *
+     * @param {number} day - Current game day
+     * @returns {string} e.g. "farm-rescue-ledger-day4.csv"
+     */
+    getCsvFileName(day) {
+        return `farm-rescue-ledger-day${day}.csv`;
+    },
+
+
+    /**
+     * TO CSV FIELD (internal)
+     * Quotes a value if it contains a comma, quote or line break
+     *
+     * @param {*} value - Field value (null/undefined → empty)
+     * @returns {string} CSV field
+     */
+    _toCsvField(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        const text = String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+};
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * const entries = gameState.getLedger();
+ *
+ * // Cash flow of every day so far
+ * LEDGER.getDailySummary(entries, gameState.currentDay, gameState.currentMoney)
+ *     .forEach(row => console.log(`Day ${row.day}: ${LEDGER.formatAmount(row.net)}`));
+ *
+ * // Which animals paid off?
+ * LEDGER.getProfitByType(entries).filter(row => row.profit > 0);
+ *
+ * // Spreadsheet copy
+ * const csv = LEDGER.toCSV(entries);
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default LEDGER;
@@ -0,0 +1,687 @@
+/**
+ * ============================================================================
+ * FILE: planSolver.js
+ * PURPOSE: Find a strong plan for a known weather sequence
+ *
+ * DESCRIPTION:
+ * Given the demand index of every day and the crop / animal definitions
+ * in GAME_CONFIG, the solver searches for the plan - what to buy, when to
+ * plant, when to sell - that ends Day 10 with the most money, respecting
+ * the crop plots and animal pens (CONSTANTS.VALIDATION.MAX_CROP_SLOTS /
+ * MAX_ANIMAL_SLOTS) and never spending money that is not there yet.
+ *
+ * It powers the "What was possible" comparison on the end screens and the
+ * headless engine's solveOptimalPlan().
+ *
+ * MODEL:
+ * - Time moves in whole minutes (days are whole minutes; growth sped up
+ *   or slowed down by the weather is ready from the next whole minute)
+ * - Growth follows each day's weather like in the game
+ *   (Weather.calculateGrowthRate); without weather values it is 1x
+ * - Crops are only bought on days they are in season (CALENDAR)
+ * - Each product sells at its own demand (MARKET: weather effect, season
+ *   and holiday bonuses)
+ * - Mature crops are harvested at once and can be held for a better day
+ * - Sales saturate the market like in the game: each unit of a product
+ *   sold on a day pays less (ShopManager.calculateSaturationFactor)
+ * - Mature animals keep their pen until they are sold
+ * - Anything still growing when the last day ends is worth nothing
+ * - Breeding is NOT planned on: offspring are luck, so a lucky player can
+ *   beat the plan with free animals
+ * - Severe weather damage is NOT modelled: which crops and animals an
+ *   event hits is luck, so the plan can be out of reach in a stormy game
+ *
+ * SEARCH:
+ * Beam search over the minutes. Each minute every kept plan branches on
+ * selling everything or only what is worth more today than on any later
+ * day (the rest is held), and on which crop and/or animal to fill the free
+ * plots and pens with. Plans with the same farm keep only the richest one,
+ * and the BEAM_WIDTH most valuable plans (money plus what the farm can
+ * still be sold for) go on to the next minute.
+ *
+ * The search is a heuristic: the result is the best plan FOUND, not a
+ * proven optimum. Plans dropped from the beam early can turn out better,
+ * so a careful player may beat it even without breeding luck.
+ *
+ * solve() runs the whole search at once (about 0.7 s for a 10-day game).
+ * solveAsync() runs it a few minutes at a time between browser frames.
+ *
+ * DEPENDENCIES: GAME_CONFIG, CONSTANTS, Weather (growth rates), CALENDAR (seasons),
+ *               MARKET (commodity demand), ShopManager (market saturation),
+ *               HELPERS (price rounding)
+ * USED BY: UIManager.js (end screens), engine.js
+ * ============================================================================
+ */
+
+/**
+ * PLAN_SOLVER Object
+ * Best-plan search for a known weather sequence
+ */
+const PLAN_SOLVER = {
+
+    // ========================================================================
+    // SETTINGS
+    // ========================================================================
+
+    /**
+     * BEAM_WIDTH: Plans kept after each minute
+     * Higher finds better plans but takes longer (about linear)
+     */
+    BEAM_WIDTH: 60,
+
+    /**
+     * STEPS_PER_SLICE: Minutes solveAsync() searches before letting the
+     * browser draw again (one minute takes 10-70 ms at BEAM_WIDTH 60)
+     */
+    STEPS_PER_SLICE: 1,
+
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * SOLVE
+     * Finds the best plan it can for a demand sequence (see SEARCH above)
+     *
+     * @param {number[]} demandByDay - Weather demand index of each day (index 0 =
+     *                                 Day 1); missing days count as 1.0. Each
+     *                                 product's demand follows from it (MARKET)
+     * @param {Object} options - Overrides (default: GAME_CONFIG / CONSTANTS values)
+     * @param {number} options.startMoney - Money at the start
+     * @param {number} options.goalMoney - Goal used for goalDay
+     * @param {number} options.beamWidth - Plans kept per minute
+     * @param {number[]} options.weatherByDay - Weather value of each day (index 0 = Day 1),
+     *                                          for growth speed; missing days grow at 1x
+     * @returns {Object} Plan result:
+     *   {
+     *     finalMoney,      // Money at the end of the last day
+     *     startMoney,
+     *     goalMoney,
+     *     reachedGoal,     // finalMoney >= goalMoney
+     *     goalDay,         // First day the plan has the goal in hand (or null)
+     *     actions: [       // In order
+     *       {day, minute, action: 'buy'|'sell', itemType: 'crop'|'animal',
+     *        id, name, emoji, count, amount}
+     *     ]
+     *   }
+     *
+     * EXAMPLE:
+     * const plan = PLAN_SOLVER.solve([1.4, 1.7, 2.0, 1.2, 1.2, 1.2, 2.0, 1.7, 1.4, 0.9]);
+     * console.log(plan.finalMoney);
+     */
+    solve(demandByDay, options = {}) {
+        const search = this._startSearch(demandByDay, options);
+        this._searchSteps(search, search.setup.totalSteps);
+        return this._finishSearch(search);
+    },
+
+
+    /**
+     * SOLVE ASYNC
+     * Same search as solve(), STEPS_PER_SLICE minutes at a time, so the
+     * page keeps drawing while it runs
+     *
+     * @param {number[]} demandByDay - See solve()
+     * @param {Object} options - See solve()
+     * @returns {Promise<Object>} Plan result (see solve)
+     *
+     * EXAMPLE:
+     * PLAN_SOLVER.solveAsync(demandByDay).then(plan => console.log(plan.finalMoney));
+     */
+    solveAsync(demandByDay, options = {}) {
+        return new Promise((resolve, reject) => {
+            const search = this._startSearch(demandByDay, options);
+
+            const runSlice = () => {
+                try {
+                    this._searchSteps(search, this.STEPS_PER_SLICE);
+                    if (search.step < search.setup.totalSteps) {
+                        setTimeout(runSlice, 0);
+                    } else {
+                        resolve(this._finishSearch(search));
+                    }
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            setTimeout(runSlice, 0);
+        });
+    },
+
+
+    /**
+     * SOLVE FOR GAME
+     * Finds the best plan it can for the weather of a game
+     *
+     * @param {GameState} gameState - Game to solve (usually a finished one)
+     * @returns {Object} Plan result (see solve)
+     *
+     * CALLED BY:
+     * - FarmRescueEngine.solveOptimalPlan()
+     */
+    solveForGame(gameState) {
+        const input = this._getGameInput(gameState);
+        return this.solve(input.demandByDay, input.options);
+    },
+
+
+    /**
+     * SOLVE FOR GAME ASYNC
+     * solveForGame() without blocking the page (see solveAsync)
+     *
+     * @param {GameState} gameState - Game to solve
+     * @returns {Promise<Object>} Plan result (see solve)
+     *
+     * CALLED BY:
+     * - UIManager end screens ("What was possible")
+     */
+    solveForGameAsync(gameState) {
+        const input = this._getGameInput(gameState);
+        return this.solveAsync(input.demandByDay, input.options);
+    },
+
+
+    // ========================================================================
+    // SEARCH (internal)
+    // ========================================================================
+
+    /**
+     * GET GAME INPUT (internal)
+     * Demand and weather of each day of a game, as solve() arguments
+     */
+    _getGameInput(gameState) {
+        const demandByDay = [];
+        const weatherByDay = [];
+        gameState.getWeatherSequence().forEach(weather => {
+            demandByDay[weather.day - 1] = weather.demandIndex;
+            weatherByDay[weather.day - 1] = weather.weatherValue;
+        });
+
+        return {
+            demandByDay: demandByDay,
+            options: {goalMoney: gameState.goalMoney, weatherByDay: weatherByDay}
+        };
+    },
+
+
+    /**
+     * START SEARCH (internal)
+     * Sets up a search at minute 0
+     *
+     * Search shape: {setup, step (next minute to search), plans}
+     */
+    _startSearch(demandByDay, options) {
+        const setup = this._createSetup(demandByDay, options);
+        return {setup: setup, step: 0, plans: [this._createStartPlan(setup)]};
+    },
+
+
+    /**
+     * SEARCH STEPS (internal)
+     * Moves a search up to `count` minutes forward
+     */
+    _searchSteps(search, count) {
+        const setup = search.setup;
+        const end = Math.min(setup.totalSteps, search.step + count);
+
+        for (; search.step < end; search.step++) {
+            const step = search.step;
+            const next = new Map();
+
+            search.plans.forEach(plan => {
+                this._expandPlan(plan, step, setup).forEach(candidate => {
+                    const key = this._getFarmKey(candidate);
+                    const existing = next.get(key);
+                    if (!existing || candidate.money > existing.money) {
+                        next.set(key, candidate);
+                    }
+                });
+            });
+
+            search.plans = Array.from(next.values())
+                .map(plan => ({plan: plan, value: this._getPlanValue(plan, step, setup)}))
+                .sort((a, b) => b.value - a.value)
+                .slice(0, setup.beamWidth)
+                .map(entry => entry.plan);
+        }
+    },
+
+
+    /**
+     * FINISH SEARCH (internal)
+     * Picks the richest plan of a finished search
+     */
+    _finishSearch(search) {
+        const setup = search.setup;
+        const best = search.plans.reduce((top, plan) => (plan.money > top.money ? plan : top), search.plans[0]);
+
+        return {
+            finalMoney: best.money,
+            startMoney: setup.startMoney,
+            goalMoney: setup.goalMoney,
+            reachedGoal: best.money >= setup.goalMoney,
+            goalDay: best.goalStep === null ? null : this._getDay(best.goalStep, setup),
+            actions: this._collectActions(best, setup)
+        };
+    },
+
+
+    /**
+     * CREATE SETUP (internal)
+     * Precomputes products, prices and limits for one search
+     */
+    _createSetup(demandByDay, options) {
+        const totalDays = GAME_CONFIG.TOTAL_DAYS;
+        const dayMinutes = GAME_CONFIG.DAY_DURATION_MINUTES;
+
+        const products = GAME_CONFIG.CROPS.map(crop => ({
+            itemType: 'crop',
+            id: crop.id,
+            name: crop.name,
+            emoji: crop.emoji,
+            cost: crop.seedCost,
+            growthTime: crop.growthTime,
+            sensitivity: crop.weatherSensitivity,
+            basePrice: crop.baseSellPrice
+        })).concat(GAME_CONFIG.ANIMALS.map(animal => ({
+            itemType: 'animal',
+            id: animal.id,
+            name: animal.name,
+            emoji: animal.emoji,
+            cost: animal.purchaseCost,
+            growthTime: animal.growthTime,
+            sensitivity: animal.weatherSensitivity,
+            basePrice: animal.baseSellPrice
+        })));
+
+        // demand[p][d] = demand for a product on day d+1;
+        // price[p][d] = full sell price on day d+1 (before market saturation);
+        // bestPrice[p][d] = best price from that day on, bestLater[p][d] = after it
+        const demand = products.map(product => {
+            const indexes = [];
+            for (let d = 0; d < totalDays; d++) {
+                const weatherDemand = typeof demandByDay[d] === 'number' ? demandByDay[d] : 1.0;
+                indexes.push(MARKET.getDemandIndex(product.id, weatherDemand, d + 1));
+            }
+            return indexes;
+        });
+        const price = products.map((product, p) => demand[p].map(index => HELPERS.floorPrice(product.basePrice * index)));
+        const bestPrice = price.map(prices => {
+            const best = prices.slice();
+            for (let d = totalDays - 2; d >= 0; d--) {
+                best[d] = Math.max(best[d], best[d + 1]);
+            }
+            return best;
+        });
+        const bestLater = bestPrice.map(best => best.slice(1).concat([0]));
+
+        // readyStep[p][s] = first minute a product bought at minute s can be
+        // sold (totalSteps = not in time or out of season); growth per minute
+        // follows the day's weather
+        const weatherByDay = options.weatherByDay || [];
+        const totalSteps = totalDays * dayMinutes;
+        const readyStep = products.map(product => {
+            const rates = [];
+            for (let d = 0; d < totalDays; d++) {
+                rates.push(Weather.calculateGrowthRate(
+                    typeof weatherByDay[d] === 'number' ? weatherByDay[d] : null,
+                    product.sensitivity
+                ));
+            }
+
+            const ready = [];
+            for (let s = 0; s < totalSteps; s++) {
+                if (product.itemType === 'crop' &&
+                    !CALENDAR.isCropInSeason(product.id, Math.floor(s / dayMinutes) + 1)) {
+                    ready.push(totalSteps);
+                    continue;
+                }
+
+                let grown = 0;
+                let m = s;
+                while (m < totalSteps && grown < product.growthTime - 1e-9) {
+                    grown += rates[Math.floor(m / dayMinutes)];
+                    m++;
+                }
+                ready.push(grown < product.growthTime - 1e-9 ? totalSteps : Math.max(s + 1, m));
+            }
+            return ready;
+        });
+
+        return {
+            products: products,
+            demand: demand,
+            price: price,
+            bestPrice: bestPrice,
+            bestLater: bestLater,
+            readyStep: readyStep,
+            dayMinutes: dayMinutes,
+            totalSteps: totalSteps,
+            cropSlots: CONSTANTS.VALIDATION.MAX_CROP_SLOTS,
+            animalSlots: CONSTANTS.VALIDATION.MAX_ANIMAL_SLOTS,
+            startMoney: options.startMoney !== undefined ? options.startMoney : GAME_CONFIG.STARTING_MONEY,
+            goalMoney: options.goalMoney !== undefined ? options.goalMoney : GAME_CONFIG.GOAL_MONEY,
+            beamWidth: options.beamWidth || this.BEAM_WIDTH
+        };
+    },
+
+
+    /**
+     * CREATE START PLAN (internal)
+     * Empty farm with the starting money
+     *
+     * Plan shape: {money, plots: [{p, ready}], pens: [{p, ready}],
+     *              held: [count per product], sold: [count per product sold
+     *              on soldDay], soldDay, goalStep, parent, actions}
+     */
+    _createStartPlan(setup) {
+        return {
+            money: setup.startMoney,
+            plots: [],
+            pens: [],
+            held: setup.products.map(() => 0),
+            sold: setup.products.map(() => 0),
+            soldDay: 0,
+            goalStep: setup.startMoney >= setup.goalMoney ? 0 : null,
+            parent: null,
+            actions: []
+        };
+    },
+
+
+    /**
+     * EXPAND PLAN (internal)
+     * All ways to play one minute from a plan
+     */
+    _expandPlan(plan, step, setup) {
+        const day = this._getDay(step, setup) - 1;
+        const isLastStep = step === setup.totalSteps - 1;
+
+        // Harvest everything that is ready (always free); the market
+        // recovers overnight
+        const harvested = {
+            money: plan.money,
+            plots: plan.plots.filter(plot => plot.ready > step),
+            pens: plan.pens,
+            held: plan.held.slice(),
+            sold: plan.soldDay === day ? plan.sold : setup.products.map(() => 0),
+            soldDay: day,
+            goalStep: plan.goalStep,
+            parent: plan,
+            actions: []
+        };
+        plan.plots.forEach(plot => {
+            if (plot.ready <= step) {
+                harvested.held[plot.p]++;
+            }
+        });
+
+        // Sell everything, or only what pays more today than any later day
+        // (the same when everything is worth selling, or on the last minute)
+        const afterSelling = [];
+        if (!this._hasStock(harvested, step)) {
+            afterSelling.push(harvested);
+        } else {
+            const worthSelling = this._sellAll(harvested, step, setup, !isLastStep);
+            afterSelling.push(worthSelling);
+            if (this._hasStock(worthSelling, step)) {
+                afterSelling.push(this._sellAll(harvested, step, setup, false));
+            }
+        }
+
+        if (isLastStep) {
+            return afterSelling;
+        }
+
+        // Buy: nothing, one product, or a crop and an animal (in either order)
+        const worthBuying = setup.products
+            .map((product, p) => p)
+            .filter(p => {
+                const ready = setup.readyStep[p][step];
+                return ready < setup.totalSteps &&
+                    setup.bestPrice[p][this._getDay(ready, setup) - 1] > setup.products[p].cost;
+            });
+        const crops = worthBuying.filter(p => setup.products[p].itemType === 'crop');
+        const animals = worthBuying.filter(p => setup.products[p].itemType === 'animal');
+
+        const orders = [[]];
+        worthBuying.forEach(p => orders.push([p]));
+        crops.forEach(crop => {
+            animals.forEach(animal => {
+                orders.push([crop, animal]);
+                orders.push([animal, crop]);
+            });
+        });
+
+        const results = [];
+        afterSelling.forEach(base => {
+            orders.forEach(order => {
+                let current = base;
+                order.forEach(p => {
+                    current = this._buyAll(current, p, step, setup) || current;
+                });
+                if (order.length === 0 || current !== base) {
+                    results.push(current);
+                }
+            });
+        });
+
+        return results;
+    },
+
+
+    /**
+     * HAS STOCK (internal)
+     * Checks if a plan holds crops or mature animals it could sell
+     */
+    _hasStock(plan, step) {
+        return plan.held.some(count => count > 0) || plan.pens.some(pen => pen.ready <= step);
+    },
+
+
+    /**
+     * SELL ALL (internal)
+     * Sells held crops and mature animals at today's (saturating) prices
+     *
+     * @param {boolean} worthOnly - Only sell units that pay at least the
+     *                              best full price of a later day
+     */
+    _sellAll(plan, step, setup, worthOnly) {
+        const day = this._getDay(step, setup) - 1;
+        const sold = {
+            money: plan.money,
+            plots: plan.plots,
+            pens: [],
+            held: setup.products.map(() => 0),
+            sold: plan.sold.slice(),
+            soldDay: plan.soldDay,
+            goalStep: plan.goalStep,
+            parent: plan.parent,
+            actions: plan.actions.slice()
+        };
+        const counts = plan.held.slice();
+        const maturePens = [];
+
+        plan.pens.forEach(pen => {
+            if (pen.ready <= step) {
+                counts[pen.p]++;
+                maturePens.push(pen);
+            } else {
+                sold.pens.push(pen);
+            }
+        });
+
+        counts.forEach((count, p) => {
+            let selling = 0;
+            let amount = 0;
+
+            while (selling < count) {
+                const unitPrice = this._getUnitPrice(p, day, sold.sold[p], setup);
+                if (worthOnly && unitPrice < setup.bestLater[p][day]) {
+                    break;
+                }
+                amount += unitPrice;
+                sold.sold[p]++;
+                selling++;
+            }
+
+            if (selling > 0) {
+                sold.money += amount;
+                sold.actions.push({step: step, action: 'sell', p: p, count: selling, amount: amount});
+            }
+
+            // Whatever is not sold is kept (crops held, animals in their pens)
+            if (setup.products[p].itemType === 'crop') {
+                sold.held[p] = count - selling;
+            } else {
+                sold.pens.push(...maturePens.filter(pen => pen.p === p).slice(selling));
+            }
+        });
+
+        if (sold.goalStep === null && sold.money >= setup.goalMoney) {
+            sold.goalStep = step;
+        }
+
+        return sold;
+    },
+
+
+    /**
+     * BUY ALL (internal)
+     * Fills free plots or pens with one product, as far as money allows
+     *
+     * @returns {Object|null} New plan, or null if nothing could be bought
+     */
+    _buyAll(plan, p, step, setup) {
+        const product = setup.products[p];
+        const isCrop = product.itemType === 'crop';
+        const free = isCrop
+            ? setup.cropSlots - plan.plots.length
+            : setup.animalSlots - plan.pens.length;
+        const count = Math.min(free, Math.floor(plan.money / product.cost));
+
+        if (count <= 0) {
+            return null;
+        }
+
+        const added = [];
+        for (let i = 0; i < count; i++) {
+            added.push({p: p, ready: setup.readyStep[p][step]});
+        }
+
+        return {
+            money: plan.money - count * product.cost,
+            plots: isCrop ? plan.plots.concat(added) : plan.plots,
+            pens: isCrop ? plan.pens : plan.pens.concat(added),
+            held: plan.held,
+            sold: plan.sold,
+            soldDay: plan.soldDay,
+            goalStep: plan.goalStep,
+            parent: plan.parent,
+            actions: plan.actions.concat([{step: step, action: 'buy', p: p, count: count, amount: count * product.cost}])
+        };
+    },
+
+
+    /**
+     * GET FARM KEY (internal)
+     * Identifies plans with the same farm (only the richest one is kept)
+     */
+    _getFarmKey(plan) {
+        const slots = (list) => list.map(slot => `${slot.p}@${slot.ready}`).sort().join(',');
+        return `${slots(plan.plots)}|${slots(plan.pens)}|${plan.held.join(',')}|${plan.sold.join(',')}`;
+    },
+
+
+    /**
+     * GET UNIT PRICE (internal)
+     * Price of the next unit of a product on a day, after unitsSold sales
+     */
+    _getUnitPrice(p, day, unitsSold, setup) {
+        const saturation = ShopManager.calculateSaturationFactor(unitsSold);
+        return HELPERS.floorPrice(setup.products[p].basePrice * (setup.demand[p][day] * saturation));
+    },
+
+
+    /**
+     * GET PLAN VALUE (internal)
+     * Money plus the best price everything on the farm can still fetch
+     */
+    _getPlanValue(plan, step, setup) {
+        const day = this._getDay(step, setup) - 1;
+        let value = plan.money;
+
+        plan.held.forEach((count, p) => {
+            value += count * setup.bestPrice[p][day];
+        });
+        plan.plots.concat(plan.pens).forEach(slot => {
+            if (slot.ready < setup.totalSteps) {
+                const readyDay = Math.max(day, this._getDay(slot.ready, setup) - 1);
+                value += setup.bestPrice[slot.p][readyDay];
+            }
+        });
+
+        return value;
+    },
+
+
+    /**
+     * GET DAY (internal)
+     * Game day (1-based) of a minute step
+     */
+    _getDay(step, setup) {
+        return Math.floor(step / setup.dayMinutes) + 1;
+    },
+
+
+    /**
+     * COLLECT ACTIONS (internal)
+     * Walks back from the final plan and lists its actions in order
+     */
+    _collectActions(plan, setup) {
+        const chain = [];
+        for (let current = plan; current; current = current.parent) {
+            chain.unshift(current.actions);
+        }
+
+        return [].concat(...chain).map(action => {
+            const product = setup.products[action.p];
+            return {
+                day: this._getDay(action.step, setup),
+                minute: action.step % setup.dayMinutes,
+                action: action.action,
+                itemType: product.itemType,
+                id: product.id,
+                name: product.name,
+                emoji: product.emoji,
+                count: action.count,
+                amount: action.amount
+            };
+        });
+    }
+};
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Best plan found for the weather of the finished game
+ * const plan = PLAN_SOLVER.solveForGame(GameState.getInstance());
+ * console.log(`Possible: ${HELPERS.formatMoney(plan.finalMoney)}`);
+ *
+ * // The same without blocking the page
+ * PLAN_SOLVER.solveForGameAsync(GameState.getInstance()).then(plan => {
+ *     console.log(`Possible: ${HELPERS.formatMoney(plan.finalMoney)}`);
+ * });
+ *
+ * plan.actions.forEach(a => {
+ *     console.log(`Day ${a.day}: ${a.action} ${a.count} ${a.name} (${HELPERS.formatMoney(a.amount)})`);
+ * });
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default PLAN_SOLVER;
@@ -0,0 +1,660 @@
+/**
+ * ============================================================================
+ * FILE: saveSchema.js
+ * PURPOSE: Versioning, migration and validation of saved game data
+ *
+ * DESCRIPTION:
+ * GameState.toJSON() stamps every save with SAVE_SCHEMA.VERSION.
+ * Before a save is restored it goes through SAVE_SCHEMA.prepare():
+ * 1. Migrate - upgrade old saves one version at a time
+ * 2. Validate - check every field GameState.fromJSON() relies on
+ *
+ * Only data that passes both steps reaches GameState.fromJSON(), so a
+ * malformed save is rejected with a clear reason instead of throwing
+ * halfway through a restore.
+ *
+ * ADDING A NEW VERSION:
+ * 1. Change the shape of toJSON() in GameState / Crop / Animal / Weather
+ * 2. Bump VERSION
+ * 3. Add MIGRATIONS[oldVersion] that turns old data into the new shape
+ * 4. Extend validate() for the new fields
+ *
+ * DEPENDENCIES: GAME_CONFIG, CONSTANTS, HELPERS, GameRandom (seeds)
+ * USED BY: GameState.js, SaveManager.js
+ * ============================================================================
+ */
+
+/**
+ * SAVE_SCHEMA Object
+ * Schema version, migrations and validation for saves
+ */
+const SAVE_SCHEMA = {
+
+    // ========================================================================
+    // VERSION
+    // ========================================================================
+
+    /**
+     * VERSION: Current save schema version
+     * Saves made before versioning existed are treated as version 0
+     */
+    VERSION: 10,
+
+    /**
+     * MAX_AMOUNT: Largest amount of money a save may hold anywhere
+     * Real games stay far below it; anything bigger was edited by hand
+     */
+    MAX_AMOUNT: 1000000000,
+
+
+    // ========================================================================
+    // MIGRATIONS
+    // ========================================================================
+
+    /**
+     * MIGRATIONS: Upgrade functions keyed by the version they upgrade FROM
+     *
+     * Each function receives a copy of the save data at that version
+     * and returns the data at the next version (with version updated).
+     */
+    MIGRATIONS: {
+        /**
+         * 0 → 1: First versioned format
+         * Unversioned saves may be missing optional fields
+         */
+        0(data) {
+            data.statistics = data.statistics || {};
+            data.milestonesReached = data.milestonesReached || [];
+            data.lastSaveTime = data.lastSaveTime || null;
+            data.version = 1;
+            return data;
+        },
+
+        /**
+         * 1 → 2: Game clock value added (gameTime)
+         * Older saves used real timestamps, so the real time of the
+         * save is the matching clock value
+         */
+        1(data) {
+            data.gameTime = data.lastSaveTime || Date.now();
+            data.version = 2;
+            return data;
+        },
+
+        /**
+         * 2 → 3: Seeded random generator added (seed, randomState)
+         * Older games were played with Math.random(), so they get a new
+         * seed that only affects the rest of the game
+         */
+        2(data) {
+            data.seed = GameRandom.generateSeed();
+            data.randomState = {};
+            data.version = 3;
+            return data;
+        },
+
+        /**
+         * 3 → 4: Daily challenge date added (challengeDate)
+         * Older saves are always normal games
+         */
+        3(data) {
+            data.challengeDate = null;
+            data.version = 4;
+            return data;
+        },
+
+        /**
+         * 4 → 5: Weather of past days kept (weatherHistory)
+         * Older saves dropped it, so the history starts empty
+         */
+        4(data) {
+            data.weatherHistory = [];
+            data.version = 5;
+            return data;
+        },
+
+        /**
+         * 5 → 6: Severe weather reports kept (weatherReports)
+         * No severe weather existed before, so there are none
+         */
+        5(data) {
+            data.weatherReports = [];
+            data.version = 6;
+            return data;
+        },
+
+        /**
+         * 6 → 7: Units sold today kept (salesToday, market saturation)
+         * Older saves always sold at full price, so the market starts fresh
+         */
+        6(data) {
+            data.salesToday = {};
+            data.version = 7;
+            return data;
+        },
+
+        /**
+         * 7 → 8: Price history kept (priceHistory)
+         * Older saves kept no prices; the history starts with the day the
+         * game is loaded on
+         */
+        7(data) {
+            data.priceHistory = [];
+            data.version = 8;
+            return data;
+        },
+
+        /**
+         * 8 → 9: Ledger of money movements (ledger)
+         * Older saves kept no transactions; the ledger starts empty
+         */
+        8(data) {
+            data.ledger = [];
+            data.version = 9;
+            return data;
+        },
+
+        /**
+         * 9 → 10: Bank (debt, loans)
+         * Games were won by holding the goal in cash, so nothing was paid
+         * off yet - unless the game was already won
+         */
+        9(data) {
+            data.debt = data.gameStatus === CONSTANTS.GAME_STATUS.WON ? 0 : data.goalMoney;
+            data.loans = [];
+            data.version = 10;
+            return data;
+        }
+    },
+
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * PREPARE
+     * Migrates and validates save data in one step
+     *
+     * @param {Object} json - Save data (as produced by GameState.toJSON())
+     * @returns {Object} {success, data, errors}
+     *
+     * NOTE: The input object is never modified; data is a migrated copy.
+     *
+     * EXAMPLE:
+     * const result = SAVE_SCHEMA.prepare(json);
+     * if (!result.success) console.error(result.errors[0]);
+     *
+     * USED BY:
+     * - GameState.fromJSON()
+     * - SaveManager (to report why a save was rejected)
+     */
+    prepare(json) {
+        const migration = this.migrate(json);
+        if (!migration.success) {
+            return {
+                success: false,
+                data: null,
+                errors: migration.errors
+            };
+        }
+
+        const validation = this.validate(migration.data);
+
+        return {
+            success: validation.valid,
+            data: validation.valid ? migration.data : null,
+            errors: validation.errors
+        };
+    },
+
+
+    /**
+     * MIGRATE
+     * Upgrades save data to the current VERSION
+     *
+     * @param {Object} json - Save data at any known version
+     * @returns {Object} {success, data, errors}
+     */
+    migrate(json) {
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            return {
+                success: false,
+                data: null,
+                errors: ['Save data is not an object.']
+            };
+        }
+
+        // Work on a copy so a failed migration leaves the input untouched
+        let data = JSON.parse(JSON.stringify(json));
+        let version = data.version === undefined ? 0 : data.version;
+
+        if (!Number.isInteger(version) || version < 0) {
+            return {
+                success: false,
+                data: null,
+                errors: [`Unknown save version: ${data.version}.`]
+            };
+        }
+
+        if (version > this.VERSION) {
+            return {
+                success: false,
+                data: null,
+                errors: ['Save was made by a newer version of the game.']
+            };
+        }
+
+        while (version < this.VERSION) {
+            const migration = this.MIGRATIONS[version];
+            if (!migration) {
+                return {
+                    success: false,
+                    data: null,
+                    errors: [`No migration from save version ${version}.`]
+                };
+            }
+
+            data = migration(data);
+            HELPERS.debugLog(`Save migrated from version ${version} to ${data.version}`);
+            version = data.version;
+        }
+
+        return {
+            success: true,
+            data: data,
+            errors: []
+        };
+    },
+
+
+    /**
+     * VALIDATE
+     * Checks that save data at the current VERSION can be restored
+     *
+     * @param {Object} data - Migrated save data
+     * @returns {Object} {valid, errors}
+     */
+    validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object') {
+            return {
+                valid: false,
+                errors: ['Save data is not an object.']
+            };
+        }
+
+        if (data.version !== this.VERSION) {
+            errors.push(`Unsupported save version: ${data.version}.`);
+        }
+
+        // Core values
+        if (!this._isAmount(data.currentMoney)) {
+            errors.push('Money is missing or not a valid amount.');
+        }
+
+        if (!Number.isInteger(data.currentDay) || data.currentDay < 1 ||
+            data.currentDay > GAME_CONFIG.TOTAL_DAYS + 1) {
+            errors.push(`Invalid day: ${data.currentDay}.`);
+        }
+
+        if (!HELPERS.isValidNumber(data.gameTime)) {
+            errors.push('Game clock is missing or not a number.');
+        }
+
+        if (!this._isAmount(data.goalMoney) || data.goalMoney <= 0) {
+            errors.push('Goal is missing or not a positive amount.');
+        }
+
+        // Bank: farm debt between $0 and the goal, loans with a balance
+        if (!HELPERS.isValidNumber(data.debt) || data.debt < 0 || data.debt > data.goalMoney) {
+            errors.push('Farm debt is missing or invalid.');
+        }
+
+        this._validateList(data.loans, 'loans', errors, (loan, path) => {
+            if (typeof loan.id !== 'string' ||
+                !this._isPrice(loan.principal) || loan.principal <= 0 ||
+                !this._isPrice(loan.balance) || loan.balance <= 0 ||
+                !HELPERS.isValidNumber(loan.dailyRate) || loan.dailyRate < 0 || loan.dailyRate > 1 ||
+                !Number.isInteger(loan.dayTaken) || !Number.isInteger(loan.dueDay) ||
+                !this._isPrice(loan.interestCharged)) {
+                errors.push(`${path} is not a valid loan.`);
+            }
+        });
+
+        if (!Object.values(CONSTANTS.GAME_STATUS).includes(data.gameStatus)) {
+            errors.push(`Invalid game status: ${data.gameStatus}.`);
+        }
+
+        // Random generator
+        if (GameRandom.normalizeSeed(data.seed) !== data.seed) {
+            errors.push('Seed is missing or invalid.');
+        }
+
+        if (!data.randomState || typeof data.randomState !== 'object' ||
+            Array.isArray(data.randomState) ||
+            !Object.values(data.randomState).every(state => Number.isInteger(state))) {
+            errors.push('Random generator state is invalid.');
+        }
+
+        if (data.challengeDate !== null && !HELPERS.isValidDateString(data.challengeDate)) {
+            errors.push(`Invalid daily challenge date: ${data.challengeDate}.`);
+        }
+
+        // Weather forecast
+        if (!Array.isArray(data.weatherForecast) || data.weatherForecast.length === 0) {
+            errors.push('Weather forecast is missing.');
+        } else {
+            data.weatherForecast.forEach((weather, index) => {
+                this._validateWeather(weather, `weatherForecast[${index}]`, errors);
+            });
+        }
+
+        if (!Array.isArray(data.weatherHistory)) {
+            errors.push('Weather history is missing.');
+        } else {
+            data.weatherHistory.forEach((weather, index) => {
+                this._validateWeather(weather, `weatherHistory[${index}]`, errors);
+            });
+        }
+
+        this._validateList(data.weatherReports, 'weatherReports', errors, (report, path) => {
+            const validItems = ['cropsDestroyed', 'cropsDamaged', 'animalsLost'].every(key => (
+                Array.isArray(report[key]) && report[key].every(item => (
+                    !!item && typeof item.id === 'string' && this._isCommodity(item.type)
+                ))
+            ));
+
+            if (!Number.isInteger(report.day) || report.day < 1 || !this._isSevereEvent(report.eventId) ||
+                typeof report.name !== 'string' || !this._isPrice(report.valueLost) || !validItems) {
+                errors.push(`${path} is not a valid weather report.`);
+            }
+        });
+
+        // Market saturation: {itemType: units sold today}
+        const salesToday = data.salesToday;
+        if (!salesToday || typeof salesToday !== 'object' || Array.isArray(salesToday)) {
+            errors.push('Today\'s sales are missing.');
+        } else {
+            Object.keys(salesToday).forEach(type => {
+                if (!this._isCommodity(type) || !Number.isInteger(salesToday[type]) || salesToday[type] < 0) {
+                    errors.push(`salesToday.${type} is invalid.`);
+                }
+            });
+        }
+
+        // Price history: one entry per day, a price for every crop and
+        // animal, and sales of known items
+        const commodities = GAME_CONFIG.CROPS.concat(GAME_CONFIG.ANIMALS).map(commodity => commodity.id);
+        this._validateList(data.priceHistory, 'priceHistory', errors, (entry, path) => {
+            const prices = entry.prices;
+            const validPrices = !!prices && typeof prices === 'object' && !Array.isArray(prices) &&
+                Object.keys(prices).length === commodities.length &&
+                commodities.every(type => this._isPrice(prices[type]));
+            const validSales = Array.isArray(entry.sales) && entry.sales.every(sale => (
+                !!sale && this._isCommodity(sale.type) && this._isPrice(sale.price)
+            ));
+
+            if (!Number.isInteger(entry.day) || entry.day < 1 ||
+                !HELPERS.isValidNumber(entry.weatherValue) ||
+                entry.weatherValue < CONSTANTS.WEATHER_RANGES.MIN || entry.weatherValue > CONSTANTS.WEATHER_RANGES.MAX ||
+                !this._isPrice(entry.demandIndex) || !validPrices || !validSales) {
+                errors.push(`${path} is not a valid price history day.`);
+            }
+        });
+
+        // Ledger: signed amounts with a known category
+        const categories = Object.values(CONSTANTS.LEDGER_CATEGORIES);
+        this._validateList(data.ledger, 'ledger', errors, (entry, path) => {
+            if (!Number.isInteger(entry.day) || entry.day < 1 ||
+                !HELPERS.isValidNumber(entry.timestamp) ||
+                !this._isAmount(entry.amount) || !this._isAmount(entry.balance) ||
+                !categories.includes(entry.category) ||
+                (entry.itemType !== null && !this._isCommodity(entry.itemType)) ||
+                (entry.demandIndex !== null && !this._isPrice(entry.demandIndex)) ||
+                typeof entry.reason !== 'string') {
+                errors.push(`${path} is not a valid ledger entry.`);
+            }
+        });
+
+        // Inventory
+        const inventory = data.inventory;
+        if (!inventory || typeof inventory !== 'object') {
+            errors.push('Inventory is missing.');
+        } else {
+            ['seeds', 'crops', 'harvestedCrops'].forEach(key => {
+                this._validateList(inventory[key], `inventory.${key}`, errors,
+                    (item, path) => this._validateCrop(item, path, errors));
+            });
+
+            ['youngAnimals', 'animals'].forEach(key => {
+                this._validateList(inventory[key], `inventory.${key}`, errors,
+                    (item, path) => this._validateAnimal(item, path, errors));
+            });
+        }
+
+        // Statistics (counts and money totals) and milestones
+        const statistics = data.statistics;
+        if (!statistics || typeof statistics !== 'object' || Array.isArray(statistics)) {
+            errors.push('Statistics are missing.');
+        } else {
+            Object.keys(statistics).forEach(key => {
+                if (!this._isPrice(statistics[key])) {
+                    errors.push(`statistics.${key} is invalid.`);
+                }
+            });
+        }
+
+        if (!Array.isArray(data.milestonesReached)) {
+            errors.push('Milestones are missing.');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    },
+
+
+    // ========================================================================
+    // VALIDATION HELPERS
+    // ========================================================================
+
+    /**
+     * VALIDATE LIST (internal)
+     * Checks an array and validates each entry
+     */
+    _validateList(list, path, errors, validateItem) {
+        if (!Array.isArray(list)) {
+            errors.push(`${path} is missing.`);
+            return;
+        }
+
+        list.forEach((item, index) => {
+            const itemPath = `${path}[${index}]`;
+            if (!item || typeof item !== 'object') {
+                errors.push(`${itemPath} is not an object.`);
+                return;
+            }
+            validateItem(item, itemPath);
+        });
+    },
+
+
+    /**
+     * VALIDATE WEATHER (internal)
+     */
+    _validateWeather(weather, path, errors) {
+        if (!weather || typeof weather !== 'object') {
+            errors.push(`${path} is not an object.`);
+            return;
+        }
+
+        if (!Number.isInteger(weather.day) || weather.day < 1) {
+            errors.push(`${path} has an invalid day.`);
+        }
+
+        if (!HELPERS.isValidNumber(weather.weatherValue) ||
+            weather.weatherValue < CONSTANTS.WEATHER_RANGES.MIN ||
+            weather.weatherValue > CONSTANTS.WEATHER_RANGES.MAX) {
+            errors.push(`${path} has an invalid weather value.`);
+        }
+
+        // Optional (saves from before forecast ranges have none)
+        if (weather.forecastBias !== undefined &&
+            (!HELPERS.isValidNumber(weather.forecastBias) || Math.abs(weather.forecastBias) > 1)) {
+            errors.push(`${path} has an invalid forecast bias.`);
+        }
+
+        // Optional (saves from before severe weather have none)
+        if (weather.severeEvent !== undefined && weather.severeEvent !== null &&
+            !this._isSevereEvent(weather.severeEvent)) {
+            errors.push(`${path} has unknown severe event: ${weather.severeEvent}.`);
+        }
+    },
+
+
+    /**
+     * IS AMOUNT (internal)
+     * Checks for a finite amount of money within ±MAX_AMOUNT
+     */
+    _isAmount(value) {
+        return HELPERS.isValidNumber(value) && Math.abs(value) <= this.MAX_AMOUNT;
+    },
+
+
+    /**
+     * IS PRICE (internal)
+     * Checks for an amount (or multiplier) from 0 to MAX_AMOUNT
+     */
+    _isPrice(value) {
+        return this._isAmount(value) && value >= 0;
+    },
+
+
+    /**
+     * IS SEVERE EVENT (internal)
+     * Checks an ID against GAME_CONFIG.SEVERE_WEATHER.EVENTS
+     */
+    _isSevereEvent(id) {
+        return GAME_CONFIG.SEVERE_WEATHER.EVENTS.some(event => event.id === id);
+    },
+
+
+    /**
+     * IS COMMODITY (internal)
+     * Checks a type against GAME_CONFIG.CROPS and ANIMALS
+     */
+    _isCommodity(type) {
+        return GAME_CONFIG.CROPS.some(crop => crop.id === type) ||
+            GAME_CONFIG.ANIMALS.some(animal => animal.id === type);
+    },
+
+
+    /**
+     * VALIDATE CROP (internal)
+     */
+    _validateCrop(crop, path, errors) {
+        if (!GAME_CONFIG.CROPS.some(c => c.id === crop.type)) {
+            errors.push(`${path} has unknown crop type: ${crop.type}.`);
+        }
+
+        if (!Object.values(CONSTANTS.CROP_STATUS).includes(crop.status)) {
+            errors.push(`${path} has invalid status: ${crop.status}.`);
+        }
+
+        if (typeof crop.id !== 'string' || crop.id.length === 0) {
+            errors.push(`${path} is missing its id.`);
+        }
+
+        if (crop.plantTime !== null && crop.plantTime !== undefined &&
+            !HELPERS.isValidNumber(crop.plantTime)) {
+            errors.push(`${path} has an invalid plant time.`);
+        }
+
+        // Optional (saves from before severe weather are undamaged)
+        if (crop.quality !== undefined &&
+            (!HELPERS.isValidNumber(crop.quality) || crop.quality <= 0 || crop.quality > 1)) {
+            errors.push(`${path} has an invalid quality.`);
+        }
+
+        this._validateGrowth(crop, path, errors);
+    },
+
+
+    /**
+     * VALIDATE GROWTH (internal)
+     * Weather growth fields are optional (older saves grow at normal speed)
+     */
+    _validateGrowth(item, path, errors) {
+        if (item.growthRate !== undefined &&
+            (!HELPERS.isValidNumber(item.growthRate) || item.growthRate <= 0)) {
+            errors.push(`${path} has an invalid growth rate.`);
+        }
+
+        ['growthBanked', 'growthRateSince', 'growthWeather'].forEach(key => {
+            if (item[key] !== undefined && item[key] !== null && !HELPERS.isValidNumber(item[key])) {
+                errors.push(`${path} has an invalid ${key}.`);
+            }
+        });
+    },
+
+
+    /**
+     * VALIDATE ANIMAL (internal)
+     */
+    _validateAnimal(animal, path, errors) {
+        if (!GAME_CONFIG.ANIMALS.some(a => a.id === animal.type)) {
+            errors.push(`${path} has unknown animal type: ${animal.type}.`);
+        }
+
+        if (!Object.values(CONSTANTS.ANIMAL_STATUS).includes(animal.status)) {
+            errors.push(`${path} has invalid status: ${animal.status}.`);
+        }
+
+        if (typeof animal.id !== 'string' || animal.id.length === 0) {
+            errors.push(`${path} is missing its id.`);
+        }
+
+        if (animal.placeTime !== null && animal.placeTime !== undefined &&
+            !HELPERS.isValidNumber(animal.placeTime)) {
+            errors.push(`${path} has an invalid place time.`);
+        }
+
+        this._validateGrowth(animal, path, errors);
+
+        if (animal.offspringIds !== undefined && !Array.isArray(animal.offspringIds)) {
+            errors.push(`${path} has invalid offspring ids.`);
+        }
+    }
+};
+
+/**
+ * ============================================================================
+ * FREEZE SAVE_SCHEMA
+ * ============================================================================
+ */
+Object.freeze(SAVE_SCHEMA.MIGRATIONS);
+Object.freeze(SAVE_SCHEMA);
+
+/**
+ * ============================================================================
+ * USAGE EXAMPLES
+ * ============================================================================
+ *
+ * // Stamp version when saving (done by GameState.toJSON)
+ * const json = gameState.toJSON();   // json.version === SAVE_SCHEMA.VERSION
+ *
+ * // Migrate + validate before restoring
+ * const result = SAVE_SCHEMA.prepare(savedJson);
+ * if (result.success) {
+ *     GameState.fromJSON(result.data);
+ * } else {
+ *     console.error(result.errors);   // e.g. ['Invalid day: 42.']
+ * }
+ *
+ * ============================================================================
+ */
+
+// Note: If using ES6 modules, use: export default SAVE_SCHEMA;